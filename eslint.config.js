@@ -35,4 +35,8 @@ export default [
       ],
     },
   },
+  {
+    files: ['mock/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
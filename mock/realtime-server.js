@@ -0,0 +1,120 @@
+/**
+ * Mock realtime event server for local testing (Server-Sent Events)
+ *
+ *   npm run mock:realtime                # listen on http://localhost:4000
+ *   npm run mock:realtime -- --demo      # also emit a sample event every 10s
+ *
+ * Point the app at it with VITE_REALTIME_URL=http://localhost:4000/api/v1/events
+ * (tickets from POST /api/v1/events/ticket are accepted without checking the
+ * auth token) and push events from another terminal:
+ *
+ *   curl -X POST http://localhost:4000/emit \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"type":"table:updated","data":{"number":3,"isAvailable":false}}'
+ *
+ * Supported types: order:created, order:updated, order:deleted,
+ * payment:created, payment:updated, table:created, table:updated, table:deleted,
+ * reservation:created, reservation:updated, reservation:deleted,
+ * waitlist:created, waitlist:updated, waitlist:deleted
+ */
+
+import { randomUUID } from "node:crypto";
+import express from "express";
+import cors from "cors";
+
+const PORT = Number(process.env.PORT) || 4000;
+const DEMO_INTERVAL = 10000;
+const TICKET_TTL = 30000;
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+const clients = new Set();
+// Connection tickets not used yet, with when they expire
+const tickets = new Map();
+
+const broadcast = (event) => {
+  const message = `data: ${JSON.stringify(event)}\n\n`;
+  clients.forEach((res) => res.write(message));
+  console.log(`→ ${event.type} (${clients.size} client(s))`);
+};
+
+app.post("/api/v1/events/ticket", (req, res) => {
+  const ticket = randomUUID();
+  tickets.set(ticket, Date.now() + TICKET_TTL);
+  res.json({ data: { ticket } });
+});
+
+app.get("/api/v1/events", (req, res) => {
+  // Each ticket opens one connection, within its time
+  const expiresAt = tickets.get(req.query.ticket);
+  tickets.delete(req.query.ticket);
+  if (!expiresAt || expiresAt < Date.now()) {
+    res.status(401).json({ message: "Invalid or expired ticket" });
+    return;
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write(": connected\n\n");
+
+  clients.add(res);
+  console.log(`+ client connected (${clients.size})`);
+
+  // Comment lines keep proxies from closing idle connections
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    clients.delete(res);
+    console.log(`- client disconnected (${clients.size})`);
+  });
+});
+
+app.post("/emit", (req, res) => {
+  const { type, data } = req.body || {};
+  if (!type || !data) {
+    res.status(400).json({ message: "type and data are required" });
+    return;
+  }
+  broadcast({ type, data });
+  res.json({ delivered: clients.size });
+});
+
+if (process.argv.includes("--demo")) {
+  let counter = 1;
+  setInterval(() => {
+    const tableNumber = (counter % 6) + 1;
+    const events = [
+      {
+        type: "order:created",
+        data: {
+          _id: `mock_order_${counter}`,
+          orderCode: `MOCK-${counter}`,
+          type: "dinein",
+          tableNumber,
+          orderItems: [],
+          totalPrice: 0,
+          isPaid: false,
+          isCancelled: false,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      {
+        type: "table:updated",
+        data: { number: tableNumber, isAvailable: false },
+      },
+    ];
+    broadcast(events[counter % events.length]);
+    counter += 1;
+  }, DEMO_INTERVAL);
+}
+
+app.listen(PORT, () => {
+  console.log(`Mock realtime server on http://localhost:${PORT}/api/v1/events`);
+});
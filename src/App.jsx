@@ -5,7 +5,7 @@ import {
   Navigate,
   useLocation,
 } from "react-router-dom";
-import { Provider } from "react-redux";
+import { Provider, useDispatch, useSelector } from "react-redux";
 import { Toaster } from "react-hot-toast";
 import store from "./store";
 import { useState, useEffect } from "react";
@@ -21,17 +21,49 @@ import Shifts from "./pages/settings/ShiftsManagement";
 import Printers from "./pages/settings/PrintersManagement";
 import Tables from "./pages/settings/TablesManagement";
 import SettingsHome from "./pages/settings/SettingsHome";
+import KitchenNotes from "./pages/settings/KitchenNotesManagement";
+import Tenders from "./pages/settings/TendersManagement";
+import Discounts from "./pages/settings/DiscountsManagement";
+import Customers from "./pages/settings/CustomersManagement";
+import Reservations from "./pages/settings/ReservationsManagement";
+import Suppliers from "./pages/settings/SuppliersManagement";
+import PurchaseOrders from "./pages/settings/PurchaseOrdersManagement";
+import Payables from "./pages/settings/PayablesManagement";
+import StockAlerts from "./pages/settings/StockAlertsManagement";
 import LoginPage from "./pages/LoginPage";
 import ProtectedRoute from "./components/common/ProtectedRoute";
 import ShiftGuard from "./components/shift/ShiftGuard";
 import CashierPage from "./pages/CashierPage";
-// import Dashboard from "./pages/Dashboard";
+import Dashboard from "./pages/Dashboard";
+import KitchenPage from "./pages/KitchenPage";
+import DeliveryPage from "./pages/DeliveryPage";
 import { ROUTES } from "./utils/constants";
+import { syncSettings } from "./store/settingsSlice";
+import { syncTenders } from "./store/tenderSlice";
+import { syncDiscounts } from "./store/discountSlice";
+import realtime from "./services/realtime";
 
 // Wrapper component to handle sidebar state and location changes
 const AppLayout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const location = useLocation();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const isKitchen = user?.role?.toLowerCase() === "kitchen";
+  const isDriver = user?.role?.toLowerCase() === "driver";
+
+  // Pull printer, receipt, tender and discount settings saved on the server
+  useEffect(() => {
+    dispatch(syncSettings());
+    dispatch(syncTenders());
+    dispatch(syncDiscounts());
+  }, [dispatch]);
+
+  // Live order, payment and table updates from other tills
+  useEffect(() => {
+    realtime.connect(dispatch);
+    return () => realtime.disconnect();
+  }, [dispatch]);
 
   // Toggle sidebar function
   const toggleSidebar = () => {
@@ -43,6 +75,16 @@ const AppLayout = () => {
     setSidebarOpen(false);
   }, [location]);
 
+  // Kitchen staff only use the kitchen display
+  if (isKitchen && location.pathname !== ROUTES.KITCHEN) {
+    return <Navigate to={ROUTES.KITCHEN} replace />;
+  }
+
+  // Drivers only see their deliveries
+  if (isDriver && location.pathname !== ROUTES.DELIVERY) {
+    return <Navigate to={ROUTES.DELIVERY} replace />;
+  }
+
   return (
     <div className="flex h-screen bg-neutral-50 relative">
       {/* Overlay when sidebar is open on small screens */}
@@ -78,7 +120,7 @@ const AppLayout = () => {
             path={ROUTES.HOME}
             element={<Navigate to={ROUTES.TABLES} replace />}
           />
-          {/* <Route path={ROUTES.DASHBOARD} element={<Dashboard />} /> */}
+          <Route path={ROUTES.DASHBOARD} element={<Dashboard />} />
           <Route
             path="/menu"
             element={
@@ -91,6 +133,8 @@ const AppLayout = () => {
           <Route path="/tables" element={<TablePage />} />
           <Route path="/cashier" element={<CashierPage />} />
           <Route path="/history" element={<HistoryPage />} />
+          <Route path={ROUTES.KITCHEN} element={<KitchenPage />} />
+          <Route path={ROUTES.DELIVERY} element={<DeliveryPage />} />
 
           {/* Settings Routes */}
           <Route
@@ -104,6 +148,18 @@ const AppLayout = () => {
           <Route path="/settings/shifts" element={<Shifts />} />
           <Route path="/settings/printers" element={<Printers />} />
           <Route path="/settings/tables" element={<Tables />} />
+          <Route path="/settings/notes" element={<KitchenNotes />} />
+          <Route path="/settings/tenders" element={<Tenders />} />
+          <Route path="/settings/discounts" element={<Discounts />} />
+          <Route path="/settings/customers" element={<Customers />} />
+          <Route path="/settings/reservations" element={<Reservations />} />
+          <Route path="/settings/suppliers" element={<Suppliers />} />
+          <Route
+            path="/settings/purchase-orders"
+            element={<PurchaseOrders />}
+          />
+          <Route path="/settings/payables" element={<Payables />} />
+          <Route path="/settings/stock-alerts" element={<StockAlerts />} />
         </Routes>
       </main>
 
@@ -1,10 +1,15 @@
+import { useState, lazy, Suspense } from "react";
 import { useTranslation } from "react-i18next";
 import { format } from "date-fns";
 import { ar } from "date-fns/locale";
+import { FaCashRegister } from "react-icons/fa";
+
+const OpenDrawerModal = lazy(() => import("./OpenDrawerModal"));
 
 function CashierHeader({ selectedOrder }) {
   const { t, i18n } = useTranslation();
   const isRTL = i18n.language === "ar";
+  const [isDrawerModalOpen, setIsDrawerModalOpen] = useState(false);
   const currentDate = new Date();
   const formattedDate = format(currentDate, "EEEE, d MMMM, yyyy", {
     locale: i18n.language === "ar" ? ar : undefined,
@@ -61,12 +66,28 @@ function CashierHeader({ selectedOrder }) {
         </div>
       )}
       <div
-        className={`text-sm text-gray-600 font-medium hidden xl:inline-block ${
-          isDeliveryOrder && hasCustomerData ? "ml-4 flex-shrink-0" : "ml-auto"
+        className={`flex items-center gap-3 flex-shrink-0 ${
+          isDeliveryOrder && hasCustomerData ? "ml-4" : "ml-auto"
         }`}
       >
-        {formattedDate}
+        <span className="text-sm text-gray-600 font-medium hidden xl:inline-block">
+          {formattedDate}
+        </span>
+        <button
+          onClick={() => setIsDrawerModalOpen(true)}
+          className="flex items-center gap-2 px-3 py-1 text-sm rounded-md border border-primary-700 text-primary-800 hover:bg-neutral-100 transition-colors"
+          title={t("cashDrawer.openDrawer")}
+        >
+          <FaCashRegister />
+          <span className="hidden sm:inline">{t("cashDrawer.openDrawer")}</span>
+        </button>
       </div>
+
+      {isDrawerModalOpen && (
+        <Suspense fallback={null}>
+          <OpenDrawerModal onClose={() => setIsDrawerModalOpen(false)} />
+        </Suspense>
+      )}
     </div>
   );
 }
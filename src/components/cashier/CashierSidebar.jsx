@@ -1,10 +1,12 @@
 import { useMemo, useCallback, useState, useEffect, memo } from "react";
 import { useTranslation } from "react-i18next";
-import { FaHandHoldingMedical } from "react-icons/fa";
+import { FaHandHoldingMedical, FaConciergeBell } from "react-icons/fa";
 import { MdTableRestaurant } from "react-icons/md";
 import { TbTruckDelivery } from "react-icons/tb";
 
 import { useSelector } from "react-redux";
+import OfflineSyncStatus from "./OfflineSyncStatus";
+import { getOrderKitchenStatus } from "../../utils/kitchenStatus";
 
 // Memoized OrderCard component to prevent unnecessary re-renders
 const OrderCard = memo(function OrderCard({
@@ -13,6 +15,7 @@ const OrderCard = memo(function OrderCard({
   onSelect,
   getStatusColor,
   getStatusText,
+  t,
 }) {
   const handleClick = useCallback(() => {
     onSelect(order.id);
@@ -30,6 +33,11 @@ const OrderCard = memo(function OrderCard({
       <div className="flex justify-between items-center">
         <div className="flex items-center gap-2">
           <span className="font-medium">{order.orderCode}</span>
+          {order.isOffline && (
+            <span className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded-md">
+              {t("offlineSync.notSynced")}
+            </span>
+          )}
         </div>
         <span className="text-primary-700 font-bold">{order.total} AED</span>
       </div>
@@ -38,6 +46,12 @@ const OrderCard = memo(function OrderCard({
         <span className="text-sm text-gray-500">Items: {order.itemCount}</span>
 
         <div className="flex flex-col justify-center items-center gap-1 ">
+          {order.isReady && (
+            <span className="flex items-center gap-1 text-xs bg-green-600 text-white px-2 py-1 rounded-md">
+              <FaConciergeBell />
+              {t("kitchen.readyForPickup")}
+            </span>
+          )}
           {order.type === "dinein" && order.tableNumber && (
             <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-md">
               T{order.tableNumber}
@@ -102,6 +116,26 @@ const CashierSidebar = memo(function CashierSidebar({
     );
   }, [orders]);
 
+  // Orders the kitchen has marked ready, by type
+  const readyCounts = useMemo(
+    () =>
+      (orders || []).reduce(
+        (counts, order) => {
+          if (
+            !order.isCancelled &&
+            counts[order.type] !== undefined &&
+            getOrderKitchenStatus(order) === "ready"
+          ) {
+            counts[order.type]++;
+            counts.total++;
+          }
+          return counts;
+        },
+        { takeaway: 0, delivery: 0, dinein: 0, total: 0 }
+      ),
+    [orders]
+  );
+
   // Memoized format order function
   const formatOrder = useCallback(
     (order) => ({
@@ -120,6 +154,8 @@ const CashierSidebar = memo(function CashierSidebar({
       custPhone: order.custPhone,
       custAddress: order.custAddress,
       tableNumber: order.tableNumber,
+      isOffline: !!order.isOffline,
+      isReady: !order.isCancelled && getOrderKitchenStatus(order) === "ready",
     }),
     []
   );
@@ -144,6 +180,9 @@ const CashierSidebar = memo(function CashierSidebar({
       if (a.status === "pending" && b.status !== "pending") return -1;
       if (a.status !== "pending" && b.status === "pending") return 1;
 
+      // Orders ready for pickup next
+      if (a.isReady !== b.isReady) return a.isReady ? -1 : 1;
+
       // Within same status, sort by creation date (newest first)
       return new Date(b.createdAt) - new Date(a.createdAt);
     });
@@ -218,6 +257,7 @@ const CashierSidebar = memo(function CashierSidebar({
           onSelect={handleOrderSelect}
           getStatusColor={getStatusColor}
           getStatusText={getStatusText}
+          t={t}
         />
       );
     });
@@ -227,10 +267,20 @@ const CashierSidebar = memo(function CashierSidebar({
     handleOrderSelect,
     getStatusColor,
     getStatusText,
+    t,
   ]);
 
   return (
     <div className="bg-white h-full overflow-hidden p-1 flex flex-col">
+      <OfflineSyncStatus />
+
+      {readyCounts.total > 0 && (
+        <div className="flex items-center gap-2 mb-2 px-3 py-2 text-sm font-medium bg-green-50 text-green-800 rounded-lg">
+          <FaConciergeBell />
+          {t("kitchen.readyCount", { count: readyCounts.total })}
+        </div>
+      )}
+
       <div className="mb-2">
         {/* Order Type Filter Buttons */}
         <div className="grid grid-cols-3 gap-1 mb-2">
@@ -247,6 +297,11 @@ const CashierSidebar = memo(function CashierSidebar({
             <span className="absolute bottom-1 right-1 text-xs font-bold">
               {orderCounts.takeaway}
             </span>
+            {readyCounts.takeaway > 0 && (
+              <span className="absolute top-1 right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-bold bg-green-600 text-white rounded-full">
+                {readyCounts.takeaway}
+              </span>
+            )}
           </button>
           <button
             onClick={handleDineInFilter}
@@ -261,6 +316,11 @@ const CashierSidebar = memo(function CashierSidebar({
             <span className="absolute bottom-1 right-1 text-xs font-bold">
               {orderCounts.dinein}
             </span>
+            {readyCounts.dinein > 0 && (
+              <span className="absolute top-1 right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-bold bg-green-600 text-white rounded-full">
+                {readyCounts.dinein}
+              </span>
+            )}
           </button>
           <button
             onClick={handleDeliveryFilter}
@@ -275,6 +335,11 @@ const CashierSidebar = memo(function CashierSidebar({
             <span className="absolute bottom-1 right-1 text-xs font-bold">
               {orderCounts.delivery}
             </span>
+            {readyCounts.delivery > 0 && (
+              <span className="absolute top-1 right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-bold bg-green-600 text-white rounded-full">
+                {readyCounts.delivery}
+              </span>
+            )}
           </button>
         </div>
       </div>
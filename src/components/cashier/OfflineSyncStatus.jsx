@@ -0,0 +1,144 @@
+import { useState, useMemo, useCallback, memo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { MdCloudOff, MdCloudSync, MdErrorOutline } from "react-icons/md";
+import {
+  syncOutbox,
+  retryOutboxEntry,
+  discardOutboxEntry,
+} from "../../store/syncSlice";
+
+// Pending-sync badge and conflict list for orders/payments recorded offline
+const OfflineSyncStatus = memo(function OfflineSyncStatus() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { entries, online, syncing } = useSelector((state) => state.sync);
+  const [showConflicts, setShowConflicts] = useState(false);
+
+  const { pendingCount, conflicts } = useMemo(
+    () => ({
+      pendingCount: entries.filter((entry) => entry.status === "pending")
+        .length,
+      conflicts: entries.filter((entry) => entry.status === "conflict"),
+    }),
+    [entries]
+  );
+
+  const handleSync = useCallback(() => {
+    dispatch(syncOutbox());
+  }, [dispatch]);
+
+  const handleRetry = useCallback(
+    (entryId) => {
+      dispatch(retryOutboxEntry(entryId));
+    },
+    [dispatch]
+  );
+
+  const handleDiscard = useCallback(
+    (entry) => {
+      // Discarding an order also drops the payments queued for it
+      const message =
+        entry.kind === "order"
+          ? t("offlineSync.confirmDiscardOrder")
+          : t("offlineSync.confirmDiscard");
+      if (window.confirm(message)) {
+        dispatch(discardOutboxEntry(entry.id));
+      }
+    },
+    [dispatch, t]
+  );
+
+  if (online && pendingCount === 0 && conflicts.length === 0) return null;
+
+  return (
+    <div className="mb-2 space-y-1">
+      {/* Connection and pending sync badge */}
+      <div
+        className={`flex items-center justify-between gap-2 px-2 py-1 rounded-lg text-xs font-medium ${
+          online ? "bg-blue-50 text-blue-700" : "bg-orange-50 text-orange-700"
+        }`}
+      >
+        <div className="flex items-center gap-1">
+          {online ? (
+            <MdCloudSync
+              className={`text-lg ${syncing ? "animate-pulse" : ""}`}
+            />
+          ) : (
+            <MdCloudOff className="text-lg" />
+          )}
+          <span>
+            {online ? t("offlineSync.online") : t("offlineSync.offline")}
+          </span>
+        </div>
+        {pendingCount > 0 && (
+          <span className="bg-orange-500 text-white rounded-full px-2 py-0.5">
+            {pendingCount} {t("offlineSync.pending")}
+          </span>
+        )}
+        {online && pendingCount > 0 && (
+          <button
+            onClick={handleSync}
+            disabled={syncing}
+            className="underline disabled:opacity-50"
+          >
+            {syncing ? t("offlineSync.syncing") : t("offlineSync.syncNow")}
+          </button>
+        )}
+      </div>
+
+      {/* Conflicts rejected by the server during replay */}
+      {conflicts.length > 0 && (
+        <div className="bg-red-50 text-red-700 rounded-lg text-xs">
+          <button
+            onClick={() => setShowConflicts((prev) => !prev)}
+            className="w-full flex items-center justify-between px-2 py-1 font-medium"
+          >
+            <span className="flex items-center gap-1">
+              <MdErrorOutline className="text-lg" />
+              {t("offlineSync.conflicts")}
+            </span>
+            <span className="bg-red-600 text-white rounded-full px-2 py-0.5">
+              {conflicts.length}
+            </span>
+          </button>
+
+          {showConflicts && (
+            <ul className="px-2 pb-2 space-y-2">
+              {conflicts.map((entry) => (
+                <li
+                  key={entry.id}
+                  className="bg-white border border-red-200 rounded p-2"
+                >
+                  <div className="flex justify-between font-medium">
+                    <span>{entry.localCode || entry.localId}</span>
+                    <span>{t(`offlineSync.${entry.kind}`)}</span>
+                  </div>
+                  <p className="text-gray-600 mt-1 break-words">
+                    {entry.error}
+                  </p>
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      onClick={() => handleRetry(entry.id)}
+                      className="flex-1 py-1 rounded bg-primary-700 text-white hover:bg-primary-800"
+                    >
+                      {t("offlineSync.retry")}
+                    </button>
+                    <button
+                      onClick={() => handleDiscard(entry)}
+                      className="flex-1 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+                    >
+                      {t("offlineSync.discard")}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default OfflineSyncStatus;
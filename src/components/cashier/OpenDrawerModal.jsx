@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../common/Modal";
+import printingService from "../../services/printingService";
+
+const MANUAL_REASONS = ["change", "cash_count", "correction", "other"];
+
+// Manual "no sale" drawer opening, the reason is kept in the drawer log
+function OpenDrawerModal({ onClose }) {
+  const { t } = useTranslation();
+  const { user } = useSelector((state) => state.auth);
+  const [reason, setReason] = useState(MANUAL_REASONS[0]);
+  const [note, setNote] = useState("");
+  const [isOpening, setIsOpening] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (reason === "other" && !note.trim()) {
+      toast.error(t("cashDrawer.noteRequired"));
+      return;
+    }
+
+    setIsOpening(true);
+    try {
+      await printingService.openCashDrawer({
+        reason,
+        note: note.trim(),
+        user: user?.name || "",
+      });
+      toast.success(t("cashDrawer.opened"));
+      onClose();
+    } catch (error) {
+      console.error("Cash drawer kick failed:", error);
+      toast.error(t("cashDrawer.openFailed"));
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <Modal title={t("cashDrawer.openDrawer")} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("cashDrawer.reason")}
+          </label>
+          <div className="grid grid-cols-2 gap-2">
+            {MANUAL_REASONS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setReason(option)}
+                className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                  reason === option
+                    ? "bg-primary-700 border-primary-700 text-white"
+                    : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                }`}
+              >
+                {t(`cashDrawer.reasons.${option}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("cashDrawer.note")}
+          </label>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t("cashDrawer.notePlaceholder")}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={isOpening}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+          >
+            {isOpening ? t("cashDrawer.opening") : t("cashDrawer.openDrawer")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default OpenDrawerModal;
@@ -1,13 +1,13 @@
 import { MdDeleteOutline } from "react-icons/md";
 import { useState, useEffect, memo, useCallback } from "react";
 import { useTranslation } from "react-i18next";
+import { formatModifier } from "../../utils/modifiers";
 
 // Memoized individual meal row component to prevent unnecessary re-renders
 const MealRow = memo(function MealRow({
   item,
   index,
   uniqueKey,
-  mealId,
   currentInputValue,
   isCancelled,
   stableKey,
@@ -47,6 +47,16 @@ const MealRow = memo(function MealRow({
         }`}
       >
         {item.name}
+        {item.modifiers?.length > 0 && (
+          <div className="text-xs text-gray-500 no-underline">
+            {item.modifiers.map(formatModifier).join(", ")}
+          </div>
+        )}
+        {item.note && (
+          <div className="text-xs text-orange-700">
+            {t("kitchenNotes.note")}: {item.note}
+          </div>
+        )}
       </td>
       <td className="py-3 px-4">
         {isCancelled ? (
@@ -134,7 +144,7 @@ const MealRow = memo(function MealRow({
           ) : (
             <button
               className="text-danger-400 hover:text-danger-500 text-lg text-center"
-              onClick={() => onRemove(mealId)}
+              onClick={() => onRemove(item)}
               title={t("cashier.deleteItemManagerOnly")}
             >
               <MdDeleteOutline />
@@ -190,10 +200,11 @@ const SelectedOrderData = memo(function SelectedOrderData({
     }
   }, []);
 
+  // Quantity changes and removals target the order line by its _id, so
+  // lines of the same meal with different modifiers stay apart
   const handleQuantityInputBlur = useCallback(
     (item, value) => {
       const uniqueKey = getUniqueKey(item);
-      const mealId = getMealId(item);
 
       const numValue = parseFloat(value);
       if (isNaN(numValue) || numValue <= 0) {
@@ -211,60 +222,57 @@ const SelectedOrderData = memo(function SelectedOrderData({
         }));
 
         console.log(
-          "Updating quantity for mealId:",
-          mealId,
+          "Updating quantity for order item:",
+          item._id,
           "with quantity:",
           roundedValue
         );
-        updateQuantity(mealId, roundedValue);
+        updateQuantity(item, roundedValue);
       }
     },
-    [getUniqueKey, getMealId, updateQuantity]
+    [getUniqueKey, updateQuantity]
   );
 
   const handleDecrease = useCallback(
     (item) => {
-      const mealId = getMealId(item);
-
       if (item.quantity <= 1) {
         // Delete the meal if quantity is 1 or less
         if (canDeleteMeals) {
-          console.log("Removing meal with mealId:", mealId);
-          removeFromOrder(mealId);
+          console.log("Removing order item:", item._id);
+          removeFromOrder(item);
         }
       } else {
         const newQuantity = Math.round((item.quantity - 1) * 100) / 100;
         console.log(
-          "Decreasing quantity for mealId:",
-          mealId,
+          "Decreasing quantity for order item:",
+          item._id,
           "to:",
           newQuantity
         );
-        updateQuantity(mealId, newQuantity);
+        updateQuantity(item, newQuantity);
       }
     },
-    [getMealId, canDeleteMeals, removeFromOrder, updateQuantity]
+    [canDeleteMeals, removeFromOrder, updateQuantity]
   );
 
   const handleIncrease = useCallback(
     (item) => {
-      const mealId = getMealId(item);
       const newQuantity = Math.round((item.quantity + 1) * 100) / 100;
 
       console.log(
-        "Increasing quantity for mealId:",
-        mealId,
+        "Increasing quantity for order item:",
+        item._id,
         "to:",
         newQuantity
       );
-      updateQuantity(mealId, newQuantity);
+      updateQuantity(item, newQuantity);
     },
-    [getMealId, updateQuantity]
+    [updateQuantity]
   );
 
   const handleRemove = useCallback(
-    (mealId) => {
-      removeFromOrder(mealId);
+    (item) => {
+      removeFromOrder(item);
     },
     [removeFromOrder]
   );
@@ -279,6 +287,12 @@ const SelectedOrderData = memo(function SelectedOrderData({
 
   return (
     <div className="bg-white rounded-lg shadow-card transition-all duration-200 overflow-hidden animate-fade-in">
+      {currentOrder?.note && (
+        <div className="px-4 py-2 bg-orange-50 text-orange-800 text-sm border-b border-orange-100">
+          <span className="font-semibold">{t("kitchenNotes.orderNote")}:</span>{" "}
+          {currentOrder.note}
+        </div>
+      )}
       <div className="overflow-x-auto">
         <table className="w-full text-left">
           <thead className="bg-gray-50 text-gray-700 text-center text-sm sm:text-base">
@@ -318,7 +332,6 @@ const SelectedOrderData = memo(function SelectedOrderData({
                   item={item}
                   index={index}
                   uniqueKey={uniqueKey}
-                  mealId={mealId}
                   currentInputValue={currentInputValue}
                   isCancelled={isCancelled}
                   stableKey={stableKey}
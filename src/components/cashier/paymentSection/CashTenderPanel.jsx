@@ -0,0 +1,81 @@
+import { useTranslation } from "react-i18next";
+import NumberInput from "./NumberInput";
+import { CASH_DENOMINATIONS } from "../../../utils/constants";
+
+// Amount tendered by the customer and the change to hand back
+function CashTenderPanel({ amountDue, tendered, onTenderedChange }) {
+  const { t } = useTranslation();
+
+  const tenderedAmount = parseFloat(tendered) || 0;
+  const difference = Math.round((tenderedAmount - amountDue) * 100) / 100;
+
+  // Each note tap adds to what has been handed over
+  const addDenomination = (value) =>
+    onTenderedChange(Math.round((tenderedAmount + value) * 100) / 100);
+
+  return (
+    <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-md space-y-3">
+      <div className="flex justify-between text-sm text-gray-700">
+        <span>{t("cashTender.cashDue")}</span>
+        <span className="font-semibold">{amountDue.toFixed(2)} AED</span>
+      </div>
+
+      <div className="grid grid-cols-3 sm:grid-cols-6 gap-2">
+        {CASH_DENOMINATIONS.map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => addDenomination(value)}
+            className="py-2 text-sm font-medium bg-white border border-gray-300 rounded-md hover:border-primary-500 hover:bg-primary-50"
+          >
+            {value}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => onTenderedChange(Math.round(amountDue * 100) / 100)}
+          className="py-2 text-sm font-medium text-white bg-primary-700 rounded-md hover:bg-primary-800"
+        >
+          {t("cashTender.exact")}
+        </button>
+      </div>
+
+      <div className="flex items-end gap-2">
+        <NumberInput
+          label={t("cashTender.tendered")}
+          value={tendered}
+          onChange={onTenderedChange}
+          placeholder="0.00"
+          min="0"
+          className="flex-1"
+        />
+        <button
+          type="button"
+          onClick={() => onTenderedChange("")}
+          className="px-3 py-2 mb-0.5 text-sm text-gray-600 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          {t("cashTender.clear")}
+        </button>
+      </div>
+
+      {tendered !== "" && (
+        <div
+          className={`flex justify-between p-2 rounded-md text-lg font-bold ${
+            difference >= 0
+              ? "bg-green-100 text-green-800"
+              : "bg-red-100 text-red-700"
+          }`}
+        >
+          <span>
+            {difference >= 0
+              ? t("cashTender.changeDue")
+              : t("cashTender.stillOwed")}
+          </span>
+          <span>{Math.abs(difference).toFixed(2)} AED</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CashTenderPanel;
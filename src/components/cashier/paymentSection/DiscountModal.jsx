@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import NumberInput from "./NumberInput";
+import {
+  createDiscountRule,
+  findPromoRule,
+  getAvailableRules,
+  getDiscountName,
+} from "../../../utils/discounts";
+
+const TABS = ["rules", "promo", "manual"];
+
+// Pick a discount rule, enter a promo code or give a manual discount
+function DiscountModal({ appliedDiscounts, onApply, onClose }) {
+  const { t, i18n } = useTranslation();
+  const isArabic = i18n.language === "ar";
+  const { rules } = useSelector((state) => state.discount);
+
+  const [tab, setTab] = useState("rules");
+  const [selectedRuleId, setSelectedRuleId] = useState(null);
+  const [promoCode, setPromoCode] = useState("");
+  const [manualType, setManualType] = useState("order_percent");
+  const [manualValue, setManualValue] = useState("");
+  const [reason, setReason] = useState("");
+
+  const appliedIds = appliedDiscounts.map((discount) => discount.id);
+  const availableRules = getAvailableRules(rules).filter(
+    (rule) => !appliedIds.includes(rule.id)
+  );
+  const selectedRule = availableRules.find(
+    (rule) => rule.id === selectedRuleId
+  );
+
+  // Manual and staff meal discounts always need a reason
+  const reasonRequired =
+    tab === "manual" ||
+    (tab === "rules" && selectedRule?.type === "staff_meal");
+
+  const describeRule = (rule) =>
+    t(`discounts.typeSummary.${rule.type}`, {
+      value: rule.value,
+      buy: rule.buyQuantity,
+      get: rule.getQuantity,
+    });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (reasonRequired && !reason.trim()) {
+      toast.error(t("discounts.reasonRequired"));
+      return;
+    }
+
+    let discount = null;
+    if (tab === "rules") {
+      if (!selectedRule) {
+        toast.error(t("discounts.selectRule"));
+        return;
+      }
+      discount = selectedRule;
+    } else if (tab === "promo") {
+      const rule = findPromoRule(rules, promoCode);
+      if (!rule) {
+        toast.error(t("discounts.promoInvalid"));
+        return;
+      }
+      if (appliedIds.includes(rule.id)) {
+        toast.error(t("discounts.alreadyApplied"));
+        return;
+      }
+      discount = { ...rule, promoCode: rule.promoCode };
+    } else {
+      const value = parseFloat(manualValue) || 0;
+      if (value <= 0) {
+        toast.error(t("discounts.valueRequired"));
+        return;
+      }
+      discount = createDiscountRule({
+        id: `manual_${Date.now().toString(36)}`,
+        name: "Manual discount",
+        nameAr: "خصم يدوي",
+        type: manualType,
+        value: manualType === "order_percent" ? Math.min(value, 100) : value,
+      });
+    }
+
+    onApply({ ...discount, reason: reason.trim() });
+    onClose();
+  };
+
+  return (
+    <Modal title={t("discounts.addDiscount")} onClose={onClose} size="lg">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-3 gap-2">
+          {TABS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setTab(option)}
+              className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                tab === option
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+              }`}
+            >
+              {t(`discounts.tabs.${option}`)}
+            </button>
+          ))}
+        </div>
+
+        {tab === "rules" &&
+          (availableRules.length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">
+              {t("discounts.noRulesAvailable")}
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-72 overflow-y-auto">
+              {availableRules.map((rule) => (
+                <button
+                  key={rule.id}
+                  type="button"
+                  onClick={() => setSelectedRuleId(rule.id)}
+                  className={`p-3 text-start rounded-md border transition-colors ${
+                    selectedRuleId === rule.id
+                      ? "border-primary-700 bg-primary-50"
+                      : "border-gray-200 hover:border-primary-500"
+                  }`}
+                >
+                  <p className="font-medium text-gray-800">
+                    {getDiscountName(rule, isArabic)}
+                  </p>
+                  <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                </button>
+              ))}
+            </div>
+          ))}
+
+        {tab === "promo" && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("discounts.promoCode")}
+            </label>
+            <input
+              type="text"
+              value={promoCode}
+              onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+              placeholder={t("discounts.promoPlaceholder")}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md uppercase tracking-wider focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+              autoFocus
+            />
+          </div>
+        )}
+
+        {tab === "manual" && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-2">
+              {["order_percent", "order_fixed"].map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setManualType(option)}
+                  className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                    manualType === option
+                      ? "bg-primary-700 border-primary-700 text-white"
+                      : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                  }`}
+                >
+                  {t(`discounts.types.${option}`)}
+                </button>
+              ))}
+            </div>
+            <NumberInput
+              label={
+                manualType === "order_percent"
+                  ? t("payment.discountPercent")
+                  : t("discounts.amount")
+              }
+              value={manualValue}
+              onChange={setManualValue}
+              placeholder="0"
+              min="0"
+              max={manualType === "order_percent" ? "100" : undefined}
+            />
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("discounts.reason")}
+            {reasonRequired && " *"}
+          </label>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={t("discounts.reasonPlaceholder")}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-700 rounded-md hover:bg-primary-800"
+          >
+            {t("discounts.apply")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default DiscountModal;
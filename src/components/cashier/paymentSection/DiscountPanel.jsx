@@ -0,0 +1,113 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+import { FaPlus, FaTimes, FaUserShield } from "react-icons/fa";
+import DiscountModal from "./DiscountModal";
+import { getDiscountName } from "../../../utils/discounts";
+
+// Discounts applied to the order, with the manager PIN box when needed
+function DiscountPanel({
+  appliedDiscounts,
+  onDiscountsChange,
+  items,
+  requiresApproval,
+  managerPin,
+  onManagerPinChange,
+}) {
+  const { t, i18n } = useTranslation();
+  const isArabic = i18n.language === "ar";
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  const handleApply = (discount) => {
+    onDiscountsChange([...appliedDiscounts, discount]);
+  };
+
+  const handleRemove = (id) => {
+    onDiscountsChange(appliedDiscounts.filter((item) => item.id !== id));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">
+          {t("discounts.title")}
+        </span>
+        <button
+          type="button"
+          onClick={() => setIsModalOpen(true)}
+          className="flex items-center gap-1 px-3 py-1.5 text-sm text-primary-700 border border-primary-700 rounded-md hover:bg-primary-50 transition-colors"
+        >
+          <FaPlus size={12} />
+          {t("discounts.addDiscount")}
+        </button>
+      </div>
+
+      {items.length > 0 && (
+        <ul className="space-y-1">
+          {items.map((item) => (
+            <li
+              key={item.id}
+              className="flex items-center justify-between gap-2 px-3 py-2 bg-red-50 rounded-md text-sm"
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 truncate">
+                  {getDiscountName(item, isArabic)}
+                  {item.promoCode && (
+                    <span className="ms-2 text-xs text-gray-500">
+                      {item.promoCode}
+                    </span>
+                  )}
+                </p>
+                {item.reason && (
+                  <p className="text-xs text-gray-500 truncate">
+                    {item.reason}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <span className="font-medium text-red-600">
+                  -{item.amount.toFixed(2)} AED
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(item.id)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title={t("discounts.remove")}
+                >
+                  <FaTimes size={12} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {requiresApproval && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-md space-y-2">
+          <p className="flex items-center gap-2 text-sm text-amber-800">
+            <FaUserShield />
+            {t("discounts.approvalRequired")}
+          </p>
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={managerPin}
+            onChange={(e) => onManagerPinChange(e.target.value)}
+            placeholder={t("discounts.managerPin")}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+      )}
+
+      {isModalOpen && (
+        <DiscountModal
+          appliedDiscounts={appliedDiscounts}
+          onApply={handleApply}
+          onClose={() => setIsModalOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DiscountPanel;
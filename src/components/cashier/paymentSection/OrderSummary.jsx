@@ -1,14 +1,16 @@
 import { useTranslation } from "react-i18next";
+import { getDiscountName } from "../../../utils/discounts";
 
 const OrderSummary = ({
   subtotal,
-  discount,
+  discounts = [],
   discountAmount,
-  tax,
-  taxAmount,
+  vatAmount,
+  pricesIncludeTax,
+  breakdown = [],
   finalTotal,
 }) => {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
 
   return (
     <div className="bg-gray-50 rounded-lg p-2 sm:p-4 space-y-2">
@@ -17,19 +19,49 @@ const OrderSummary = ({
         <span className="font-medium">{subtotal.toFixed(2)} AED</span>
       </div>
       <div className="flex justify-between text-sm">
-        <span className="text-gray-600">
-          {t("cashier.discount")} ({discount || 0}%):
-        </span>
+        <span className="text-gray-600">{t("cashier.discount")}:</span>
         <span className="font-medium text-red-600">
           -{discountAmount.toFixed(2)} AED
         </span>
       </div>
+      {/* One line per applied discount */}
+      {discounts
+        .filter((item) => item.amount > 0)
+        .map((item) => (
+          <div
+            key={item.id}
+            className="flex justify-between text-xs text-gray-500 ps-3"
+          >
+            <span>{getDiscountName(item, i18n.language === "ar")}</span>
+            <span>-{item.amount.toFixed(2)} AED</span>
+          </div>
+        ))}
       <div className="flex justify-between text-sm">
         <span className="text-gray-600">
-          {t("cashier.tax")} ({tax || 0}%):
+          {pricesIncludeTax ? t("vat.vatIncluded") : t("vat.vat")}
+          {breakdown.length === 1 && ` (${breakdown[0].rate}%)`}:
+        </span>
+        <span className="font-medium">
+          {pricesIncludeTax ? "" : "+"}
+          {vatAmount.toFixed(2)} AED
         </span>
-        <span className="font-medium">+{taxAmount.toFixed(2)} AED</span>
       </div>
+      {/* VAT per rate, only worth showing when rates differ */}
+      {breakdown.length > 1 &&
+        breakdown.map((group) => (
+          <div
+            key={group.rate}
+            className="flex justify-between text-xs text-gray-500 ps-3"
+          >
+            <span>
+              {t("vat.rateLine", {
+                rate: group.rate,
+                taxable: group.taxable.toFixed(2),
+              })}
+            </span>
+            <span>{group.vat.toFixed(2)} AED</span>
+          </div>
+        ))}
       <div className="border-t border-gray-300 pt-2">
         <div className="flex justify-between text-lg font-bold">
           <span>{t("cashier.total")}:</span>
@@ -1,7 +1,11 @@
+import { useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
+import { getActiveTenders, getTenderName } from "../../../utils/tenders";
 
 function PaymentMethodSelect({ value, onChange }) {
-  const { t } = useTranslation();
+  const { i18n } = useTranslation();
+  const { tenders } = useSelector((state) => state.tender);
+  const isArabic = i18n.language === "ar";
 
   return (
     <select
@@ -9,8 +13,11 @@ function PaymentMethodSelect({ value, onChange }) {
       onChange={onChange}
       className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
     >
-      <option value="cash">{t("cashier.cash")}</option>
-      <option value="visa">{t("payment.visa")}</option>
+      {getActiveTenders(tenders).map((tender) => (
+        <option key={tender.id} value={tender.id}>
+          {getTenderName(tender, isArabic)}
+        </option>
+      ))}
     </select>
   );
 }
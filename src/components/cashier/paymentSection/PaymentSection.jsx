@@ -5,44 +5,80 @@ import { useTranslation } from "react-i18next";
 import toast from "react-hot-toast";
 import { processPayment } from "../../../store/paymentSlice";
 import { fetchAllOrders } from "../../../store/orderSlice";
-import NumberInput from "./NumberInput";
 import PaymentMethodSelect from "./PaymentMethodSelect";
 import OrderSummary from "./OrderSummary";
 import PaymentModeToggle from "./PaymentModeToggle";
 import SplitPaymentRow from "./SplitPaymentRow";
+import CashTenderPanel from "./CashTenderPanel";
+import DiscountPanel from "./DiscountPanel";
 import printingService from "../../../services/printingService";
-
-// Lazy load print receipt modal
+import printQueue from "../../../services/printQueue";
+import {
+  findTender,
+  getActiveTenders,
+  getTenderName,
+  shouldOpenDrawer,
+} from "../../../utils/tenders";
+import { getEffectiveVatRate, round2 } from "../../../utils/vat";
+import { needsApproval, toDiscountRecords } from "../../../utils/discounts";
+
+// Lazy load print receipt and split bill modals
 const PrintReceiptModal = lazy(() => import("./PrintReceiptModal"));
+const SplitBillModal = lazy(() => import("./SplitBillModal"));
 
 function PaymentSection({
-  tax,
-  setTax,
-  discount,
-  setDiscount,
-  subtotal,
-  discountAmount,
+  appliedDiscounts,
+  onDiscountsChange,
+  discountResult,
+  managerPin,
+  onManagerPinChange,
+  invoice,
+  split,
+  onSplitChange,
 }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { currentOrder } = useSelector((state) => state.order);
   const { loading } = useSelector((state) => state.payment);
   const { currentShift } = useSelector((state) => state.shift);
   const { user } = useSelector((state) => state.auth);
+  const { tenders } = useSelector((state) => state.tender);
+  const { approvalThreshold } = useSelector((state) => state.discount);
+  const activeTenders = getActiveTenders(tenders);
 
   const [paymentMode, setPaymentMode] = useState("single");
   const [singlePaymentMethod, setSinglePaymentMethod] = useState("cash");
-  const [splitPayments, setSplitPayments] = useState([
-    { method: "cash", amount: "" },
-    { method: "visa", amount: "" },
-  ]);
+  const [singleReference, setSingleReference] = useState("");
+  const [cashTendered, setCashTendered] = useState("");
+  // Split rows start with the first two tenders of the registry
+  const [splitPayments, setSplitPayments] = useState(() =>
+    [0, 1].map((index) => ({
+      method: activeTenders[index]?.id || "cash",
+      amount: "",
+      reference: "",
+    }))
+  );
   const [isPrintModalOpen, setIsPrintModalOpen] = useState(false);
   const [hasProcessedPayment, setHasProcessedPayment] = useState(false);
-
-  // Calculate tax amount and final total
-  const taxAmount = (subtotal * (tax || 0)) / 100;
-  const finalTotal = subtotal - discountAmount + taxAmount;
+  const [isSplitOpen, setIsSplitOpen] = useState(false);
+  // Once part of a split bill is paid, the rest is paid through the split
+  const hasPaidParts = Object.keys(split.paidParts).length > 0;
+
+  // Totals come from the VAT engine, rounded per line and per invoice
+  const {
+    subtotal,
+    discountAmount,
+    vatAmount,
+    total: finalTotal,
+    pricesIncludeTax,
+    breakdown,
+  } = invoice;
+  const requiresApproval = needsApproval(
+    discountResult,
+    subtotal,
+    approvalThreshold
+  );
 
   // Auto-print receipts after successful payment (currently disabled)
   // const handleAutoPrint = async (orderData) => {
@@ -79,14 +115,68 @@ function PaymentSection({
     });
   }, []);
 
-  const handleSplitAmountChange = useCallback((index, amount) => {
+  // The last row (or the first, when the last one is edited) takes whatever
+  // is still left to pay
+  const handleSplitAmountChange = useCallback(
+    (index, amount) => {
+      setSplitPayments((prev) => {
+        const updated = prev.map((payment) => ({ ...payment }));
+        updated[index].amount = amount;
+
+        const balanceIndex =
+          index === updated.length - 1 ? 0 : updated.length - 1;
+        if (balanceIndex === index) return updated;
+
+        const othersTotal = updated.reduce(
+          (sum, payment, i) =>
+            i === balanceIndex ? sum : sum + (parseFloat(payment.amount) || 0),
+          0
+        );
+        const remaining = finalTotal - othersTotal;
+        updated[balanceIndex].amount =
+          amount === "" || isNaN(amount)
+            ? ""
+            : remaining > 0
+            ? parseFloat(remaining.toFixed(2))
+            : 0;
+        return updated;
+      });
+    },
+    [finalTotal]
+  );
+
+  const handleSplitReferenceChange = useCallback((index, reference) => {
+    setSplitPayments((prev) =>
+      prev.map((payment, i) =>
+        i === index ? { ...payment, reference } : payment
+      )
+    );
+  }, []);
+
+  const handleAddSplitRow = useCallback(() => {
     setSplitPayments((prev) => {
-      const updated = [...prev];
-      updated[index].amount = amount;
-      return updated;
+      const unused = activeTenders.find(
+        (tender) => !prev.some((payment) => payment.method === tender.id)
+      );
+      return [
+        ...prev,
+        { method: unused?.id || "cash", amount: "", reference: "" },
+      ];
     });
+  }, [activeTenders]);
+
+  const handleRemoveSplitRow = useCallback((index) => {
+    setSplitPayments((prev) => prev.filter((_, i) => i !== index));
   }, []);
 
+  // Tenders such as bank transfer or voucher need a reference number
+  const findMissingReference = (payments) =>
+    payments.find(
+      (payment) =>
+        findTender(tenders, payment.method).requiresReference &&
+        !String(payment.reference || "").trim()
+    );
+
   // Calculate remaining amount for split payments
   const totalSplitAmount = splitPayments.reduce((sum, payment) => {
     const amount = parseFloat(payment.amount) || 0;
@@ -94,6 +184,22 @@ function PaymentSection({
   }, 0);
   const remainingAmount = finalTotal - totalSplitAmount;
 
+  // Part of the bill paid in cash, the customer may hand over more than that
+  const cashDue =
+    paymentMode === "single"
+      ? findTender(tenders, singlePaymentMethod).countsAsCash
+        ? finalTotal
+        : 0
+      : splitPayments
+          .filter((payment) => findTender(tenders, payment.method).countsAsCash)
+          .reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
+  const tenderedAmount =
+    cashDue > 0 && cashTendered !== "" ? parseFloat(cashTendered) || 0 : null;
+  const changeDue =
+    tenderedAmount !== null
+      ? Math.max(Math.round((tenderedAmount - cashDue) * 100) / 100, 0)
+      : 0;
+
   // Validation helpers
   const validateSplitPayments = () => {
     const validPayments = splitPayments.filter((payment) => {
@@ -108,6 +214,19 @@ function PaymentSection({
       };
     }
 
+    const missingReference = findMissingReference(validPayments);
+    if (missingReference) {
+      return {
+        isValid: false,
+        message: t("tenders.referenceRequired", {
+          tender: getTenderName(
+            findTender(tenders, missingReference.method),
+            i18n.language === "ar"
+          ),
+        }),
+      };
+    }
+
     // Allow overpayment but process only the required amount
     const totalPaid = validPayments.reduce((sum, payment) => {
       return sum + parseFloat(payment.amount);
@@ -170,6 +289,12 @@ function PaymentSection({
       return;
     }
 
+    // Discounts over the limit need a manager before anything is charged
+    if (requiresApproval && !managerPin.trim()) {
+      toast.error(t("discounts.approvalPinRequired"));
+      return;
+    }
+
     setHasProcessedPayment(true);
 
     try {
@@ -180,26 +305,76 @@ function PaymentSection({
           {
             method: singlePaymentMethod,
             amount: finalTotal,
+            ...(singleReference.trim() && {
+              reference: singleReference.trim(),
+            }),
           },
         ];
+        if (findMissingReference(paymentMethods)) {
+          toast.error(
+            t("tenders.referenceRequired", {
+              tender: getTenderName(
+                findTender(tenders, singlePaymentMethod),
+                i18n.language === "ar"
+              ),
+            })
+          );
+          setHasProcessedPayment(false);
+          return;
+        }
       } else {
         const validation = validateSplitPayments();
         if (!validation.isValid) {
           toast.error(validation.message);
+          setHasProcessedPayment(false);
           return;
         }
         paymentMethods = validation.payments.map((payment) => ({
           method: payment.method,
           amount: parseFloat(payment.amount),
+          ...(String(payment.reference || "").trim() && {
+            reference: String(payment.reference).trim(),
+          }),
         }));
       }
 
+      // Not enough cash handed over
+      if (tenderedAmount !== null && tenderedAmount < cashDue - 0.001) {
+        toast.error(
+          `${t("cashTender.notEnoughCash")} ${(
+            cashDue - tenderedAmount
+          ).toFixed(2)} AED`
+        );
+        setHasProcessedPayment(false);
+        return;
+      }
+
+      // VAT totals for the payment record and the tax invoice
+      const vatDetails = {
+        pricesIncludeTax,
+        taxableAmount: invoice.taxableAmount,
+        vatAmount,
+        total: finalTotal,
+        breakdown,
+        timestamp: new Date().toISOString(),
+      };
+      const discountRecords = toDiscountRecords(discountResult.items);
+
       const result = await dispatch(
         processPayment({
           orderId: currentOrder._id,
+          orderCode: currentOrder.orderCode,
           paymentMethods,
-          tax: tax || 0,
-          discount: discount || 0,
+          // Inclusive prices already carry the VAT, so no rate is added on top
+          tax: pricesIncludeTax ? 0 : getEffectiveVatRate(invoice),
+          // Order-level rate the payment API stores, the rules are itemised
+          discount:
+            subtotal > 0 ? round2((discountAmount / subtotal) * 100) : 0,
+          discounts: discountRecords,
+          ...(requiresApproval && { managerPin: managerPin.trim() }),
+          vat: vatDetails,
+          cashTendered: tenderedAmount,
+          changeDue,
         })
       ).unwrap();
 
@@ -224,23 +399,58 @@ function PaymentSection({
         return;
       }
 
-      // Refresh orders to get updated data
-      if (currentShift?._id) {
-        await dispatch(fetchAllOrders({ shiftId: currentShift._id }));
+      if (result.offline) {
+        // Payment was saved in the offline outbox and will sync later
+        toast.success(t("offlineSync.paymentQueued"), {
+          duration: 3000,
+          icon: "📥",
+        });
       } else {
-        await dispatch(fetchAllOrders());
+        // Refresh orders to get updated data
+        if (currentShift?._id) {
+          await dispatch(fetchAllOrders({ shiftId: currentShift._id }));
+        } else {
+          await dispatch(fetchAllOrders());
+        }
+
+        toast.success(t("payment.paymentSuccess"), {
+          duration: 3000,
+          icon: "✅",
+        });
       }
 
-      toast.success(t("payment.paymentSuccess"), {
-        duration: 3000,
-        icon: "✅",
-      });
+      // Open the cash drawer automatically for tenders that need it
+      if (shouldOpenDrawer(tenders, paymentMethods)) {
+        printingService
+          .openCashDrawer({
+            reason: "cash_payment",
+            note: currentOrder.orderCode || "",
+            user: user?.name || "",
+            automatic: true,
+          })
+          .catch((error) => {
+            console.warn("❌ Cash drawer kick failed:", error);
+            toast.error(t("cashDrawer.openFailed"));
+          });
+      }
+
+      printingService.showOnCustomerDisplay(
+        "THANK YOU",
+        changeDue > 0
+          ? `CHANGE ${changeDue.toFixed(2)}`
+          : `PAID ${finalTotal.toFixed(2)}`
+      );
 
       // Navigate to menu page after successful payment
       setTimeout(() => {
         navigate("/menu");
       }, 1500); // Short delay to let the user see the success message
 
+      // Manager who approved the discounts, as recorded by the backend
+      const approvedBy =
+        result.payment?.data?.discountApprovedBy?.name ||
+        result.payment?.data?.discountApprovedBy;
+
       // Print customer receipt after successful payment (only once)
       const orderData = {
         ...currentOrder,
@@ -248,10 +458,18 @@ function PaymentSection({
           currentOrder.orderCode || currentOrder._id?.slice(-8) || "N/A",
         cashier: user?.name || "System",
         paymentMethods,
-        tax: tax || 0,
-        discount: discount || 0,
+        tax: vatAmount,
+        discount: discountAmount,
+        discounts: discountRecords.map((record) => ({
+          ...record,
+          approvedBy: approvedBy || "",
+        })),
         finalTotal,
         subtotal,
+        vat: vatDetails,
+        // "Paid / Change" lines for cash payments
+        cashTendered: tenderedAmount,
+        changeDue,
         orderItems: currentOrder.orderItems || [],
         orderItemsData: currentOrder.orderItemsData || [],
         // Include customer data for the receipt
@@ -262,7 +480,7 @@ function PaymentSection({
 
       // Print customer receipt only after payment (to customer printer only)
       try {
-        await printingService.printCustomerReceipt(orderData);
+        await printQueue.submit("customer", orderData);
         console.log(
           "✅ Customer receipt printed successfully to customer printer"
         );
@@ -316,8 +534,22 @@ function PaymentSection({
   // Reset payment processing flag when order changes
   useEffect(() => {
     setHasProcessedPayment(false);
+    setSingleReference("");
+    setCashTendered("");
   }, [currentOrder?._id]);
 
+  // Last part of a split bill paid: the order is closed
+  const handleSplitComplete = async () => {
+    setIsSplitOpen(false);
+    await dispatch(
+      fetchAllOrders(currentShift?._id ? { shiftId: currentShift._id } : {})
+    );
+    toast.success(t("payment.paymentSuccess"), { duration: 3000, icon: "✅" });
+    setTimeout(() => {
+      navigate("/menu");
+    }, 1500);
+  };
+
   const handlePrintReceipt = () => {
     if (!currentOrder) {
       toast.error(t("payment.noOrderSelected"));
@@ -336,35 +568,24 @@ function PaymentSection({
 
   return (
     <div className="bg-white rounded-lg shadow-card p-2 sm:p-6 space-y-6">
-      {/* Tax and Discount Section */}
-      <div className="grid grid-cols-2 gap-4">
-        <NumberInput
-          label={t("payment.taxPercent")}
-          value={tax}
-          onChange={setTax}
-          placeholder="0"
-          min="0"
-          max="100"
-          step="1"
-        />
-        <NumberInput
-          label={t("payment.discountPercent")}
-          value={discount}
-          onChange={setDiscount}
-          placeholder="0"
-          min="0"
-          max="100"
-          step="1"
-        />
-      </div>
+      {/* Discount Section (VAT comes from the menu rates) */}
+      <DiscountPanel
+        appliedDiscounts={appliedDiscounts}
+        onDiscountsChange={onDiscountsChange}
+        items={discountResult.items}
+        requiresApproval={requiresApproval}
+        managerPin={managerPin}
+        onManagerPinChange={onManagerPinChange}
+      />
 
       {/* Order Summary */}
       <OrderSummary
         subtotal={subtotal}
-        discount={discount}
+        discounts={discountResult.items}
         discountAmount={discountAmount}
-        tax={tax}
-        taxAmount={taxAmount}
+        vatAmount={vatAmount}
+        pricesIncludeTax={pricesIncludeTax}
+        breakdown={breakdown}
         finalTotal={finalTotal}
       />
 
@@ -381,10 +602,21 @@ function PaymentSection({
 
         {/* Single Payment */}
         {paymentMode === "single" && (
-          <PaymentMethodSelect
-            value={singlePaymentMethod}
-            onChange={(e) => setSinglePaymentMethod(e.target.value)}
-          />
+          <div className="space-y-2">
+            <PaymentMethodSelect
+              value={singlePaymentMethod}
+              onChange={(e) => setSinglePaymentMethod(e.target.value)}
+            />
+            {findTender(tenders, singlePaymentMethod).requiresReference && (
+              <input
+                type="text"
+                value={singleReference}
+                onChange={(e) => setSingleReference(e.target.value)}
+                placeholder={t("tenders.referencePlaceholder")}
+                className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            )}
+          </div>
         )}
 
         {/* Split Payment */}
@@ -397,10 +629,23 @@ function PaymentSection({
                 index={index}
                 onMethodChange={handleSplitMethodChange}
                 onAmountChange={handleSplitAmountChange}
-                finalTotal={finalTotal}
+                onReferenceChange={handleSplitReferenceChange}
+                onRemove={
+                  splitPayments.length > 2 ? handleRemoveSplitRow : null
+                }
               />
             ))}
 
+            {splitPayments.length < activeTenders.length && (
+              <button
+                type="button"
+                onClick={handleAddSplitRow}
+                className="text-sm text-primary-700 hover:text-primary-900"
+              >
+                + {t("tenders.addRow")}
+              </button>
+            )}
+
             <div className="text-sm text-gray-600 bg-blue-50 p-2 rounded text-start">
               {t("payment.remaining")}:{" "}
               <span
@@ -413,15 +658,39 @@ function PaymentSection({
             </div>
           </div>
         )}
+
+        {/* Cash tendered and change due */}
+        {cashDue > 0 && !currentOrder?.isPaid && (
+          <CashTenderPanel
+            amountDue={cashDue}
+            tendered={cashTendered}
+            onTenderedChange={setCashTendered}
+          />
+        )}
       </div>
 
       {/* Action Buttons */}
       <div className="space-y-3">
+        {!currentOrder?.isPaid && !currentOrder?.isCancelled && (
+          <button
+            onClick={() => setIsSplitOpen(true)}
+            disabled={!currentOrder || finalTotal <= 0}
+            className="w-full py-2 px-4 rounded-md border border-green-600 text-green-700 hover:bg-green-50 transition-colors disabled:opacity-50"
+          >
+            {hasPaidParts
+              ? t("splitBill.continue", {
+                  count: Object.keys(split.paidParts).length,
+                })
+              : t("splitBill.open")}
+          </button>
+        )}
+
         <button
           onClick={handlePayment}
           disabled={
             loading ||
             !currentOrder ||
+            hasPaidParts ||
             currentOrder?.isPaid ||
             currentOrder?.isCancelled
           }
@@ -468,6 +737,23 @@ function PaymentSection({
           />
         </Suspense>
       )}
+
+      {/* Split Bill Modal */}
+      {isSplitOpen && currentOrder && (
+        <Suspense fallback={<div>{t("common.loading")}</div>}>
+          <SplitBillModal
+            order={currentOrder}
+            invoice={invoice}
+            discountResult={discountResult}
+            managerPin={managerPin}
+            requiresApproval={requiresApproval}
+            split={split}
+            onSplitChange={onSplitChange}
+            onComplete={handleSplitComplete}
+            onClose={() => setIsSplitOpen(false)}
+          />
+        </Suspense>
+      )}
     </div>
   );
 }
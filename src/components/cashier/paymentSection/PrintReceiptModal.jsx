@@ -3,7 +3,7 @@ import { FaTimes, FaPrint, FaReceipt, FaUtensils } from "react-icons/fa";
 import { useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import toast from "react-hot-toast";
-import printingService from "../../../services/printingService";
+import printQueue from "../../../services/printQueue";
 
 function PrintReceiptModal({ order, onClose }) {
   const { t, i18n } = useTranslation();
@@ -50,7 +50,7 @@ function PrintReceiptModal({ order, onClose }) {
     setPrinting(true);
     try {
       const orderData = prepareOrderData();
-      await printingService.printCustomerReceipt(orderData);
+      await printQueue.submit("customer", orderData);
       toast.success(t("payment.customerReceiptPrinted"), { icon: "🖨️" });
       onClose();
     } catch (error) {
@@ -65,7 +65,7 @@ function PrintReceiptModal({ order, onClose }) {
     setPrinting(true);
     try {
       const orderData = prepareOrderData();
-      await printingService.printKitchenTicket(orderData);
+      await printQueue.submit("kitchen", orderData);
       toast.success(t("payment.kitchenTicketPrinted"), { icon: "🖨️" });
       onClose();
     } catch (error) {
@@ -80,7 +80,7 @@ function PrintReceiptModal({ order, onClose }) {
     setPrinting(true);
     try {
       const orderData = prepareOrderData();
-      const results = await printingService.printBothReceipts(orderData);
+      const results = await printQueue.submitBoth(orderData);
 
       const successCount = results.filter((result) => result.success).length;
       const failCount = results.filter((result) => !result.success).length;
@@ -0,0 +1,385 @@
+import { useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaCheck, FaMinus, FaPlus, FaPrint } from "react-icons/fa";
+import Modal from "../../common/Modal";
+import PaymentMethodSelect from "./PaymentMethodSelect";
+import { processPayment } from "../../../store/paymentSlice";
+import printQueue from "../../../services/printQueue";
+import printingService from "../../../services/printingService";
+import {
+  findTender,
+  getTenderName,
+  shouldOpenDrawer,
+} from "../../../utils/tenders";
+import { getEffectiveVatRate, round2 } from "../../../utils/vat";
+import { toDiscountRecords } from "../../../utils/discounts";
+import {
+  SPLIT_MODES,
+  MAX_SPLIT_PARTS,
+  clampParts,
+  getSplitParts,
+} from "../../../utils/splitBill";
+
+// Pay a bill in several parts (by seat, by items or evenly), each with its
+// own payment and receipt
+function SplitBillModal({
+  order,
+  invoice,
+  discountResult,
+  managerPin,
+  requiresApproval,
+  split,
+  onSplitChange,
+  onComplete,
+  onClose,
+}) {
+  const { t, i18n } = useTranslation();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { tenders } = useSelector((state) => state.tender);
+
+  const [methods, setMethods] = useState({});
+  const [references, setReferences] = useState({});
+  const [payingPart, setPayingPart] = useState(null);
+
+  const { mode, parts, assignment, paidParts } = split;
+  // The split can't change once a part has been paid
+  const isLocked = Object.keys(paidParts).length > 0;
+
+  const splitParts = useMemo(
+    () => getSplitParts(invoice, split),
+    [invoice, split]
+  );
+  const partNumbers =
+    mode === "even"
+      ? splitParts.map((part) => part.part)
+      : Array.from({ length: parts }, (_, index) => index + 1);
+
+  const updateSplit = (changes) => onSplitChange({ ...split, ...changes });
+
+  const changeParts = (delta) => {
+    const nextParts = clampParts(parts + delta);
+    // Lines of a removed seat or bill go back to the first one
+    const nextAssignment = Object.fromEntries(
+      Object.entries(assignment).map(([lineId, part]) => [
+        lineId,
+        part > nextParts ? 1 : part,
+      ])
+    );
+    updateSplit({ parts: nextParts, assignment: nextAssignment });
+  };
+
+  const buildReceipt = (part, paymentMethods) => {
+    const inPart = (item) => mode === "even" || part.lineIds.includes(item._id);
+    return {
+      ...order,
+      orderNumber: `${order.orderCode || order._id?.slice(-8) || "N/A"} (${
+        part.part
+      }/${splitParts.length})`,
+      cashier: user?.name || "System",
+      paymentMethods,
+      tax: part.vatAmount,
+      discount: part.discountAmount,
+      finalTotal: part.total,
+      subtotal: part.subtotal,
+      vat: {
+        pricesIncludeTax: invoice.pricesIncludeTax,
+        taxableAmount: part.taxableAmount,
+        vatAmount: part.vatAmount,
+        total: part.total,
+        breakdown: part.breakdown,
+        timestamp: new Date().toISOString(),
+      },
+      orderItems: (order.orderItems || []).filter(
+        (item) => !item.isCancelled && inPart(item)
+      ),
+      orderItemsData: order.orderItemsData || [],
+      custName: order.custName || "",
+      custPhone: order.custPhone || order.custtPhone || "",
+      custAddress: order.custAddress || "",
+    };
+  };
+
+  const handlePayPart = async (part) => {
+    if (requiresApproval && !managerPin.trim()) {
+      toast.error(t("discounts.approvalPinRequired"));
+      return;
+    }
+
+    const method = methods[part.part] || "cash";
+    const reference = String(references[part.part] || "").trim();
+    if (findTender(tenders, method).requiresReference && !reference) {
+      toast.error(
+        t("tenders.referenceRequired", {
+          tender: getTenderName(
+            findTender(tenders, method),
+            i18n.language === "ar"
+          ),
+        })
+      );
+      return;
+    }
+
+    const paymentMethods = [
+      { method, amount: part.total, ...(reference && { reference }) },
+    ];
+    const isFinal = splitParts.every(
+      (item) => item.part === part.part || paidParts[item.part]
+    );
+    // Discount records and their approval go with the first part only, so
+    // the discount totals count them once
+    const discountRecords = isLocked
+      ? []
+      : toDiscountRecords(discountResult.items);
+
+    setPayingPart(part.part);
+    try {
+      await dispatch(
+        processPayment({
+          orderId: order._id,
+          orderCode: order.orderCode,
+          paymentMethods,
+          tax: invoice.pricesIncludeTax ? 0 : getEffectiveVatRate(part),
+          discount:
+            part.subtotal > 0
+              ? round2((part.discountAmount / part.subtotal) * 100)
+              : 0,
+          discounts: discountRecords,
+          ...(requiresApproval &&
+            discountRecords.length > 0 && { managerPin: managerPin.trim() }),
+          vat: buildReceipt(part, paymentMethods).vat,
+          split: {
+            mode,
+            part: part.part,
+            parts: splitParts.length,
+            orderItemIds: part.lineIds,
+            isFinal,
+          },
+        })
+      ).unwrap();
+
+      const nextSplit = {
+        ...split,
+        paidParts: {
+          ...paidParts,
+          [part.part]: { method, total: part.total },
+        },
+      };
+      onSplitChange(nextSplit);
+      toast.success(
+        t("splitBill.partPaid", {
+          part: part.part,
+          amount: part.total.toFixed(2),
+        })
+      );
+
+      if (shouldOpenDrawer(tenders, paymentMethods)) {
+        printingService
+          .openCashDrawer({
+            reason: "cash_payment",
+            note: order.orderCode || "",
+            user: user?.name || "",
+            automatic: true,
+          })
+          .catch(() => toast.error(t("cashDrawer.openFailed")));
+      }
+
+      printQueue
+        .submit("customer", buildReceipt(part, paymentMethods))
+        .catch((error) =>
+          console.warn("❌ Split receipt print failed:", error)
+        );
+
+      if (isFinal) onComplete();
+    } catch (error) {
+      toast.error(error?.message || t("payment.paymentFailedRetry"));
+    } finally {
+      setPayingPart(null);
+    }
+  };
+
+  const handleReprint = (part) =>
+    printQueue
+      .submit(
+        "customer",
+        buildReceipt(part, [
+          { method: paidParts[part.part].method, amount: part.total },
+        ])
+      )
+      .catch(() => toast.error(t("payment.customerReceiptFailed")));
+
+  return (
+    <Modal title={t("splitBill.title")} onClose={onClose} size="2xl">
+      <div className="space-y-5">
+        {/* Split mode */}
+        <div className="flex flex-wrap items-center gap-2">
+          {SPLIT_MODES.map((item) => (
+            <button
+              key={item}
+              onClick={() => updateSplit({ mode: item })}
+              disabled={isLocked}
+              className={`px-4 py-2 text-sm rounded-md border transition-colors disabled:opacity-50 ${
+                mode === item
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+              }`}
+            >
+              {t(`splitBill.modes.${item}`)}
+            </button>
+          ))}
+          <div className="flex items-center gap-2 ms-auto text-sm text-gray-700">
+            {t(`splitBill.partsLabel.${mode}`)}
+            <button
+              onClick={() => changeParts(-1)}
+              disabled={isLocked || parts <= 2}
+              className="p-2 border border-gray-300 rounded-md disabled:opacity-40"
+            >
+              <FaMinus size={10} />
+            </button>
+            <span className="w-6 text-center font-semibold">{parts}</span>
+            <button
+              onClick={() => changeParts(1)}
+              disabled={isLocked || parts >= MAX_SPLIT_PARTS}
+              className="p-2 border border-gray-300 rounded-md disabled:opacity-40"
+            >
+              <FaPlus size={10} />
+            </button>
+          </div>
+        </div>
+
+        {/* Seat or bill of each item */}
+        {mode !== "even" && (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md max-h-64 overflow-y-auto">
+            {invoice.lines.map((line) => (
+              <li
+                key={line.id}
+                className="flex items-center justify-between gap-3 px-3 py-2 text-sm"
+              >
+                <span className="min-w-0 truncate">
+                  {line.quantity}× {line.name}
+                </span>
+                <span className="flex items-center gap-3">
+                  <span className="text-gray-500">{line.total.toFixed(2)}</span>
+                  <select
+                    value={assignment[line.id] || 1}
+                    onChange={(e) =>
+                      updateSplit({
+                        assignment: {
+                          ...assignment,
+                          [line.id]: Number(e.target.value),
+                        },
+                      })
+                    }
+                    disabled={isLocked}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  >
+                    {partNumbers.map((part) => (
+                      <option key={part} value={part}>
+                        {t(`splitBill.partName.${mode}`, { part })}
+                      </option>
+                    ))}
+                  </select>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Parts to pay */}
+        <ul className="space-y-2">
+          {splitParts.map((part) => {
+            const paid = paidParts[part.part];
+            const method = methods[part.part] || "cash";
+            return (
+              <li
+                key={part.part}
+                className={`flex flex-wrap items-center gap-3 p-3 rounded-md border ${
+                  paid
+                    ? "bg-green-50 border-green-200"
+                    : "bg-white border-gray-200"
+                }`}
+              >
+                <div className="min-w-[8rem]">
+                  <p className="font-semibold text-gray-800">
+                    {t(`splitBill.partName.${mode}`, { part: part.part })}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {t("splitBill.partDetails", {
+                      vat: part.vatAmount.toFixed(2),
+                      discount: part.discountAmount.toFixed(2),
+                    })}
+                  </p>
+                </div>
+                <span className="font-bold text-lg">
+                  {(paid?.total ?? part.total).toFixed(2)} AED
+                </span>
+
+                {paid ? (
+                  <div className="flex items-center gap-3 ms-auto">
+                    <span className="flex items-center gap-1 text-sm text-green-700 font-medium">
+                      <FaCheck />
+                      {t("splitBill.paid")}
+                    </span>
+                    <button
+                      onClick={() => handleReprint(part)}
+                      className="p-2 text-primary-800 hover:bg-neutral-100 rounded-md"
+                      title={t("payment.printReceipt")}
+                    >
+                      <FaPrint />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap items-center gap-2 ms-auto">
+                    <div className="w-40">
+                      <PaymentMethodSelect
+                        value={method}
+                        onChange={(e) =>
+                          setMethods((prev) => ({
+                            ...prev,
+                            [part.part]: e.target.value,
+                          }))
+                        }
+                      />
+                    </div>
+                    {findTender(tenders, method).requiresReference && (
+                      <input
+                        type="text"
+                        value={references[part.part] || ""}
+                        onChange={(e) =>
+                          setReferences((prev) => ({
+                            ...prev,
+                            [part.part]: e.target.value,
+                          }))
+                        }
+                        placeholder={t("tenders.referencePlaceholder")}
+                        className="w-32 p-3 border border-gray-300 rounded-md text-sm"
+                      />
+                    )}
+                    <button
+                      onClick={() => handlePayPart(part)}
+                      disabled={payingPart !== null || part.total <= 0}
+                      className="px-4 py-3 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400"
+                    >
+                      {payingPart === part.part
+                        ? t("payment.processing")
+                        : t("splitBill.payPart")}
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+
+        <p className="text-sm text-gray-600 text-end">
+          {t("splitBill.total")}:{" "}
+          <span className="font-semibold">{invoice.total.toFixed(2)} AED</span>
+        </p>
+      </div>
+    </Modal>
+  );
+}
+
+export default SplitBillModal;
@@ -1,52 +1,63 @@
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaTimes } from "react-icons/fa";
 import PaymentMethodSelect from "./PaymentMethodSelect";
 import NumberInput from "./NumberInput";
+import { findTender } from "../../../utils/tenders";
 
 const SplitPaymentRow = ({
   payment,
   index,
   onMethodChange,
   onAmountChange,
-  finalTotal,
+  onReferenceChange,
+  onRemove,
 }) => {
-  const handleAmountChange = (amount) => {
-    onAmountChange(index, amount);
-
-    // Find the other payment index (0 or 1)
-    const otherIndex = index === 0 ? 1 : 0;
-
-    // First, clear the other input
-    onAmountChange(otherIndex, "");
-
-    // Then check if we need to fill the remaining amount
-    if (amount && !isNaN(amount)) {
-      const remaining = finalTotal - parseFloat(amount);
-      if (remaining > 0) {
-        // Fill with the needed value (round to 2 decimal places)
-        onAmountChange(otherIndex, parseFloat(remaining.toFixed(2)));
-      } else {
-        // Set to 0 if no remaining amount needed
-        onAmountChange(otherIndex, 0);
-      }
-    }
-  };
+  const { t } = useTranslation();
+  const { tenders } = useSelector((state) => state.tender);
+  const requiresReference = findTender(
+    tenders,
+    payment.method
+  ).requiresReference;
 
   return (
-    <div className="flex items-center space-x-3">
-      <div className="flex-1">
-        <PaymentMethodSelect
-          value={payment.method}
-          onChange={(e) => onMethodChange(index, e.target.value)}
-        />
+    <div className="space-y-2">
+      <div className="flex items-center space-x-3">
+        <div className="flex-1">
+          <PaymentMethodSelect
+            value={payment.method}
+            onChange={(e) => onMethodChange(index, e.target.value)}
+          />
+        </div>
+        <div className="flex-1">
+          <NumberInput
+            value={payment.amount}
+            onChange={(amount) => onAmountChange(index, amount)}
+            placeholder="0.00"
+            min="0"
+            step="1"
+          />
+        </div>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={() => onRemove(index)}
+            className="p-2 text-gray-400 hover:text-red-600"
+            title={t("tenders.removeRow")}
+          >
+            <FaTimes />
+          </button>
+        )}
       </div>
-      <div className="flex-1">
-        <NumberInput
-          value={payment.amount}
-          onChange={handleAmountChange}
-          placeholder="0.00"
-          min="0"
-          step="1"
+      {requiresReference && (
+        <input
+          type="text"
+          value={payment.reference || ""}
+          onChange={(e) => onReferenceChange(index, e.target.value)}
+          placeholder={t("tenders.referencePlaceholder")}
+          className="w-full p-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
         />
-      </div>
+      )}
     </div>
   );
 };
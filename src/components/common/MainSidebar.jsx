@@ -1,19 +1,24 @@
+import { useEffect } from "react";
 import { NavLink, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import {
   // MdOutlineRestaurantMenu,
-  // MdDashboard,
+  MdDashboard,
   MdReceiptLong,
   MdTableRestaurant,
+  MdSoupKitchen,
 } from "react-icons/md";
 import { LuCakeSlice } from "react-icons/lu";
+import { TbTruckDelivery } from "react-icons/tb";
 // import { TbBrandCakephp } from "react-icons/tb";
 // import { MdOutlineBakeryDining } from "react-icons/md";
 
 import { FaHistory, FaCog, FaSignOutAlt } from "react-icons/fa";
 
 import { logout } from "../../store/authSlice";
+import { fetchStocks } from "../../store/stockSlice";
+import { getLowStockItems } from "../../utils/stockAlerts";
 import Tooltip from "./Tooltip";
 import LanguageSwitcher from "./LanguageSwitcher";
 
@@ -39,10 +44,20 @@ const cashierNavigationLinks = [
     icon: MdReceiptLong,
     label: "Cashier",
   },
+  {
+    to: "/delivery",
+    icon: TbTruckDelivery,
+    label: "Delivery",
+  },
 ];
 
 // Manager navigation links (no menu/order creation)
 const managerNavigationLinks = [
+  {
+    to: "/dashboard",
+    icon: MdDashboard,
+    label: "Dashboard",
+  },
   {
     to: "/tables",
     icon: MdTableRestaurant,
@@ -53,6 +68,16 @@ const managerNavigationLinks = [
     icon: MdReceiptLong,
     label: "Cashier",
   },
+  {
+    to: "/kitchen",
+    icon: MdSoupKitchen,
+    label: "Kitchen",
+  },
+  {
+    to: "/delivery",
+    icon: TbTruckDelivery,
+    label: "Delivery",
+  },
   {
     to: "/history",
     icon: FaHistory,
@@ -65,8 +90,26 @@ const managerNavigationLinks = [
   },
 ];
 
-// NavLink component
-const SidebarNavLink = ({ to, icon: Icon, label, t }) => (
+// Kitchen navigation links (kitchen display only)
+const kitchenNavigationLinks = [
+  {
+    to: "/kitchen",
+    icon: MdSoupKitchen,
+    label: "Kitchen",
+  },
+];
+
+// Driver navigation links (own deliveries only)
+const driverNavigationLinks = [
+  {
+    to: "/delivery",
+    icon: TbTruckDelivery,
+    label: "Delivery",
+  },
+];
+
+// NavLink component. `alert` shows a count badge with its own tooltip line.
+const SidebarNavLink = ({ to, icon: Icon, label, t, alert }) => (
   <NavLink
     to={to}
     className={({ isActive }) =>
@@ -79,7 +122,17 @@ const SidebarNavLink = ({ to, icon: Icon, label, t }) => (
     }
   >
     <Icon className="text-3xl lg:text-2xl" />
-    <Tooltip>{t(`sidebar.${label.toLowerCase()}`)}</Tooltip>
+    {alert?.count > 0 && (
+      <span className="absolute top-1 end-1 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+        {alert.count}
+      </span>
+    )}
+    <Tooltip>
+      {t(`sidebar.${label.toLowerCase()}`)}
+      {alert?.count > 0 && (
+        <p className="text-xs text-red-300 mt-1">{alert.label}</p>
+      )}
+    </Tooltip>
   </NavLink>
 );
 
@@ -131,6 +184,7 @@ const MainSidebar = () => {
   const navigate = useNavigate();
   const { user } = useSelector((state) => state.auth);
   const { hasActiveShift } = useSelector((state) => state.shift);
+  const { stocks } = useSelector((state) => state.stock);
 
   const handleLogout = () => {
     dispatch(logout());
@@ -139,10 +193,22 @@ const MainSidebar = () => {
 
   const isCashier = user?.role?.toLowerCase() === "cashier";
   const isManager = user?.role?.toLowerCase() === "manager";
+  const isKitchen = user?.role?.toLowerCase() === "kitchen";
+  const isDriver = user?.role?.toLowerCase() === "driver";
+
+  // Managers see items at or below their minimum on the settings link
+  useEffect(() => {
+    if (isManager && stocks.length === 0) dispatch(fetchStocks());
+  }, [dispatch, isManager, stocks.length]);
+  const lowStockCount = isManager ? getLowStockItems(stocks).length : 0;
 
   // Set navigation links based on user role
   const navigationLinks = isManager
     ? managerNavigationLinks
+    : isKitchen
+    ? kitchenNavigationLinks
+    : isDriver
+    ? driverNavigationLinks
     : cashierNavigationLinks;
 
   if (!user) return null;
@@ -154,7 +220,21 @@ const MainSidebar = () => {
       {/* Navigation */}
       <nav className="flex-1 w-full px-2 space-y-3">
         {navigationLinks.map((link) => (
-          <SidebarNavLink key={link.to} {...link} t={t} />
+          <SidebarNavLink
+            key={link.to}
+            {...link}
+            t={t}
+            alert={
+              link.to === "/settings"
+                ? {
+                    count: lowStockCount,
+                    label: t("stockAlerts.lowStockCount", {
+                      count: lowStockCount,
+                    }),
+                  }
+                : null
+            }
+          />
         ))}
       </nav>
 
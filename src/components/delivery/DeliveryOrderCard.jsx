@@ -0,0 +1,277 @@
+import { memo, useState } from "react";
+import { useTranslation } from "react-i18next";
+import {
+  FaClock,
+  FaCheck,
+  FaTimes,
+  FaMapMarkerAlt,
+  FaPhoneAlt,
+  FaPrint,
+  FaStickyNote,
+  FaUndoAlt,
+} from "react-icons/fa";
+import { TbTruckDelivery } from "react-icons/tb";
+import {
+  getCashOnDelivery,
+  getDeliveryStatus,
+  getMinutesInStatus,
+} from "../../utils/delivery";
+
+// Minutes in a state before the card is highlighted as late
+const LATE_MINUTES = {
+  awaiting: 15,
+  assigned: 10,
+  out_for_delivery: 45,
+};
+
+const formatTime = (value) =>
+  value
+    ? new Date(value).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : null;
+
+const DeliveryOrderCard = memo(function DeliveryOrderCard({
+  order,
+  now,
+  drivers,
+  canAssign,
+  onUpdate,
+  onPrint,
+}) {
+  const { t } = useTranslation();
+  const [driverId, setDriverId] = useState("");
+  const [collectedAmount, setCollectedAmount] = useState("");
+
+  const status = getDeliveryStatus(order);
+  const delivery = order.delivery || {};
+  const cashOnDelivery = getCashOnDelivery(order);
+  const minutes = getMinutesInStatus(order, now);
+  const isLate = LATE_MINUTES[status] && minutes >= LATE_MINUTES[status];
+
+  const timeline = [
+    ["assignedAt", "assigned"],
+    ["dispatchedAt", "out_for_delivery"],
+    ["deliveredAt", "delivered"],
+    ["failedAt", "failed"],
+  ].filter(([key]) => delivery[key]);
+
+  const handleAssign = () => {
+    const driver = drivers.find((item) => item._id === driverId);
+    if (!driver) return;
+    onUpdate(order, {
+      status: "assigned",
+      driverId: driver._id,
+      driverName: driver.name,
+    });
+  };
+
+  const handleDelivered = () =>
+    onUpdate(order, {
+      status: "delivered",
+      collectedAmount:
+        collectedAmount === "" ? cashOnDelivery : Number(collectedAmount),
+    });
+
+  const handleFailed = () => {
+    const reason = window.prompt(t("delivery.failReasonPrompt"));
+    if (reason === null) return;
+    onUpdate(order, { status: "failed", reason: reason.trim() });
+  };
+
+  return (
+    <div
+      className={`bg-white rounded-lg shadow border-t-4 flex flex-col ${
+        isLate ? "border-red-600" : "border-primary-700"
+      }`}
+    >
+      {/* Order header */}
+      <div className="flex items-center justify-between gap-2 p-3 border-b border-gray-100">
+        <div className="flex items-center gap-2 min-w-0">
+          <TbTruckDelivery className="text-xl text-primary-800 flex-shrink-0" />
+          <span className="font-bold text-lg truncate">#{order.orderCode}</span>
+        </div>
+        <span
+          className={`flex items-center gap-1 px-2 py-1 rounded-md text-sm font-mono font-semibold ${
+            isLate ? "bg-red-100 text-red-800" : "bg-gray-100 text-gray-700"
+          }`}
+        >
+          <FaClock className="text-xs" />
+          {t("delivery.minutes", { count: minutes })}
+        </span>
+      </div>
+
+      {/* Customer */}
+      <div className="p-3 space-y-1 text-sm">
+        <p className="font-semibold text-gray-800">{order.custName || "-"}</p>
+        {(order.custPhone || order.custtPhone) && (
+          <a
+            href={`tel:${order.custPhone || order.custtPhone}`}
+            className="flex items-center gap-2 text-primary-700"
+            dir="ltr"
+          >
+            <FaPhoneAlt className="text-xs" />
+            {order.custPhone || order.custtPhone}
+          </a>
+        )}
+        {order.custAddress && (
+          <p className="flex items-start gap-2 text-gray-700">
+            <FaMapMarkerAlt className="mt-0.5 flex-shrink-0 text-red-500" />
+            {order.custAddress}
+          </p>
+        )}
+        {order.note && (
+          <p className="flex items-start gap-2 p-2 bg-orange-50 text-orange-800 rounded-md">
+            <FaStickyNote className="mt-0.5 flex-shrink-0" />
+            {order.note}
+          </p>
+        )}
+      </div>
+
+      {/* Driver, cash to collect and timestamps */}
+      <div className="px-3 pb-3 space-y-1 text-sm">
+        {delivery.driverName && (
+          <p className="text-gray-700">
+            {t("delivery.driver")}:{" "}
+            <span className="font-semibold">{delivery.driverName}</span>
+          </p>
+        )}
+        <p
+          className={`font-semibold ${
+            cashOnDelivery > 0 ? "text-amber-700" : "text-green-700"
+          }`}
+        >
+          {cashOnDelivery > 0
+            ? t("delivery.collect", { amount: cashOnDelivery.toFixed(2) })
+            : t("delivery.prepaid")}
+        </p>
+        {status === "delivered" && delivery.collectedAmount !== undefined && (
+          <p className="text-gray-600">
+            {t("delivery.collected")}:{" "}
+            {Number(delivery.collectedAmount).toFixed(2)} AED
+            {delivery.settledAt && (
+              <span className="ms-2 text-xs text-green-700">
+                {t("delivery.settled")}
+              </span>
+            )}
+          </p>
+        )}
+        {status === "failed" && delivery.failReason && (
+          <p className="text-red-700">{delivery.failReason}</p>
+        )}
+        {timeline.length > 0 && (
+          <ul className="text-xs text-gray-500">
+            {timeline.map(([key, label]) => (
+              <li key={key}>
+                {t(`delivery.statuses.${label}`)}: {formatTime(delivery[key])}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="mt-auto p-3 pt-0 space-y-2">
+        {status === "awaiting" && canAssign && (
+          <div className="flex gap-2">
+            <select
+              value={driverId}
+              onChange={(e) => setDriverId(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50"
+            >
+              <option value="">{t("delivery.selectDriver")}</option>
+              {drivers.map((driver) => (
+                <option key={driver._id} value={driver._id}>
+                  {driver.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleAssign}
+              disabled={!driverId}
+              className="px-3 py-2 text-sm font-semibold text-white bg-primary-700 rounded-md hover:bg-primary-800 disabled:opacity-50"
+            >
+              {t("delivery.assign")}
+            </button>
+          </div>
+        )}
+
+        {status === "assigned" && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => onUpdate(order, { status: "out_for_delivery" })}
+              className="flex-1 flex items-center justify-center gap-2 py-2 text-sm font-semibold text-white bg-primary-700 rounded-md hover:bg-primary-800"
+            >
+              <TbTruckDelivery />
+              {t("delivery.dispatch")}
+            </button>
+            {canAssign && (
+              <button
+                onClick={() => onUpdate(order, { status: "awaiting" })}
+                className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                {t("delivery.unassign")}
+              </button>
+            )}
+          </div>
+        )}
+
+        {status === "out_for_delivery" && (
+          <>
+            {cashOnDelivery > 0 && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                {t("delivery.collectedAmount")}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={collectedAmount}
+                  placeholder={cashOnDelivery.toFixed(2)}
+                  onChange={(e) => setCollectedAmount(e.target.value)}
+                  className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                />
+              </label>
+            )}
+            <div className="flex gap-2">
+              <button
+                onClick={handleDelivered}
+                className="flex-1 flex items-center justify-center gap-2 py-2 text-sm font-semibold text-white bg-green-600 rounded-md hover:bg-green-700"
+              >
+                <FaCheck />
+                {t("delivery.markDelivered")}
+              </button>
+              <button
+                onClick={handleFailed}
+                className="flex items-center justify-center gap-2 px-3 py-2 text-sm font-semibold text-white bg-red-600 rounded-md hover:bg-red-700"
+              >
+                <FaTimes />
+                {t("delivery.markFailed")}
+              </button>
+            </div>
+          </>
+        )}
+
+        {status === "failed" && canAssign && (
+          <button
+            onClick={() => onUpdate(order, { status: "awaiting" })}
+            className="w-full flex items-center justify-center gap-2 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <FaUndoAlt />
+            {t("delivery.retry")}
+          </button>
+        )}
+
+        <button
+          onClick={() => onPrint(order)}
+          className="w-full flex items-center justify-center gap-2 py-1.5 text-sm text-primary-800 hover:bg-neutral-100 rounded-md"
+        >
+          <FaPrint />
+          {t("delivery.printSlip")}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default DeliveryOrderCard;
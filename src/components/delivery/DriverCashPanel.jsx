@@ -0,0 +1,149 @@
+import { useMemo, useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaHandHoldingUsd } from "react-icons/fa";
+import toast from "react-hot-toast";
+import { settleDriverCash } from "../../store/orderSlice";
+import { getDriverCashSummary } from "../../utils/delivery";
+
+// Cash-on-delivery each driver owes, counted and handed over to the till
+function DriverCashPanel({ orders, shiftId = null, canSettle = true }) {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const [receivedAmounts, setReceivedAmounts] = useState({});
+  const [settlingId, setSettlingId] = useState(null);
+
+  const drivers = useMemo(() => getDriverCashSummary(orders), [orders]);
+
+  const handleSettle = async (driver) => {
+    const input = receivedAmounts[driver.driverId];
+    const receivedAmount =
+      input === undefined || input === "" ? driver.collected : Number(input);
+    const variance = receivedAmount - driver.collected;
+
+    if (
+      Math.abs(variance) >= 0.01 &&
+      !window.confirm(
+        t("delivery.confirmVariance", {
+          name: driver.driverName,
+          amount: variance.toFixed(2),
+        })
+      )
+    ) {
+      return;
+    }
+
+    setSettlingId(driver.driverId);
+    try {
+      await dispatch(
+        settleDriverCash({
+          driverId: driver.driverId,
+          orderIds: driver.orderIds,
+          expectedAmount: driver.collected,
+          receivedAmount,
+          shiftId,
+        })
+      ).unwrap();
+      setReceivedAmounts((prev) => ({ ...prev, [driver.driverId]: "" }));
+      toast.success(t("delivery.settledToast", { name: driver.driverName }));
+    } catch (error) {
+      toast.error(error?.message || t("delivery.settleFailed"));
+    } finally {
+      setSettlingId(null);
+    }
+  };
+
+  if (drivers.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-4">
+        {t("delivery.noDriverCash")}
+      </p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+      {drivers.map((driver) => {
+        const input = receivedAmounts[driver.driverId];
+        const received =
+          input === undefined || input === ""
+            ? driver.collected
+            : Number(input);
+        const variance = received - driver.collected;
+
+        return (
+          <li
+            key={driver.driverId}
+            className="flex flex-wrap items-center justify-between gap-3 p-3"
+          >
+            <div className="min-w-0 text-sm">
+              <p className="font-semibold text-gray-800">{driver.driverName}</p>
+              <p className="text-xs text-gray-500">
+                {t("delivery.driverCounts", {
+                  delivered: driver.delivered,
+                  failed: driver.failed,
+                  onRoad: driver.onRoad,
+                })}
+              </p>
+              {driver.outstanding > 0 && (
+                <p className="text-xs text-amber-700">
+                  {t("delivery.onRoadCash", {
+                    amount: driver.outstanding.toFixed(2),
+                  })}
+                </p>
+              )}
+            </div>
+
+            <div className="flex items-center gap-3 text-sm">
+              <span className="text-gray-700">
+                {t("delivery.toHandOver")}:{" "}
+                <span className="font-semibold">
+                  {driver.collected.toFixed(2)} AED
+                </span>
+              </span>
+              {canSettle && driver.orderIds.length > 0 && (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={input ?? ""}
+                    placeholder={driver.collected.toFixed(2)}
+                    onChange={(e) =>
+                      setReceivedAmounts((prev) => ({
+                        ...prev,
+                        [driver.driverId]: e.target.value,
+                      }))
+                    }
+                    className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                    title={t("delivery.received")}
+                  />
+                  {Math.abs(variance) >= 0.01 && (
+                    <span
+                      className={`font-semibold ${
+                        variance < 0 ? "text-red-600" : "text-green-700"
+                      }`}
+                    >
+                      {variance > 0 ? "+" : ""}
+                      {variance.toFixed(2)}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => handleSettle(driver)}
+                    disabled={settlingId === driver.driverId}
+                    className="flex items-center gap-2 px-3 py-1.5 font-semibold text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+                  >
+                    <FaHandHoldingUsd />
+                    {t("delivery.settle")}
+                  </button>
+                </>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default DriverCashPanel;
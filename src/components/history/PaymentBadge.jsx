@@ -1,7 +1,22 @@
+import { useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
+import { findTender, getTenderName } from "../../utils/tenders";
+
+const BADGE_BASE =
+  "rounded-xl text-sm w-full sm:w-2/3 leading-7 m-auto text-center shadow-lg";
+
+// Badge colours of the tender registry
+const COLOR_CLASSES = {
+  warning: "bg-warning-700 text-white",
+  success: "bg-success-700 text-white",
+  primary: "bg-primary-700 text-white",
+  purple: "bg-purple-600 text-white",
+  neutral: "bg-neutral-200 text-neutral-700",
+};
 
 function PaymentBadge({ type }) {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { tenders } = useSelector((state) => state.tender);
 
   // Handle undefined type or status indicators
   if (!type) return null;
@@ -18,37 +33,22 @@ function PaymentBadge({ type }) {
   // Support multiple payment methods separated by ' & '
   const types = type.split(" & ");
 
-  const getClassName = (t) => {
-    switch (t.toLowerCase()) {
-      case "visa":
-        return "bg-success-700 text-white rounded-xl text-sm w-full sm:w-2/3 leading-7 m-auto text-center shadow-lg";
-      case "cash":
-        return "bg-warning-700 text-white rounded-xl text-sm w-full sm:w-2/3 leading-7 m-auto text-center shadow-lg";
-      default:
-        return "bg-neutral-200 text-neutral-700 rounded-xl text-sm w-full sm:w-2/3 leading-7 m-auto text-center shadow-lg";
-    }
-  };
-
-  const getTranslatedType = (type) => {
-    switch (type.toLowerCase()) {
-      case "visa":
-        return t("paymentBadge.visa");
-      case "cash":
-        return t("paymentBadge.cash");
-      case "mastercard":
-        return t("paymentBadge.mastercard");
-      default:
-        return t("paymentBadge.unknown");
-    }
-  };
-
   return (
     <div className="flex flex-col gap-1">
-      {types.map((type, idx) => (
-        <div key={idx} className={getClassName(type)}>
-          {getTranslatedType(type)}
-        </div>
-      ))}
+      {types.map((method, idx) => {
+        const tender = findTender(tenders, method);
+        return (
+          <div
+            key={idx}
+            className={`${BADGE_BASE} ${
+              COLOR_CLASSES[tender.color] || COLOR_CLASSES.neutral
+            }`}
+          >
+            {getTenderName(tender, i18n.language === "ar") ||
+              t("paymentBadge.unknown")}
+          </div>
+        );
+      })}
     </div>
   );
 }
@@ -0,0 +1,374 @@
+import { useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaMinus, FaPlus } from "react-icons/fa";
+import Modal from "../common/Modal";
+import { createRefund } from "../../store/refundSlice";
+import printingService from "../../services/printingService";
+import printQueue from "../../services/printQueue";
+import {
+  REFUND_REASONS,
+  allocateRefund,
+  getPaidAmount,
+  getRefundAmount,
+  getRefundableLines,
+  getRefundedAmount,
+} from "../../utils/refunds";
+import {
+  findTender,
+  getTenderName,
+  shouldOpenDrawer,
+} from "../../utils/tenders";
+
+// Refund a paid order, fully or selected lines, after manager approval
+function RefundModal({ payment, onClose }) {
+  const { t, i18n } = useTranslation();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { loading } = useSelector((state) => state.refund);
+  const { tenders } = useSelector((state) => state.tender);
+
+  const lines = useMemo(
+    () =>
+      getRefundableLines(payment).filter((line) => line.refundableQuantity > 0),
+    [payment]
+  );
+  const orderData = payment.orderData || {};
+  const paid = getPaidAmount(payment);
+  const alreadyRefunded = getRefundedAmount(payment);
+
+  const [mode, setMode] = useState("full"); // "full" | "items"
+  const [quantities, setQuantities] = useState({});
+  const [destination, setDestination] = useState("original"); // "original" | "cash"
+  const [reason, setReason] = useState("");
+  const [note, setNote] = useState("");
+  const [managerPin, setManagerPin] = useState("");
+
+  // Quantity to refund per order line
+  const selection = useMemo(
+    () =>
+      mode === "full"
+        ? Object.fromEntries(
+            lines.map((line) => [line.orderItemId, line.refundableQuantity])
+          )
+        : quantities,
+    [mode, lines, quantities]
+  );
+
+  const amount = getRefundAmount(payment, lines, selection);
+  const refundMethods = allocateRefund(
+    amount,
+    payment.paymentMethods,
+    destination
+  );
+  const paidOnlyInCash = (payment.paymentMethods || []).every(
+    (method) => method.method === "cash"
+  );
+
+  const changeQuantity = (line, delta) => {
+    setQuantities((prev) => {
+      const next = Math.min(
+        Math.max((prev[line.orderItemId] || 0) + delta, 0),
+        line.refundableQuantity
+      );
+      return { ...prev, [line.orderItemId]: next };
+    });
+  };
+
+  const getLineName = (line) =>
+    i18n.language === "ar" && line.nameAr ? line.nameAr : line.name;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (amount <= 0) {
+      toast.error(t("refunds.selectItems"));
+      return;
+    }
+    if (!reason) {
+      toast.error(t("refunds.reasonRequired"));
+      return;
+    }
+    if (reason === "other" && !note.trim()) {
+      toast.error(t("refunds.noteRequired"));
+      return;
+    }
+    if (!managerPin.trim()) {
+      toast.error(t("refunds.pinRequired"));
+      return;
+    }
+
+    const items = lines
+      .filter((line) => selection[line.orderItemId] > 0)
+      .map((line) => ({
+        orderItemId: line.orderItemId,
+        mealId: line.mealId,
+        quantity: selection[line.orderItemId],
+      }));
+
+    try {
+      const result = await dispatch(
+        createRefund({
+          paymentId: payment._id,
+          orderId: orderData._id,
+          items,
+          refundMethods,
+          amount,
+          reason,
+          note: note.trim(),
+          managerPin: managerPin.trim(),
+        })
+      ).unwrap();
+
+      toast.success(t("refunds.success"));
+
+      // Refund receipt goes through the print queue like any other receipt
+      const refundNumber = (payment.refunds?.length || 0) + 1;
+      const reasonText = [t(`refunds.reasons.${reason}`), note.trim()]
+        .filter(Boolean)
+        .join(" - ");
+      printQueue
+        .submit("refund", {
+          orderNumber: `${orderData.orderCode || "N/A"}-R${refundNumber}`,
+          cashier: user?.name || "System",
+          orderType: orderData.type,
+          tableNumber: orderData.tableNumber,
+          orderItems: lines
+            .filter((line) => selection[line.orderItemId] > 0)
+            .map((line) => ({
+              mealId: line.mealId,
+              name: line.name,
+              nameAr: line.nameAr,
+              price: line.price,
+              modifiers: line.modifiers,
+              quantity: selection[line.orderItemId],
+            })),
+          finalTotal: amount,
+          total: amount,
+          paymentMethods: refundMethods,
+          refund: {
+            originalOrderNumber: orderData.orderCode || "",
+            reason: reasonText,
+            approvedBy:
+              result?.data?.approvedBy?.name || result?.data?.approvedBy || "",
+          },
+        })
+        .catch((error) => {
+          console.warn("❌ Refund receipt print failed:", error);
+        });
+
+      // Cash handed back to the customer
+      if (shouldOpenDrawer(tenders, refundMethods)) {
+        printingService
+          .openCashDrawer({
+            reason: "refund",
+            note: orderData.orderCode || "",
+            user: user?.name || "",
+            automatic: true,
+          })
+          .catch((error) => {
+            console.warn("❌ Cash drawer kick failed:", error);
+            toast.error(t("cashDrawer.openFailed"));
+          });
+      }
+
+      onClose();
+    } catch (error) {
+      toast.error(error?.message || t("refunds.failed"));
+    }
+  };
+
+  return (
+    <Modal
+      title={`${t("refunds.title")} #${orderData.orderCode || ""}`}
+      onClose={onClose}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit} className="space-y-5">
+        {/* Payment summary */}
+        <div className="grid grid-cols-3 gap-2 text-center text-sm">
+          <div className="p-2 bg-gray-50 rounded-md">
+            <p className="text-gray-500">{t("refunds.paid")}</p>
+            <p className="font-semibold">{paid.toFixed(2)} AED</p>
+          </div>
+          <div className="p-2 bg-gray-50 rounded-md">
+            <p className="text-gray-500">{t("refunds.alreadyRefunded")}</p>
+            <p className="font-semibold text-red-600">
+              {alreadyRefunded.toFixed(2)} AED
+            </p>
+          </div>
+          <div className="p-2 bg-primary-50 rounded-md">
+            <p className="text-gray-500">{t("refunds.refundAmount")}</p>
+            <p className="font-bold text-primary-800">
+              {amount.toFixed(2)} AED
+            </p>
+          </div>
+        </div>
+
+        {/* Full or selected lines */}
+        <div className="grid grid-cols-2 gap-2">
+          {["full", "items"].map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setMode(option)}
+              className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                mode === option
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+              }`}
+            >
+              {t(`refunds.modes.${option}`)}
+            </button>
+          ))}
+        </div>
+
+        {mode === "items" && (
+          <div className="border border-gray-200 rounded-md divide-y divide-gray-200">
+            {lines.map((line) => (
+              <div
+                key={line.orderItemId}
+                className="flex items-center justify-between gap-3 p-2"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800 truncate">
+                    {getLineName(line)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {line.price.toFixed(2)} AED ·{" "}
+                    {t("refunds.refundable", {
+                      count: line.refundableQuantity,
+                    })}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={() => changeQuantity(line, -1)}
+                    className="p-2 rounded-md border border-gray-300 hover:bg-gray-50"
+                  >
+                    <FaMinus className="w-3 h-3" />
+                  </button>
+                  <span className="w-6 text-center font-semibold">
+                    {selection[line.orderItemId] || 0}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => changeQuantity(line, 1)}
+                    className="p-2 rounded-md border border-gray-300 hover:bg-gray-50"
+                  >
+                    <FaPlus className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Refund destination */}
+        {!paidOnlyInCash && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("refunds.refundTo")}
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {["original", "cash"].map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setDestination(option)}
+                  className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                    destination === option
+                      ? "bg-primary-700 border-primary-700 text-white"
+                      : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                  }`}
+                >
+                  {t(`refunds.destinations.${option}`)}
+                </button>
+              ))}
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              {refundMethods
+                .map(
+                  (method) =>
+                    `${getTenderName(
+                      findTender(tenders, method.method),
+                      i18n.language === "ar"
+                    )} ${method.amount.toFixed(2)}`
+                )
+                .join(" · ")}
+            </p>
+          </div>
+        )}
+
+        {/* Reason */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("refunds.reason")} *
+          </label>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            {REFUND_REASONS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setReason(option)}
+                className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                  reason === option
+                    ? "bg-primary-700 border-primary-700 text-white"
+                    : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                }`}
+              >
+                {t(`refunds.reasons.${option}`)}
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={t("refunds.notePlaceholder")}
+            className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+
+        {/* Manager approval */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("refunds.managerPin")} *
+          </label>
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={managerPin}
+            onChange={(e) => setManagerPin(e.target.value)}
+            placeholder={t("refunds.managerPinPlaceholder")}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={loading || amount <= 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50"
+          >
+            {loading
+              ? t("refunds.processing")
+              : t("refunds.confirm", { amount: amount.toFixed(2) })}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default RefundModal;
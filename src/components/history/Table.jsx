@@ -5,7 +5,7 @@ import TableRow from "./TableRow";
 import Loading from "../common/Loading";
 import ErrorMessage from "../common/ErrorMessage";
 
-function Table({ orders, loading, error, defaultSort }) {
+function Table({ orders, loading, error, defaultSort, onRefund }) {
   const { t } = useTranslation();
   const [sortConfig, setSortConfig] = useState(
     defaultSort || { key: "date", direction: "desc" }
@@ -105,6 +105,7 @@ function Table({ orders, loading, error, defaultSort }) {
               <col className="w-[18%] sm:w-[16%]" /> {/* Time */}
               <col className="w-[20%] sm:w-[22%]" /> {/* Amount */}
               <col className="w-[20%] sm:w-[24%]" /> {/* Payment Method */}
+              {onRefund && <col className="w-[12%]" />} {/* Actions */}
             </colgroup>
             <thead className="bg-white">
               <tr>
@@ -139,6 +140,11 @@ function Table({ orders, loading, error, defaultSort }) {
                   onSort={requestSort}
                   className="justify-center"
                 />
+                {onRefund && (
+                  <th className="px-4 py-3 sm:py-5 text-sm sm:text-xl text-primary-800 text-center">
+                    {t("refunds.actions")}
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-neutral-200 text-primary-800">
@@ -146,6 +152,7 @@ function Table({ orders, loading, error, defaultSort }) {
                 <TableRow
                   key={`${order.orderId}-${order.time}`}
                   order={order}
+                  onRefund={onRefund}
                 />
               ))}
             </tbody>
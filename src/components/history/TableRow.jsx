@@ -1,23 +1,75 @@
+import { useTranslation } from "react-i18next";
+import { FaUndoAlt } from "react-icons/fa";
 import PaymentBadge from "./PaymentBadge";
+import { getDiscountName } from "../../utils/discounts";
 
-const TableRow = ({ order }) => (
-  <tr className="hover:bg-neutral-50 transition-colors">
-    <td className="px-4 py-3 sm:py-4 text-sm font-medium whitespace-nowrap">
-      {order.orderId}
-    </td>
-    <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap">
-      {order.date}
-    </td>
-    <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap">
-      {order.time}
-    </td>
-    <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap ">
-      {order.amount}
-    </td>
-    <td className="px-4 py-3 sm:py-4 text-center">
-      <PaymentBadge type={order.paymentMethod} />
-    </td>
-  </tr>
-);
+const TableRow = ({ order, onRefund }) => {
+  const { t, i18n } = useTranslation();
+
+  return (
+    <tr className="hover:bg-neutral-50 transition-colors">
+      <td className="px-4 py-3 sm:py-4 text-sm font-medium whitespace-nowrap">
+        {order.orderId}
+      </td>
+      <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap">
+        {order.date}
+      </td>
+      <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap">
+        {order.time}
+      </td>
+      <td className="px-4 py-3 sm:py-4 text-sm whitespace-nowrap ">
+        {order.amount}
+        {order.refundStatus && (
+          <span
+            className={`block mt-1 w-fit px-2 rounded-full text-xs ${
+              order.refundStatus === "full"
+                ? "bg-red-100 text-red-700"
+                : "bg-orange-100 text-orange-700"
+            }`}
+          >
+            {t(`refunds.status.${order.refundStatus}`)}
+          </span>
+        )}
+        {order.discounts?.map((discount, index) => (
+          <span
+            key={discount.ruleId || index}
+            className="block mt-1 text-xs text-red-600"
+            title={[
+              discount.reason,
+              order.discountApprovedBy &&
+                t("discounts.approvedBy", { name: order.discountApprovedBy }),
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          >
+            {getDiscountName(discount, i18n.language === "ar")} -
+            {Number(discount.amount || 0).toFixed(2)}
+          </span>
+        ))}
+        {order.discountApprovedBy && (
+          <span className="block text-xs text-gray-500">
+            {t("discounts.approvedBy", { name: order.discountApprovedBy })}
+          </span>
+        )}
+      </td>
+      <td className="px-4 py-3 sm:py-4 text-center">
+        <PaymentBadge type={order.paymentMethod} />
+      </td>
+      {onRefund && (
+        <td className="px-4 py-3 sm:py-4 text-center">
+          {order.paymentId && order.refundStatus !== "full" && (
+            <button
+              onClick={() => onRefund(order.paymentId)}
+              className="inline-flex items-center gap-1 px-3 py-1 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50"
+            >
+              <FaUndoAlt className="w-3 h-3" />
+              {t("refunds.refund")}
+            </button>
+          )}
+        </td>
+      )}
+    </tr>
+  );
+};
 
 export default TableRow;
@@ -0,0 +1,164 @@
+import { memo } from "react";
+import { useTranslation } from "react-i18next";
+import {
+  FaClock,
+  FaCheck,
+  FaArrowRight,
+  FaStickyNote,
+  FaHandHoldingMedical,
+} from "react-icons/fa";
+import { MdTableRestaurant } from "react-icons/md";
+import { TbTruckDelivery } from "react-icons/tb";
+import { formatModifier } from "../../utils/modifiers";
+import {
+  getItemKitchenStatus,
+  getNextKitchenStatus,
+  getOrderAgeLevel,
+  formatElapsed,
+} from "../../utils/kitchenStatus";
+
+const AGE_STYLES = {
+  fresh: "border-green-500",
+  warning: "border-yellow-500",
+  late: "border-red-600 animate-pulse",
+};
+
+const TIMER_STYLES = {
+  fresh: "bg-green-100 text-green-800",
+  warning: "bg-yellow-100 text-yellow-800",
+  late: "bg-red-100 text-red-800",
+};
+
+const ITEM_STATUS_STYLES = {
+  new: "bg-gray-100 text-gray-700",
+  preparing: "bg-blue-100 text-blue-700",
+  ready: "bg-green-100 text-green-700",
+};
+
+const TYPE_ICONS = {
+  takeaway: FaHandHoldingMedical,
+  dinein: MdTableRestaurant,
+  delivery: TbTruckDelivery,
+};
+
+const KitchenOrderCard = memo(function KitchenOrderCard({
+  order,
+  status,
+  now,
+  onBump,
+}) {
+  const { t } = useTranslation();
+  const nextStatus = getNextKitchenStatus(status);
+  // Ready orders are no longer aging in the kitchen
+  const ageLevel = status === "ready" ? "fresh" : getOrderAgeLevel(order, now);
+  const TypeIcon = TYPE_ICONS[order.type] || FaHandHoldingMedical;
+
+  const getMealName = (item) =>
+    order.orderItemsData?.find((meal) => meal._id === item.mealId)?.name ||
+    item.name ||
+    t("kitchen.unknownItem");
+
+  return (
+    <div
+      className={`bg-white rounded-lg shadow border-t-4 flex flex-col ${AGE_STYLES[ageLevel]}`}
+    >
+      {/* Order header */}
+      <div className="flex items-center justify-between gap-2 p-3 border-b border-gray-100">
+        <div className="flex items-center gap-2 min-w-0">
+          <TypeIcon className="text-xl text-primary-800 flex-shrink-0" />
+          <span className="font-bold text-lg truncate">#{order.orderCode}</span>
+          {order.type === "dinein" && order.tableNumber && (
+            <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-md">
+              T{order.tableNumber}
+            </span>
+          )}
+        </div>
+        <span
+          className={`flex items-center gap-1 px-2 py-1 rounded-md text-sm font-mono font-semibold ${TIMER_STYLES[ageLevel]}`}
+        >
+          <FaClock className="text-xs" />
+          {formatElapsed(order, now)}
+        </span>
+      </div>
+
+      {/* Items - tap to bump a single item */}
+      <ul className="flex-1 divide-y divide-gray-100">
+        {(order.orderItems || [])
+          .filter((item) => !item.isCancelled)
+          .map((item) => {
+            const itemStatus = getItemKitchenStatus(item);
+            const nextItemStatus = getNextKitchenStatus(itemStatus);
+
+            return (
+              <li key={item._id}>
+                <button
+                  onClick={() =>
+                    nextItemStatus &&
+                    onBump(order._id, nextItemStatus, item._id)
+                  }
+                  disabled={!nextItemStatus}
+                  className="w-full text-start px-3 py-2 hover:bg-gray-50 disabled:cursor-default"
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <span
+                      className={`font-medium ${
+                        itemStatus === "ready"
+                          ? "line-through text-gray-400"
+                          : ""
+                      }`}
+                    >
+                      {item.quantity}× {getMealName(item)}
+                    </span>
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${ITEM_STATUS_STYLES[itemStatus]}`}
+                    >
+                      {t(`kitchen.statuses.${itemStatus}`)}
+                    </span>
+                  </div>
+                  {item.modifiers?.length > 0 && (
+                    <p className="text-xs text-gray-600">
+                      {item.modifiers.map(formatModifier).join(", ")}
+                    </p>
+                  )}
+                  {item.note && (
+                    <p className="text-xs text-orange-700 font-medium">
+                      {item.note}
+                    </p>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+      </ul>
+
+      {/* Order-level kitchen note */}
+      {order.note && (
+        <p className="flex items-start gap-2 mx-3 mb-2 p-2 text-sm bg-orange-50 text-orange-800 rounded-md">
+          <FaStickyNote className="mt-0.5 flex-shrink-0" />
+          {order.note}
+        </p>
+      )}
+
+      {/* Bump whole order */}
+      {nextStatus ? (
+        <button
+          onClick={() => onBump(order._id, nextStatus)}
+          className={`m-3 mt-0 flex items-center justify-center gap-2 py-2 rounded-md font-semibold text-white ${
+            nextStatus === "ready"
+              ? "bg-green-600 hover:bg-green-700"
+              : "bg-primary-700 hover:bg-primary-800"
+          }`}
+        >
+          {nextStatus === "ready" ? <FaCheck /> : <FaArrowRight />}
+          {t(`kitchen.bumpTo.${nextStatus}`)}
+        </button>
+      ) : (
+        <p className="m-3 mt-0 py-2 text-center text-green-700 font-semibold">
+          {t("kitchen.awaitingPickup")}
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default KitchenOrderCard;
@@ -1,6 +1,9 @@
-import { useState } from "react";
-import { FaTimes } from "react-icons/fa";
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { FaTimes, FaUser, FaStickyNote } from "react-icons/fa";
 import { useTranslation } from "react-i18next";
+import { fetchCustomers } from "../../store/customerSlice";
+import { findCustomersByPhone, isSamePhone } from "../../utils/customers";
 
 function CustomerDataModal({
   isOpen,
@@ -19,6 +22,32 @@ function CustomerDataModal({
   });
 
   const [errors, setErrors] = useState({});
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  // Customer directory for phone lookup
+  const dispatch = useDispatch();
+  const { customers } = useSelector((state) => state.customer);
+
+  useEffect(() => {
+    if (customers.length === 0) dispatch(fetchCustomers());
+  }, [dispatch, customers.length]);
+
+  const knownCustomer = customers.find((customer) =>
+    isSamePhone(customer.phone, customerData.custPhone)
+  );
+  const suggestions = showSuggestions
+    ? findCustomersByPhone(customers, customerData.custPhone)
+    : [];
+
+  const handleSelectCustomer = (customer) => {
+    setCustomerData((prev) => ({
+      custName: customer.name || prev.custName,
+      custPhone: customer.phone,
+      custAddress: customer.addresses?.[0]?.address || prev.custAddress,
+    }));
+    setShowSuggestions(false);
+    setErrors({});
+  };
 
   const validateForm = () => {
     const newErrors = {};
@@ -145,18 +174,56 @@ function CustomerDataModal({
                 <span className="text-red-500">*</span>
               )}
             </label>
-            <input
-              type="tel"
-              value={customerData.custPhone}
-              onChange={(e) => handleInputChange("custPhone", e.target.value)}
-              placeholder={t("customerModal.enterPhoneNumber")}
-              className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
-                errors.custPhone ? "border-red-500" : "border-gray-300"
-              } ${isRTL ? "placeholder:text-right text-right" : ""}`}
-            />
+            <div className="relative">
+              <input
+                type="tel"
+                value={customerData.custPhone}
+                onChange={(e) => {
+                  handleInputChange("custPhone", e.target.value);
+                  setShowSuggestions(true);
+                }}
+                onBlur={() => setShowSuggestions(false)}
+                placeholder={t("customerModal.enterPhoneNumber")}
+                className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent ${
+                  errors.custPhone ? "border-red-500" : "border-gray-300"
+                } ${isRTL ? "placeholder:text-right text-right" : ""}`}
+              />
+              {/* Saved customers matching the digits typed so far */}
+              {suggestions.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+                  {suggestions.map((customer) => (
+                    <li key={customer._id}>
+                      <button
+                        type="button"
+                        // mousedown fires before the input loses focus
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          handleSelectCustomer(customer);
+                        }}
+                        className="w-full flex items-center gap-2 px-3 py-2 text-start text-sm hover:bg-primary-50"
+                      >
+                        <FaUser className="text-gray-400 shrink-0" />
+                        <span className="flex-1 truncate">
+                          {customer.name || t("customerModal.unnamedCustomer")}
+                        </span>
+                        <span className="text-gray-500" dir="ltr">
+                          {customer.phone}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
             {errors.custPhone && (
               <p className="text-red-500 text-xs mt-1">{errors.custPhone}</p>
             )}
+            {knownCustomer?.notes && (
+              <p className="flex items-start gap-2 mt-2 p-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-md whitespace-pre-line">
+                <FaStickyNote className="mt-0.5 shrink-0" />
+                {knownCustomer.notes}
+              </p>
+            )}
           </div>
 
           <div>
@@ -166,6 +233,28 @@ function CustomerDataModal({
                 <span className="text-red-500">*</span>
               )}
             </label>
+            {/* Addresses saved for this phone number */}
+            {knownCustomer?.addresses?.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {knownCustomer.addresses.map((item, index) => (
+                  <button
+                    key={item._id || index}
+                    type="button"
+                    onClick={() =>
+                      handleInputChange("custAddress", item.address)
+                    }
+                    className={`max-w-full px-2 py-1 text-xs rounded-md border truncate ${
+                      customerData.custAddress === item.address
+                        ? "bg-primary-700 border-primary-700 text-white"
+                        : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                    }`}
+                    title={item.address}
+                  >
+                    {item.label || item.address}
+                  </button>
+                ))}
+              </div>
+            )}
             <textarea
               value={customerData.custAddress}
               onChange={(e) => handleInputChange("custAddress", e.target.value)}
@@ -0,0 +1,65 @@
+import { memo, useCallback, useMemo } from "react";
+import { useSelector } from "react-redux";
+
+// Free-text kitchen note with one-tap quick-note presets
+const KitchenNoteInput = memo(function KitchenNoteInput({
+  value,
+  onChange,
+  placeholder,
+}) {
+  const { presets } = useSelector((state) => state.kitchenNotes);
+
+  const parts = useMemo(
+    () =>
+      value
+        ? value
+            .split(",")
+            .map((part) => part.trim())
+            .filter(Boolean)
+        : [],
+    [value]
+  );
+
+  // Tapping a preset adds it to the note, tapping it again removes it
+  const togglePreset = useCallback(
+    (preset) => {
+      const next = parts.includes(preset)
+        ? parts.filter((part) => part !== preset)
+        : [...parts, preset];
+      onChange(next.join(", "));
+    },
+    [parts, onChange]
+  );
+
+  return (
+    <div className="space-y-1" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        className="w-full px-2 py-1 text-xs border border-neutral-200 rounded focus:outline-none focus:border-primary-500"
+      />
+      {presets.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {presets.map((preset) => (
+            <button
+              key={preset}
+              type="button"
+              onClick={() => togglePreset(preset)}
+              className={`px-2 py-0.5 rounded-full text-xs border transition-colors ${
+                parts.includes(preset)
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-neutral-200 text-neutral-600 hover:border-primary-500"
+              }`}
+            >
+              {preset}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default KitchenNoteInput;
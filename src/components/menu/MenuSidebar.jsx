@@ -5,10 +5,12 @@ import { MdTableRestaurant } from "react-icons/md";
 import { TbTruckDelivery } from "react-icons/tb";
 import MenuSidebarItem from "./MenuSidebarItem";
 import NumberKeys from "./NumberKeys";
+import KitchenNoteInput from "./KitchenNoteInput";
 
 const MenuSidebar = ({
   cart,
   updateQuantity,
+  updateNote,
   setQuantity,
   selectedCartItemId,
   setSelectedCartItemId,
@@ -18,6 +20,8 @@ const MenuSidebar = ({
   isCreatingOrder,
   orderType,
   onOrderTypeChange,
+  orderNote,
+  onOrderNoteChange,
 }) => {
   const { t } = useTranslation();
 
@@ -48,13 +52,21 @@ const MenuSidebar = ({
             key={item._id}
             item={item}
             updateQuantity={updateQuantity}
+            updateNote={updateNote}
             isSelected={selectedCartItemId === item._id}
             onSelect={setSelectedCartItemId}
           />
         ))}
       </div>
     );
-  }, [cart, updateQuantity, selectedCartItemId, setSelectedCartItemId, t]);
+  }, [
+    cart,
+    updateQuantity,
+    updateNote,
+    selectedCartItemId,
+    setSelectedCartItemId,
+    t,
+  ]);
 
   return (
     <div className="pb-2 pt-1 px-1  h-full flex flex-col">
@@ -105,6 +117,20 @@ const MenuSidebar = ({
         {cartItems}
       </div>
 
+      {/* Order-level kitchen note */}
+      {cart.length > 0 && (
+        <div className="border-t border-neutral-200 pt-2 mb-2">
+          <label className="block text-xs font-medium text-neutral-600 mb-1">
+            {t("kitchenNotes.orderNote")}
+          </label>
+          <KitchenNoteInput
+            value={orderNote}
+            onChange={onOrderNoteChange}
+            placeholder={t("kitchenNotes.orderNotePlaceholder")}
+          />
+        </div>
+      )}
+
       {/* Number Keys Section - Always visible at bottom */}
       <div className="border-t border-neutral-200 pt-2">
         <NumberKeys
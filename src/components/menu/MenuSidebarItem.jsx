@@ -1,5 +1,7 @@
 import { FaMinus, FaPlus } from "react-icons/fa";
 import { useTranslation } from "react-i18next";
+import { formatModifier } from "../../utils/modifiers";
+import KitchenNoteInput from "./KitchenNoteInput";
 
 // Quantity Control Button component
 const QuantityButton = ({ onClick, disabled, icon: Icon }) => (
@@ -12,7 +14,13 @@ const QuantityButton = ({ onClick, disabled, icon: Icon }) => (
   </button>
 );
 
-const MenuSidebarItem = ({ item, updateQuantity, isSelected, onSelect }) => {
+const MenuSidebarItem = ({
+  item,
+  updateQuantity,
+  updateNote,
+  isSelected,
+  onSelect,
+}) => {
   const { t, i18n } = useTranslation();
   const isRTL = i18n.language === "ar";
 
@@ -40,7 +48,7 @@ const MenuSidebarItem = ({ item, updateQuantity, isSelected, onSelect }) => {
 
   return (
     <div
-      className={`flex items-center gap-2 rounded-md p-2 shadow-sm cursor-pointer transition-all ${
+      className={`flex flex-wrap items-center gap-2 rounded-md p-2 shadow-sm cursor-pointer transition-all ${
         isSelected
           ? "bg-primary-50 border border-primary-300"
           : "bg-white border border-neutral-200 hover:bg-neutral-50"
@@ -67,6 +75,11 @@ const MenuSidebarItem = ({ item, updateQuantity, isSelected, onSelect }) => {
             </span>
           </span>
         </div>
+        {item.modifiers?.length > 0 && (
+          <p className="text-xs text-neutral-500 truncate">
+            {item.modifiers.map(formatModifier).join(", ")}
+          </p>
+        )}
       </div>
 
       {/* Quantity Controls */}
@@ -95,6 +108,23 @@ const MenuSidebarItem = ({ item, updateQuantity, isSelected, onSelect }) => {
           icon={FaPlus}
         />
       </div>
+
+      {/* Kitchen note for this line */}
+      {isSelected && updateNote ? (
+        <div className="w-full">
+          <KitchenNoteInput
+            value={item.note || ""}
+            onChange={(note) => updateNote(item.id || item._id, note)}
+            placeholder={t("kitchenNotes.itemNotePlaceholder")}
+          />
+        </div>
+      ) : (
+        item.note && (
+          <p className="w-full text-xs text-orange-700 truncate">
+            {t("kitchenNotes.note")}: {item.note}
+          </p>
+        )
+      )}
     </div>
   );
 };
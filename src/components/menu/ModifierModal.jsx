@@ -0,0 +1,155 @@
+import { useState, useMemo, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import Modal from "../common/Modal";
+import {
+  validateModifierSelection,
+  buildSelectedModifiers,
+  getModifiersPriceDelta,
+  formatModifier,
+} from "../../utils/modifiers";
+
+// Lets the cashier pick a meal's modifiers before it is added to the cart
+const ModifierModal = ({ meal, onConfirm, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const groups = useMemo(() => meal.modifierGroups || [], [meal]);
+
+  // Map of group index -> selected option indexes
+  const [selection, setSelection] = useState({});
+  const [showErrors, setShowErrors] = useState(false);
+
+  const errors = useMemo(
+    () => validateModifierSelection(groups, selection),
+    [groups, selection]
+  );
+
+  const modifiers = useMemo(
+    () => buildSelectedModifiers(groups, selection),
+    [groups, selection]
+  );
+
+  const unitPrice = useMemo(
+    () => (Number(meal.price) || 0) + getModifiersPriceDelta(modifiers),
+    [meal.price, modifiers]
+  );
+
+  const toggleOption = useCallback(
+    (groupIndex, optionIndex) => {
+      const group = groups[groupIndex];
+      setSelection((prev) => {
+        const current = prev[groupIndex] || [];
+
+        // Single choice groups behave like radio buttons
+        if (group.maxSelect === 1) {
+          const isSelected = current.includes(optionIndex);
+          return {
+            ...prev,
+            [groupIndex]: isSelected && !group.required ? [] : [optionIndex],
+          };
+        }
+
+        if (current.includes(optionIndex)) {
+          return {
+            ...prev,
+            [groupIndex]: current.filter((index) => index !== optionIndex),
+          };
+        }
+
+        if (current.length >= group.maxSelect) return prev;
+
+        return { ...prev, [groupIndex]: [...current, optionIndex] };
+      });
+    },
+    [groups]
+  );
+
+  const handleConfirm = useCallback(() => {
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    onConfirm(modifiers);
+  }, [errors, modifiers, onConfirm]);
+
+  const getGroupHint = (group) => {
+    const min = group.required ? Math.max(group.minSelect, 1) : group.minSelect;
+    if (min > 0 && min === group.maxSelect) {
+      return t("modifiers.chooseExactly", { count: min });
+    }
+    if (min > 0) {
+      return t("modifiers.chooseBetween", { min, max: group.maxSelect });
+    }
+    return t("modifiers.chooseUpTo", { count: group.maxSelect });
+  };
+
+  return (
+    <Modal title={meal.name} onClose={onClose} size="md">
+      <div className="space-y-4" dir={isRTL ? "rtl" : "ltr"}>
+        {groups.map((group, groupIndex) => {
+          const selected = selection[groupIndex] || [];
+          const hasError = showErrors && errors[groupIndex];
+
+          return (
+            <div key={groupIndex}>
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold text-gray-800">
+                  {group.name}
+                  {group.required && (
+                    <span className="text-red-500 ms-1">*</span>
+                  )}
+                </h3>
+                <span
+                  className={`text-xs ${
+                    hasError ? "text-red-600 font-medium" : "text-gray-500"
+                  }`}
+                >
+                  {getGroupHint(group)}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                {group.options.map((option, optionIndex) => {
+                  const isSelected = selected.includes(optionIndex);
+                  return (
+                    <button
+                      key={optionIndex}
+                      type="button"
+                      onClick={() => toggleOption(groupIndex, optionIndex)}
+                      className={`px-3 py-2 rounded-lg border text-sm text-start transition-colors ${
+                        isSelected
+                          ? "bg-primary-700 border-primary-700 text-white"
+                          : "bg-white border-gray-300 text-gray-700 hover:border-primary-700"
+                      }`}
+                    >
+                      {formatModifier(option)}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+
+        <div className="flex items-center justify-between pt-3 border-t border-gray-200">
+          <span className="font-semibold text-gray-800">
+            {unitPrice.toFixed(2)}
+          </span>
+          <div className="flex gap-2">
+            <button type="button" className="btn-outline" onClick={onClose}>
+              {t("common.cancel")}
+            </button>
+            <button
+              type="button"
+              onClick={handleConfirm}
+              className="px-4 py-2 rounded-md text-white font-medium bg-primary-800 hover:bg-primary-900"
+            >
+              {t("modifiers.addToOrder")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ModifierModal;
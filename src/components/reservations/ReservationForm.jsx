@@ -0,0 +1,332 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaExclamationTriangle } from "react-icons/fa";
+import Modal from "../common/Modal";
+import {
+  createReservation,
+  updateReservation,
+} from "../../store/reservationSlice";
+import { fetchCustomers } from "../../store/customerSlice";
+import { isSamePhone } from "../../utils/customers";
+import {
+  DEFAULT_DURATION_MINUTES,
+  findConflicts,
+  getTableSeats,
+  suggestTables,
+  toDateKey,
+} from "../../utils/reservations";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+const toTimeValue = (date) =>
+  `${String(date.getHours()).padStart(2, "0")}:${String(
+    date.getMinutes()
+  ).padStart(2, "0")}`;
+
+// Book a table, or edit a booking, with tables suggested for the party
+const ReservationForm = ({ reservation, defaultDate, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const isEditing = !!reservation;
+  const dispatch = useDispatch();
+  const { tables } = useSelector((state) => state.table);
+  const { reservations } = useSelector((state) => state.reservation);
+  const { customers } = useSelector((state) => state.customer);
+
+  const initialTime = reservation ? new Date(reservation.time) : null;
+  const [formData, setFormData] = useState({
+    name: reservation?.name || "",
+    phone: reservation?.phone || "",
+    partySize: reservation?.partySize || 2,
+    date: initialTime ? toDateKey(initialTime) : defaultDate || toDateKey(),
+    time: initialTime ? toTimeValue(initialTime) : "19:00",
+    duration: reservation?.duration || DEFAULT_DURATION_MINUTES,
+    tableNumber: reservation?.tableNumber ?? "",
+    notes: reservation?.notes || "",
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (customers.length === 0) dispatch(fetchCustomers());
+  }, [customers.length, dispatch]);
+
+  const updateField = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const start = new Date(`${formData.date}T${formData.time}`);
+  const booking = {
+    _id: reservation?._id,
+    partySize: Number(formData.partySize) || 1,
+    time: Number.isNaN(start.getTime()) ? null : start.toISOString(),
+    duration: Number(formData.duration) || DEFAULT_DURATION_MINUTES,
+    tableNumber: formData.tableNumber === "" ? null : formData.tableNumber,
+  };
+
+  const suggestions = suggestTables(tables, reservations, booking);
+  const conflicts = findConflicts(reservations, booking);
+
+  const customer = customers.find((item) =>
+    isSamePhone(item.phone, formData.phone)
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim() || !formData.phone.trim()) {
+      toast.error(t("reservations.nameAndPhoneRequired"));
+      return;
+    }
+    if (!booking.time) {
+      toast.error(t("reservations.timeRequired"));
+      return;
+    }
+    if (conflicts.length > 0) {
+      toast.error(t("reservations.tableTaken"));
+      return;
+    }
+
+    const reservationData = {
+      name: formData.name.trim(),
+      phone: formData.phone.trim(),
+      partySize: booking.partySize,
+      time: booking.time,
+      duration: booking.duration,
+      tableNumber:
+        booking.tableNumber === null ? null : Number(booking.tableNumber),
+      notes: formData.notes.trim(),
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (isEditing) {
+        await dispatch(
+          updateReservation({
+            reservationId: reservation._id,
+            reservationData,
+          })
+        ).unwrap();
+        toast.success(t("reservations.updated"));
+      } else {
+        await dispatch(createReservation(reservationData)).unwrap();
+        toast.success(t("reservations.created"));
+      }
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("reservations.saveFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={
+        isEditing
+          ? t("reservations.editReservation")
+          : t("reservations.addReservation")
+      }
+      onClose={onClose}
+      size="lg"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        dir={isRTL ? "rtl" : "ltr"}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.name")} *
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => updateField("name", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.phone")} *
+            </label>
+            <input
+              type="tel"
+              dir="ltr"
+              value={formData.phone}
+              onChange={(e) => {
+                const phone = e.target.value;
+                const match = customers.find((item) =>
+                  isSamePhone(item.phone, phone)
+                );
+                setFormData((prev) => ({
+                  ...prev,
+                  phone,
+                  name: prev.name || match?.name || "",
+                }));
+              }}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {customer?.noShowCount > 0 && (
+          <p className="flex items-center gap-2 p-2 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md">
+            <FaExclamationTriangle />
+            {t("reservations.previousNoShows", {
+              count: customer.noShowCount,
+            })}
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.partySize")}
+            </label>
+            <input
+              type="number"
+              min="1"
+              value={formData.partySize}
+              onChange={(e) => updateField("partySize", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.date")}
+            </label>
+            <input
+              type="date"
+              value={formData.date}
+              onChange={(e) => updateField("date", e.target.value)}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.time")}
+            </label>
+            <input
+              type="time"
+              step="900"
+              value={formData.time}
+              onChange={(e) => updateField("time", e.target.value)}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("reservations.duration")}
+            </label>
+            <select
+              value={formData.duration}
+              onChange={(e) => updateField("duration", e.target.value)}
+              className={inputClass}
+            >
+              {[60, 90, 120, 150, 180].map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {t("reservations.minutes", { count: minutes })}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Table, with the tables that fit the party suggested */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("reservations.table")}
+          </label>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {suggestions.slice(0, 6).map((table) => (
+              <button
+                key={table._id}
+                type="button"
+                onClick={() => updateField("tableNumber", table.number)}
+                className={`px-3 py-1 text-sm rounded-full border transition-colors ${
+                  String(formData.tableNumber) === String(table.number)
+                    ? "bg-primary-700 border-primary-700 text-white"
+                    : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                }`}
+              >
+                {t("reservations.tableOption", {
+                  number: table.number,
+                  seats: getTableSeats(table),
+                })}
+              </button>
+            ))}
+            {suggestions.length === 0 && (
+              <span className="text-sm text-gray-500">
+                {t("reservations.noSuggestions")}
+              </span>
+            )}
+          </div>
+          <select
+            value={formData.tableNumber}
+            onChange={(e) => updateField("tableNumber", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">{t("reservations.noTable")}</option>
+            {[...tables]
+              .sort((a, b) => a.number - b.number)
+              .map((table) => (
+                <option key={table._id} value={table.number}>
+                  {t("reservations.tableOption", {
+                    number: table.number,
+                    seats: getTableSeats(table),
+                  })}
+                </option>
+              ))}
+          </select>
+          {conflicts.length > 0 && (
+            <p className="mt-1 text-sm text-red-600">
+              {t("reservations.conflictWith", {
+                name: conflicts[0].name,
+                time: new Date(conflicts[0].time).toLocaleTimeString([], {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                }),
+              })}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("reservations.notes")}
+          </label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => updateField("notes", e.target.value)}
+            rows={2}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900 disabled:opacity-50"
+          >
+            {isSubmitting ? t("reservations.saving") : t("reservations.save")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReservationForm;
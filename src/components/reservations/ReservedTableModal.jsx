@@ -0,0 +1,62 @@
+import { useTranslation } from "react-i18next";
+import { FaCalendarCheck, FaWalking } from "react-icons/fa";
+import Modal from "../common/Modal";
+
+// Asked when a cashier seats a table that is held for a booking: seat the
+// booked party, or a walk-in anyway
+const ReservedTableModal = ({
+  table,
+  reservation,
+  onSeatReservation,
+  onSeatWalkIn,
+  onClose,
+}) => {
+  const { t } = useTranslation();
+
+  return (
+    <Modal title={t("reservations.reservedTable")} onClose={onClose}>
+      <div className="space-y-4">
+        <p className="text-gray-700">
+          {t("reservations.reservedTableMessage", {
+            number: table.number,
+            name: reservation.name,
+            count: reservation.partySize,
+            time: new Date(reservation.time).toLocaleTimeString([], {
+              hour: "2-digit",
+              minute: "2-digit",
+            }),
+          })}
+        </p>
+        {reservation.notes && (
+          <p className="p-2 text-sm text-gray-600 bg-gray-50 rounded-md">
+            {reservation.notes}
+          </p>
+        )}
+        <div className="flex flex-col gap-2">
+          <button
+            onClick={onSeatReservation}
+            className="flex items-center justify-center gap-2 px-4 py-3 text-white bg-primary-800 rounded-md hover:bg-primary-900"
+          >
+            <FaCalendarCheck />
+            {t("reservations.seatReservation", { name: reservation.name })}
+          </button>
+          <button
+            onClick={onSeatWalkIn}
+            className="flex items-center justify-center gap-2 px-4 py-3 text-amber-800 border border-amber-500 rounded-md hover:bg-amber-50"
+          >
+            <FaWalking />
+            {t("reservations.seatWalkInAnyway")}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ReservedTableModal;
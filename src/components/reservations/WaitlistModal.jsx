@@ -0,0 +1,237 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaChair, FaTimes, FaUserPlus } from "react-icons/fa";
+import Modal from "../common/Modal";
+import {
+  addToWaitlist,
+  updateWaitlistEntry,
+} from "../../store/reservationSlice";
+import { estimateWaitMinutes, getTableSeats } from "../../utils/reservations";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+const EMPTY_ENTRY = { name: "", phone: "", partySize: 2 };
+
+// Walk-in parties waiting for a table, with estimated waits. Seating a
+// party opens the menu for the table picked.
+const WaitlistModal = ({ tables, freeTables, now, onSeat, onClose }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { waitlist } = useSelector((state) => state.reservation);
+
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [seatTables, setSeatTables] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const waiting = waitlist
+    .filter((item) => item.status === "waiting")
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!entry.name.trim()) {
+      toast.error(t("waitlist.nameRequired"));
+      return;
+    }
+    try {
+      await dispatch(
+        addToWaitlist({
+          name: entry.name.trim(),
+          phone: entry.phone.trim(),
+          partySize: Number(entry.partySize) || 1,
+        })
+      ).unwrap();
+      setEntry(EMPTY_ENTRY);
+    } catch (error) {
+      toast.error(error.message || t("waitlist.addFailed"));
+    }
+  };
+
+  const handleUpdate = async (item, entryData) => {
+    setBusyId(item._id);
+    try {
+      await dispatch(
+        updateWaitlistEntry({ entryId: item._id, entryData })
+      ).unwrap();
+      return true;
+    } catch (error) {
+      toast.error(error.message || t("waitlist.updateFailed"));
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSeat = async (item, fitting) => {
+    const table =
+      fitting.find(
+        (option) => String(option._id) === String(seatTables[item._id])
+      ) || fitting[0];
+    if (!table) return;
+    const seated = await handleUpdate(item, {
+      status: "seated",
+      tableNumber: table.number,
+    });
+    if (seated) onSeat(table);
+  };
+
+  const handleRemove = (item) => {
+    if (window.confirm(t("waitlist.confirmRemove", { name: item.name }))) {
+      handleUpdate(item, { status: "left" });
+    }
+  };
+
+  return (
+    <Modal title={t("waitlist.title")} onClose={onClose} size="lg">
+      <div className="space-y-5">
+        {/* Add a walk-in party */}
+        <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2">
+          <div className="flex-1 min-w-[8rem]">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("waitlist.name")}
+            </label>
+            <input
+              type="text"
+              value={entry.name}
+              onChange={(e) =>
+                setEntry((prev) => ({ ...prev, name: e.target.value }))
+              }
+              className={inputClass}
+            />
+          </div>
+          <div className="w-36">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("waitlist.phone")}
+            </label>
+            <input
+              type="tel"
+              dir="ltr"
+              value={entry.phone}
+              onChange={(e) =>
+                setEntry((prev) => ({ ...prev, phone: e.target.value }))
+              }
+              className={inputClass}
+            />
+          </div>
+          <div className="w-20">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("waitlist.partySize")}
+            </label>
+            <input
+              type="number"
+              min="1"
+              value={entry.partySize}
+              onChange={(e) =>
+                setEntry((prev) => ({ ...prev, partySize: e.target.value }))
+              }
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+          >
+            <FaUserPlus />
+            {t("waitlist.add")}
+          </button>
+        </form>
+
+        {/* Waiting parties */}
+        {waiting.length === 0 ? (
+          <p className="py-6 text-center text-gray-500">
+            {t("waitlist.empty")}
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+            {waiting.map((item, index) => {
+              const fitting = freeTables.filter(
+                (table) => getTableSeats(table) >= Number(item.partySize)
+              );
+              const wait = estimateWaitMinutes(
+                waitlist,
+                item,
+                tables,
+                freeTables
+              );
+              const waited = Math.max(
+                Math.floor((now - new Date(item.createdAt)) / 60000),
+                0
+              );
+              return (
+                <li
+                  key={item._id}
+                  className="flex flex-wrap items-center gap-3 px-3 py-2"
+                >
+                  <span className="w-6 text-center font-bold text-gray-400">
+                    {index + 1}
+                  </span>
+                  <div className="flex-1 min-w-[8rem]">
+                    <p className="font-medium text-gray-800">
+                      {item.name}{" "}
+                      <span className="text-sm text-gray-500">
+                        ({t("waitlist.guests", { count: item.partySize })})
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {t("waitlist.waited", { minutes: waited })}
+                      {" · "}
+                      {wait === null
+                        ? t("waitlist.noTableFits")
+                        : wait === 0
+                        ? t("waitlist.tableReady")
+                        : t("waitlist.estimatedWait", { minutes: wait })}
+                    </p>
+                  </div>
+                  <select
+                    value={seatTables[item._id] || fitting[0]?._id || ""}
+                    onChange={(e) =>
+                      setSeatTables((prev) => ({
+                        ...prev,
+                        [item._id]: e.target.value,
+                      }))
+                    }
+                    disabled={fitting.length === 0}
+                    className="px-2 py-2 text-sm border border-gray-300 rounded-md disabled:opacity-50"
+                  >
+                    {fitting.length === 0 && (
+                      <option value="">{t("waitlist.noFreeTable")}</option>
+                    )}
+                    {fitting.map((table) => (
+                      <option key={table._id} value={table._id}>
+                        {t("reservations.tableOption", {
+                          number: table.number,
+                          seats: getTableSeats(table),
+                        })}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleSeat(item, fitting)}
+                    disabled={fitting.length === 0 || busyId === item._id}
+                    className="flex items-center gap-2 px-3 py-2 text-sm text-white bg-green-600 rounded-md hover:bg-green-700 disabled:bg-gray-400"
+                  >
+                    <FaChair />
+                    {t("waitlist.seat")}
+                  </button>
+                  <button
+                    onClick={() => handleRemove(item)}
+                    disabled={busyId === item._id}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-md"
+                    title={t("waitlist.remove")}
+                  >
+                    <FaTimes />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default WaitlistModal;
@@ -2,7 +2,15 @@ import { useState, useEffect } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import Modal from "../common/Modal";
-import { addStock, updateStock, fetchStocks } from "../../store/stockSlice";
+import {
+  addStock,
+  updateStock,
+  fetchStocks,
+  logStockMovements,
+} from "../../store/stockSlice";
+import { fetchSuppliers } from "../../store/supplierSlice";
+import StockMovementTimeline from "./stock-movements/StockMovementTimeline";
+import StockAdjustmentForm from "./stock-movements/StockAdjustmentForm";
 
 function StockForm({ stock = null, onClose, isViewMode = false }) {
   const { t, i18n } = useTranslation();
@@ -10,6 +18,7 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
   const dispatch = useDispatch();
   const { loading, error, stocks } = useSelector((state) => state.stock);
   const { user } = useSelector((state) => state.auth);
+  const { suppliers } = useSelector((state) => state.supplier);
 
   const isEditing = !!stock && !isViewMode;
 
@@ -56,6 +65,11 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
     }
   }, [stock, user]);
 
+  // Supplier names from the directory are offered as suggestions
+  useEffect(() => {
+    if (!isViewMode && suppliers.length === 0) dispatch(fetchSuppliers());
+  }, [isViewMode, suppliers.length, dispatch]);
+
   // Search for existing stocks when name changes or on focus
   useEffect(() => {
     if (!stock && showSuggestions) {
@@ -276,6 +290,25 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
       if (isEditing) {
         // Editing existing stock
         await dispatch(updateStock({ stockId: stock._id, stockData })).unwrap();
+
+        // A changed quantity goes in the ledger as an adjustment
+        const delta = stockData.quantity - Number(stock.quantity || 0);
+        if (delta !== 0) {
+          dispatch(
+            logStockMovements({
+              type: "adjustment",
+              source: { kind: "stock", id: stock._id },
+              items: [
+                {
+                  stockItemId: stock._id,
+                  quantity: delta,
+                  unit: stockData.unit,
+                },
+              ],
+              note: t("stockMovements.editedNote"),
+            })
+          );
+        }
       } else if (selectedExistingStock && !isNewStock) {
         // Updating existing stock (add to quantity)
         const updatedStockData = {
@@ -310,6 +343,7 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
             stockData: updatedStockData,
           })
         ).unwrap();
+        logPurchase(selectedExistingStock._id, stockData, totalCost);
       } else {
         // Creating new stock
         stockData.invoice = [
@@ -319,7 +353,8 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
             residualValue: residualValue,
           },
         ];
-        await dispatch(addStock(stockData)).unwrap();
+        const created = await dispatch(addStock(stockData)).unwrap();
+        logPurchase(created.data?._id, stockData, totalCost);
       }
 
       dispatch(fetchStocks());
@@ -329,6 +364,29 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
     }
   };
 
+  // Stock bought in goes in the ledger as a purchase
+  const logPurchase = (stockItemId, stockData, totalCost) => {
+    if (!stockItemId) return;
+    dispatch(
+      logStockMovements({
+        type: "purchase",
+        source: {
+          kind: "invoice",
+          supplier: stockData.supplierName,
+          value: totalCost,
+          paymentType: formData.invoiceType,
+        },
+        items: [
+          {
+            stockItemId,
+            quantity: Number(formData.quantity),
+            unit: stockData.unit,
+          },
+        ],
+      })
+    );
+  };
+
   const getModalTitle = () => {
     if (isViewMode) return t("forms.stockForm.viewStock");
     if (isEditing) return t("forms.stockForm.editStock");
@@ -354,7 +412,11 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
   };
 
   return (
-    <Modal title={getModalTitle()} onClose={onClose}>
+    <Modal
+      title={getModalTitle()}
+      onClose={onClose}
+      size={isViewMode ? "lg" : "md"}
+    >
       <div className="space-y-4" dir={isRTL ? "rtl" : "ltr"}>
         <form onSubmit={handleSubmit}>
           {/* Error display */}
@@ -443,6 +505,7 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
             <input
               type="text"
               name="supplierName"
+              list="stock-form-suppliers"
               value={formData.supplierName}
               onChange={handleChange}
               className={`w-full mb-5 px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 ${
@@ -451,6 +514,11 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
               placeholder={t("forms.stockForm.enterSupplierName")}
               required
             />
+            <datalist id="stock-form-suppliers">
+              {suppliers.map((supplier) => (
+                <option key={supplier._id} value={supplier.name} />
+              ))}
+            </datalist>
             {formErrors.supplierName && (
               <p className="text-red-500 text-xs mt-1">
                 {t("forms.stockForm.supplierRequired")}
@@ -731,6 +799,14 @@ function StockForm({ stock = null, onClose, isViewMode = false }) {
             </div>
           )}
 
+          {/* Movement ledger */}
+          {isViewMode && stock && (
+            <div className="space-y-4 mb-4">
+              <StockAdjustmentForm stock={stock} />
+              <StockMovementTimeline stock={stock} />
+            </div>
+          )}
+
           {/* Form actions */}
           <div className={`flex justify-start gap-3`}>
             {!isViewMode && (
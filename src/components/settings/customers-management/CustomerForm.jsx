@@ -0,0 +1,264 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import { createCustomer, updateCustomer } from "../../../store/customerSlice";
+import { getCustomerStats, isSamePhone } from "../../../utils/customers";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+// Add or edit a customer, with their order history
+const CustomerForm = ({ customer, customers, orders = [], onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const isEditing = !!customer;
+  const dispatch = useDispatch();
+
+  const [formData, setFormData] = useState({
+    name: customer?.name || "",
+    phone: customer?.phone || "",
+    notes: customer?.notes || "",
+    addresses: customer?.addresses?.length
+      ? customer.addresses
+      : [{ label: "", address: "" }],
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const stats = getCustomerStats(orders);
+
+  const updateAddress = (index, changes) =>
+    setFormData((prev) => ({
+      ...prev,
+      addresses: prev.addresses.map((item, itemIndex) =>
+        itemIndex === index ? { ...item, ...changes } : item
+      ),
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.phone.trim()) {
+      toast.error(t("customers.phoneRequired"));
+      return;
+    }
+    if (
+      customers.some(
+        (item) =>
+          item._id !== customer?._id && isSamePhone(item.phone, formData.phone)
+      )
+    ) {
+      toast.error(t("customers.phoneExists"));
+      return;
+    }
+
+    const customerData = {
+      name: formData.name.trim(),
+      phone: formData.phone.trim(),
+      notes: formData.notes.trim(),
+      addresses: formData.addresses
+        .map((item) => ({
+          ...item,
+          label: item.label.trim(),
+          address: item.address.trim(),
+        }))
+        .filter((item) => item.address),
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (isEditing) {
+        await dispatch(
+          updateCustomer({ customerId: customer._id, customerData })
+        ).unwrap();
+        toast.success(t("customers.updated"));
+      } else {
+        await dispatch(createCustomer(customerData)).unwrap();
+        toast.success(t("customers.created"));
+      }
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("customers.saveFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={
+        isEditing ? t("customers.editCustomer") : t("customers.addCustomer")
+      }
+      onClose={onClose}
+      size="lg"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        dir={isRTL ? "rtl" : "ltr"}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("customers.name")}
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, name: e.target.value }))
+              }
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("customers.phone")} *
+            </label>
+            <input
+              type="tel"
+              dir="ltr"
+              value={formData.phone}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, phone: e.target.value }))
+              }
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {/* Saved addresses */}
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-gray-700">
+            {t("customers.addresses")}
+          </p>
+          {formData.addresses.map((item, index) => (
+            <div key={item._id || index} className="flex gap-2">
+              <input
+                type="text"
+                value={item.label}
+                onChange={(e) =>
+                  updateAddress(index, { label: e.target.value })
+                }
+                placeholder={t("customers.addressLabel")}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+              />
+              <input
+                type="text"
+                value={item.address}
+                onChange={(e) =>
+                  updateAddress(index, { address: e.target.value })
+                }
+                placeholder={t("customers.address")}
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() =>
+                  setFormData((prev) => ({
+                    ...prev,
+                    addresses: prev.addresses.filter(
+                      (_, itemIndex) => itemIndex !== index
+                    ),
+                  }))
+                }
+                className="p-2 text-red-500 hover:text-red-700"
+                title={t("customers.removeAddress")}
+              >
+                <FaTrash />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() =>
+              setFormData((prev) => ({
+                ...prev,
+                addresses: [...prev.addresses, { label: "", address: "" }],
+              }))
+            }
+            className="flex items-center gap-1 text-sm text-primary-700 hover:text-primary-800"
+          >
+            <FaPlus size={12} />
+            {t("customers.addAddress")}
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("customers.notes")}
+          </label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) =>
+              setFormData((prev) => ({ ...prev, notes: e.target.value }))
+            }
+            placeholder={t("customers.notesPlaceholder")}
+            rows="2"
+            className={`${inputClass} resize-none`}
+          />
+        </div>
+
+        {/* Order history */}
+        {isEditing && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              {t("customers.orderHistory")}{" "}
+              <span className="text-gray-500 font-normal">
+                ({stats.count} · {stats.totalSpent.toFixed(2)} AED)
+              </span>
+            </p>
+            {orders.length === 0 ? (
+              <p className="text-sm text-gray-500">{t("customers.noOrders")}</p>
+            ) : (
+              <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md">
+                {orders.map((order) => (
+                  <li
+                    key={order._id}
+                    className="flex justify-between gap-2 px-3 py-2 text-sm"
+                  >
+                    <span className="font-medium">{order.orderCode}</span>
+                    <span className="text-gray-500">
+                      {new Date(order.createdAt).toLocaleString()}
+                    </span>
+                    <span className="truncate text-gray-500">
+                      {order.custAddress}
+                    </span>
+                    <span
+                      className={
+                        order.isCancelled ? "text-red-500 line-through" : ""
+                      }
+                    >
+                      {Number(order.totalPrice || 0).toFixed(2)} AED
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+          >
+            {isSubmitting ? t("customers.saving") : t("customers.save")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default CustomerForm;
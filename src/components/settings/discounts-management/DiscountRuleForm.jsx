@@ -0,0 +1,359 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import { DISCOUNT_TYPES } from "../../../utils/discounts";
+
+// Sunday first, matching Date.getDay()
+const WEEK_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const LINE_TYPES = ["item_percent", "item_fixed", "buy_x_get_y"];
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+const DiscountRuleForm = ({ rule, onSave, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const { meals } = useSelector((state) => state.meals);
+  const { categories } = useSelector((state) => state.categories);
+
+  const [formData, setFormData] = useState({
+    ...rule,
+    value: String(rule.value ?? ""),
+    usageLimit: rule.usageLimit ?? "",
+  });
+  const [hasSchedule, setHasSchedule] = useState(Boolean(rule.schedule));
+  const [schedule, setSchedule] = useState({
+    days: [],
+    start: "17:00",
+    end: "19:00",
+    ...rule.schedule,
+  });
+
+  const isLineRule = LINE_TYPES.includes(formData.type);
+
+  const updateField = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const toggleId = (field, id) =>
+    setFormData((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(id)
+        ? prev[field].filter((item) => item !== id)
+        : [...prev[field], id],
+    }));
+
+  const toggleDay = (day) =>
+    setSchedule((prev) => ({
+      ...prev,
+      days: prev.days.includes(day)
+        ? prev.days.filter((item) => item !== day)
+        : [...prev.days, day].sort(),
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error(t("discounts.nameRequired"));
+      return;
+    }
+    const value = parseFloat(formData.value) || 0;
+    if (formData.type !== "buy_x_get_y" && value <= 0) {
+      toast.error(t("discounts.valueRequired"));
+      return;
+    }
+
+    onSave({
+      ...formData,
+      name: formData.name.trim(),
+      nameAr: formData.nameAr.trim(),
+      value,
+      mealIds: isLineRule ? formData.mealIds : [],
+      categoryIds: isLineRule ? formData.categoryIds : [],
+      buyQuantity: Math.max(parseInt(formData.buyQuantity, 10) || 1, 1),
+      getQuantity: Math.max(parseInt(formData.getQuantity, 10) || 1, 1),
+      schedule: hasSchedule ? schedule : null,
+      promoCode: formData.promoCode.trim().toUpperCase(),
+      usageLimit: parseInt(formData.usageLimit, 10) || null,
+    });
+    onClose();
+  };
+
+  return (
+    <Modal
+      title={rule.name ? t("discounts.editRule") : t("discounts.addRule")}
+      onClose={onClose}
+      size="lg"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        dir={isRTL ? "rtl" : "ltr"}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.name")} *
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => updateField("name", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.nameAr")}
+            </label>
+            <input
+              type="text"
+              dir="rtl"
+              value={formData.nameAr}
+              onChange={(e) => updateField("nameAr", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.type")}
+            </label>
+            <select
+              value={formData.type}
+              onChange={(e) => updateField("type", e.target.value)}
+              className={inputClass}
+            >
+              {DISCOUNT_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {t(`discounts.types.${type}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+          {formData.type === "buy_x_get_y" ? (
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t("discounts.buyQuantity")}
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.buyQuantity}
+                  onChange={(e) => updateField("buyQuantity", e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t("discounts.getQuantity")}
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.getQuantity}
+                  onChange={(e) => updateField("getQuantity", e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {["order_fixed", "item_fixed"].includes(formData.type)
+                  ? t("discounts.amount")
+                  : t("discounts.percent")}
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.value}
+                onChange={(e) => updateField("value", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Meals and categories a line-level rule covers */}
+        {isLineRule && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.appliesTo")}
+            </p>
+            <p className="text-xs text-gray-500 mb-2">
+              {t("discounts.appliesToHint")}
+            </p>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {categories.map((category) => (
+                <label
+                  key={category._id}
+                  className="flex items-center gap-1 px-2 py-1 text-sm border border-gray-200 rounded-md"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.categoryIds.includes(category._id)}
+                    onChange={() => toggleId("categoryIds", category._id)}
+                  />
+                  {category.name}
+                </label>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+              {meals.map((meal) => (
+                <label
+                  key={meal._id}
+                  className="flex items-center gap-1 px-2 py-1 text-xs border border-gray-200 rounded-md"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.mealIds.includes(meal._id)}
+                    onChange={() => toggleId("mealIds", meal._id)}
+                  />
+                  {meal.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Happy hour window */}
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={hasSchedule}
+              onChange={(e) => setHasSchedule(e.target.checked)}
+              className="w-4 h-4"
+            />
+            {t("discounts.schedule")}
+          </label>
+          {hasSchedule && (
+            <div className="ps-6 space-y-2">
+              <div className="flex flex-wrap gap-2">
+                {WEEK_DAYS.map((day) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(day)}
+                    className={`px-2 py-1 text-xs rounded-md border ${
+                      schedule.days.includes(day)
+                        ? "bg-primary-700 border-primary-700 text-white"
+                        : "bg-white border-gray-300 text-gray-700"
+                    }`}
+                  >
+                    {t(`discounts.days.${day}`)}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {t("discounts.scheduleHint")}
+              </p>
+              <div className="flex items-center gap-2 text-sm">
+                <input
+                  type="time"
+                  value={schedule.start}
+                  onChange={(e) =>
+                    setSchedule((prev) => ({ ...prev, start: e.target.value }))
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded-md"
+                />
+                <span>-</span>
+                <input
+                  type="time"
+                  value={schedule.end}
+                  onChange={(e) =>
+                    setSchedule((prev) => ({ ...prev, end: e.target.value }))
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded-md"
+                />
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Promo code and usage limit */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.promoCode")}
+            </label>
+            <input
+              type="text"
+              value={formData.promoCode}
+              onChange={(e) =>
+                updateField("promoCode", e.target.value.toUpperCase())
+              }
+              placeholder={t("discounts.promoCodeOptional")}
+              className={`${inputClass} uppercase`}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("discounts.usageLimit")}
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={formData.usageLimit}
+              onChange={(e) => updateField("usageLimit", e.target.value)}
+              placeholder={t("discounts.unlimited")}
+              disabled={!formData.promoCode.trim()}
+              className={`${inputClass} disabled:bg-gray-100`}
+            />
+            {formData.promoCode.trim() && (
+              <p className="mt-1 text-xs text-gray-500">
+                {t("discounts.usedCount", { count: formData.usageCount || 0 })}
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={formData.requiresApproval}
+              onChange={(e) =>
+                updateField("requiresApproval", e.target.checked)
+              }
+              className="w-4 h-4"
+            />
+            {t("discounts.requiresApproval")}
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={formData.enabled}
+              onChange={(e) => updateField("enabled", e.target.checked)}
+              className="w-4 h-4"
+            />
+            {t("discounts.enabled")}
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900"
+          >
+            {t("discounts.saveRule")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default DiscountRuleForm;
@@ -32,6 +32,8 @@ const CategoryForm = ({ category, onClose }) => {
   const [formData, setFormData] = useState({
     name: category?.name || "",
     color: category?.color || "",
+    // Blank uses the branch default VAT rate
+    vatRate: category?.vatRate ?? "",
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -82,6 +84,10 @@ const CategoryForm = ({ category, onClose }) => {
           categoryData.color = "";
         }
 
+        // Empty string clears the category rate
+        categoryData.vatRate =
+          formData.vatRate === "" ? "" : Number(formData.vatRate);
+
         if (isEditing) {
           await dispatch(
             updateCategory({
@@ -141,7 +147,25 @@ const CategoryForm = ({ category, onClose }) => {
             />
           </div>
 
-          <div>
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("forms.categoryForm.vatRate")}
+            </label>
+            <input
+              type="number"
+              name="vatRate"
+              value={formData.vatRate}
+              onChange={handleChange}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800 w-full"
+              placeholder={t("forms.categoryForm.vatRatePlaceholder")}
+              min="0"
+              max="100"
+              step="0.01"
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div className="mt-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">
               {t("forms.categoryForm.categoryColor")}
             </label>
@@ -4,6 +4,7 @@ import { FaEdit, FaTrash } from "react-icons/fa";
 import Modal from "../../common/Modal";
 import { getCategoryName, getStockItemName } from "./utils";
 import { fetchStocks } from "../../../store/stockSlice";
+import { formatModifier } from "../../../utils/modifiers";
 import { useTranslation } from "react-i18next";
 
 const MealDetails = ({ meal, onClose, onEdit, onDelete }) => {
@@ -167,6 +168,45 @@ const MealDetails = ({ meal, onClose, onEdit, onDelete }) => {
                 </div>
               )}
             </div>
+
+            {/* Modifier groups */}
+            {meal.modifierGroups?.length > 0 && (
+              <div className="bg-gray-50 rounded-lg p-4">
+                <h3 className="text-lg font-semibold text-gray-800 mb-4">
+                  {t("mealDetails.modifiers")} ({meal.modifierGroups.length})
+                </h3>
+                <div className="space-y-3 max-h-60 overflow-y-auto">
+                  {meal.modifierGroups.map((group, index) => (
+                    <div
+                      key={`${group.name}-${index}`}
+                      className="p-3 bg-white rounded-lg border border-gray-200"
+                    >
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="font-medium text-gray-800">
+                          {group.name}
+                        </span>
+                        <span className="text-gray-600 bg-gray-100 px-2 py-1 rounded text-xs">
+                          {group.required
+                            ? t("modifiers.required")
+                            : t("modifiers.optional")}{" "}
+                          · {group.minSelect}-{group.maxSelect}
+                        </span>
+                      </div>
+                      <div className="flex flex-wrap gap-1">
+                        {group.options.map((option, optionIndex) => (
+                          <span
+                            key={`${option.name}-${optionIndex}`}
+                            className="text-xs bg-primary-50 text-primary-800 px-2 py-1 rounded"
+                          >
+                            {formatModifier(option)}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
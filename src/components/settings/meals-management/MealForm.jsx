@@ -3,10 +3,12 @@ import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import { FaImage, FaPlus, FaTimes } from "react-icons/fa";
 import Modal from "../../common/Modal";
+import ModifierGroupsEditor from "./ModifierGroupsEditor";
 import { createMeal, updateMeal, fetchMeals } from "../../../store/mealSlice";
 import { fetchCategories } from "../../../store/categorySlice";
 import { fetchStocks } from "../../../store/stockSlice";
 import { getCategoryId, getStockItemId } from "./utils";
+import { normalizeModifierGroups } from "../../../utils/modifiers";
 import toast from "react-hot-toast";
 
 const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
@@ -53,9 +55,12 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
     // Handle both populated and unpopulated categoryId formats
     categoryId: getCategoryId(meal?.categoryId) || preSelectedCategoryId || "",
     price: meal?.price || "",
+    // Blank inherits the category rate, then the branch default
+    vatRate: meal?.vatRate ?? "",
     isAvailable: meal?.isAvailable !== undefined ? meal?.isAvailable : true,
     image: null,
     ingredients: initializeIngredients(meal?.ingredients),
+    modifierGroups: normalizeModifierGroups(meal?.modifierGroups),
   });
 
   const [imagePreview, setImagePreview] = useState(meal?.image?.url || null);
@@ -98,9 +103,22 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
       newErrors.ingredients = "At least one ingredient is required";
     }
 
+    // Validate modifier groups
+    const invalidGroup = formData.modifierGroups.find(
+      (group) =>
+        !group.name.trim() ||
+        group.options.length === 0 ||
+        group.options.some((option) => !option.name.trim()) ||
+        group.minSelect > group.maxSelect ||
+        group.minSelect > group.options.length
+    );
+    if (invalidGroup) {
+      newErrors.modifierGroups = t("forms.mealForm.invalidModifierGroup");
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [formData, isEditing]);
+  }, [formData, isEditing, t]);
 
   const handleChange = useCallback(
     (e) => {
@@ -214,6 +232,18 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
     [formData.ingredients.length]
   );
 
+  const handleModifierGroupsChange = useCallback(
+    (modifierGroups) => {
+      setFormData((prev) => ({ ...prev, modifierGroups }));
+
+      // Clear modifier groups error
+      if (errors.modifierGroups) {
+        setErrors((prev) => ({ ...prev, modifierGroups: null }));
+      }
+    },
+    [errors.modifierGroups]
+  );
+
   const handleSubmit = useCallback(
     async (e) => {
       e.preventDefault();
@@ -229,6 +259,9 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
         submitData.append("categoryId", formData.categoryId);
         submitData.append("price", formData.price);
         submitData.append("isAvailable", formData.isAvailable);
+        if (formData.vatRate !== "" || isEditing) {
+          submitData.append("vatRate", formData.vatRate);
+        }
 
         // Add image only if it's a new file
         if (formData.image) {
@@ -256,6 +289,42 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
           );
         });
 
+        // Add modifier groups (an empty value clears them on update)
+        if (formData.modifierGroups.length === 0 && isEditing) {
+          submitData.append("modifierGroups", "");
+        }
+        formData.modifierGroups.forEach((group, groupIndex) => {
+          const groupKey = `modifierGroups[${groupIndex}]`;
+          submitData.append(`${groupKey}[name]`, group.name.trim());
+          submitData.append(`${groupKey}[required]`, group.required);
+          submitData.append(`${groupKey}[minSelect]`, group.minSelect);
+          submitData.append(`${groupKey}[maxSelect]`, group.maxSelect);
+
+          group.options.forEach((option, optionIndex) => {
+            const optionKey = `${groupKey}[options][${optionIndex}]`;
+            submitData.append(`${optionKey}[name]`, option.name.trim());
+            submitData.append(
+              `${optionKey}[priceDelta]`,
+              Number(option.priceDelta) || 0
+            );
+
+            (option.stockDeltas || [])
+              .filter((delta) => delta.stockItemId)
+              .forEach((delta, deltaIndex) => {
+                const deltaKey = `${optionKey}[stockDeltas][${deltaIndex}]`;
+                submitData.append(
+                  `${deltaKey}[stockItemId]`,
+                  delta.stockItemId
+                );
+                submitData.append(
+                  `${deltaKey}[quantityUsed]`,
+                  delta.quantityUsed
+                );
+                submitData.append(`${deltaKey}[unit]`, delta.unit);
+              });
+          });
+        });
+
         if (isEditing) {
           await dispatch(
             updateMeal({ mealId: meal._id, mealData: submitData })
@@ -399,6 +468,24 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
             )}
           </div>
 
+          {/* VAT Rate */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("forms.mealForm.vatRate")}
+            </label>
+            <input
+              type="number"
+              name="vatRate"
+              value={formData.vatRate}
+              onChange={handleChange}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800 w-full"
+              placeholder={t("forms.mealForm.vatRatePlaceholder")}
+              min="0"
+              max="100"
+              step="0.01"
+            />
+          </div>
+
           {/* Availability */}
           <div>
             <div className="flex items-center mt-2 gap-1">
@@ -497,6 +584,14 @@ const MealForm = ({ meal, preSelectedCategoryId, onClose }) => {
             </button>
           </div>
 
+          {/* Modifier groups */}
+          <ModifierGroupsEditor
+            groups={formData.modifierGroups}
+            onChange={handleModifierGroupsChange}
+            stocks={stocks}
+            error={errors.modifierGroups}
+          />
+
           {/* Form actions */}
           <div
             className={`flex justify-end space-x-3 pt-4 border-t border-gray-200 ${
@@ -0,0 +1,286 @@
+import { useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import { FaPlus, FaTimes, FaTrash } from "react-icons/fa";
+import {
+  createEmptyModifierGroup,
+  createEmptyModifierOption,
+} from "../../../utils/modifiers";
+
+const inputClassName =
+  "px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+// Editor for a meal's modifier groups (size, extras, removals...)
+const ModifierGroupsEditor = ({ groups, onChange, stocks, error }) => {
+  const { t } = useTranslation();
+
+  const updateGroup = useCallback(
+    (groupIndex, updates) => {
+      onChange(
+        groups.map((group, index) =>
+          index === groupIndex ? { ...group, ...updates } : group
+        )
+      );
+    },
+    [groups, onChange]
+  );
+
+  const updateOption = useCallback(
+    (groupIndex, optionIndex, updates) => {
+      const options = groups[groupIndex].options.map((option, index) =>
+        index === optionIndex ? { ...option, ...updates } : option
+      );
+      updateGroup(groupIndex, { options });
+    },
+    [groups, updateGroup]
+  );
+
+  const addGroup = () => onChange([...groups, createEmptyModifierGroup()]);
+
+  const removeGroup = (groupIndex) =>
+    onChange(groups.filter((_, index) => index !== groupIndex));
+
+  const addOption = (groupIndex) =>
+    updateGroup(groupIndex, {
+      options: [...groups[groupIndex].options, createEmptyModifierOption()],
+    });
+
+  const removeOption = (groupIndex, optionIndex) =>
+    updateGroup(groupIndex, {
+      options: groups[groupIndex].options.filter(
+        (_, index) => index !== optionIndex
+      ),
+    });
+
+  const addStockDelta = (groupIndex, optionIndex) => {
+    const option = groups[groupIndex].options[optionIndex];
+    updateOption(groupIndex, optionIndex, {
+      stockDeltas: [
+        ...(option.stockDeltas || []),
+        { stockItemId: "", quantityUsed: 1, unit: "pcs" },
+      ],
+    });
+  };
+
+  const updateStockDelta = (groupIndex, optionIndex, deltaIndex, updates) => {
+    const option = groups[groupIndex].options[optionIndex];
+    updateOption(groupIndex, optionIndex, {
+      stockDeltas: option.stockDeltas.map((delta, index) =>
+        index === deltaIndex ? { ...delta, ...updates } : delta
+      ),
+    });
+  };
+
+  const removeStockDelta = (groupIndex, optionIndex, deltaIndex) => {
+    const option = groups[groupIndex].options[optionIndex];
+    updateOption(groupIndex, optionIndex, {
+      stockDeltas: option.stockDeltas.filter(
+        (_, index) => index !== deltaIndex
+      ),
+    });
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {t("forms.mealForm.modifierGroups")}
+      </label>
+      {error && <p className="text-red-500 text-xs mb-2">{error}</p>}
+
+      <div className="space-y-3">
+        {groups.map((group, groupIndex) => (
+          <div
+            key={groupIndex}
+            className="border border-gray-200 rounded-md p-3 space-y-2 bg-gray-50"
+          >
+            {/* Group settings */}
+            <div className="flex flex-wrap gap-2 items-center">
+              <input
+                type="text"
+                value={group.name}
+                onChange={(e) =>
+                  updateGroup(groupIndex, { name: e.target.value })
+                }
+                className={`flex-1 min-w-[150px] ${inputClassName}`}
+                placeholder={t("forms.mealForm.groupName")}
+              />
+              <label className="flex items-center gap-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={group.required}
+                  onChange={(e) =>
+                    updateGroup(groupIndex, {
+                      required: e.target.checked,
+                      minSelect: e.target.checked
+                        ? Math.max(group.minSelect, 1)
+                        : group.minSelect,
+                    })
+                  }
+                  className="h-4 w-4 text-primary rounded focus:ring-primary-800"
+                />
+                {t("forms.mealForm.required")}
+              </label>
+              <label className="flex items-center gap-1 text-sm text-gray-700">
+                {t("forms.mealForm.minSelect")}
+                <input
+                  type="number"
+                  value={group.minSelect}
+                  onChange={(e) =>
+                    updateGroup(groupIndex, {
+                      minSelect: Number(e.target.value) || 0,
+                    })
+                  }
+                  className={`w-16 ${inputClassName}`}
+                  min="0"
+                />
+              </label>
+              <label className="flex items-center gap-1 text-sm text-gray-700">
+                {t("forms.mealForm.maxSelect")}
+                <input
+                  type="number"
+                  value={group.maxSelect}
+                  onChange={(e) =>
+                    updateGroup(groupIndex, {
+                      maxSelect: Number(e.target.value) || 1,
+                    })
+                  }
+                  className={`w-16 ${inputClassName}`}
+                  min="1"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={() => removeGroup(groupIndex)}
+                className="p-2 text-red-500 hover:text-red-700"
+                title={t("forms.mealForm.removeGroup")}
+              >
+                <FaTrash />
+              </button>
+            </div>
+
+            {/* Options */}
+            {group.options.map((option, optionIndex) => (
+              <div
+                key={optionIndex}
+                className="bg-white border border-gray-200 rounded-md p-2 space-y-2"
+              >
+                <div className="flex gap-2 items-center">
+                  <input
+                    type="text"
+                    value={option.name}
+                    onChange={(e) =>
+                      updateOption(groupIndex, optionIndex, {
+                        name: e.target.value,
+                      })
+                    }
+                    className={`flex-1 ${inputClassName}`}
+                    placeholder={t("forms.mealForm.optionName")}
+                  />
+                  <input
+                    type="number"
+                    value={option.priceDelta}
+                    onChange={(e) =>
+                      updateOption(groupIndex, optionIndex, {
+                        priceDelta:
+                          e.target.value === "" ? "" : Number(e.target.value),
+                      })
+                    }
+                    className={`w-24 ${inputClassName}`}
+                    placeholder={t("forms.mealForm.priceDelta")}
+                    title={t("forms.mealForm.priceDelta")}
+                    step="0.01"
+                  />
+                  {group.options.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => removeOption(groupIndex, optionIndex)}
+                      className="p-2 text-red-500 hover:text-red-700"
+                    >
+                      <FaTimes />
+                    </button>
+                  )}
+                </div>
+
+                {/* Optional stock adjustments for this option */}
+                {(option.stockDeltas || []).map((delta, deltaIndex) => (
+                  <div key={deltaIndex} className="flex gap-2 items-center">
+                    <select
+                      value={delta.stockItemId}
+                      onChange={(e) =>
+                        updateStockDelta(groupIndex, optionIndex, deltaIndex, {
+                          stockItemId: e.target.value,
+                          unit:
+                            stocks?.find(
+                              (stock) => stock._id === e.target.value
+                            )?.unit || delta.unit,
+                        })
+                      }
+                      className={`flex-1 ${inputClassName}`}
+                    >
+                      <option value="">
+                        {t("forms.mealForm.selectStock")}
+                      </option>
+                      {stocks &&
+                        stocks.map((stock) => (
+                          <option key={stock._id} value={stock._id}>
+                            {stock.name} ({stock.unit})
+                          </option>
+                        ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={delta.quantityUsed}
+                      onChange={(e) =>
+                        updateStockDelta(groupIndex, optionIndex, deltaIndex, {
+                          quantityUsed: Number(e.target.value) || 0,
+                        })
+                      }
+                      className={`w-20 ${inputClassName}`}
+                      placeholder={t("forms.mealForm.qty")}
+                      title={t("forms.mealForm.stockDeltaHint")}
+                      step="0.01"
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        removeStockDelta(groupIndex, optionIndex, deltaIndex)
+                      }
+                      className="p-2 text-red-500 hover:text-red-700"
+                    >
+                      <FaTimes />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => addStockDelta(groupIndex, optionIndex)}
+                  className="flex items-center text-xs text-primary-800 hover:text-primary-900"
+                >
+                  <FaPlus className="mr-1" />{" "}
+                  {t("forms.mealForm.addStockDelta")}
+                </button>
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => addOption(groupIndex)}
+              className="flex items-center text-sm text-primary-800 hover:text-primary-900"
+            >
+              <FaPlus className="mr-1" /> {t("forms.mealForm.addOption")}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={addGroup}
+        className="mt-2 flex items-center text-primary-800 hover:text-primary-900"
+      >
+        <FaPlus className="mr-1" /> {t("forms.mealForm.addModifierGroup")}
+      </button>
+    </div>
+  );
+};
+
+export default ModifierGroupsEditor;
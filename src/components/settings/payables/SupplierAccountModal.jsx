@@ -0,0 +1,332 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import { recordSupplierPayment } from "../../../store/stockSlice";
+import {
+  SUPPLIER_PAYMENT_METHODS,
+  allocatePayment,
+  getAgingBucket,
+} from "../../../utils/payables";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+const formatAmount = (value) => `${(Number(value) || 0).toFixed(2)} AED`;
+
+// A supplier's open invoices with partial payments against them, and the
+// payments made so far
+const SupplierAccountModal = ({ account, payments, now, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+
+  const [allocations, setAllocations] = useState({});
+  const [payAmount, setPayAmount] = useState("");
+  const [method, setMethod] = useState(SUPPLIER_PAYMENT_METHODS[0]);
+  const [reference, setReference] = useState("");
+  const [note, setNote] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const paymentsTotal = payments.reduce(
+    (sum, payment) => sum + (Number(payment.amount) || 0),
+    0
+  );
+  // What the invoices show as paid is what was paid on purchase plus the
+  // payments recorded here
+  const paidOnPurchase = Math.max(account.paid - paymentsTotal, 0);
+  const allocatedTotal = Object.values(allocations).reduce(
+    (sum, amount) => sum + (Number(amount) || 0),
+    0
+  );
+
+  const handlePayAmountChange = (value) => {
+    setPayAmount(value);
+    setAllocations(allocatePayment(account.openInvoices, value));
+  };
+
+  const handleAllocationChange = (invoice, value) => {
+    setPayAmount("");
+    setAllocations((prev) => ({ ...prev, [invoice.id]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const lines = account.openInvoices
+      .map((invoice) => ({
+        invoice,
+        amount: Math.round((Number(allocations[invoice.id]) || 0) * 100) / 100,
+      }))
+      .filter((line) => line.amount > 0);
+
+    if (lines.length === 0) {
+      toast.error(t("payables.amountRequired"));
+      return;
+    }
+    if (lines.some((line) => line.amount > line.invoice.residual + 0.005)) {
+      toast.error(t("payables.amountTooHigh"));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await dispatch(
+        recordSupplierPayment({
+          supplierName: account.supplierName,
+          supplierId: account.supplier?._id,
+          amount: lines.reduce((sum, line) => sum + line.amount, 0),
+          allocations: lines.map((line) => ({
+            stockId: line.invoice.stockId,
+            invoiceId: line.invoice.invoiceId,
+            amount: line.amount,
+          })),
+          method,
+          reference: reference.trim(),
+          note: note.trim(),
+        })
+      ).unwrap();
+      toast.success(t("payables.paymentRecorded"));
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("payables.paymentFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={t("payables.accountTitle", {
+        name: account.supplierName || t("payables.unknownSupplier"),
+      })}
+      onClose={onClose}
+      size="2xl"
+    >
+      <div className="space-y-5" dir={isRTL ? "rtl" : "ltr"}>
+        {/* Totals that tie back to the stock invoices */}
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+          {[
+            ["invoiced", account.invoiced],
+            ["paidOnPurchase", paidOnPurchase],
+            ["paymentsRecorded", paymentsTotal],
+            ["owed", account.owed],
+          ].map(([key, value]) => (
+            <div key={key} className="p-3 bg-gray-50 border rounded-md">
+              <p className="text-gray-500">{t(`payables.totals.${key}`)}</p>
+              <p
+                className={`text-lg font-bold ${
+                  key === "owed" && value > 0 ? "text-red-700" : "text-gray-800"
+                }`}
+              >
+                {formatAmount(value)}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        {/* Open invoices with what to pay on each */}
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className="text-sm font-semibold text-gray-800">
+            {t("payables.openInvoices")}
+          </p>
+          {account.openInvoices.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("payables.noOpen")}</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {[
+                        "date",
+                        "item",
+                        "age",
+                        "due",
+                        "value",
+                        "residual",
+                        "pay",
+                      ].map((column) => (
+                        <th
+                          key={column}
+                          className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                        >
+                          {t(`payables.columns.${column}`)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {account.openInvoices.map((invoice) => {
+                      const overdue = invoice.dueDate < now;
+                      return (
+                        <tr key={invoice.id}>
+                          <td className="py-2 px-3 whitespace-nowrap">
+                            {new Date(invoice.date).toLocaleDateString()}
+                          </td>
+                          <td className="py-2 px-3">
+                            {invoice.stockName}
+                            {invoice.number && (
+                              <span className="block text-xs text-gray-500">
+                                #{invoice.number}
+                              </span>
+                            )}
+                          </td>
+                          <td className="py-2 px-3 whitespace-nowrap">
+                            {t(
+                              `payables.buckets.${getAgingBucket(
+                                invoice.ageDays
+                              )}`
+                            )}
+                          </td>
+                          <td
+                            className={`py-2 px-3 whitespace-nowrap ${
+                              overdue ? "text-red-600 font-medium" : ""
+                            }`}
+                          >
+                            {invoice.dueDate.toLocaleDateString()}
+                          </td>
+                          <td className="py-2 px-3 whitespace-nowrap">
+                            {invoice.value.toFixed(2)}
+                          </td>
+                          <td className="py-2 px-3 whitespace-nowrap font-medium">
+                            {invoice.residual.toFixed(2)}
+                          </td>
+                          <td className="py-2 px-3 w-28">
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              max={invoice.residual}
+                              value={allocations[invoice.id] ?? ""}
+                              onChange={(e) =>
+                                handleAllocationChange(invoice, e.target.value)
+                              }
+                              className={inputClass}
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {t("payables.payOldestFirst")}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={payAmount}
+                    onChange={(e) => handlePayAmountChange(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {t("payables.method")}
+                  </label>
+                  <select
+                    value={method}
+                    onChange={(e) => setMethod(e.target.value)}
+                    className={inputClass}
+                  >
+                    {SUPPLIER_PAYMENT_METHODS.map((item) => (
+                      <option key={item} value={item}>
+                        {t(`payables.methods.${item}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {t("payables.reference")}
+                  </label>
+                  <input
+                    type="text"
+                    value={reference}
+                    onChange={(e) => setReference(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {t("payables.note")}
+                  </label>
+                  <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div className="flex flex-wrap items-center justify-end gap-3">
+                <span className="text-sm font-semibold text-gray-800">
+                  {t("payables.paying")}: {formatAmount(allocatedTotal)}
+                </span>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || allocatedTotal <= 0}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+                >
+                  {t("payables.recordPayment")}
+                </button>
+              </div>
+            </>
+          )}
+        </form>
+
+        {/* Payment history */}
+        <div>
+          <p className="text-sm font-semibold text-gray-800 mb-2">
+            {t("payables.history")}
+          </p>
+          {payments.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("payables.noPayments")}</p>
+          ) : (
+            <ul className="max-h-56 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-md">
+              {payments.map((payment) => (
+                <li
+                  key={payment._id}
+                  className="flex flex-wrap justify-between gap-2 px-3 py-2 text-sm"
+                >
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {t(`payables.methods.${payment.method}`)}
+                      {payment.reference && ` · ${payment.reference}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(payment.paidAt).toLocaleString()}
+                      {payment.user?.name && ` · ${payment.user.name}`}
+                      {" · "}
+                      {t("payables.invoicesCovered", {
+                        count: payment.allocations?.length || 0,
+                      })}
+                    </p>
+                    {payment.note && (
+                      <p className="text-xs text-gray-700 italic">
+                        {payment.note}
+                      </p>
+                    )}
+                  </div>
+                  <span className="font-semibold text-green-700">
+                    {formatAmount(payment.amount)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default SupplierAccountModal;
@@ -0,0 +1,253 @@
+import { FaCashRegister, FaDesktop, FaSyncAlt } from "react-icons/fa";
+import { memo, useState, useEffect, useCallback } from "react";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import printingService from "../../../services/printingService";
+
+const BAUD_RATES = [2400, 4800, 9600, 19200, 38400];
+
+const CashDrawerDisplayPanel = memo(function CashDrawerDisplayPanel() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const [displaySettings, setDisplaySettings] = useState(() =>
+    printingService.getCustomerDisplaySettings()
+  );
+  const [serialPorts, setSerialPorts] = useState([]);
+  const [drawerLog, setDrawerLog] = useState([]);
+
+  useEffect(() => {
+    setDrawerLog(printingService.getCashDrawerLog());
+  }, []);
+
+  const loadSerialPorts = useCallback(async () => {
+    try {
+      setSerialPorts(await printingService.getSerialPorts());
+    } catch (error) {
+      console.error("Failed to list serial ports:", error);
+      toast.error(t("customerDisplay.portsFailed"));
+    }
+  }, [t]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setDisplaySettings((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const saved = await printingService.saveCustomerDisplaySettings({
+      ...displaySettings,
+      baudRate: Number(displaySettings.baudRate) || 9600,
+    });
+    if (saved) {
+      toast.success(t("customerDisplay.saved"));
+    } else {
+      toast.error(t("customerDisplay.saveFailed"));
+    }
+  };
+
+  const handleTestDisplay = async () => {
+    const shown = await printingService.showOnCustomerDisplay(
+      "CUSTOMER DISPLAY",
+      "TEST OK"
+    );
+    if (shown) {
+      toast.success(t("customerDisplay.testSent"));
+    } else {
+      toast.error(t("customerDisplay.testFailed"));
+    }
+  };
+
+  const handleTestDrawer = async () => {
+    try {
+      await printingService.openCashDrawer({ reason: "test" });
+      toast.success(t("cashDrawer.opened"));
+    } catch (error) {
+      console.error("Cash drawer test failed:", error);
+      toast.error(t("cashDrawer.openFailed"));
+    }
+    setDrawerLog(printingService.getCashDrawerLog());
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6" dir={isRTL ? "rtl" : "ltr"}>
+      {/* Customer display */}
+      <form onSubmit={handleSave} className="space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <FaDesktop className="text-primary-700" />
+          {t("customerDisplay.title")}
+        </h3>
+        <p className="text-sm text-gray-600">
+          {t("customerDisplay.description")}
+        </p>
+
+        <div className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            id="displayEnabled"
+            name="enabled"
+            checked={displaySettings.enabled}
+            onChange={handleChange}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+          />
+          <label htmlFor="displayEnabled" className="text-sm text-gray-700">
+            {t("customerDisplay.enabled")}
+          </label>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("customerDisplay.port")}
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                name="port"
+                list="serial-ports"
+                value={displaySettings.port}
+                onChange={handleChange}
+                placeholder="COM3"
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              />
+              <datalist id="serial-ports">
+                {serialPorts.map((port) => (
+                  <option key={port} value={port} />
+                ))}
+              </datalist>
+              <button
+                type="button"
+                onClick={loadSerialPorts}
+                className="p-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+                title={t("customerDisplay.findPorts")}
+              >
+                <FaSyncAlt />
+              </button>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("customerDisplay.baudRate")}
+            </label>
+            <select
+              name="baudRate"
+              value={displaySettings.baudRate}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              {BAUD_RATES.map((rate) => (
+                <option key={rate} value={rate}>
+                  {rate}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t("customerDisplay.welcomeMessage")}
+            </label>
+            <input
+              type="text"
+              name="welcomeMessage"
+              maxLength={20}
+              value={displaySettings.welcomeMessage}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+          >
+            {t("common.save")}
+          </button>
+          <button
+            type="button"
+            onClick={handleTestDisplay}
+            className="px-4 py-2 text-sm font-medium bg-blue-50 text-blue-700 hover:bg-blue-100 border border-blue-200 rounded-md"
+          >
+            {t("customerDisplay.test")}
+          </button>
+        </div>
+      </form>
+
+      {/* Cash drawer log */}
+      <div className="space-y-4 pt-6 border-t border-gray-200">
+        <div className="flex items-center justify-between gap-3">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <FaCashRegister className="text-primary-700" />
+            {t("cashDrawer.log")}
+          </h3>
+          <button
+            onClick={handleTestDrawer}
+            className="px-4 py-2 text-sm font-medium bg-blue-50 text-blue-700 hover:bg-blue-100 border border-blue-200 rounded-md"
+          >
+            {t("cashDrawer.test")}
+          </button>
+        </div>
+
+        {drawerLog.length === 0 ? (
+          <p className="text-sm text-gray-500">{t("cashDrawer.noLog")}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-gray-500 text-start border-b">
+                  <th className="py-2 px-2 text-start">
+                    {t("cashDrawer.time")}
+                  </th>
+                  <th className="py-2 px-2 text-start">
+                    {t("cashDrawer.user")}
+                  </th>
+                  <th className="py-2 px-2 text-start">
+                    {t("cashDrawer.reason")}
+                  </th>
+                  <th className="py-2 px-2 text-start">
+                    {t("cashDrawer.status")}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {drawerLog.map((entry) => (
+                  <tr key={entry.timestamp} className="border-b last:border-0">
+                    <td className="py-2 px-2 whitespace-nowrap">
+                      {new Date(entry.timestamp).toLocaleString(i18n.language)}
+                    </td>
+                    <td className="py-2 px-2">{entry.user || "-"}</td>
+                    <td className="py-2 px-2">
+                      {t(`cashDrawer.reasons.${entry.reason}`, entry.reason)}
+                      {entry.note && (
+                        <span className="text-gray-500"> · {entry.note}</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-2">
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                          entry.success
+                            ? "bg-green-100 text-green-800"
+                            : "bg-red-100 text-red-800"
+                        }`}
+                      >
+                        {entry.success
+                          ? t("cashDrawer.success")
+                          : t("cashDrawer.failed")}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default CashDrawerDisplayPanel;
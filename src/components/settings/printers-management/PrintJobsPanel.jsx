@@ -0,0 +1,215 @@
+import {
+  FaRedo,
+  FaPrint,
+  FaTrash,
+  FaReceipt,
+  FaUtensils,
+  FaBroom,
+  FaUndoAlt,
+  FaMotorcycle,
+  FaTruckLoading,
+} from "react-icons/fa";
+import { memo, useState, useEffect, useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import printQueue from "../../../services/printQueue";
+
+const STATUS_FILTERS = ["all", "queued", "printing", "done", "failed"];
+
+const STATUS_STYLES = {
+  queued: "bg-yellow-100 text-yellow-800",
+  printing: "bg-blue-100 text-blue-800",
+  done: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const PrintJobsPanel = memo(function PrintJobsPanel() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const [jobs, setJobs] = useState(() => printQueue.getJobs());
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [printerFilter, setPrinterFilter] = useState("all");
+
+  useEffect(() => printQueue.subscribe(setJobs), []);
+
+  // Failure and pending counts per printer
+  const printerSummary = useMemo(() => {
+    const summary = {};
+    jobs.forEach((job) => {
+      const printer = job.printerName || t("printJobs.unknownPrinter");
+      summary[printer] = summary[printer] || { failed: 0, pending: 0 };
+      if (job.status === "failed") summary[printer].failed += 1;
+      if (job.status === "queued" || job.status === "printing") {
+        summary[printer].pending += 1;
+      }
+    });
+    return summary;
+  }, [jobs, t]);
+
+  const filteredJobs = useMemo(
+    () =>
+      jobs.filter(
+        (job) =>
+          (statusFilter === "all" || job.status === statusFilter) &&
+          (printerFilter === "all" ||
+            (job.printerName || t("printJobs.unknownPrinter")) ===
+              printerFilter)
+      ),
+    [jobs, statusFilter, printerFilter, t]
+  );
+
+  const handleReprint = async (job) => {
+    try {
+      await printQueue.reprint(job.id);
+      toast.success(t("printJobs.reprinted"));
+    } catch (error) {
+      console.error("Reprint failed:", error);
+      toast.error(t("printJobs.reprintFailed"));
+    }
+  };
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6" dir={isRTL ? "rtl" : "ltr"}>
+      {/* Per printer summary */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {Object.entries(printerSummary).map(([printer, counts]) => (
+          <button
+            key={printer}
+            onClick={() =>
+              setPrinterFilter((prev) => (prev === printer ? "all" : printer))
+            }
+            className={`text-start p-3 rounded-lg border transition-colors ${
+              printerFilter === printer
+                ? "border-primary-700 bg-primary-50"
+                : "border-gray-200 hover:border-primary-500"
+            }`}
+          >
+            <p className="font-medium text-gray-800 truncate">{printer}</p>
+            <p className="text-sm">
+              <span
+                className={counts.failed > 0 ? "text-red-600" : "text-gray-500"}
+              >
+                {counts.failed} {t("printJobs.failedCount")}
+              </span>
+              <span className="text-gray-400"> · </span>
+              <span className="text-gray-500">
+                {counts.pending} {t("printJobs.pendingCount")}
+              </span>
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                statusFilter === status
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-gray-300 text-gray-600 hover:border-primary-500"
+              }`}
+            >
+              {t(`printJobs.statuses.${status}`)}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => printQueue.clearCompleted()}
+          className="flex items-center gap-2 px-3 py-1 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <FaBroom />
+          {t("printJobs.clearCompleted")}
+        </button>
+      </div>
+
+      {/* Jobs */}
+      {filteredJobs.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">
+          {t("printJobs.noJobs")}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {filteredJobs.map((job) => (
+            <li
+              key={job.id}
+              className="flex flex-wrap items-center justify-between gap-3 p-3"
+            >
+              <div className="flex items-center gap-3 min-w-0">
+                {job.type === "kitchen" ? (
+                  <FaUtensils className="text-orange-600 flex-shrink-0" />
+                ) : job.type === "refund" ? (
+                  <FaUndoAlt className="text-red-600 flex-shrink-0" />
+                ) : job.type === "delivery" ? (
+                  <FaMotorcycle className="text-sky-600 flex-shrink-0" />
+                ) : job.type === "purchase" ? (
+                  <FaTruckLoading className="text-emerald-600 flex-shrink-0" />
+                ) : (
+                  <FaReceipt className="text-primary-700 flex-shrink-0" />
+                )}
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800">
+                    #{job.orderNumber}{" "}
+                    <span className="text-sm font-normal text-gray-500">
+                      {t(`printJobs.types.${job.type}`)}
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {job.printerName || t("printJobs.unknownPrinter")} ·{" "}
+                    {new Date(job.createdAt).toLocaleString(i18n.language)} ·{" "}
+                    {t("printJobs.attempts")}: {job.attempts}
+                  </p>
+                  {job.error && job.status !== "done" && (
+                    <p className="text-xs text-red-600 truncate">{job.error}</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    STATUS_STYLES[job.status]
+                  }`}
+                >
+                  {t(`printJobs.statuses.${job.status}`)}
+                </span>
+                {job.status === "failed" && (
+                  <button
+                    onClick={() => printQueue.retry(job.id)}
+                    className="p-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-md"
+                    title={t("printJobs.retry")}
+                  >
+                    <FaRedo />
+                  </button>
+                )}
+                {(job.status === "done" || job.status === "failed") && (
+                  <button
+                    onClick={() => handleReprint(job)}
+                    className="p-2 text-gray-600 hover:text-primary-700 hover:bg-primary-50 rounded-md"
+                    title={t("printJobs.reprint")}
+                  >
+                    <FaPrint />
+                  </button>
+                )}
+                {job.status !== "printing" && (
+                  <button
+                    onClick={() => printQueue.remove(job.id)}
+                    className="p-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-md"
+                    title={t("printJobs.remove")}
+                  >
+                    <FaTrash />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+export default PrintJobsPanel;
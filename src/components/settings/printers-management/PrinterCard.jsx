@@ -170,6 +170,11 @@ const PrinterCard = memo(function PrinterCard({
             <span className={`font-medium ${getStatusColor()}`}>
               {getStatusText()}
             </span>
+            {printer.drawerHost && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                {t("printers.drawerHostBadge")}
+              </span>
+            )}
           </div>
         </div>
 
@@ -261,6 +261,26 @@ function PrinterFormModal({
           </select>
         </div>
 
+        {/* Print Method */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("printers.printMethod")}
+          </label>
+          <select
+            name="printMethod"
+            value={formData.printMethod || "auto"}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="auto">{t("printers.printMethods.auto")}</option>
+            <option value="html">{t("printers.printMethods.html")}</option>
+            <option value="raster">{t("printers.printMethods.raster")}</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            {t("printers.printMethodHint")}
+          </p>
+        </div>
+
         {/* Settings */}
         <div className="space-y-4">
           <div className="flex items-center">
@@ -291,6 +311,37 @@ function PrinterFormModal({
             </label>
           </div>
 
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="drawerHost"
+              name="drawerHost"
+              checked={!!formData.drawerHost}
+              onChange={handleInputChange}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <label htmlFor="drawerHost" className="ml-2 text-sm text-gray-700">
+              {t("printers.drawerHost")}
+            </label>
+          </div>
+
+          {formData.drawerHost && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t("printers.drawerPin")}
+              </label>
+              <select
+                name="drawerPin"
+                value={formData.drawerPin || "2"}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="2">{t("printers.drawerPin2")}</option>
+                <option value="5">{t("printers.drawerPin5")}</option>
+              </select>
+            </div>
+          )}
+
           <div className="flex items-center">
             <input
               type="checkbox"
@@ -1,4 +1,9 @@
-import { FaPrint, FaInfoCircle } from "react-icons/fa";
+import {
+  FaPrint,
+  FaInfoCircle,
+  FaCashRegister,
+  FaListUl,
+} from "react-icons/fa";
 import { memo } from "react";
 import { useTranslation } from "react-i18next";
 
@@ -22,6 +27,17 @@ const PrinterTabs = memo(function PrinterTabs({ activeTab, onTabChange }) {
           </span>
           <span className="xs:hidden">{t("printers.settings")}</span>
         </button>
+        <button
+          onClick={() => onTabChange("jobs")}
+          className={`px-4 sm:px-6 py-3 sm:py-4 flex items-center justify-center sm:justify-start text-sm sm:text-base font-medium transition-all duration-200 ${
+            activeTab === "jobs"
+              ? "bg-primary-800 text-white shadow-lg"
+              : "text-gray-600 hover:bg-gray-50 hover:text-primary-800"
+          }`}
+        >
+          <FaListUl className="mr-2" />
+          <span>{t("printJobs.title")}</span>
+        </button>
         <button
           onClick={() => onTabChange("info")}
           className={`px-4 sm:px-6 py-3 sm:py-4 flex items-center justify-center sm:justify-start text-sm sm:text-base font-medium transition-all duration-200 ${
@@ -34,6 +50,17 @@ const PrinterTabs = memo(function PrinterTabs({ activeTab, onTabChange }) {
           <span className="hidden xs:inline">{t("printers.information")}</span>
           <span className="xs:hidden">{t("printers.information")}</span>
         </button>
+        <button
+          onClick={() => onTabChange("devices")}
+          className={`px-4 sm:px-6 py-3 sm:py-4 flex items-center justify-center sm:justify-start text-sm sm:text-base font-medium transition-all duration-200 ${
+            activeTab === "devices"
+              ? "bg-primary-800 text-white shadow-lg"
+              : "text-gray-600 hover:bg-gray-50 hover:text-primary-800"
+          }`}
+        >
+          <FaCashRegister className="mr-2" />
+          <span>{t("printers.drawerAndDisplay")}</span>
+        </button>
       </div>
     </div>
   );
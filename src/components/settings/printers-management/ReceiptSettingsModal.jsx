@@ -1,4 +1,12 @@
-import { FaCog, FaEye, FaUndo, FaTimes, FaSave, FaUser } from "react-icons/fa";
+import {
+  FaCog,
+  FaEye,
+  FaUndo,
+  FaTimes,
+  FaSave,
+  FaUser,
+  FaPercent,
+} from "react-icons/fa";
 import { memo } from "react";
 import { useTranslation } from "react-i18next";
 
@@ -343,6 +351,78 @@ const ReceiptSettingsModal = memo(function ReceiptSettingsModal({
               </div>
             </div>
 
+            {/* Tax Settings */}
+            <div className="bg-amber-50 rounded-xl p-3 sm:p-6">
+              <h3
+                className={`text-base sm:text-lg font-semibold text-amber-800 mb-4 flex items-center justify-start`}
+              >
+                <FaPercent className={`${isRTL ? "ml-2" : "mr-2"}`} />
+                {t("receiptSettings.taxSettings")}
+              </h3>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t("receiptSettings.defaultVatRate")}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={receiptSettings.tax?.defaultRate ?? 0}
+                    onChange={(e) =>
+                      setReceiptSettings((prev) => ({
+                        ...prev,
+                        tax: {
+                          ...prev.tax,
+                          defaultRate: e.target.value,
+                        },
+                      }))
+                    }
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-500 text-sm sm:text-base"
+                    placeholder="0"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    {t("receiptSettings.defaultVatRateDescription")}
+                  </p>
+                </div>
+                <div>
+                  <div className={`flex items-center justify-start lg:mt-8`}>
+                    <input
+                      type="checkbox"
+                      id="pricesIncludeTax"
+                      checked={Boolean(receiptSettings.tax?.pricesIncludeTax)}
+                      onChange={(e) =>
+                        setReceiptSettings((prev) => ({
+                          ...prev,
+                          tax: {
+                            ...prev.tax,
+                            pricesIncludeTax: e.target.checked,
+                          },
+                        }))
+                      }
+                      className={`${
+                        isRTL ? "ml-3" : "mr-3"
+                      } w-4 h-4 text-amber-600 focus:ring-amber-500 focus:ring-2`}
+                    />
+                    <label
+                      htmlFor="pricesIncludeTax"
+                      className="text-sm font-medium text-gray-700"
+                    >
+                      {t("receiptSettings.pricesIncludeTax")}
+                    </label>
+                  </div>
+                  <p
+                    className={`text-xs text-gray-500 ${
+                      isRTL ? "mr-7" : "ml-7"
+                    }`}
+                  >
+                    {t("receiptSettings.pricesIncludeTaxDescription")}
+                  </p>
+                </div>
+              </div>
+            </div>
+
             {/* Footer Settings */}
             <div className="bg-green-50 rounded-xl p-3 sm:p-6">
               <h3
@@ -0,0 +1,122 @@
+import {
+  FaCloud,
+  FaCloudUploadAlt,
+  FaExclamationTriangle,
+  FaFileExport,
+  FaFileImport,
+  FaSyncAlt,
+} from "react-icons/fa";
+import { memo, useRef } from "react";
+import { useTranslation } from "react-i18next";
+
+const SettingsSyncBar = memo(function SettingsSyncBar({
+  deviceName,
+  branchId,
+  loading,
+  error,
+  lastSyncedAt,
+  onDeviceNameChange,
+  onSyncNow,
+  onExport,
+  onImport,
+}) {
+  const { t, i18n } = useTranslation();
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImport(file);
+    // Allow importing the same file again
+    e.target.value = "";
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 mb-6 flex flex-col lg:flex-row lg:items-center gap-4">
+      {/* Device and branch */}
+      <div className="flex flex-wrap items-center gap-3 flex-1 min-w-0">
+        <label className="text-sm font-medium text-gray-700">
+          {t("settingsSync.deviceName")}
+        </label>
+        <input
+          key={deviceName}
+          type="text"
+          defaultValue={deviceName}
+          onBlur={(e) =>
+            e.target.value.trim() !== deviceName &&
+            onDeviceNameChange(e.target.value.trim())
+          }
+          placeholder={t("settingsSync.deviceNamePlaceholder")}
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+        />
+        {branchId && (
+          <span className="text-sm text-gray-500">
+            {t("settingsSync.branch")}: {branchId}
+          </span>
+        )}
+      </div>
+
+      {/* Sync status */}
+      <div className="flex items-center gap-2 text-sm">
+        {loading ? (
+          <>
+            <FaCloudUploadAlt className="text-blue-600" />
+            <span className="text-blue-700">{t("settingsSync.syncing")}</span>
+          </>
+        ) : error ? (
+          <>
+            <FaExclamationTriangle className="text-yellow-600" />
+            <span className="text-yellow-700" title={error}>
+              {t("settingsSync.localOnly")}
+            </span>
+          </>
+        ) : lastSyncedAt ? (
+          <>
+            <FaCloud className="text-green-600" />
+            <span className="text-green-700">
+              {t("settingsSync.syncedAt")}{" "}
+              {new Date(lastSyncedAt).toLocaleTimeString(i18n.language, {
+                hour: "numeric",
+                minute: "2-digit",
+              })}
+            </span>
+          </>
+        ) : null}
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onSyncNow}
+          disabled={loading}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm border border-primary-700 text-primary-800 rounded-md hover:bg-neutral-100 disabled:opacity-50"
+        >
+          <FaSyncAlt className={loading ? "animate-spin" : ""} />
+          {t("settingsSync.syncNow")}
+        </button>
+        <button
+          onClick={onExport}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+        >
+          <FaFileExport />
+          {t("settingsSync.export")}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+        >
+          <FaFileImport />
+          {t("settingsSync.import")}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+});
+
+export default SettingsSyncBar;
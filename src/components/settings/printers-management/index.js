@@ -6,3 +6,6 @@ export { default as PrinterCard } from "./PrinterCard";
 export { default as PrinterInformation } from "./PrinterInformation";
 export { default as PrinterFormModal } from "./PrinterFormModal";
 export { default as ReceiptSettingsModal } from "./ReceiptSettingsModal";
+export { default as CashDrawerDisplayPanel } from "./CashDrawerDisplayPanel";
+export { default as PrintJobsPanel } from "./PrintJobsPanel";
+export { default as SettingsSyncBar } from "./SettingsSyncBar";
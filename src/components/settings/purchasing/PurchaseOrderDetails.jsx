@@ -0,0 +1,196 @@
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaPrint } from "react-icons/fa";
+import Modal from "../../common/Modal";
+import printQueue from "../../../services/printQueue";
+import {
+  buildPurchaseDocument,
+  getItemsTotal,
+  getLineTotal,
+  getOutstandingQuantity,
+} from "../../../utils/purchasing";
+
+// A purchase order with what has arrived so far and its goods received
+// notes, each printable
+const PurchaseOrderDetails = ({ purchaseOrder, supplier, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const receipts = purchaseOrder.receipts || [];
+
+  const handlePrint = (receipt = null) => {
+    printQueue
+      .submit(
+        "purchase",
+        buildPurchaseDocument(purchaseOrder, supplier, receipt)
+      )
+      .catch(() => toast.error(t("purchaseOrders.printFailed")));
+  };
+
+  return (
+    <Modal
+      title={t("purchaseOrders.orderTitle", {
+        number: purchaseOrder.poNumber,
+      })}
+      onClose={onClose}
+      size="xl"
+    >
+      <div className="space-y-4" dir={isRTL ? "rtl" : "ltr"}>
+        <div className="flex flex-wrap justify-between gap-3 text-sm">
+          <div>
+            <p className="font-semibold text-gray-800">{supplier?.name}</p>
+            {supplier?.contactName && (
+              <p className="text-gray-600">{supplier.contactName}</p>
+            )}
+            {supplier?.phone && (
+              <p className="text-gray-600" dir="ltr">
+                {supplier.phone}
+              </p>
+            )}
+          </div>
+          <div className="text-end text-gray-600">
+            <p>
+              {t("purchaseOrders.created")}:{" "}
+              {new Date(purchaseOrder.createdAt).toLocaleDateString()}
+            </p>
+            {purchaseOrder.expectedDate && (
+              <p>
+                {t("purchaseOrders.expectedDate")}:{" "}
+                {new Date(purchaseOrder.expectedDate).toLocaleDateString()}
+              </p>
+            )}
+            <p className="font-medium text-gray-800">
+              {t(`purchaseOrders.statuses.${purchaseOrder.status}`)}
+            </p>
+          </div>
+        </div>
+
+        {/* Order lines */}
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {[
+                  "item",
+                  "quantity",
+                  "received",
+                  "outstanding",
+                  "unitPrice",
+                  "lineTotal",
+                ].map((column) => (
+                  <th
+                    key={column}
+                    className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                  >
+                    {t(`purchaseOrders.${column}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {purchaseOrder.items.map((item) => (
+                <tr key={item.stockItemId}>
+                  <td className="py-2 px-3 text-gray-900">{item.name}</td>
+                  <td className="py-2 px-3 whitespace-nowrap">
+                    {item.quantity} {item.unit}
+                  </td>
+                  <td className="py-2 px-3 whitespace-nowrap text-green-700">
+                    {Number(item.receivedQuantity) || 0} {item.unit}
+                  </td>
+                  <td className="py-2 px-3 whitespace-nowrap text-amber-700">
+                    {getOutstandingQuantity(item)} {item.unit}
+                  </td>
+                  <td className="py-2 px-3">
+                    {Number(item.unitPrice).toFixed(2)}
+                  </td>
+                  <td className="py-2 px-3 font-medium">
+                    {getLineTotal(item).toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex justify-end text-base font-semibold text-gray-800">
+          {t("purchaseOrders.total")}:{" "}
+          {getItemsTotal(purchaseOrder.items).toFixed(2)} AED
+        </div>
+
+        {purchaseOrder.notes && (
+          <p className="text-sm text-gray-700 italic">{purchaseOrder.notes}</p>
+        )}
+
+        {/* Goods received notes */}
+        <div>
+          <p className="text-sm font-semibold text-gray-800 mb-2">
+            {t("purchaseOrders.receipts")}
+          </p>
+          {receipts.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              {t("purchaseOrders.noReceipts")}
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+              {receipts.map((receipt) => (
+                <li
+                  key={receipt._id || receipt.grnNumber}
+                  className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm"
+                >
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {receipt.grnNumber}
+                      {receipt.invoice?.number &&
+                        ` · ${t("purchaseOrders.invoiceNumber", {
+                          number: receipt.invoice.number,
+                        })}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(receipt.receivedAt).toLocaleString()}
+                      {receipt.receivedBy?.name &&
+                        ` · ${receipt.receivedBy.name}`}
+                      {" · "}
+                      {receipt.items
+                        .map(
+                          (item) => `${item.quantity} ${item.unit} ${item.name}`
+                        )
+                        .join(", ")}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="font-medium">
+                      {getItemsTotal(receipt.items).toFixed(2)} AED
+                    </span>
+                    <button
+                      onClick={() => handlePrint(receipt)}
+                      className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-md"
+                      title={t("purchaseOrders.printGrn")}
+                    >
+                      <FaPrint />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            onClick={() => handlePrint()}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <FaPrint />
+            {t("purchaseOrders.printOrder")}
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PurchaseOrderDetails;
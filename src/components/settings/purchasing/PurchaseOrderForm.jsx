@@ -0,0 +1,307 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaPlus, FaTrash } from "react-icons/fa";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+} from "../../../store/supplierSlice";
+import {
+  getItemsTotal,
+  getSupplierId,
+  getSupplierItems,
+} from "../../../utils/purchasing";
+import { toDateKey } from "../../../utils/reservations";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+const EMPTY_LINE = { stockItemId: "", quantity: "", unitPrice: "" };
+
+// Create or edit a draft purchase order. `defaults` prefills a new order
+// ({ supplierId, items }).
+const PurchaseOrderForm = ({
+  purchaseOrder,
+  defaults,
+  suppliers,
+  stocks,
+  onClose,
+}) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const isEditing = !!purchaseOrder;
+  const dispatch = useDispatch();
+  const source = purchaseOrder || defaults;
+
+  const [supplierId, setSupplierId] = useState(
+    getSupplierId(source?.supplierId) || ""
+  );
+  const [lines, setLines] = useState(
+    source?.items?.length
+      ? source.items.map((item) => ({
+          stockItemId: item.stockItemId,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+        }))
+      : [EMPTY_LINE]
+  );
+  const [expectedDate, setExpectedDate] = useState(
+    purchaseOrder?.expectedDate
+      ? toDateKey(new Date(purchaseOrder.expectedDate))
+      : ""
+  );
+  const [notes, setNotes] = useState(purchaseOrder?.notes || "");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const supplier = suppliers.find((item) => item._id === supplierId);
+  // The supplier's own items first, then everything else in stock
+  const supplierItems = getSupplierItems(supplier, stocks);
+  const otherItems = stocks.filter((stock) => !supplierItems.includes(stock));
+
+  const updateLine = (index, changes) =>
+    setLines((prev) =>
+      prev.map((line, lineIndex) =>
+        lineIndex === index ? { ...line, ...changes } : line
+      )
+    );
+
+  const handleItemChange = (index, stockItemId) => {
+    const stock = stocks.find((item) => item._id === stockItemId);
+    updateLine(index, {
+      stockItemId,
+      unitPrice: stock?.pricePerUnit ?? lines[index].unitPrice,
+    });
+  };
+
+  const validLines = lines.filter(
+    (line) => line.stockItemId && Number(line.quantity) > 0
+  );
+
+  const handleSubmit = async (status) => {
+    if (!supplierId) {
+      toast.error(t("purchaseOrders.supplierRequired"));
+      return;
+    }
+    if (validLines.length === 0) {
+      toast.error(t("purchaseOrders.itemsRequired"));
+      return;
+    }
+
+    const orderData = {
+      supplierId,
+      status,
+      expectedDate: expectedDate || null,
+      notes: notes.trim(),
+      items: validLines.map((line) => {
+        const stock = stocks.find((item) => item._id === line.stockItemId);
+        return {
+          stockItemId: line.stockItemId,
+          name: stock?.name || "",
+          unit: stock?.unit || "",
+          quantity: Number(line.quantity),
+          unitPrice: Number(line.unitPrice) || 0,
+        };
+      }),
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (isEditing) {
+        await dispatch(
+          updatePurchaseOrder({ orderId: purchaseOrder._id, orderData })
+        ).unwrap();
+      } else {
+        await dispatch(createPurchaseOrder(orderData)).unwrap();
+      }
+      toast.success(
+        status === "sent"
+          ? t("purchaseOrders.sent")
+          : t("purchaseOrders.savedDraft")
+      );
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("purchaseOrders.saveFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderStockOption = (stock) => (
+    <option key={stock._id} value={stock._id}>
+      {stock.name} ({stock.unit})
+    </option>
+  );
+
+  return (
+    <Modal
+      title={
+        isEditing
+          ? t("purchaseOrders.editOrder", { number: purchaseOrder.poNumber })
+          : t("purchaseOrders.newOrder")
+      }
+      onClose={onClose}
+      size="xl"
+    >
+      <div className="space-y-4" dir={isRTL ? "rtl" : "ltr"}>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("purchaseOrders.supplier")} *
+            </label>
+            <select
+              value={supplierId}
+              onChange={(e) => setSupplierId(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">{t("purchaseOrders.selectSupplier")}</option>
+              {suppliers.map((item) => (
+                <option key={item._id} value={item._id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("purchaseOrders.expectedDate")}
+            </label>
+            <input
+              type="date"
+              value={expectedDate}
+              onChange={(e) => setExpectedDate(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {/* Order lines */}
+        <div className="space-y-2">
+          <div className="hidden sm:grid grid-cols-12 gap-2 text-xs font-medium text-gray-500 uppercase">
+            <span className="col-span-6">{t("purchaseOrders.item")}</span>
+            <span className="col-span-2">{t("purchaseOrders.quantity")}</span>
+            <span className="col-span-2">{t("purchaseOrders.unitPrice")}</span>
+            <span className="col-span-2 text-end">
+              {t("purchaseOrders.lineTotal")}
+            </span>
+          </div>
+          {lines.map((line, index) => (
+            <div key={index} className="grid grid-cols-12 gap-2 items-center">
+              <select
+                value={line.stockItemId}
+                onChange={(e) => handleItemChange(index, e.target.value)}
+                className={`${inputClass} col-span-12 sm:col-span-6`}
+              >
+                <option value="">{t("purchaseOrders.selectItem")}</option>
+                {supplierItems.length > 0 && (
+                  <optgroup label={t("purchaseOrders.supplierItems")}>
+                    {supplierItems.map(renderStockOption)}
+                  </optgroup>
+                )}
+                <optgroup label={t("purchaseOrders.otherItems")}>
+                  {otherItems.map(renderStockOption)}
+                </optgroup>
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={line.quantity}
+                onChange={(e) =>
+                  updateLine(index, { quantity: e.target.value })
+                }
+                placeholder={t("purchaseOrders.quantity")}
+                className={`${inputClass} col-span-4 sm:col-span-2`}
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={line.unitPrice}
+                onChange={(e) =>
+                  updateLine(index, { unitPrice: e.target.value })
+                }
+                placeholder={t("purchaseOrders.unitPrice")}
+                className={`${inputClass} col-span-4 sm:col-span-2`}
+              />
+              <div className="col-span-4 sm:col-span-2 flex items-center justify-end gap-2">
+                <span className="text-sm text-gray-700">
+                  {(
+                    (Number(line.quantity) || 0) * (Number(line.unitPrice) || 0)
+                  ).toFixed(2)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setLines((prev) =>
+                      prev.filter((_, lineIndex) => lineIndex !== index)
+                    )
+                  }
+                  disabled={lines.length === 1}
+                  className="p-2 text-red-500 hover:text-red-700 disabled:opacity-30"
+                  title={t("purchaseOrders.removeLine")}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setLines((prev) => [...prev, EMPTY_LINE])}
+            className="flex items-center gap-1 text-sm text-primary-700 hover:text-primary-800"
+          >
+            <FaPlus size={12} />
+            {t("purchaseOrders.addLine")}
+          </button>
+        </div>
+
+        <div className="flex justify-end text-base font-semibold text-gray-800">
+          {t("purchaseOrders.total")}: {getItemsTotal(validLines).toFixed(2)}{" "}
+          AED
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("purchaseOrders.notes")}
+          </label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows="2"
+            className={`${inputClass} resize-none`}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleSubmit("draft")}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-primary-800 border border-primary-800 rounded-md hover:bg-primary-50 disabled:opacity-50"
+          >
+            {t("purchaseOrders.saveDraft")}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleSubmit("sent")}
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+          >
+            {t("purchaseOrders.saveAndSend")}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default PurchaseOrderForm;
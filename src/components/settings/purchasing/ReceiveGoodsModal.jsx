@@ -0,0 +1,276 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import { receivePurchaseOrder } from "../../../store/supplierSlice";
+import printQueue from "../../../services/printQueue";
+import {
+  buildPurchaseDocument,
+  getDueDate,
+  getItemsTotal,
+  getOutstandingQuantity,
+} from "../../../utils/purchasing";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+// Receive goods against a purchase order: what arrived, at what price, and
+// the supplier invoice that came with it
+const ReceiveGoodsModal = ({ purchaseOrder, supplier, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const termsDays = Number(supplier?.paymentTermsDays) || 0;
+
+  const [lines, setLines] = useState(() =>
+    purchaseOrder.items.map((item) => ({
+      stockItemId: item.stockItemId,
+      name: item.name,
+      unit: item.unit,
+      outstanding: getOutstandingQuantity(item),
+      quantity: getOutstandingQuantity(item),
+      unitPrice: item.unitPrice,
+    }))
+  );
+  const [invoiceNumber, setInvoiceNumber] = useState("");
+  const [invoiceType, setInvoiceType] = useState(
+    termsDays > 0 ? "Postponed" : "Cash"
+  );
+  const [paidAmount, setPaidAmount] = useState("");
+  const [note, setNote] = useState("");
+  const [printGrn, setPrintGrn] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const receivedLines = lines.filter((line) => Number(line.quantity) > 0);
+  const total = getItemsTotal(receivedLines);
+  // Cash invoices are settled in full on delivery
+  const paid =
+    invoiceType === "Cash" ? total : Math.min(Number(paidAmount) || 0, total);
+
+  const updateLine = (index, changes) =>
+    setLines((prev) =>
+      prev.map((line, lineIndex) =>
+        lineIndex === index ? { ...line, ...changes } : line
+      )
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (receivedLines.length === 0) {
+      toast.error(t("purchaseOrders.receive.nothingReceived"));
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await dispatch(
+        receivePurchaseOrder({
+          purchaseOrder,
+          items: receivedLines.map((line) => ({
+            stockItemId: line.stockItemId,
+            name: line.name,
+            unit: line.unit,
+            quantity: Number(line.quantity),
+            unitPrice: Number(line.unitPrice) || 0,
+          })),
+          invoice: {
+            number: invoiceNumber.trim(),
+            type: invoiceType,
+            value: total,
+            paidAmount: paid,
+            residualValue: total - paid,
+            dueDate: getDueDate(new Date(), termsDays).toISOString(),
+          },
+          note: note.trim(),
+        })
+      ).unwrap();
+      toast.success(t("purchaseOrders.receive.received"));
+
+      const { purchaseOrder: updatedOrder, receipt } = result.data || {};
+      if (printGrn && updatedOrder && receipt) {
+        printQueue
+          .submit(
+            "purchase",
+            buildPurchaseDocument(updatedOrder, supplier, receipt)
+          )
+          .catch(() => toast.error(t("purchaseOrders.printFailed")));
+      }
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("purchaseOrders.receive.failed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={t("purchaseOrders.receive.title", {
+        number: purchaseOrder.poNumber,
+      })}
+      onClose={onClose}
+      size="xl"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        dir={isRTL ? "rtl" : "ltr"}
+      >
+        {/* Received quantities */}
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {["item", "outstanding", "receiving", "unitPrice"].map(
+                  (column) => (
+                    <th
+                      key={column}
+                      className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                    >
+                      {t(`purchaseOrders.receive.${column}`)}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {lines.map((line, index) => (
+                <tr key={line.stockItemId}>
+                  <td className="py-2 px-3 text-gray-900">{line.name}</td>
+                  <td className="py-2 px-3 text-gray-600 whitespace-nowrap">
+                    {line.outstanding} {line.unit}
+                  </td>
+                  <td className="py-2 px-3 w-32">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={line.quantity}
+                      onChange={(e) =>
+                        updateLine(index, { quantity: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2 px-3 w-32">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={line.unitPrice}
+                      onChange={(e) =>
+                        updateLine(index, { unitPrice: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Supplier invoice */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("purchaseOrders.receive.invoiceNumber")}
+            </label>
+            <input
+              type="text"
+              value={invoiceNumber}
+              onChange={(e) => setInvoiceNumber(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("forms.stockForm.paymentType")}
+            </label>
+            <select
+              value={invoiceType}
+              onChange={(e) => setInvoiceType(e.target.value)}
+              className={inputClass}
+            >
+              <option value="Cash">{t("forms.stockForm.cash")}</option>
+              <option value="Postponed">
+                {t("forms.stockForm.postponed")}
+              </option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("forms.stockForm.paidAmount")}
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={invoiceType === "Cash" ? total : paidAmount}
+              onChange={(e) => setPaidAmount(e.target.value)}
+              disabled={invoiceType === "Cash"}
+              className={`${inputClass} disabled:bg-gray-100`}
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-between gap-2 text-sm">
+          <span className="text-gray-600">
+            {invoiceType === "Postponed" &&
+              t("purchaseOrders.receive.dueOn", {
+                date: getDueDate(new Date(), termsDays).toLocaleDateString(),
+              })}
+          </span>
+          <span className="font-semibold text-gray-800">
+            {t("purchaseOrders.total")}: {total.toFixed(2)} AED ·{" "}
+            {t("forms.stockForm.remaining")}: {(total - paid).toFixed(2)} AED
+          </span>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("purchaseOrders.notes")}
+          </label>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows="2"
+            className={`${inputClass} resize-none`}
+          />
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-3 pt-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={printGrn}
+              onChange={(e) => setPrintGrn(e.target.checked)}
+              className="w-4 h-4"
+            />
+            {t("purchaseOrders.receive.printGrn")}
+          </label>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              {t("purchaseOrders.receive.confirm")}
+            </button>
+          </div>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReceiveGoodsModal;
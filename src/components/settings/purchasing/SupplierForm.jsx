@@ -0,0 +1,238 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import { createSupplier, updateSupplier } from "../../../store/supplierSlice";
+import { PAYMENT_TERMS_OPTIONS } from "../../../utils/purchasing";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+// Add or edit a supplier with contacts, payment terms and supplied items
+const SupplierForm = ({ supplier, stocks, onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const isEditing = !!supplier;
+  const dispatch = useDispatch();
+
+  const [formData, setFormData] = useState({
+    name: supplier?.name || "",
+    contactName: supplier?.contactName || "",
+    phone: supplier?.phone || "",
+    email: supplier?.email || "",
+    address: supplier?.address || "",
+    paymentTermsDays: supplier?.paymentTermsDays ?? 0,
+    itemIds: (supplier?.itemIds || []).map((item) =>
+      typeof item === "object" ? item._id : item
+    ),
+    notes: supplier?.notes || "",
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const updateField = (name, value) =>
+    setFormData((prev) => ({ ...prev, [name]: value }));
+
+  const toggleItem = (stockId) =>
+    updateField(
+      "itemIds",
+      formData.itemIds.includes(stockId)
+        ? formData.itemIds.filter((id) => id !== stockId)
+        : [...formData.itemIds, stockId]
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      toast.error(t("suppliers.nameRequired"));
+      return;
+    }
+
+    const supplierData = {
+      ...formData,
+      name: formData.name.trim(),
+      contactName: formData.contactName.trim(),
+      phone: formData.phone.trim(),
+      email: formData.email.trim(),
+      address: formData.address.trim(),
+      paymentTermsDays: Number(formData.paymentTermsDays) || 0,
+      notes: formData.notes.trim(),
+    };
+
+    setIsSubmitting(true);
+    try {
+      if (isEditing) {
+        await dispatch(
+          updateSupplier({ supplierId: supplier._id, supplierData })
+        ).unwrap();
+        toast.success(t("suppliers.updated"));
+      } else {
+        await dispatch(createSupplier(supplierData)).unwrap();
+        toast.success(t("suppliers.created"));
+      }
+      onClose();
+    } catch (error) {
+      toast.error(error.message || t("suppliers.saveFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={
+        isEditing ? t("suppliers.editSupplier") : t("suppliers.addSupplier")
+      }
+      onClose={onClose}
+      size="lg"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-4"
+        dir={isRTL ? "rtl" : "ltr"}
+      >
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.name")} *
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => updateField("name", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.contactName")}
+            </label>
+            <input
+              type="text"
+              value={formData.contactName}
+              onChange={(e) => updateField("contactName", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.phone")}
+            </label>
+            <input
+              type="tel"
+              dir="ltr"
+              value={formData.phone}
+              onChange={(e) => updateField("phone", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.email")}
+            </label>
+            <input
+              type="email"
+              dir="ltr"
+              value={formData.email}
+              onChange={(e) => updateField("email", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.address")}
+            </label>
+            <input
+              type="text"
+              value={formData.address}
+              onChange={(e) => updateField("address", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t("suppliers.paymentTerms")}
+            </label>
+            <select
+              value={formData.paymentTermsDays}
+              onChange={(e) =>
+                updateField("paymentTermsDays", Number(e.target.value))
+              }
+              className={inputClass}
+            >
+              {PAYMENT_TERMS_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days === 0
+                    ? t("suppliers.terms.cash")
+                    : t("suppliers.terms.net", { days })}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Items this supplier provides */}
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">
+            {t("suppliers.items")}{" "}
+            <span className="text-gray-500 font-normal">
+              ({formData.itemIds.length})
+            </span>
+          </p>
+          {stocks.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("suppliers.noStock")}</p>
+          ) : (
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-1 max-h-40 overflow-y-auto p-2 border border-gray-200 rounded-md">
+              {stocks.map((stock) => (
+                <label
+                  key={stock._id}
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.itemIds.includes(stock._id)}
+                    onChange={() => toggleItem(stock._id)}
+                    className="w-4 h-4"
+                  />
+                  <span className="truncate">{stock.name}</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("suppliers.notes")}
+          </label>
+          <textarea
+            value={formData.notes}
+            onChange={(e) => updateField("notes", e.target.value)}
+            rows="2"
+            className={`${inputClass} resize-none`}
+          />
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+          >
+            {isSubmitting ? t("suppliers.saving") : t("suppliers.save")}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default SupplierForm;
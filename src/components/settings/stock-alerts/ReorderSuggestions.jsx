@@ -0,0 +1,76 @@
+import { useTranslation } from "react-i18next";
+import { FaFileExport, FaFileInvoice } from "react-icons/fa";
+
+// Suggested reorder list, one card per supplier, each exportable or turned
+// into a purchase order
+const ReorderSuggestions = ({ groups, onExport, onCreateOrder }) => {
+  const { t } = useTranslation();
+
+  if (groups.length === 0) {
+    return (
+      <p className="py-8 text-center text-gray-500">
+        {t("stockAlerts.noSuggestions")}
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      {groups.map((group) => (
+        <div
+          key={group.key || "none"}
+          className="bg-white rounded-lg shadow-sm border border-gray-200"
+        >
+          <div className="flex flex-wrap justify-between items-center gap-2 px-4 py-3 border-b">
+            <div>
+              <p className="font-semibold text-gray-800">
+                {group.supplierName || t("stockAlerts.noSupplier")}
+              </p>
+              {!group.supplier && group.supplierName && (
+                <p className="text-xs text-amber-700">
+                  {t("stockAlerts.notInDirectory")}
+                </p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => onExport([group])}
+                className="flex items-center gap-1 px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                <FaFileExport />
+                {t("stockAlerts.export")}
+              </button>
+              <button
+                onClick={() => onCreateOrder(group)}
+                className="flex items-center gap-1 px-3 py-1 text-sm text-white bg-primary-800 rounded-md hover:bg-primary-900"
+              >
+                <FaFileInvoice />
+                {t("stockAlerts.createOrder")}
+              </button>
+            </div>
+          </div>
+          <table className="min-w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {group.items.map((item) => (
+                <tr key={item.stock._id}>
+                  <td className="py-2 px-4 text-gray-900">{item.stock.name}</td>
+                  <td className="py-2 px-4 whitespace-nowrap text-gray-700">
+                    {item.quantity} {item.stock.unit}
+                  </td>
+                  <td className="py-2 px-4 whitespace-nowrap text-end text-gray-700">
+                    {(item.quantity * item.unitPrice).toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-end px-4 py-2 border-t text-sm font-semibold text-gray-800">
+            {t("stockAlerts.estimatedTotal")}: {group.total.toFixed(2)} AED
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { adjustStock, fetchStockMovements } from "../../../store/stockSlice";
+import { MANUAL_MOVEMENT_TYPES } from "../../../utils/stockMovements";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500";
+
+const EMPTY_MOVEMENT = {
+  type: "adjustment",
+  direction: "remove",
+  quantity: "",
+  toStockId: "",
+  note: "",
+};
+
+// Manual adjustment, waste or transfer of a stock item. Rendered inside
+// the stock form, so it is not a form of its own.
+const StockAdjustmentForm = ({ stock }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { stocks, loading } = useSelector((state) => state.stock);
+  const [movement, setMovement] = useState(EMPTY_MOVEMENT);
+
+  const update = (field, value) =>
+    setMovement((prev) => ({ ...prev, [field]: value }));
+
+  const transferTargets = stocks.filter(
+    (item) => item._id !== stock._id && item.unit === stock.unit
+  );
+
+  const handleSubmit = async () => {
+    const quantity = Number(movement.quantity);
+    if (!quantity || quantity <= 0) {
+      toast.error(t("stockMovements.quantityRequired"));
+      return;
+    }
+    if (movement.type === "transfer" && !movement.toStockId) {
+      toast.error(t("stockMovements.targetRequired"));
+      return;
+    }
+    if (!movement.note.trim() && movement.type !== "transfer") {
+      toast.error(t("stockMovements.reasonRequired"));
+      return;
+    }
+    const adds = movement.type === "adjustment" && movement.direction === "add";
+    if (!adds && quantity > Number(stock.quantity || 0)) {
+      toast.error(t("stockMovements.notEnoughStock"));
+      return;
+    }
+
+    try {
+      await dispatch(
+        adjustStock({
+          stockId: stock._id,
+          movementData: {
+            type: movement.type,
+            quantity: adds ? quantity : -quantity,
+            ...(movement.type === "transfer" && {
+              toStockId: movement.toStockId,
+            }),
+            note: movement.note.trim(),
+          },
+        })
+      ).unwrap();
+      toast.success(t(`stockMovements.saved.${movement.type}`));
+      setMovement(EMPTY_MOVEMENT);
+      dispatch(fetchStockMovements(stock._id));
+    } catch (error) {
+      toast.error(error.message || t("stockMovements.saveFailed"));
+    }
+  };
+
+  return (
+    <div className="p-3 border border-gray-200 rounded-md bg-gray-50 space-y-3">
+      <p className="text-sm font-semibold text-gray-800">
+        {t("stockMovements.recordMovement")}
+      </p>
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={movement.type}
+          onChange={(e) => update("type", e.target.value)}
+          className={inputClass}
+        >
+          {MANUAL_MOVEMENT_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {t(`stockMovements.types.${type}`)}
+            </option>
+          ))}
+        </select>
+        {movement.type === "adjustment" ? (
+          <select
+            value={movement.direction}
+            onChange={(e) => update("direction", e.target.value)}
+            className={inputClass}
+          >
+            <option value="remove">{t("stockMovements.remove")}</option>
+            <option value="add">{t("stockMovements.add")}</option>
+          </select>
+        ) : movement.type === "transfer" ? (
+          <select
+            value={movement.toStockId}
+            onChange={(e) => update("toStockId", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">{t("stockMovements.transferTo")}</option>
+            {transferTargets.map((item) => (
+              <option key={item._id} value={item._id}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span />
+        )}
+        <div className="relative">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={movement.quantity}
+            onChange={(e) => update("quantity", e.target.value)}
+            placeholder={t("stockMovements.quantity")}
+            className={inputClass}
+          />
+          <span className="absolute end-3 top-1/2 -translate-y-1/2 text-xs text-gray-500">
+            {stock.unit}
+          </span>
+        </div>
+        <input
+          type="text"
+          value={movement.note}
+          onChange={(e) => update("note", e.target.value)}
+          placeholder={t("stockMovements.reason")}
+          className={inputClass}
+        />
+      </div>
+      <button
+        type="button"
+        onClick={handleSubmit}
+        disabled={loading}
+        className="px-4 py-2 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+      >
+        {t("stockMovements.record")}
+      </button>
+    </div>
+  );
+};
+
+export default StockAdjustmentForm;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaArrowDown,
+  FaArrowUp,
+  FaExchangeAlt,
+  FaReceipt,
+  FaSlidersH,
+  FaTrashAlt,
+  FaTruck,
+  FaUndo,
+} from "react-icons/fa";
+import { fetchStockMovements } from "../../../store/stockSlice";
+import {
+  MOVEMENT_TYPES,
+  filterMovements,
+  getMovementUser,
+  isIncoming,
+} from "../../../utils/stockMovements";
+
+const TYPE_ICONS = {
+  purchase: FaTruck,
+  order_consumption: FaReceipt,
+  order_cancellation: FaUndo,
+  adjustment: FaSlidersH,
+  waste: FaTrashAlt,
+  transfer: FaExchangeAlt,
+};
+
+const formatQuantity = (value) =>
+  Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 3 });
+
+// Where a movement came from, linked when there is somewhere to go
+const MovementSource = ({ source }) => {
+  const { t } = useTranslation();
+  if (!source?.kind) return null;
+
+  switch (source.kind) {
+    case "order":
+      return (
+        <Link
+          to={`/history?search=${encodeURIComponent(source.code || "")}`}
+          className="text-primary-700 hover:underline"
+        >
+          {t("stockMovements.sources.order", {
+            code: source.code || source.id?.slice(-8),
+          })}
+        </Link>
+      );
+    case "invoice":
+      return (
+        <span>
+          {t("stockMovements.sources.invoice", {
+            supplier: source.supplier || "-",
+          })}
+        </span>
+      );
+    case "grn":
+      return (
+        <Link
+          to="/settings/purchase-orders"
+          className="text-primary-700 hover:underline"
+        >
+          {t("stockMovements.sources.grn", {
+            code: source.code || "-",
+            supplier: source.supplier || "-",
+          })}
+        </Link>
+      );
+    case "stocktake":
+      return (
+        <span>
+          {t("stockMovements.sources.stocktake", {
+            date: source.date
+              ? new Date(source.date).toLocaleDateString()
+              : "-",
+          })}
+        </span>
+      );
+    case "transfer":
+      return (
+        <span>
+          {t("stockMovements.sources.transfer", { name: source.name || "-" })}
+        </span>
+      );
+    default:
+      return <span>{t(`stockMovements.sources.${source.kind}`)}</span>;
+  }
+};
+
+// Every change to a stock item, newest first
+const StockMovementTimeline = ({ stock }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { movements, movementsLoading } = useSelector((state) => state.stock);
+  const [typeFilter, setTypeFilter] = useState("");
+
+  useEffect(() => {
+    dispatch(fetchStockMovements(stock._id));
+  }, [stock._id, dispatch]);
+
+  const entries = filterMovements(movements[stock._id], typeFilter);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-sm font-semibold text-gray-800">
+          {t("stockMovements.title")}
+        </p>
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+        >
+          <option value="">{t("stockMovements.allTypes")}</option>
+          {MOVEMENT_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {t(`stockMovements.types.${type}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="py-4 text-sm text-center text-gray-500">
+          {movementsLoading
+            ? t("stockMovements.loading")
+            : t("stockMovements.empty")}
+        </p>
+      ) : (
+        <ol className="relative border-s border-gray-200 ms-3 max-h-80 overflow-y-auto">
+          {entries.map((movement) => {
+            const Icon = TYPE_ICONS[movement.type] || FaSlidersH;
+            const incoming = isIncoming(movement);
+            return (
+              <li key={movement._id} className="mb-4 ms-6">
+                <span
+                  className={`absolute -start-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${
+                    incoming
+                      ? "bg-green-100 text-green-700"
+                      : "bg-red-100 text-red-700"
+                  }`}
+                >
+                  <Icon size={10} />
+                </span>
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <p className="text-sm font-medium text-gray-900">
+                    {t(`stockMovements.types.${movement.type}`)}
+                  </p>
+                  <span
+                    className={`flex items-center gap-1 text-sm font-semibold ${
+                      incoming ? "text-green-700" : "text-red-700"
+                    }`}
+                    dir="ltr"
+                  >
+                    {incoming ? (
+                      <FaArrowUp size={10} />
+                    ) : (
+                      <FaArrowDown size={10} />
+                    )}
+                    {incoming ? "+" : ""}
+                    {formatQuantity(movement.quantity)}{" "}
+                    {movement.unit || stock.unit}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-600" dir="ltr">
+                  {formatQuantity(movement.quantityBefore)} →{" "}
+                  {formatQuantity(movement.quantityAfter)} {stock.unit}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Date(movement.createdAt).toLocaleString()}
+                  {getMovementUser(movement) &&
+                    ` · ${getMovementUser(movement)}`}
+                  {movement.source?.kind && " · "}
+                  <MovementSource source={movement.source} />
+                </p>
+                {movement.note && (
+                  <p className="text-xs text-gray-700 italic">
+                    {movement.note}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default StockMovementTimeline;
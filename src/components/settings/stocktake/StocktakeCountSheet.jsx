@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaSearch } from "react-icons/fa";
+import toast from "react-hot-toast";
+import { saveStocktakeCounts } from "../../../store/stockSlice";
+import {
+  getCounterName,
+  getStocktakeLines,
+  getUserCount,
+} from "../../../utils/stocktake";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800";
+
+// Count sheet of an open stocktake. Each counter enters what they counted;
+// items can be left for someone else or counted later.
+const StocktakeCountSheet = ({ stocktake }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+
+  // Only the quantities typed since the last save, by stock item id
+  const [drafts, setDrafts] = useState({});
+  const [search, setSearch] = useState("");
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const lines = getStocktakeLines(stocktake).filter(
+    (line) =>
+      line.name.toLowerCase().includes(search.trim().toLowerCase()) &&
+      (!uncountedOnly || line.counted === null)
+  );
+  const changed = Object.entries(drafts).filter(([, value]) => value !== "");
+
+  const handleSave = async () => {
+    if (changed.some(([, value]) => Number(value) < 0)) {
+      toast.error(t("stocktake.negativeCount"));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await dispatch(
+        saveStocktakeCounts({
+          stocktakeId: stocktake._id,
+          counts: changed.map(([stockItemId, value]) => ({
+            stockItemId,
+            quantity: Number(value),
+          })),
+        })
+      ).unwrap();
+      setDrafts({});
+      toast.success(t("stocktake.countsSaved", { count: changed.length }));
+    } catch (error) {
+      toast.error(error.message || t("stocktake.saveFailed"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative flex-grow">
+          <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder={t("stocktake.searchItems")}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className={`${inputClass} pl-10`}
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={uncountedOnly}
+            onChange={(e) => setUncountedOnly(e.target.checked)}
+            className="w-4 h-4"
+          />
+          {t("stocktake.uncountedOnly")}
+        </label>
+      </div>
+
+      <div className="max-h-[50vh] overflow-y-auto border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {["item", "system", "countedSoFar", "myCount"].map((column) => (
+                <th
+                  key={column}
+                  className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                >
+                  {t(`stocktake.columns.${column}`)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {lines.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="py-6 px-3 text-center text-gray-500">
+                  {t("stocktake.noItems")}
+                </td>
+              </tr>
+            ) : (
+              lines.map((line) => {
+                const ownCount = getUserCount(
+                  stocktake,
+                  line.stockItemId,
+                  user?._id
+                );
+                return (
+                  <tr key={line.stockItemId}>
+                    <td className="py-2 px-3 font-medium text-gray-900">
+                      {line.name}
+                    </td>
+                    <td className="py-2 px-3 whitespace-nowrap text-gray-700">
+                      {line.systemQuantity} {line.unit}
+                    </td>
+                    <td className="py-2 px-3 text-gray-700">
+                      {line.counted === null ? (
+                        <span className="text-gray-400">
+                          {t("stocktake.notCounted")}
+                        </span>
+                      ) : (
+                        <>
+                          <span className="font-medium">
+                            {line.counted} {line.unit}
+                          </span>
+                          <span className="block text-xs text-gray-500">
+                            {line.entries
+                              .map(
+                                (entry) =>
+                                  `${getCounterName(entry)}: ${entry.quantity}`
+                              )
+                              .join(" · ")}
+                          </span>
+                        </>
+                      )}
+                    </td>
+                    <td className="py-2 px-3 w-32">
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={drafts[line.stockItemId] ?? ownCount ?? ""}
+                        onChange={(e) =>
+                          setDrafts((prev) => ({
+                            ...prev,
+                            [line.stockItemId]: e.target.value,
+                          }))
+                        }
+                        className={inputClass}
+                      />
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={isSaving || changed.length === 0}
+          className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+        >
+          {t("stocktake.saveCounts", { count: changed.length })}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StocktakeCountSheet;
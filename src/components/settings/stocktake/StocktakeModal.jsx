@@ -0,0 +1,369 @@
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaArrowLeft, FaFileExport, FaPlay } from "react-icons/fa";
+import toast from "react-hot-toast";
+import Modal from "../../common/Modal";
+import StocktakeCountSheet from "./StocktakeCountSheet";
+import StocktakeReview from "./StocktakeReview";
+import {
+  approveStocktake,
+  cancelStocktake,
+  fetchStocktakes,
+  startStocktake,
+} from "../../../store/stockSlice";
+import {
+  buildStocktakeItems,
+  getStocktakeAdjustments,
+  getStocktakeLines,
+  getStocktakeSummary,
+  stocktakeToCsv,
+} from "../../../utils/stocktake";
+
+const STATUS_STYLES = {
+  in_progress: "bg-blue-100 text-blue-800",
+  approved: "bg-green-100 text-green-800",
+  cancelled: "bg-gray-100 text-gray-700",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "-");
+
+// Stocktake sessions: start a count, count, review the variances and
+// approve, and look back at past stocktakes
+const StocktakeModal = ({ onClose }) => {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { stocks, stocktakes } = useSelector((state) => state.stock);
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [tab, setTab] = useState("count");
+  const [note, setNote] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchStocktakes());
+  }, [dispatch]);
+
+  const selected = stocktakes.find((item) => item._id === selectedId);
+  const openStocktake = stocktakes.find(
+    (item) => item.status === "in_progress"
+  );
+
+  const openSession = (stocktake) => {
+    setSelectedId(stocktake._id);
+    setTab(stocktake.status === "in_progress" ? "count" : "review");
+  };
+
+  const handleStart = async () => {
+    if (stocks.length === 0) {
+      toast.error(t("stocktake.noStock"));
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      const response = await dispatch(
+        startStocktake({
+          items: buildStocktakeItems(stocks),
+          note: note.trim(),
+        })
+      ).unwrap();
+      setNote("");
+      if (response.data) openSession(response.data);
+      toast.success(t("stocktake.started"));
+    } catch (error) {
+      toast.error(error.message || t("stocktake.startFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    const adjustments = getStocktakeAdjustments(getStocktakeLines(selected));
+    if (
+      !window.confirm(
+        t("stocktake.confirmApprove", { count: adjustments.length })
+      )
+    ) {
+      return;
+    }
+    setIsSubmitting(true);
+    try {
+      await dispatch(
+        approveStocktake({ stocktakeId: selected._id, adjustments })
+      ).unwrap();
+      setTab("review");
+      toast.success(t("stocktake.approved"));
+    } catch (error) {
+      toast.error(error.message || t("stocktake.approveFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(t("stocktake.confirmCancel"))) return;
+    setIsSubmitting(true);
+    try {
+      await dispatch(cancelStocktake(selected._id)).unwrap();
+      setTab("review");
+    } catch (error) {
+      toast.error(error.message || t("stocktake.cancelFailed"));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleExport = (stocktake) => {
+    const csv = stocktakeToCsv(stocktake);
+    // Byte order mark so spreadsheet apps read Arabic names as UTF-8
+    const blob = new Blob([`\uFEFF${csv}`], {
+      type: "text/csv;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `stocktake-${new Date(
+      stocktake.startedAt || stocktake.createdAt
+    )
+      .toISOString()
+      .slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderStatus = (status) => (
+    <span
+      className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status]}`}
+    >
+      {t(`stocktake.statuses.${status}`)}
+    </span>
+  );
+
+  return (
+    <Modal title={t("stocktake.title")} onClose={onClose} size="2xl">
+      <div className="space-y-4" dir={isRTL ? "rtl" : "ltr"}>
+        {selected ? (
+          <>
+            {/* Session header */}
+            <div className="flex flex-wrap justify-between items-start gap-3">
+              <div>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(null)}
+                  className="flex items-center gap-1 text-sm text-primary-700 hover:text-primary-800 mb-2"
+                >
+                  <FaArrowLeft size={12} />
+                  {t("stocktake.allStocktakes")}
+                </button>
+                <div className="flex items-center gap-2">
+                  <p className="font-semibold text-gray-800">
+                    {formatDate(selected.startedAt || selected.createdAt)}
+                  </p>
+                  {renderStatus(selected.status)}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {t("stocktake.startedBy", {
+                    name: selected.startedBy?.name || "-",
+                  })}
+                  {selected.status === "approved" &&
+                    ` · ${t("stocktake.approvedBy", {
+                      name: selected.approvedBy?.name || "-",
+                      date: formatDate(selected.approvedAt),
+                    })}`}
+                </p>
+                {selected.note && (
+                  <p className="text-sm text-gray-700 italic">
+                    {selected.note}
+                  </p>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleExport(selected)}
+                  className="flex items-center gap-1 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+                >
+                  <FaFileExport />
+                  {t("stocktake.export")}
+                </button>
+                {selected.status === "in_progress" && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={handleCancel}
+                      disabled={isSubmitting}
+                      className="px-3 py-2 text-sm text-red-600 border border-red-300 rounded-md hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {t("stocktake.cancelCount")}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleApprove}
+                      disabled={isSubmitting}
+                      className="px-3 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+                    >
+                      {t("stocktake.approve")}
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {selected.status === "in_progress" && (
+              <div className="flex gap-2 border-b">
+                {["count", "review"].map((key) => (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setTab(key)}
+                    className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                      tab === key
+                        ? "border-primary-800 text-primary-800"
+                        : "border-transparent text-gray-500 hover:text-gray-700"
+                    }`}
+                  >
+                    {t(`stocktake.tabs.${key}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {selected.status === "in_progress" && tab === "count" ? (
+              <StocktakeCountSheet stocktake={selected} />
+            ) : (
+              <StocktakeReview stocktake={selected} />
+            )}
+          </>
+        ) : (
+          <>
+            {/* Start a new count, one at a time */}
+            {openStocktake ? (
+              <div className="flex flex-wrap justify-between items-center gap-3 p-4 bg-blue-50 border border-blue-200 rounded-md">
+                <p className="text-sm text-blue-800">
+                  {t("stocktake.inProgress", {
+                    date: formatDate(
+                      openStocktake.startedAt || openStocktake.createdAt
+                    ),
+                  })}
+                </p>
+                <button
+                  type="button"
+                  onClick={() => openSession(openStocktake)}
+                  className="px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900"
+                >
+                  {t("stocktake.continue")}
+                </button>
+              </div>
+            ) : (
+              <div className="flex flex-col sm:flex-row gap-3 p-4 bg-gray-50 border rounded-md">
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder={t("stocktake.notePlaceholder")}
+                  className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+                />
+                <button
+                  type="button"
+                  onClick={handleStart}
+                  disabled={isSubmitting}
+                  className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-800 rounded-md hover:bg-primary-900 disabled:opacity-50"
+                >
+                  <FaPlay size={12} />
+                  {t("stocktake.start")}
+                </button>
+              </div>
+            )}
+
+            {/* Past and current stocktakes */}
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {["date", "status", "startedBy", "counted", "net", ""].map(
+                      (column) => (
+                        <th
+                          key={column}
+                          className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                        >
+                          {column && t(`stocktake.columns.${column}`)}
+                        </th>
+                      )
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {stocktakes.length === 0 ? (
+                    <tr>
+                      <td
+                        colSpan="6"
+                        className="py-6 px-3 text-center text-gray-500"
+                      >
+                        {t("stocktake.noStocktakes")}
+                      </td>
+                    </tr>
+                  ) : (
+                    stocktakes.map((stocktake) => {
+                      const summary = getStocktakeSummary(
+                        getStocktakeLines(stocktake)
+                      );
+                      return (
+                        <tr key={stocktake._id} className="hover:bg-gray-50">
+                          <td className="py-2 px-3 whitespace-nowrap">
+                            {formatDate(
+                              stocktake.startedAt || stocktake.createdAt
+                            )}
+                          </td>
+                          <td className="py-2 px-3">
+                            {renderStatus(stocktake.status)}
+                          </td>
+                          <td className="py-2 px-3">
+                            {stocktake.startedBy?.name || "-"}
+                          </td>
+                          <td className="py-2 px-3 whitespace-nowrap">
+                            {summary.countedCount} / {summary.itemCount}
+                          </td>
+                          <td
+                            className={`py-2 px-3 whitespace-nowrap font-medium ${
+                              summary.netValue < 0
+                                ? "text-red-700"
+                                : "text-gray-800"
+                            }`}
+                          >
+                            {summary.netValue.toFixed(2)}
+                          </td>
+                          <td className="py-2 px-3">
+                            <div className="flex justify-end gap-2">
+                              <button
+                                type="button"
+                                onClick={() => handleExport(stocktake)}
+                                className="p-2 text-gray-600 hover:text-gray-800"
+                                title={t("stocktake.export")}
+                              >
+                                <FaFileExport />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => openSession(stocktake)}
+                                className="px-3 py-1 text-sm text-primary-800 border border-primary-800 rounded-md hover:bg-primary-50"
+                              >
+                                {t("stocktake.view")}
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default StocktakeModal;
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+import {
+  getCounterName,
+  getStocktakeLines,
+  getStocktakeSummary,
+} from "../../../utils/stocktake";
+
+const formatAmount = (value) => `${(Number(value) || 0).toFixed(2)} AED`;
+
+const formatVariance = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+// Variances of a stocktake in quantity and value, for review before
+// approval and for past stocktakes
+const StocktakeReview = ({ stocktake }) => {
+  const { t } = useTranslation();
+  const [variancesOnly, setVariancesOnly] = useState(true);
+
+  const allLines = getStocktakeLines(stocktake);
+  const summary = getStocktakeSummary(allLines);
+  const lines = allLines.filter(
+    (line) => !variancesOnly || (line.counted !== null && line.variance !== 0)
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+        <div className="p-3 bg-gray-50 border rounded-md">
+          <p className="text-gray-500">{t("stocktake.summary.counted")}</p>
+          <p className="text-lg font-bold text-gray-800">
+            {summary.countedCount} / {summary.itemCount}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 border rounded-md">
+          <p className="text-gray-500">{t("stocktake.summary.gain")}</p>
+          <p className="text-lg font-bold text-green-700">
+            {formatAmount(summary.gainValue)}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 border rounded-md">
+          <p className="text-gray-500">{t("stocktake.summary.loss")}</p>
+          <p className="text-lg font-bold text-red-700">
+            {formatAmount(summary.lossValue)}
+          </p>
+        </div>
+        <div className="p-3 bg-gray-50 border rounded-md">
+          <p className="text-gray-500">{t("stocktake.summary.net")}</p>
+          <p
+            className={`text-lg font-bold ${
+              summary.netValue < 0 ? "text-red-700" : "text-gray-800"
+            }`}
+          >
+            {formatAmount(summary.netValue)}
+          </p>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={variancesOnly}
+          onChange={(e) => setVariancesOnly(e.target.checked)}
+          className="w-4 h-4"
+        />
+        {t("stocktake.variancesOnly", { count: summary.varianceCount })}
+      </label>
+
+      <div className="max-h-[50vh] overflow-y-auto border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              {[
+                "item",
+                "system",
+                "counted",
+                "variance",
+                "unitPrice",
+                "varianceValue",
+              ].map((column) => (
+                <th
+                  key={column}
+                  className="py-2 px-3 text-start text-xs font-medium text-gray-500 uppercase"
+                >
+                  {t(`stocktake.columns.${column}`)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {lines.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="py-6 px-3 text-center text-gray-500">
+                  {t("stocktake.noVariances")}
+                </td>
+              </tr>
+            ) : (
+              lines.map((line) => (
+                <tr key={line.stockItemId}>
+                  <td className="py-2 px-3 font-medium text-gray-900">
+                    {line.name}
+                    {line.entries.length > 0 && (
+                      <span className="block text-xs font-normal text-gray-500">
+                        {line.entries.map(getCounterName).join(", ")}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 px-3 whitespace-nowrap text-gray-700">
+                    {line.systemQuantity} {line.unit}
+                  </td>
+                  <td className="py-2 px-3 whitespace-nowrap text-gray-700">
+                    {line.counted === null
+                      ? t("stocktake.notCounted")
+                      : `${line.counted} ${line.unit}`}
+                  </td>
+                  <td
+                    className={`py-2 px-3 whitespace-nowrap font-medium ${
+                      line.variance < 0
+                        ? "text-red-700"
+                        : line.variance > 0
+                        ? "text-green-700"
+                        : "text-gray-500"
+                    }`}
+                  >
+                    {line.counted === null
+                      ? "-"
+                      : `${formatVariance(line.variance)} ${line.unit}`}
+                  </td>
+                  <td className="py-2 px-3 whitespace-nowrap text-gray-700">
+                    {line.pricePerUnit.toFixed(2)}
+                  </td>
+                  <td
+                    className={`py-2 px-3 whitespace-nowrap font-medium ${
+                      line.varianceValue < 0
+                        ? "text-red-700"
+                        : line.varianceValue > 0
+                        ? "text-green-700"
+                        : "text-gray-500"
+                    }`}
+                  >
+                    {line.counted === null
+                      ? "-"
+                      : line.varianceValue.toFixed(2)}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StocktakeReview;
@@ -0,0 +1,310 @@
+import { useMemo, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaRedo, FaSave, FaUndo } from "react-icons/fa";
+import FloorPlanTable from "../../table/FloorPlanTable";
+import { saveFloorPlan } from "../../../store/tableSlice";
+import {
+  CANVAS_HEIGHT,
+  CANVAS_WIDTH,
+  GRID_SIZE,
+  TABLE_SHAPES,
+  getTableLayout,
+  getTableSize,
+  snapPosition,
+} from "../../../utils/floorPlan";
+
+const AREAS = ["inside", "outside"];
+
+// Drag tables onto the canvas of each area and set their shape, seats and
+// rotation. Changes are kept locally until saved.
+const FloorPlanEditor = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { tables, loading } = useSelector((state) => state.table);
+
+  const [area, setArea] = useState("inside");
+  const [changes, setChanges] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const canvasRef = useRef(null);
+
+  const areaTables = useMemo(
+    () =>
+      tables
+        .filter((table) => table.location === area)
+        .sort((a, b) => a.number - b.number),
+    [tables, area]
+  );
+
+  const layouts = useMemo(
+    () =>
+      Object.fromEntries(
+        areaTables.map((table, index) => [
+          table._id,
+          changes[table._id] || getTableLayout(table, index),
+        ])
+      ),
+    [areaTables, changes]
+  );
+
+  const selectedTable = areaTables.find((table) => table._id === selectedId);
+  const selectedLayout = selectedTable && layouts[selectedTable._id];
+  const changeCount = Object.keys(changes).length;
+
+  const updateLayout = (tableId, update) => {
+    const next = { ...layouts[tableId], ...update };
+    // A bigger shape may no longer fit where it was
+    const position = snapPosition(next.x, next.y, getTableSize(next));
+    setChanges((prev) => ({ ...prev, [tableId]: { ...next, ...position } }));
+  };
+
+  // Pointer position in canvas units
+  const toCanvas = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * CANVAS_WIDTH,
+      y: ((event.clientY - rect.top) / rect.height) * CANVAS_HEIGHT,
+    };
+  };
+
+  const handlePointerDown = (event, table) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toCanvas(event);
+    const layout = layouts[table._id];
+    setSelectedId(table._id);
+    setDrag({
+      tableId: table._id,
+      offsetX: point.x - layout.x,
+      offsetY: point.y - layout.y,
+    });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const point = toCanvas(event);
+    const layout = layouts[drag.tableId];
+    const position = snapPosition(
+      point.x - drag.offsetX,
+      point.y - drag.offsetY,
+      getTableSize(layout)
+    );
+    if (position.x !== layout.x || position.y !== layout.y) {
+      setChanges((prev) => ({
+        ...prev,
+        [drag.tableId]: { ...layout, ...position },
+      }));
+    }
+  };
+
+  const handleAreaChange = (nextArea) => {
+    setArea(nextArea);
+    setSelectedId(null);
+  };
+
+  const handleSave = async () => {
+    const payload = tables
+      .filter((table) => changes[table._id])
+      .map((table) => ({
+        _id: table._id,
+        number: table.number,
+        layout: changes[table._id],
+      }));
+    try {
+      await dispatch(saveFloorPlan(payload)).unwrap();
+      setChanges({});
+    } catch {
+      // The error is shown by useTablesManagement
+    }
+  };
+
+  const handleReset = () => {
+    if (changeCount > 0 && !window.confirm(t("table.floorPlan.confirmReset")))
+      return;
+    setChanges({});
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-4 space-y-4">
+      {/* Area tabs and actions */}
+      <div className="flex flex-wrap items-center gap-2">
+        {AREAS.map((item) => (
+          <button
+            key={item}
+            onClick={() => handleAreaChange(item)}
+            className={`px-4 py-2 text-sm rounded-lg transition-colors ${
+              area === item
+                ? "bg-primary-700 text-white"
+                : "bg-white text-primary-800 border border-primary-800"
+            }`}
+          >
+            {t(item === "inside" ? "table.indoor" : "table.outdoor")}
+          </button>
+        ))}
+        <p className="text-sm text-gray-500 px-2">
+          {t("table.floorPlan.hint")}
+        </p>
+        <div className="flex items-center gap-2 ms-auto">
+          <button
+            onClick={handleReset}
+            disabled={changeCount === 0 || loading}
+            className="flex items-center gap-2 px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FaUndo size={12} />
+            {t("table.floorPlan.reset")}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={changeCount === 0 || loading}
+            className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-primary-700 rounded-lg hover:bg-primary-800 disabled:opacity-50"
+          >
+            <FaSave size={12} />
+            {loading
+              ? t("table.saving")
+              : t("table.floorPlan.save", { count: changeCount })}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-4">
+        {/* Canvas */}
+        <div
+          ref={canvasRef}
+          dir="ltr"
+          className="relative flex-1 border border-gray-300 rounded-lg overflow-hidden bg-neutral-50"
+          style={{
+            aspectRatio: `${CANVAS_WIDTH} / ${CANVAS_HEIGHT}`,
+            backgroundImage:
+              "linear-gradient(to right, #e5e7eb 1px, transparent 1px), linear-gradient(to bottom, #e5e7eb 1px, transparent 1px)",
+            backgroundSize: `${(GRID_SIZE / CANVAS_WIDTH) * 100}% ${
+              (GRID_SIZE / CANVAS_HEIGHT) * 100
+            }%`,
+          }}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => setDrag(null)}
+          onPointerCancel={() => setDrag(null)}
+        >
+          {areaTables.map((table) => (
+            <FloorPlanTable
+              key={table._id}
+              layout={layouts[table._id]}
+              colorClass={
+                changes[table._id]
+                  ? "bg-amber-50 border-amber-500"
+                  : "bg-white border-primary-700"
+              }
+              isSelected={selectedId === table._id}
+              onPointerDown={(event) => handlePointerDown(event, table)}
+            >
+              <span className="text-xl font-bold text-neutral-800">
+                {table.number}
+              </span>
+              <span className="text-[10px] text-gray-500">
+                {t("table.seats", { count: layouts[table._id].seats })}
+              </span>
+            </FloorPlanTable>
+          ))}
+          {areaTables.length === 0 && (
+            <p className="absolute inset-0 flex items-center justify-center text-gray-500">
+              {t("table.noTablesFound")}
+            </p>
+          )}
+        </div>
+
+        {/* Selected table */}
+        <div className="lg:w-64 space-y-4">
+          {selectedLayout ? (
+            <>
+              <h3 className="font-semibold text-gray-800">
+                {t("table.floorPlan.tableNumber", {
+                  number: selectedTable.number,
+                })}
+              </h3>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">
+                  {t("table.floorPlan.shape")}
+                </p>
+                <div className="flex gap-2">
+                  {TABLE_SHAPES.map((shape) => (
+                    <button
+                      key={shape}
+                      onClick={() => updateLayout(selectedTable._id, { shape })}
+                      className={`flex-1 px-2 py-2 text-sm rounded-md border transition-colors ${
+                        selectedLayout.shape === shape
+                          ? "bg-primary-700 border-primary-700 text-white"
+                          : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+                      }`}
+                    >
+                      {t(`table.floorPlan.shapes.${shape}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                  {t("table.floorPlan.seats")}
+                </span>
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={selectedLayout.seats}
+                  onChange={(e) =>
+                    updateLayout(selectedTable._id, {
+                      seats: Math.min(
+                        Math.max(parseInt(e.target.value) || 1, 1),
+                        20
+                      ),
+                    })
+                  }
+                  className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+                />
+              </label>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">
+                  {t("table.floorPlan.rotation")}
+                </p>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() =>
+                      updateLayout(selectedTable._id, {
+                        rotation: (selectedLayout.rotation + 345) % 360,
+                      })
+                    }
+                    className="p-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                    title={t("table.floorPlan.rotateLeft")}
+                  >
+                    <FaUndo size={12} />
+                  </button>
+                  <span className="w-12 text-center font-semibold">
+                    {selectedLayout.rotation}°
+                  </span>
+                  <button
+                    onClick={() =>
+                      updateLayout(selectedTable._id, {
+                        rotation: (selectedLayout.rotation + 15) % 360,
+                      })
+                    }
+                    className="p-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                    title={t("table.floorPlan.rotateRight")}
+                  >
+                    <FaRedo size={12} />
+                  </button>
+                </div>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">
+              {t("table.floorPlan.selectTable")}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlanEditor;
@@ -1,3 +1,4 @@
+export { default as FloorPlanEditor } from "./FloorPlanEditor";
 export { default as TableCard } from "./TableCard";
 export { default as TableFilters } from "./TableFilters";
 export { default as TableGrid } from "./TableGrid";
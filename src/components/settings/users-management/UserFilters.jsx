@@ -53,6 +53,8 @@ const UserFilters = ({
         <option value="">{t("users.allRoles")}</option>
         <option value="manager">{t("users.manager")}</option>
         <option value="cashier">{t("users.cashier")}</option>
+        <option value="kitchen">{t("users.kitchen")}</option>
+        <option value="driver">{t("users.driver")}</option>
       </select>
 
       <select
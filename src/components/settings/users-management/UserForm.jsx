@@ -374,6 +374,8 @@ const UserForm = ({ user, onClose }) => {
               >
                 <option value="cashier">{t("forms.userForm.cashier")}</option>
                 <option value="manager">{t("forms.userForm.manager")}</option>
+                <option value="kitchen">{t("forms.userForm.kitchen")}</option>
+                <option value="driver">{t("forms.userForm.driver")}</option>
               </select>
             </div>
 
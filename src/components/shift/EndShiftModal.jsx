@@ -1,18 +1,28 @@
-import { useState } from "react";
+import { useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import { FaCheck, FaExclamationTriangle } from "react-icons/fa";
 import Modal from "../common/Modal";
+import DriverCashPanel from "../delivery/DriverCashPanel";
 import { endShift } from "../../store/shiftSlice";
+import { getDriverCashSummary } from "../../utils/delivery";
 
 function EndShiftModal({ onClose }) {
   const { t } = useTranslation();
   const dispatch = useDispatch();
   const { loading, error, currentShift } = useSelector((state) => state.shift);
+  const { orders } = useSelector((state) => state.order);
 
   const [endBalance, setEndBalance] = useState("");
   const [formError, setFormError] = useState("");
 
+  // Delivery cash still with drivers is settled before closing the till
+  const hasDriverCash = useMemo(
+    () =>
+      getDriverCashSummary(orders).some((driver) => driver.orderIds.length > 0),
+    [orders]
+  );
+
   if (!currentShift) {
     return null;
   }
@@ -87,6 +97,17 @@ function EndShiftModal({ onClose }) {
             </div>
           </div>
 
+          {/* Cash-on-delivery to collect from drivers */}
+          {hasDriverCash && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-amber-700 flex items-center gap-2">
+                <FaExclamationTriangle />
+                {t("delivery.unsettledCash")}
+              </p>
+              <DriverCashPanel orders={orders} shiftId={currentShift._id} />
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex justify-end space-x-3 pt-4">
             <button
@@ -1,4 +1,10 @@
+import { useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
+import {
+  getShiftRefundTotals,
+  getShiftTenderTotals,
+  getTenderName,
+} from "../../utils/tenders";
 
 function ShiftEndSummary({
   shift,
@@ -9,19 +15,37 @@ function ShiftEndSummary({
 }) {
   const { t, i18n } = useTranslation();
   const isRTL = i18n.language === "ar";
+  const { tenders } = useSelector((state) => state.tender);
 
   if (!shift) return null;
 
-  // Calculate expected cash balance (starting cash + cash payments received)
+  // Takings per tender, cash-like tenders go into the drawer count
+  const tenderTotals = getShiftTenderTotals(shift, tenders);
+  const cashTakings = tenderTotals
+    .filter(({ tender }) => tender.countsAsCash)
+    .reduce((sum, { amount }) => sum + amount, 0);
+
+  // Refunds given back during the shift, cash-like tenders out of the drawer
+  const refundTotals = getShiftRefundTotals(shift, tenders);
+  const cashRefunds = refundTotals
+    .filter(({ tender }) => tender.countsAsCash)
+    .reduce((sum, { amount }) => sum + amount, 0);
+  const totalRefunds = refundTotals.reduce(
+    (sum, { amount }) => sum + amount,
+    0
+  );
+
+  // Calculate expected cash balance (starting cash + cash payments received
+  // - cash refunded)
   const expectedCashBalance =
-    (shift.startBalance || 0) + (shift.paymentWithCashBalance || 0);
+    (shift.startBalance || 0) + cashTakings - cashRefunds;
 
   // Calculate cash variance (actual count vs expected)
   const cashVariance = (shift.endBalance || 0) - expectedCashBalance;
 
   // Calculate total revenue for the shift
   const totalRevenue =
-    (shift.paymentWithCashBalance || 0) + (shift.paymentWithVisaBalance || 0);
+    tenderTotals.reduce((sum, { amount }) => sum + amount, 0) - totalRefunds;
 
   const formatCurrency = (amount) => {
     const numericAmount = Number(amount) || 0;
@@ -249,22 +273,47 @@ function ShiftEndSummary({
                     {formatCurrency(shift.endBalance)}
                   </span>
                 </div>
-                <div className={`flex justify-between text-start`}>
-                  <span className="text-gray-600">
-                    {t("shiftSummary.cashPayments")}:
-                  </span>
-                  <span className="font-medium text-green-600">
-                    {formatCurrency(shift.paymentWithCashBalance)}
-                  </span>
-                </div>
-                <div className={`flex justify-between text-start`}>
-                  <span className="text-gray-600">
-                    {t("shiftSummary.cardPayments")}:
-                  </span>
-                  <span className="font-medium text-blue-600">
-                    {formatCurrency(shift.paymentWithVisaBalance)}
-                  </span>
-                </div>
+                {tenderTotals.map(({ tender, amount }) => (
+                  <div
+                    key={tender.id}
+                    className={`flex justify-between text-start`}
+                  >
+                    <span className="text-gray-600">
+                      {getTenderName(tender, isRTL)}:
+                    </span>
+                    <span
+                      className={`font-medium ${
+                        tender.countsAsCash ? "text-green-600" : "text-blue-600"
+                      }`}
+                    >
+                      {formatCurrency(amount)}
+                    </span>
+                  </div>
+                ))}
+                {refundTotals.map(({ tender, amount }) => (
+                  <div
+                    key={`refund_${tender.id}`}
+                    className={`flex justify-between text-start`}
+                  >
+                    <span className="text-gray-600">
+                      {t("shiftSummary.refunds")} (
+                      {getTenderName(tender, isRTL)}):
+                    </span>
+                    <span className="font-medium text-red-600">
+                      -{formatCurrency(amount)}
+                    </span>
+                  </div>
+                ))}
+                {shift.discountBalance > 0 && (
+                  <div className={`flex justify-between text-start`}>
+                    <span className="text-gray-600">
+                      {t("shiftSummary.discounts")}:
+                    </span>
+                    <span className="font-medium text-red-600">
+                      -{formatCurrency(shift.discountBalance)}
+                    </span>
+                  </div>
+                )}
                 <div className={`flex justify-between text-start`}>
                   <span className="text-gray-600">
                     {t("shiftSummary.totalSales")}:
@@ -0,0 +1,45 @@
+import {
+  CANVAS_HEIGHT,
+  CANVAS_WIDTH,
+  getTableSize,
+} from "../../utils/floorPlan";
+
+// A table drawn on the floor plan canvas. The shape is rotated, the text
+// on it stays upright.
+const FloorPlanTable = ({
+  layout,
+  colorClass,
+  isSelected = false,
+  children,
+  ...props
+}) => {
+  const { width, height } = getTableSize(layout);
+
+  return (
+    <div
+      className="absolute flex items-center justify-center select-none cursor-pointer"
+      style={{
+        left: `${(layout.x / CANVAS_WIDTH) * 100}%`,
+        top: `${(layout.y / CANVAS_HEIGHT) * 100}%`,
+        width: `${(width / CANVAS_WIDTH) * 100}%`,
+        height: `${(height / CANVAS_HEIGHT) * 100}%`,
+        touchAction: "none",
+      }}
+      {...props}
+    >
+      <div
+        className={`absolute inset-0 border-4 shadow-sm transition-colors ${
+          layout.shape === "round" ? "rounded-full" : "rounded-lg"
+        } ${colorClass} ${
+          isSelected ? "ring-4 ring-primary-400 ring-offset-2" : ""
+        }`}
+        style={{ transform: `rotate(${layout.rotation}deg)` }}
+      />
+      <div className="relative flex flex-col items-center text-center leading-tight pointer-events-none">
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlanTable;
@@ -0,0 +1,89 @@
+import { useTranslation } from "react-i18next";
+import FloorPlanTable from "./FloorPlanTable";
+import {
+  CANVAS_HEIGHT,
+  CANVAS_WIDTH,
+  TABLE_STATUS_STYLES,
+  getTableLayout,
+  getTableStatus,
+} from "../../utils/floorPlan";
+import { getOpenTableOrders } from "../../utils/tables";
+import { getTableHold } from "../../utils/reservations";
+
+const formatElapsed = (minutes) =>
+  minutes >= 60
+    ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`
+    : `${minutes}m`;
+
+// Live floor plan of one area, tables coloured by status with the open
+// order total and time seated
+const FloorPlanView = ({
+  tables,
+  orders,
+  reservations,
+  now,
+  sourceTable,
+  onTableClick,
+}) => {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      className="relative w-full bg-white border border-neutral-200 rounded-xl overflow-hidden"
+      style={{ aspectRatio: `${CANVAS_WIDTH} / ${CANVAS_HEIGHT}` }}
+    >
+      {tables.map((table, index) => {
+        const layout = getTableLayout(table, index);
+        const openOrders = getOpenTableOrders(orders, table.number);
+        const hold = getTableHold(reservations, table.number, now);
+        const status = getTableStatus(table, openOrders, hold);
+        const total = openOrders.reduce(
+          (sum, order) => sum + (Number(order.totalPrice) || 0),
+          0
+        );
+        const seatedAt = openOrders[0]?.createdAt;
+        const minutes = seatedAt
+          ? Math.max(Math.floor((now - new Date(seatedAt)) / 60000), 0)
+          : null;
+
+        return (
+          <FloorPlanTable
+            key={table._id}
+            layout={layout}
+            colorClass={TABLE_STATUS_STYLES[status]}
+            isSelected={sourceTable?._id === table._id}
+            onClick={() => onTableClick(table)}
+            title={t(`table.statuses.${status}`)}
+          >
+            <span className="text-xl font-bold text-neutral-800">
+              {table.number}
+            </span>
+            {openOrders.length > 0 ? (
+              <>
+                <span className="text-xs font-semibold">
+                  {total.toFixed(2)}
+                </span>
+                <span className="text-[10px] text-gray-600">
+                  {formatElapsed(minutes)}
+                </span>
+              </>
+            ) : hold ? (
+              <span className="text-[10px] text-blue-700">
+                {new Date(hold.time).toLocaleTimeString([], {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+              </span>
+            ) : (
+              <span className="text-[10px] text-gray-500">
+                {t("table.seats", { count: layout.seats })}
+              </span>
+            )}
+          </FloorPlanTable>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FloorPlanView;
@@ -1,8 +1,27 @@
 import { useTranslation } from "react-i18next";
+import { TABLE_STATUS_STYLES, TABLE_STATUSES } from "../../utils/floorPlan";
 
-const TableBottom = ({ freeTables, occupiedTables }) => {
+const TableBottom = ({ freeTables, occupiedTables, statusCounts }) => {
   const { t } = useTranslation();
 
+  // Floor plan legend: one entry per live status
+  if (statusCounts) {
+    return (
+      <div className="flex flex-wrap gap-4 bg-neutral-50 w-full pb-4 pt-8">
+        {TABLE_STATUSES.map((status) => (
+          <div key={status} className="flex items-center gap-2">
+            <div
+              className={`w-4 h-4 sm:w-6 sm:h-6 rounded border-4 ${TABLE_STATUS_STYLES[status]}`}
+            ></div>
+            <span className="text-sm">
+              {t(`table.statuses.${status}`)} ({statusCounts[status] || 0})
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
   return (
     <div className="flex flex-wrap gap-4 bg-neutral-50 w-full pb-4 pt-8">
       {/* Status Legend */}
@@ -1,7 +1,15 @@
 import { useNavigate } from "react-router-dom";
 import { useTranslation } from "react-i18next";
 
-const TableCard = ({ table, isSelected, onSelect }) => {
+const TableCard = ({
+  table,
+  isSelected,
+  onSelect,
+  operation = null,
+  isSource = false,
+  onOperationSelect,
+  reservation = null,
+}) => {
   const { t } = useTranslation();
   const navigate = useNavigate();
 
@@ -14,11 +22,18 @@ const TableCard = ({ table, isSelected, onSelect }) => {
 
   // Determine border color based on availability
   const getBorderColor = () => {
+    if (isSource) return "border-amber-500";
     if (isSelected) return "border-primary-600";
+    if (isAvailable && reservation) return "border-blue-500";
     return isAvailable ? "border-green-500" : "border-red-500";
   };
 
   const handleTableClick = () => {
+    // Picking tables for a move or merge
+    if (operation) {
+      onOperationSelect(table);
+      return;
+    }
     if (isAvailable) {
       onSelect();
     } else {
@@ -30,7 +45,9 @@ const TableCard = ({ table, isSelected, onSelect }) => {
   return (
     <div className="flex flex-col">
       <button
-        className={`border-4 ${getBorderColor()} rounded-lg p-7 transition-all duration-200 
+        className={`border-4 ${getBorderColor()} rounded-lg p-7 transition-all duration-200 ${
+          isSource ? "bg-amber-50" : ""
+        }
           ${
             isAvailable
               ? "hover:border-green-600 hover:shadow-card-hover"
@@ -47,6 +64,17 @@ const TableCard = ({ table, isSelected, onSelect }) => {
         <h3 className="text-3xl font-medium text-center text-neutral-800">
           {tableNumber}
         </h3>
+        {isAvailable && reservation && (
+          <p className="mt-1 text-xs text-blue-700 truncate">
+            {t("table.statuses.reserved")}{" "}
+            {new Date(reservation.time).toLocaleTimeString([], {
+              hour: "2-digit",
+              minute: "2-digit",
+            })}
+            {" · "}
+            {reservation.name}
+          </p>
+        )}
       </button>
     </div>
   );
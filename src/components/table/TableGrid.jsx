@@ -1,16 +1,37 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
 import TableCard from "./TableCard";
+import FloorPlanView from "./FloorPlanView";
 import TableBottom from "./TableBottom";
 import AddTableModal from "./AddTableModal";
+import ReservedTableModal from "../reservations/ReservedTableModal";
+import { setReservationStatus } from "../../store/reservationSlice";
+import { getTableStatus } from "../../utils/floorPlan";
+import { getOpenTableOrders } from "../../utils/tables";
+import { getTableHold, getUpcomingBooking } from "../../utils/reservations";
 
-const TableGrid = ({ tables = [], onSelectTable, seatingType }) => {
+const TableGrid = ({
+  tables = [],
+  onSelectTable,
+  seatingType,
+  operation = null,
+  sourceTable = null,
+  onOperationSelect,
+  view = "grid",
+  orders = [],
+  reservations = [],
+  now = Date.now(),
+}) => {
   const { t } = useTranslation();
   const [selectedTable, setSelectedTable] = useState(null);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  // Free table held for a booking that the cashier is about to seat
+  const [reservedPrompt, setReservedPrompt] = useState(null);
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
 
   // Check if user is a manager
@@ -23,6 +44,48 @@ const TableGrid = ({ tables = [], onSelectTable, seatingType }) => {
     navigate(`/menu?table=${tableId}`);
   };
 
+  // Tables held for a booking, or booked before a party seated now would
+  // be done, ask who is being seated first
+  const seatTable = (table) => {
+    const booking =
+      getTableHold(reservations, table.number, now) ||
+      getUpcomingBooking(reservations, table.number, now);
+    if (booking) {
+      setReservedPrompt({ table, reservation: booking });
+    } else {
+      handleSelectTable(table._id);
+    }
+  };
+
+  const handleSeatReservation = async () => {
+    const { table, reservation } = reservedPrompt;
+    try {
+      await dispatch(
+        setReservationStatus({
+          reservationId: reservation._id,
+          status: "seated",
+        })
+      ).unwrap();
+      setReservedPrompt(null);
+      handleSelectTable(table._id);
+    } catch (error) {
+      toast.error(error?.message || t("reservations.saveFailed"));
+    }
+  };
+
+  const reservedModal = reservedPrompt && (
+    <ReservedTableModal
+      table={reservedPrompt.table}
+      reservation={reservedPrompt.reservation}
+      onSeatReservation={handleSeatReservation}
+      onSeatWalkIn={() => {
+        setReservedPrompt(null);
+        handleSelectTable(reservedPrompt.table._id);
+      }}
+      onClose={() => setReservedPrompt(null)}
+    />
+  );
+
   // Filter tables based on seating type
   const filteredTables = tables
     .filter((table) => table.location === seatingType)
@@ -31,6 +94,43 @@ const TableGrid = ({ tables = [], onSelectTable, seatingType }) => {
   const freeTables = tables.filter((table) => table.isAvailable);
   const occupiedTables = tables.filter((table) => table.isAvailable == false);
 
+  // Same behaviour as a table card, for tables clicked on the floor plan
+  const handleFloorPlanClick = (table) => {
+    if (operation) {
+      onOperationSelect(table);
+    } else if (table.isAvailable) {
+      seatTable(table);
+    } else {
+      navigate(`/cashier?table=${table.number}`);
+    }
+  };
+
+  if (view === "floor") {
+    const statusCounts = tables.reduce((counts, table) => {
+      const status = getTableStatus(
+        table,
+        getOpenTableOrders(orders, table.number),
+        getTableHold(reservations, table.number, now)
+      );
+      return { ...counts, [status]: (counts[status] || 0) + 1 };
+    }, {});
+
+    return (
+      <div className="px-2 lg:px-10 py-2 relative h-full">
+        <FloorPlanView
+          tables={filteredTables}
+          orders={orders}
+          reservations={reservations}
+          now={now}
+          sourceTable={sourceTable}
+          onTableClick={handleFloorPlanClick}
+        />
+        <TableBottom statusCounts={statusCounts} />
+        {reservedModal}
+      </div>
+    );
+  }
+
   return (
     <div className="px-2 py-2 relative h-full">
       {/* Table Grid */}
@@ -40,7 +140,11 @@ const TableGrid = ({ tables = [], onSelectTable, seatingType }) => {
             key={table._id}
             table={table}
             isSelected={selectedTable === table._id}
-            onSelect={() => handleSelectTable(table._id)}
+            onSelect={() => seatTable(table)}
+            operation={operation}
+            isSource={sourceTable?._id === table._id}
+            onOperationSelect={onOperationSelect}
+            reservation={getTableHold(reservations, table.number, now)}
           />
         ))}
         {isManager && (
@@ -63,6 +167,7 @@ const TableGrid = ({ tables = [], onSelectTable, seatingType }) => {
         tables={tables}
         seatingType={seatingType}
       />
+      {reservedModal}
     </div>
   );
 };
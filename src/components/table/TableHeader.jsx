@@ -1,8 +1,18 @@
 import { useState, useEffect } from "react";
 import { useTranslation } from "react-i18next";
-import { FaCalendarAlt, FaClock } from "react-icons/fa";
+import { FaCalendarAlt, FaClock, FaMap, FaTh } from "react-icons/fa";
 
-const TableHeader = ({ seatingType, setSeatingType }) => {
+const VIEW_MODES = [
+  { id: "grid", icon: FaTh },
+  { id: "floor", icon: FaMap },
+];
+
+const TableHeader = ({
+  seatingType,
+  setSeatingType,
+  viewMode,
+  setViewMode,
+}) => {
   const { t, i18n } = useTranslation();
   const isRTL = i18n.language === "ar";
   const [currentDate, setCurrentDate] = useState("");
@@ -66,6 +76,26 @@ const TableHeader = ({ seatingType, setSeatingType }) => {
           >
             {t("table.outdoor")}
           </button>
+
+          {/* Grid or floor plan */}
+          {setViewMode && (
+            <div className="flex border border-primary-800 rounded-lg overflow-hidden">
+              {VIEW_MODES.map(({ id, icon: Icon }) => (
+                <button
+                  key={id}
+                  className={`px-4 transition-colors ${
+                    viewMode === id
+                      ? "bg-primary-700 text-white"
+                      : "bg-white text-primary-800"
+                  }`}
+                  onClick={() => setViewMode(id)}
+                  title={t(`table.views.${id}`)}
+                >
+                  <Icon />
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Date and time display */}
@@ -0,0 +1,69 @@
+import { useTranslation } from "react-i18next";
+import { FaExchangeAlt, FaObjectGroup, FaTimes } from "react-icons/fa";
+
+const OPERATIONS = [
+  { id: "move", icon: FaExchangeAlt },
+  { id: "merge", icon: FaObjectGroup },
+];
+
+// Move an open order to a free table, or merge two occupied tables. Other
+// table actions can be passed as children.
+const TableOperationsBar = ({
+  operation,
+  sourceTable,
+  onOperationChange,
+  busy,
+  children,
+}) => {
+  const { t } = useTranslation();
+
+  const hint = !operation
+    ? null
+    : !sourceTable
+    ? t("table.operations.pickSource")
+    : t(`table.operations.pickTarget.${operation}`, {
+        number: sourceTable.number,
+      });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-2 lg:px-10 pb-2">
+      {OPERATIONS.map(({ id, icon: Icon }) => (
+        <button
+          key={id}
+          onClick={() => onOperationChange(operation === id ? null : id)}
+          disabled={busy}
+          className={`flex items-center gap-2 px-4 py-2 text-sm rounded-lg border transition-colors disabled:opacity-50 ${
+            operation === id
+              ? "bg-amber-500 border-amber-500 text-white"
+              : "bg-white border-primary-800 text-primary-800 hover:bg-primary-50"
+          }`}
+        >
+          <Icon />
+          {t(`table.operations.${id}`)}
+        </button>
+      ))}
+      {operation && (
+        <>
+          <span className="text-sm text-amber-800 bg-amber-50 px-3 py-2 rounded-lg">
+            {busy ? t("table.operations.working") : hint}
+          </span>
+          <button
+            onClick={() => onOperationChange(null)}
+            disabled={busy}
+            className="p-2 text-gray-500 hover:text-gray-800"
+            title={t("common.cancel")}
+          >
+            <FaTimes />
+          </button>
+        </>
+      )}
+      {children && (
+        <div className="flex flex-wrap items-center gap-2 ms-auto">
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TableOperationsBar;
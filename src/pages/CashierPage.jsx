@@ -14,6 +14,8 @@ import { FaArrowLeft, FaTimes, FaPlus } from "react-icons/fa";
 import { TbCancel } from "react-icons/tb";
 
 import printingService from "../services/printingService";
+import printQueue from "../services/printQueue";
+import realtime from "../services/realtime";
 import CategoryTabs from "../components/common/CategoryTabs";
 import SearchInput from "../components/common/SearchInput";
 import MenuGrid from "../components/menu/MenuGrid";
@@ -30,11 +32,16 @@ import {
   deleteMealFromOrder,
   cancelOrder,
 } from "../store/orderSlice";
+import { hasModifiers, getModifiersKey } from "../utils/modifiers";
+import { calculateInvoice, getLineVatRate } from "../utils/vat";
+import { calculateDiscounts } from "../utils/discounts";
+import { DEFAULT_SPLIT } from "../utils/splitBill";
 
 // Lazy load heavy components
 const PaymentSection = lazy(() =>
   import("../components/cashier/paymentSection/PaymentSection")
 );
+const ModifierModal = lazy(() => import("../components/menu/ModifierModal"));
 
 function CashierPage() {
   const { t } = useTranslation();
@@ -68,6 +75,7 @@ function CashierPage() {
   const [activeCategory, setActiveCategory] = useState("");
   const [filteredItems, setFilteredItems] = useState([]);
   const [orderItems, setOrderItems] = useState([]);
+  const [modifierMeal, setModifierMeal] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [cashierSidebarOpen, setCashierSidebarOpen] = useState(
@@ -102,8 +110,13 @@ function CashierPage() {
 
   // Get current order's state
   const currentOrderState = useMemo(() => {
-    if (!currentOrder?._id) return { tax: "", discount: "" };
-    return orderStates[currentOrder._id] || { tax: "", discount: "" };
+    const emptyState = {
+      discounts: [],
+      managerPin: "",
+      split: DEFAULT_SPLIT,
+    };
+    if (!currentOrder?._id) return emptyState;
+    return { ...emptyState, ...orderStates[currentOrder._id] };
   }, [currentOrder?._id, orderStates]);
 
   // Check if current order has any uncancelled items
@@ -158,15 +171,19 @@ function CashierPage() {
     // Skip if still loading shift status
     if (shiftLoading) return;
 
+    let params;
     if (needsShiftManagement) {
       // Only fetch orders if we have an active shift
-      if (hasActiveShift && currentShift?._id) {
-        dispatch(fetchAllOrders({ shiftId: currentShift._id }));
-      }
-    } else {
-      // For other roles, fetch all orders
-      dispatch(fetchAllOrders());
+      if (!hasActiveShift || !currentShift?._id) return;
+      params = { shiftId: currentShift._id };
     }
+
+    // For other roles, fetch all orders
+    const loadOrders = () => dispatch(fetchAllOrders(params));
+    loadOrders();
+    // Other tills and the kitchen display reach us through realtime events,
+    // refetch when those may have been missed
+    return realtime.onResync(loadOrders);
   }, [
     dispatch,
     currentShift?._id,
@@ -244,7 +261,7 @@ function CashierPage() {
         if (orderToPrint) {
           try {
             // Only print kitchen ticket when navigating from menu (to kitchen printer only)
-            await printingService.printKitchenTicket(orderToPrint);
+            await printQueue.submit("kitchen", orderToPrint);
             console.log("✅ Kitchen ticket printed successfully");
             toast.success(t("cashier.kitchenTicketPrinted"));
           } catch (error) {
@@ -308,6 +325,8 @@ function CashierPage() {
         quantity: item.quantity,
         categoryId: mealData.categoryId,
         currency: mealData.currency || "AED",
+        modifiers: item.modifiers || [],
+        note: item.note || "",
         isCancelled: item.isCancelled || false, // Include cancellation status
         orderIndex: index, // Preserve original order
       };
@@ -342,7 +361,7 @@ function CashierPage() {
 
   // Memoized add item to order function
   const addToOrder = useCallback(
-    async (item) => {
+    async (item, modifiers) => {
       if (!currentOrder) {
         console.warn("No current order selected");
         return;
@@ -354,10 +373,19 @@ function CashierPage() {
         return;
       }
 
+      // Meals with modifier groups open the modifier picker first
+      if (!modifiers && hasModifiers(item)) {
+        setModifierMeal(item);
+        return;
+      }
+
       setMealOperationLoading(true);
       try {
+        const modifiersKey = getModifiersKey(modifiers);
         const existingOrderItem = currentOrder.orderItems?.find(
-          (orderItem) => orderItem.mealId === item._id
+          (orderItem) =>
+            orderItem.mealId === item._id &&
+            getModifiersKey(orderItem.modifiers) === modifiersKey
         );
 
         let newQuantity = 1;
@@ -378,8 +406,10 @@ function CashierPage() {
         await dispatch(
           addMealToOrder({
             orderId: currentOrder._id,
+            orderItemId: existingOrderItem?._id,
             mealId: item._id,
             quantity: newQuantity,
+            modifiers,
           })
         ).unwrap();
 
@@ -394,9 +424,21 @@ function CashierPage() {
     [currentOrder, dispatch, t]
   );
 
-  // Memoized remove item from order function
+  const handleModifiersConfirm = useCallback(
+    (modifiers) => {
+      addToOrder(modifierMeal, modifiers);
+      setModifierMeal(null);
+    },
+    [addToOrder, modifierMeal]
+  );
+
+  const closeModifierModal = useCallback(() => {
+    setModifierMeal(null);
+  }, []);
+
+  // Memoized remove item from order function, for one order line
   const removeFromOrder = useCallback(
-    async (id) => {
+    async (orderItem) => {
       if (!currentOrder || !canDeleteMeals) {
         console.warn("No current order selected or no permission");
         return;
@@ -407,7 +449,7 @@ function CashierPage() {
         await dispatch(
           deleteMealFromOrder({
             orderId: currentOrder._id,
-            mealId: id,
+            orderItemId: orderItem._id,
           })
         ).unwrap();
 
@@ -425,9 +467,9 @@ function CashierPage() {
     [currentOrder, dispatch, canDeleteMeals, t]
   );
 
-  // Memoized update quantity function
+  // Memoized update quantity function, for one order line
   const updateQuantity = useCallback(
-    async (id, quantity) => {
+    async (orderItem, quantity) => {
       if (!currentOrder) {
         console.warn("No current order selected");
         return;
@@ -435,7 +477,7 @@ function CashierPage() {
 
       if (quantity <= 0) {
         if (canDeleteMeals) {
-          removeFromOrder(id);
+          removeFromOrder(orderItem);
         }
         return;
       }
@@ -445,8 +487,10 @@ function CashierPage() {
         await dispatch(
           addMealToOrder({
             orderId: currentOrder._id,
-            mealId: id,
+            orderItemId: orderItem._id,
+            mealId: orderItem.mealId,
             quantity: quantity,
+            modifiers: orderItem.modifiers,
           })
         ).unwrap();
 
@@ -461,19 +505,52 @@ function CashierPage() {
     [currentOrder, dispatch, canDeleteMeals, removeFromOrder, t]
   );
 
-  // Memoized calculation functions
-  const calculateSubtotal = useCallback(() => {
-    return orderItems.reduce((total, item) => {
-      // Exclude cancelled items from subtotal calculation
-      if (item.isCancelled) return total;
-      return total + item.price * item.quantity;
-    }, 0);
-  }, [orderItems]);
+  // Branch VAT settings from the synced receipt template
+  const { defaultRate: defaultVatRate, pricesIncludeTax } =
+    printingService.getReceiptSettings().tax;
+
+  // Billable lines with the meal data discounts and VAT depend on
+  // (cancelled items excluded)
+  const billableLines = useMemo(
+    () =>
+      orderItems
+        .filter((item) => !item.isCancelled)
+        .map((item) => {
+          const meal = meals?.find((m) => m._id === item.mealId);
+          const categoryId =
+            meal?.categoryId?._id || meal?.categoryId || item.categoryId;
+          const category = categories?.find((c) => c._id === categoryId);
+          return {
+            id: item._id,
+            name: item.name,
+            mealId: item.mealId,
+            categoryId,
+            quantity: item.quantity,
+            unitPrice: item.price,
+            vatRate: getLineVatRate(meal, category, defaultVatRate),
+          };
+        }),
+    [orderItems, meals, categories, defaultVatRate]
+  );
 
-  const calculateDiscount = useCallback(() => {
-    const discount = parseFloat(currentOrderState.discount) || 0;
-    return (calculateSubtotal() * discount) / 100;
-  }, [calculateSubtotal, currentOrderState.discount]);
+  // Applied discount rules, worked out per line
+  const discountResult = useMemo(
+    () => calculateDiscounts(billableLines, currentOrderState.discounts),
+    [billableLines, currentOrderState.discounts]
+  );
+
+  // Invoice totals with VAT per line, after discounts
+  const invoice = useMemo(
+    () =>
+      calculateInvoice({
+        lines: billableLines.map((line) => ({
+          ...line,
+          discount: discountResult.lineDiscounts[line.id] || 0,
+        })),
+        pricesIncludeTax,
+      }),
+    [billableLines, discountResult, pricesIncludeTax]
+  );
 
   // Memoized event handlers
   const handleSearch = useCallback((term) => {
@@ -487,19 +564,29 @@ function CashierPage() {
     [dispatch]
   );
 
-  const handleTaxChange = useCallback(
-    (tax) => {
+  // Changing the discounts drops an approval given for the old ones
+  const handleDiscountsChange = useCallback(
+    (discounts) => {
       if (currentOrder?._id) {
-        updateOrderState(currentOrder._id, { tax });
+        updateOrderState(currentOrder._id, { discounts, managerPin: "" });
       }
     },
     [currentOrder?._id, updateOrderState]
   );
 
-  const handleDiscountChange = useCallback(
-    (discount) => {
+  const handleManagerPinChange = useCallback(
+    (managerPin) => {
       if (currentOrder?._id) {
-        updateOrderState(currentOrder._id, { discount });
+        updateOrderState(currentOrder._id, { managerPin });
+      }
+    },
+    [currentOrder?._id, updateOrderState]
+  );
+
+  const handleSplitChange = useCallback(
+    (split) => {
+      if (currentOrder?._id) {
+        updateOrderState(currentOrder._id, { split });
       }
     },
     [currentOrder?._id, updateOrderState]
@@ -692,12 +779,14 @@ function CashierPage() {
                 }
               >
                 <PaymentSection
-                  tax={currentOrderState.tax}
-                  setTax={handleTaxChange}
-                  discount={currentOrderState.discount}
-                  setDiscount={handleDiscountChange}
-                  subtotal={calculateSubtotal()}
-                  discountAmount={calculateDiscount()}
+                  appliedDiscounts={currentOrderState.discounts}
+                  onDiscountsChange={handleDiscountsChange}
+                  discountResult={discountResult}
+                  managerPin={currentOrderState.managerPin}
+                  onManagerPinChange={handleManagerPinChange}
+                  invoice={invoice}
+                  split={currentOrderState.split}
+                  onSplitChange={handleSplitChange}
                 />
               </Suspense>
             </div>
@@ -730,6 +819,17 @@ function CashierPage() {
           onSelectOrder={handleSelectOrder}
         />
       </div>
+
+      {/* Modifier Modal */}
+      {modifierMeal && (
+        <Suspense fallback={<Loading />}>
+          <ModifierModal
+            meal={modifierMeal}
+            onConfirm={handleModifiersConfirm}
+            onClose={closeModifierModal}
+          />
+        </Suspense>
+      )}
     </div>
   );
 }
@@ -1,168 +1,337 @@
+import { useEffect, useMemo, useState, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
 import {
-  FaUsers,
-  FaBoxes,
-  FaUtensils,
-  FaExchangeAlt,
+  FaMoneyBillWave,
+  FaReceipt,
   FaChartLine,
-  FaCalendarAlt,
+  FaClock,
+  FaBoxes,
+  FaSyncAlt,
+  FaArrowUp,
+  FaArrowDown,
 } from "react-icons/fa";
+import DatePicker from "../components/common/DatePicker";
+import Loading from "../components/common/Loading";
+import { fetchDashboardData } from "../store/dashboardSlice";
+import { fetchShifts } from "../store/shiftSlice";
+import { fetchStocks } from "../store/stockSlice";
+import { findTender, getTenderName } from "../utils/tenders";
+import {
+  parseDateRange,
+  getRevenueComparison,
+  getPaymentSummary,
+  getOrderCountsByType,
+  getTopMeals,
+  getActiveShifts,
+} from "../utils/dashboardStats";
+import { getLowStockItems } from "../utils/stockAlerts";
+
+const formatAmount = (value) => `${(Number(value) || 0).toFixed(2)} AED`;
+
+// KPI card
+const StatCard = ({ icon, label, value, footer }) => (
+  <div className="card flex items-center p-4 transition-all hover:shadow-lg">
+    <div className="p-3 rounded-full bg-gray-100 me-4">{icon}</div>
+    <div className="min-w-0">
+      <p className="text-sm font-medium text-gray-500">{label}</p>
+      <p className="text-2xl font-semibold truncate">{value}</p>
+      {footer}
+    </div>
+  </div>
+);
+
+// Horizontal bar used for the payment split and order type breakdown
+const BarRow = ({ label, value, total, display, colorClass }) => {
+  const percent = total > 0 ? (value / total) * 100 : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-gray-700">{label}</span>
+        <span className="text-gray-600">
+          {display} ({percent.toFixed(0)}%)
+        </span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${colorClass}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
 
 function Dashboard() {
-  // Mock data for dashboard
-  const stats = [
-    {
-      id: 1,
-      name: "Total Users",
-      value: "24",
-      icon: <FaUsers size={24} className="text-primary-800" />,
-    },
-    {
-      id: 2,
-      name: "Stock Items",
-      value: "156",
-      unit: "items",
-      icon: <FaBoxes size={24} className="text-secondary" />,
-    },
-    {
-      id: 3,
-      name: "Meals",
-      value: "48",
-      icon: <FaUtensils size={24} className="text-accent" />,
-    },
-    {
-      id: 4,
-      name: "Stock Outflows",
-      value: "38",
-      icon: <FaExchangeAlt size={24} className="text-danger-800" />,
-    },
-  ];
-
-  // Mock recent activities
-  const recentActivities = [
-    {
-      id: 1,
-      action: "New user registered",
-      user: "John Doe",
-      time: "2 hours ago",
-      icon: <FaUsers size={14} />,
-    },
-    {
-      id: 2,
-      action: "Stock updated",
-      user: "Jane Smith",
-      time: "4 hours ago",
-      icon: <FaBoxes size={14} />,
-    },
-    {
-      id: 3,
-      action: "New meal added",
-      user: "Mike Johnson",
-      time: "6 hours ago",
-      icon: <FaUtensils size={14} />,
-    },
-    {
-      id: 4,
-      action: "Stock outflow recorded",
-      user: "Sarah Wilson",
-      time: "1 day ago",
-      icon: <FaExchangeAlt size={14} />,
-    },
-  ];
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const { user } = useSelector((state) => state.auth);
+  const { orders, payments, recentPayments, loading } = useSelector(
+    (state) => state.dashboard
+  );
+  const { shifts } = useSelector((state) => state.shift);
+  const { stocks } = useSelector((state) => state.stock);
+  const { meals } = useSelector((state) => state.meals);
+  const { tenders } = useSelector((state) => state.tender);
+
+  const [dateRange, setDateRange] = useState("");
+
+  const isManager = user?.role?.toLowerCase() === "manager";
+
+  const range = useMemo(() => parseDateRange(dateRange), [dateRange]);
+
+  // Orders and payments of the selected range only, fetched by date
+  const loadData = useCallback(() => {
+    dispatch(fetchDashboardData(range));
+    dispatch(fetchShifts({ includeAll: true }));
+    dispatch(fetchStocks());
+  }, [dispatch, range]);
+
+  // Only managers can see the dashboard
+  useEffect(() => {
+    if (!isManager) {
+      navigate("/tables", { replace: true });
+      return;
+    }
+    loadData();
+  }, [isManager, navigate, loadData]);
+
+  const stats = useMemo(
+    () => ({
+      revenue: getRevenueComparison(recentPayments),
+      payments: getPaymentSummary(payments),
+      orderTypes: getOrderCountsByType(orders),
+      topMeals: getTopMeals(orders, meals),
+      activeShifts: getActiveShifts(shifts),
+      lowStock: getLowStockItems(stocks),
+    }),
+    [orders, payments, recentPayments, shifts, stocks, meals]
+  );
+
+  const orderTypeTotal = Object.values(stats.orderTypes).reduce(
+    (sum, count) => sum + count,
+    0
+  );
+
+  if (!isManager) {
+    return <Loading />;
+  }
+
+  const revenueChange = stats.revenue.change;
 
   return (
-    <div className="animate-fade-in p-4">
-      {/* Stats */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
-        {stats.map((stat) => (
-          <div
-            key={stat.id}
-            className="card flex items-center p-4 transition-all hover:shadow-lg"
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {t("dashboard.title")}
+          </h1>
+          <p className="text-sm text-gray-500">
+            {dateRange ? t("dashboard.selectedRange") : t("dashboard.today")}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <DatePicker onDateChange={setDateRange} />
+          <button
+            onClick={loadData}
+            disabled={loading}
+            className="p-3 rounded-lg border border-primary-700 text-primary-800 hover:bg-neutral-100 disabled:opacity-50"
+            title={t("dashboard.refresh")}
           >
-            <div className="p-3 rounded-full bg-gray-100 mr-4">{stat.icon}</div>
-            <div>
-              <p className="text-sm font-medium text-gray-500">{stat.name}</p>
-              <p className="text-2xl font-semibold">{stat.value}</p>
-            </div>
-          </div>
-        ))}
+            <FaSyncAlt className={loading ? "animate-spin" : ""} />
+          </button>
+        </div>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Charts */}
-        <div className="card lg:col-span-2">
-          <div className="flex justify-between items-center mb-4">
-            <h2 className="text-lg font-medium">Sales Overview</h2>
-            <select className="input text-sm py-1">
-              <option>Last 7 days</option>
-              <option>Last 30 days</option>
-              <option>Last 90 days</option>
-            </select>
-          </div>
-          <div className="h-60 flex items-center justify-center bg-gray-50 rounded-lg border border-gray-100">
-            <div className="text-center">
-              <FaChartLine size={40} className="mx-auto text-gray-300 mb-2" />
-              <p className="text-gray-500">
-                Sales chart will be displayed here
-              </p>
+      {/* KPIs */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <StatCard
+          icon={<FaMoneyBillWave size={24} className="text-primary-800" />}
+          label={t("dashboard.revenueToday")}
+          value={formatAmount(stats.revenue.today)}
+          footer={
+            <p className="text-xs text-gray-500 flex items-center gap-1">
+              {revenueChange !== null && (
+                <span
+                  className={`flex items-center ${
+                    revenueChange >= 0 ? "text-green-600" : "text-red-600"
+                  }`}
+                >
+                  {revenueChange >= 0 ? <FaArrowUp /> : <FaArrowDown />}
+                  {Math.abs(revenueChange).toFixed(0)}%
+                </span>
+              )}
+              {t("dashboard.vsYesterday")}{" "}
+              {formatAmount(stats.revenue.yesterday)}
+            </p>
+          }
+        />
+        <StatCard
+          icon={<FaChartLine size={24} className="text-[#09AE94]" />}
+          label={t("dashboard.revenueInRange")}
+          value={formatAmount(stats.payments.revenue)}
+          footer={
+            <p className="text-xs text-gray-500">
+              {stats.payments.count} {t("dashboard.payments")}
+            </p>
+          }
+        />
+        <StatCard
+          icon={<FaReceipt size={24} className="text-[#EEAA42]" />}
+          label={t("dashboard.averageTicket")}
+          value={formatAmount(stats.payments.averageTicket)}
+        />
+        <StatCard
+          icon={<FaClock size={24} className="text-[#8B5CF6]" />}
+          label={t("dashboard.activeShifts")}
+          value={stats.activeShifts.length}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        {/* Payment split */}
+        <div className="card">
+          <h2 className="text-lg font-medium mb-4">
+            {t("dashboard.paymentSplit")}
+          </h2>
+          {Object.keys(stats.payments.byMethod).length === 0 ? (
+            <p className="text-gray-500 text-sm">{t("dashboard.noData")}</p>
+          ) : (
+            <div className="space-y-3">
+              {Object.entries(stats.payments.byMethod).map(
+                ([method, amount]) => (
+                  <BarRow
+                    key={method}
+                    label={getTenderName(
+                      findTender(tenders, method),
+                      i18n.language === "ar"
+                    )}
+                    value={amount}
+                    total={stats.payments.revenue}
+                    display={formatAmount(amount)}
+                    colorClass={
+                      findTender(tenders, method).countsAsCash
+                        ? "bg-green-500"
+                        : "bg-primary-700"
+                    }
+                  />
+                )
+              )}
             </div>
-          </div>
+          )}
         </div>
 
-        {/* Calendar */}
+        {/* Orders by type */}
         <div className="card">
-          <div className="flex justify-between items-center mb-4">
-            <h2 className="text-lg font-medium">Calendar</h2>
-            <span className="text-sm text-gray-500">June 2023</span>
-          </div>
-          <div className="flex items-center justify-center h-60 bg-gray-50 rounded-lg border border-gray-100">
-            <div className="text-center">
-              <FaCalendarAlt size={40} className="mx-auto text-gray-300 mb-2" />
-              <p className="text-gray-500">Calendar will be displayed here</p>
-            </div>
+          <h2 className="text-lg font-medium mb-4">
+            {t("dashboard.ordersByType")}
+          </h2>
+          <div className="space-y-3">
+            {Object.entries(stats.orderTypes).map(([type, count]) => (
+              <BarRow
+                key={type}
+                label={t(`dashboard.orderTypes.${type}`, type)}
+                value={count}
+                total={orderTypeTotal}
+                display={count}
+                colorClass="bg-[#EEAA42]"
+              />
+            ))}
           </div>
         </div>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
-        {/* Recent Activity */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Top meals */}
         <div className="card">
-          <h2 className="text-lg font-medium mb-4">Recent Activity</h2>
-          <div className="space-y-4">
-            {recentActivities.map((activity) => (
-              <div key={activity.id} className="flex items-start">
-                <div className="h-8 w-8 rounded-full bg-primary flex items-center justify-center text-white mr-3">
-                  {activity.icon}
-                </div>
-                <div>
-                  <p className="text-sm font-medium">{activity.action}</p>
-                  <div className="flex text-xs text-gray-500">
-                    <span>{activity.user}</span>
-                    <span className="mx-2">•</span>
-                    <span>{activity.time}</span>
-                  </div>
-                </div>
-              </div>
-            ))}
-          </div>
+          <h2 className="text-lg font-medium mb-4">
+            {t("dashboard.topMeals")}
+          </h2>
+          {stats.topMeals.length === 0 ? (
+            <p className="text-gray-500 text-sm">{t("dashboard.noData")}</p>
+          ) : (
+            <ol className="space-y-2">
+              {stats.topMeals.map((meal, index) => (
+                <li
+                  key={meal.mealId}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <span className="flex items-center gap-2 min-w-0">
+                    <span className="w-6 h-6 rounded-full bg-primary-800 text-white text-xs flex items-center justify-center flex-shrink-0">
+                      {index + 1}
+                    </span>
+                    <span className="truncate">{meal.name}</span>
+                  </span>
+                  <span className="text-gray-600 whitespace-nowrap">
+                    {meal.quantity} · {formatAmount(meal.revenue)}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
         </div>
 
-        {/* Quick Actions */}
+        {/* Active shifts */}
         <div className="card">
-          <h2 className="text-lg font-medium mb-4">Quick Actions</h2>
-          <div className="grid grid-cols-2 gap-4">
-            <button className="btn-primary flex items-center justify-center">
-              <FaUsers className="mr-2" /> Add User
-            </button>
-            <button className="btn-secondary flex items-center justify-center">
-              <FaBoxes className="mr-2" /> Add Stock
-            </button>
-            <button className="btn-accent flex items-center justify-center">
-              <FaUtensils className="mr-2" /> Add Meal
-            </button>
-            <button className="btn-outline flex items-center justify-center">
-              <FaExchangeAlt className="mr-2" /> View Outflows
-            </button>
-          </div>
+          <h2 className="text-lg font-medium mb-4">
+            {t("dashboard.activeShifts")}
+          </h2>
+          {stats.activeShifts.length === 0 ? (
+            <p className="text-gray-500 text-sm">
+              {t("dashboard.noActiveShifts")}
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {stats.activeShifts.map((shift) => (
+                <li
+                  key={shift._id}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <span className="font-medium">
+                    {shift.cashierData?.name || t("dashboard.unknownCashier")}
+                  </span>
+                  <span className="text-gray-600">
+                    {new Date(shift.createdAt).toLocaleTimeString(
+                      i18n.language,
+                      { hour: "numeric", minute: "2-digit" }
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Low stock */}
+        <div className="card">
+          <h2 className="text-lg font-medium mb-4 flex items-center gap-2">
+            <FaBoxes className="text-danger-800" />
+            {t("dashboard.lowStock")}
+          </h2>
+          {stats.lowStock.length === 0 ? (
+            <p className="text-gray-500 text-sm">{t("dashboard.noLowStock")}</p>
+          ) : (
+            <ul className="space-y-2">
+              {stats.lowStock.map((stock) => (
+                <li
+                  key={stock._id}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <span className="truncate">
+                    {stock.nameOfItem || stock.name}
+                  </span>
+                  <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 whitespace-nowrap">
+                    {stock.quantity} / {stock.minimumQuantity} {stock.unit}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
     </div>
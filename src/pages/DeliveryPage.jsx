@@ -0,0 +1,208 @@
+import { useEffect, useMemo, useState, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaSyncAlt, FaHandHoldingUsd } from "react-icons/fa";
+import Loading from "../components/common/Loading";
+import DeliveryOrderCard from "../components/delivery/DeliveryOrderCard";
+import DriverCashPanel from "../components/delivery/DriverCashPanel";
+import { fetchAllOrders, updateDeliveryStatus } from "../store/orderSlice";
+import { fetchUsers } from "../store/userSlice";
+import printQueue from "../services/printQueue";
+import realtime from "../services/realtime";
+import {
+  DELIVERY_STATUSES,
+  getCashOnDelivery,
+  getDeliveryStatus,
+  isDeliveryOrder,
+} from "../utils/delivery";
+
+const COLUMN_STYLES = {
+  awaiting: "bg-gray-100",
+  assigned: "bg-blue-50",
+  out_for_delivery: "bg-amber-50",
+  delivered: "bg-green-50",
+  failed: "bg-red-50",
+};
+
+// Finished deliveries stay on the board for the rest of the day
+const isToday = (value) =>
+  new Date(value).toDateString() === new Date().toDateString();
+
+function DeliveryPage() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { orders, loading } = useSelector((state) => state.order);
+  const { users } = useSelector((state) => state.users);
+  const { currentShift } = useSelector((state) => state.shift);
+
+  const [showCash, setShowCash] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const isDriver = user?.role?.toLowerCase() === "driver";
+
+  const loadOrders = useCallback(() => {
+    dispatch(fetchAllOrders());
+  }, [dispatch]);
+
+  useEffect(() => {
+    loadOrders();
+    // Drivers pick from the user list; drivers themselves don't assign
+    if (!isDriver) dispatch(fetchUsers());
+    return realtime.onResync(loadOrders);
+  }, [dispatch, isDriver, loadOrders]);
+
+  // Tick the time-in-state counters
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const drivers = useMemo(
+    () =>
+      (users || []).filter(
+        (item) =>
+          item.role?.toLowerCase() === "driver" && item.isActive !== false
+      ),
+    [users]
+  );
+
+  // Drivers only see the orders assigned to them
+  const deliveryOrders = useMemo(
+    () =>
+      orders.filter(
+        (order) =>
+          isDeliveryOrder(order) &&
+          !order.isCancelled &&
+          isToday(order.createdAt) &&
+          (!isDriver || order.delivery?.driverId === user?._id)
+      ),
+    [orders, isDriver, user?._id]
+  );
+
+  const columns = useMemo(() => {
+    const grouped = Object.fromEntries(
+      DELIVERY_STATUSES.map((status) => [status, []])
+    );
+    deliveryOrders.forEach((order) =>
+      grouped[getDeliveryStatus(order)].push(order)
+    );
+    Object.values(grouped).forEach((list) =>
+      list.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    );
+    return grouped;
+  }, [deliveryOrders]);
+
+  const handleUpdate = useCallback(
+    (order, update) => {
+      dispatch(updateDeliveryStatus({ orderId: order._id, ...update }))
+        .unwrap()
+        .catch((error) => {
+          toast.error(error?.message || t("delivery.updateFailed"));
+        });
+    },
+    [dispatch, t]
+  );
+
+  const handlePrint = useCallback(
+    (order) => {
+      printQueue
+        .submit("delivery", {
+          ...order,
+          orderNumber: order.orderCode,
+          total: Number(order.totalPrice) || 0,
+          codAmount: getCashOnDelivery(order),
+          cashier: user?.name || "System",
+        })
+        .catch(() => {
+          toast.error(t("delivery.printFailed"));
+        });
+    },
+    [user?.name, t]
+  );
+
+  if (loading && orders.length === 0) {
+    return <Loading />;
+  }
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-50">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 bg-white border-b border-neutral-200">
+        <h1 className="text-2xl font-bold text-primary-800">
+          {isDriver ? t("delivery.myDeliveries") : t("delivery.title")}
+        </h1>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowCash((prev) => !prev)}
+            className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-md border transition-colors ${
+              showCash
+                ? "bg-primary-700 border-primary-700 text-white"
+                : "bg-white border-gray-300 text-gray-700 hover:border-primary-500"
+            }`}
+          >
+            <FaHandHoldingUsd />
+            {t("delivery.driverCash")}
+          </button>
+          <button
+            onClick={loadOrders}
+            className="p-2 text-primary-800 hover:bg-neutral-100 rounded-md"
+            title={t("delivery.refresh")}
+          >
+            <FaSyncAlt className={loading ? "animate-spin" : ""} />
+          </button>
+        </div>
+      </div>
+
+      {/* Cash-on-delivery per driver */}
+      {showCash && (
+        <div className="p-4 pb-0">
+          <DriverCashPanel
+            orders={deliveryOrders}
+            shiftId={currentShift?._id}
+            canSettle={!isDriver}
+          />
+        </div>
+      )}
+
+      {/* Status columns */}
+      <div className="flex-1 grid grid-cols-1 md:grid-cols-3 xl:grid-cols-5 gap-4 p-4 overflow-auto">
+        {DELIVERY_STATUSES.map((status) => (
+          <section
+            key={status}
+            className={`flex flex-col rounded-xl overflow-hidden min-h-[12rem] ${COLUMN_STYLES[status]}`}
+          >
+            <h2 className="flex items-center justify-between px-4 py-3 font-semibold text-gray-800">
+              {t(`delivery.statuses.${status}`)}
+              <span className="px-2 py-0.5 text-sm bg-white rounded-full">
+                {columns[status].length}
+              </span>
+            </h2>
+            <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-3">
+              {columns[status].length === 0 ? (
+                <p className="text-center text-gray-500 py-8">
+                  {t("delivery.noOrders")}
+                </p>
+              ) : (
+                columns[status].map((order) => (
+                  <DeliveryOrderCard
+                    key={order._id}
+                    order={order}
+                    now={now}
+                    drivers={drivers}
+                    canAssign={!isDriver}
+                    onUpdate={handleUpdate}
+                    onPrint={handlePrint}
+                  />
+                ))
+              )}
+            </div>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DeliveryPage;
@@ -1,11 +1,15 @@
 import { useEffect, useState, useMemo, useCallback } from "react";
 import { useSelector, useDispatch } from "react-redux";
+import { useSearchParams } from "react-router-dom";
 import { format, parse, isValid } from "date-fns";
 import { ar } from "date-fns/locale";
 import { fetchAllPayments } from "../store/paymentSlice";
 import { fetchAllOrders } from "../store/orderSlice";
+import realtime from "../services/realtime";
 import HistoryHeader from "../components/history/HistoryHeader";
 import Table from "../components/history/Table";
+import RefundModal from "../components/history/RefundModal";
+import { getRefundStatus } from "../utils/refunds";
 import { useTranslation } from "react-i18next";
 
 function HistoryPage() {
@@ -31,7 +35,12 @@ function HistoryPage() {
   const { user } = useSelector((state) => state.auth);
   const isManager = user?.role === "manager";
 
-  const [searchTerm, setSearchTerm] = useState("");
+  // Other pages link here with ?search= (e.g. the order behind a stock
+  // movement)
+  const [searchParams] = useSearchParams();
+  const [searchTerm, setSearchTerm] = useState(
+    () => searchParams.get("search") || ""
+  );
   const [dateRange, setDateRange] = useState("");
   const [selectedTab, setSelectedTab] = useState("paid"); // "paid" or "cancelled"
   const [defaultSort, setDefaultSort] = useState({
@@ -47,9 +56,11 @@ function HistoryPage() {
     cashierId: null,
     search: null,
   });
+  const [refundPaymentId, setRefundPaymentId] = useState(null);
+  const refundPayment = payments.find((p) => p._id === refundPaymentId);
 
   // Fetch data based on selected tab
-  useEffect(() => {
+  const loadHistory = useCallback(() => {
     const fetchParams = { ...filters };
 
     // Add search term to backend request
@@ -91,6 +102,13 @@ function HistoryPage() {
     }
   }, [dispatch, filters, dateRange, searchTerm, isManager, selectedTab]);
 
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // Refresh when realtime events may have been missed
+  useEffect(() => realtime.onResync(loadHistory), [loadHistory]);
+
   // Handle page change
   const handlePageChange = useCallback((newPage) => {
     setFilters((prev) => ({ ...prev, page: newPage }));
@@ -135,6 +153,13 @@ function HistoryPage() {
                   .join(" & ")
               : "-",
           rawDate: dateObj,
+          paymentId: payment._id,
+          refundStatus: getRefundStatus(payment),
+          discounts: payment.discounts || [],
+          discountApprovedBy:
+            payment.discountApprovedBy?.name ||
+            payment.discountApprovedBy ||
+            "",
         };
       });
     } else {
@@ -182,9 +207,17 @@ function HistoryPage() {
           pageSize={pageSize}
           onPageChange={handlePageChange}
           defaultSort={defaultSort}
+          onRefund={selectedTab === "paid" ? setRefundPaymentId : null}
         />
       </div>
 
+      {refundPayment && (
+        <RefundModal
+          payment={refundPayment}
+          onClose={() => setRefundPaymentId(null)}
+        />
+      )}
+
       {/* Pagination info */}
       {totalPayments > 0 && (
         <div className="flex flex-col sm:flex-row justify-between items-center space-y-3 sm:space-y-0 mt-6 bg-white px-3 sm:px-4 py-3 border border-gray-200 rounded-lg">
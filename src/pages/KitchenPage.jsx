@@ -0,0 +1,215 @@
+import { useEffect, useMemo, useState, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { startOfDay } from "date-fns";
+import toast from "react-hot-toast";
+import { FaSyncAlt } from "react-icons/fa";
+import Loading from "../components/common/Loading";
+import KitchenOrderCard from "../components/kitchen/KitchenOrderCard";
+import { fetchAllOrders, updateKitchenStatus } from "../store/orderSlice";
+import realtime from "../services/realtime";
+import {
+  KITCHEN_STATUSES,
+  getOrderKitchenStatus,
+  isKitchenOrder,
+} from "../utils/kitchenStatus";
+
+const ORDER_TYPES = ["dinein", "takeaway", "delivery"];
+
+const TYPE_LABEL_KEYS = {
+  dinein: "menu.dineIn",
+  takeaway: "menu.takeaway",
+  delivery: "menu.delivery",
+};
+
+const COLUMN_STYLES = {
+  new: "bg-gray-100",
+  preparing: "bg-blue-50",
+  ready: "bg-green-50",
+};
+
+// Oldest first, dine-in orders of the same table next to each other
+const compareKitchenOrders = (a, b) => {
+  if (a.type === "dinein" && b.type === "dinein") {
+    const tableDiff =
+      (Number(a.tableNumber) || 0) - (Number(b.tableNumber) || 0);
+    if (tableDiff !== 0) return tableDiff;
+  }
+  return new Date(a.createdAt) - new Date(b.createdAt);
+};
+
+function KitchenPage() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const { orders, loading } = useSelector((state) => state.order);
+  const { currentShift } = useSelector((state) => state.shift);
+
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [now, setNow] = useState(Date.now());
+
+  const role = user?.role?.toLowerCase();
+  const canUseKitchen = role === "kitchen" || role === "manager";
+
+  // Orders of the open shift, or today's when no shift is open on this till
+  const loadOrders = useCallback(() => {
+    dispatch(
+      fetchAllOrders(
+        currentShift?._id
+          ? { shiftId: currentShift._id }
+          : { date: startOfDay(new Date()).toISOString() }
+      )
+    );
+  }, [currentShift?._id, dispatch]);
+
+  // Only kitchen staff and managers can see the kitchen display
+  useEffect(() => {
+    if (!canUseKitchen) {
+      navigate("/tables", { replace: true });
+      return;
+    }
+
+    loadOrders();
+    // New orders arrive through realtime events, or polling when those fail
+    return realtime.onResync(loadOrders);
+  }, [canUseKitchen, navigate, loadOrders]);
+
+  // Tick the elapsed-time timers
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Orders per status column, grouped by type
+  const columns = useMemo(() => {
+    const grouped = Object.fromEntries(
+      KITCHEN_STATUSES.map((status) => [
+        status,
+        Object.fromEntries(ORDER_TYPES.map((type) => [type, []])),
+      ])
+    );
+
+    orders
+      .filter((order) => isKitchenOrder(order, now))
+      .filter((order) => typeFilter === "all" || order.type === typeFilter)
+      .forEach((order) => {
+        const type = ORDER_TYPES.includes(order.type) ? order.type : "takeaway";
+        grouped[getOrderKitchenStatus(order)][type].push(order);
+      });
+
+    Object.values(grouped).forEach((byType) =>
+      Object.values(byType).forEach((list) => list.sort(compareKitchenOrders))
+    );
+
+    return grouped;
+  }, [orders, typeFilter, now]);
+
+  const handleBump = useCallback(
+    (orderId, status, itemId = null) => {
+      dispatch(updateKitchenStatus({ orderId, status, itemId }))
+        .unwrap()
+        .catch((error) => {
+          toast.error(error?.message || t("kitchen.updateFailed"));
+        });
+    },
+    [dispatch, t]
+  );
+
+  if (!canUseKitchen) {
+    return null;
+  }
+
+  if (loading && orders.length === 0) {
+    return <Loading />;
+  }
+
+  return (
+    <div className="h-full flex flex-col bg-neutral-50">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 bg-white border-b border-neutral-200">
+        <h1 className="text-2xl font-bold text-primary-800">
+          {t("kitchen.title")}
+        </h1>
+        <div className="flex flex-wrap items-center gap-2">
+          {["all", ...ORDER_TYPES].map((type) => (
+            <button
+              key={type}
+              onClick={() => setTypeFilter(type)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                typeFilter === type
+                  ? "bg-primary-700 border-primary-700 text-white"
+                  : "bg-white border-gray-300 text-gray-600 hover:border-primary-500"
+              }`}
+            >
+              {type === "all"
+                ? t("kitchen.allTypes")
+                : t(TYPE_LABEL_KEYS[type])}
+            </button>
+          ))}
+          <button
+            onClick={loadOrders}
+            className="p-2 text-primary-800 hover:bg-neutral-100 rounded-md"
+            title={t("kitchen.refresh")}
+          >
+            <FaSyncAlt className={loading ? "animate-spin" : ""} />
+          </button>
+        </div>
+      </div>
+
+      {/* Status columns */}
+      <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-4 p-4 overflow-hidden">
+        {KITCHEN_STATUSES.map((status) => {
+          const byType = columns[status];
+          const count = Object.values(byType).reduce(
+            (sum, list) => sum + list.length,
+            0
+          );
+
+          return (
+            <section
+              key={status}
+              className={`flex flex-col rounded-xl overflow-hidden ${COLUMN_STYLES[status]}`}
+            >
+              <h2 className="flex items-center justify-between px-4 py-3 font-semibold text-gray-800">
+                {t(`kitchen.statuses.${status}`)}
+                <span className="px-2 py-0.5 text-sm bg-white rounded-full">
+                  {count}
+                </span>
+              </h2>
+              <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-4">
+                {count === 0 ? (
+                  <p className="text-center text-gray-500 py-8">
+                    {t("kitchen.noOrders")}
+                  </p>
+                ) : (
+                  ORDER_TYPES.filter((type) => byType[type].length > 0).map(
+                    (type) => (
+                      <div key={type} className="space-y-3">
+                        <h3 className="text-xs font-semibold uppercase text-gray-500">
+                          {t(TYPE_LABEL_KEYS[type])}
+                        </h3>
+                        {byType[type].map((order) => (
+                          <KitchenOrderCard
+                            key={order._id}
+                            order={order}
+                            status={status}
+                            now={now}
+                            onBump={handleBump}
+                          />
+                        ))}
+                      </div>
+                    )
+                  )
+                )}
+              </div>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default KitchenPage;
@@ -22,15 +22,23 @@ import {
 import { fetchCategories, loadCachedCategories } from "../store/categorySlice";
 import { createOrder } from "../store/orderSlice";
 import { fetchTables } from "../store/tableSlice";
+import { saveCustomerFromOrder } from "../store/customerSlice";
 import Loading from "../components/common/Loading";
 import ErrorMessage from "../components/common/ErrorMessage";
 import { getCategoryId } from "../components/settings/meals-management/utils";
+import {
+  hasModifiers,
+  getCartLineId,
+  getModifiersPriceDelta,
+} from "../utils/modifiers";
+import printingService from "../services/printingService";
 
 // Lazy load heavy components
 const CustomerDataModal = lazy(() =>
   import("../components/menu/CustomerDataModal")
 );
 const EndShiftModal = lazy(() => import("../components/shift/EndShiftModal"));
+const ModifierModal = lazy(() => import("../components/menu/ModifierModal"));
 
 const MenuPage = () => {
   const { t } = useTranslation();
@@ -39,6 +47,7 @@ const MenuPage = () => {
   const [activeCategory, setActiveCategory] = useState("");
   const [searchQuery, setSearchQuery] = useState("");
   const [cart, setCart] = useState([]);
+  const [orderNote, setOrderNote] = useState("");
   const [selectedCartItemId, setSelectedCartItemId] = useState(null);
   const [menuSidebarOpen, setMenuSidebarOpen] = useState(
     window.innerWidth >= 768
@@ -55,6 +64,7 @@ const MenuPage = () => {
   const [isCustomerModalOpen, setIsCustomerModalOpen] = useState(false);
   const [isCreatingOrder, setIsCreatingOrder] = useState(false);
   const [isEndShiftModalOpen, setIsEndShiftModalOpen] = useState(false);
+  const [modifierMeal, setModifierMeal] = useState(null);
 
   const dispatch = useDispatch();
   const navigate = useNavigate();
@@ -151,6 +161,18 @@ const MenuPage = () => {
     return cart.reduce((total, item) => total + item.price * item.quantity, 0);
   }, [cart]);
 
+  // Mirror the selected line and running total on the customer display
+  useEffect(() => {
+    if (cart.length === 0) {
+      printingService.displayWelcomeOnCustomerDisplay();
+      return;
+    }
+    const item =
+      cart.find((cartItem) => cartItem._id === selectedCartItemId) ||
+      cart[cart.length - 1];
+    printingService.displayItemOnCustomerDisplay(item, calculateTotal());
+  }, [cart, selectedCartItemId, calculateTotal]);
+
   // Set first category as active when categories are loaded
   useEffect(() => {
     if (categories && categories.length > 0 && !activeCategory) {
@@ -180,10 +202,13 @@ const MenuPage = () => {
     setMenuSidebarOpen((prev) => !prev);
   }, []);
 
-  const addToCart = useCallback((meal) => {
+  // Cart lines are keyed by meal + selected modifiers
+  const addLineToCart = useCallback((meal, modifiers = []) => {
+    const lineId = getCartLineId(meal._id, modifiers);
+
     setCart((prevCart) => {
       const existingItemIndex = prevCart.findIndex(
-        (cartItem) => cartItem._id === meal._id
+        (cartItem) => cartItem._id === lineId
       );
 
       if (existingItemIndex !== -1) {
@@ -192,16 +217,48 @@ const MenuPage = () => {
           ...updatedCart[existingItemIndex],
           quantity: updatedCart[existingItemIndex].quantity + 1,
         };
-        setSelectedCartItemId(meal._id);
+        setSelectedCartItemId(lineId);
         return updatedCart;
       } else {
-        const newItem = { ...meal, quantity: 1 };
-        setSelectedCartItemId(meal._id);
+        const newItem = {
+          ...meal,
+          _id: lineId,
+          mealId: meal._id,
+          basePrice: meal.price,
+          price: meal.price + getModifiersPriceDelta(modifiers),
+          modifiers,
+          quantity: 1,
+        };
+        setSelectedCartItemId(lineId);
         return [...prevCart, newItem];
       }
     });
   }, []);
 
+  // Meals with modifier groups open the modifier picker first
+  const addToCart = useCallback(
+    (meal) => {
+      if (hasModifiers(meal)) {
+        setModifierMeal(meal);
+        return;
+      }
+      addLineToCart(meal);
+    },
+    [addLineToCart]
+  );
+
+  const handleModifiersConfirm = useCallback(
+    (modifiers) => {
+      addLineToCart(modifierMeal, modifiers);
+      setModifierMeal(null);
+    },
+    [addLineToCart, modifierMeal]
+  );
+
+  const closeModifierModal = useCallback(() => {
+    setModifierMeal(null);
+  }, []);
+
   const updateQuantity = useCallback((id, change) => {
     setCart((prevCart) => {
       const item = prevCart.find((item) => item._id === id);
@@ -232,6 +289,12 @@ const MenuPage = () => {
     );
   }, []);
 
+  const updateNote = useCallback((id, note) => {
+    setCart((prevCart) =>
+      prevCart.map((item) => (item._id === id ? { ...item, note } : item))
+    );
+  }, []);
+
   // Order type handlers
   const handleOrderTypeChange = useCallback(
     (type) => {
@@ -258,10 +321,17 @@ const MenuPage = () => {
   );
 
   // Customer data handlers
-  const handleCustomerDataSave = useCallback((data) => {
-    setCustomerData(data);
-    setIsCustomerModalOpen(false);
-  }, []);
+  const handleCustomerDataSave = useCallback(
+    (data) => {
+      setCustomerData(data);
+      setIsCustomerModalOpen(false);
+      // Remember new customers and addresses for the next phone lookup
+      dispatch(saveCustomerFromOrder(data))
+        .unwrap()
+        .catch((error) => console.warn("Customer not saved:", error));
+    },
+    [dispatch]
+  );
 
   const handleCustomerModalClose = useCallback(() => {
     setIsCustomerModalOpen(false);
@@ -307,8 +377,10 @@ const MenuPage = () => {
     try {
       // Prepare order items
       const orderItems = cart.map((item) => ({
-        mealId: item._id,
+        mealId: item.mealId || item._id,
         quantity: item.quantity,
+        ...(item.modifiers?.length > 0 && { modifiers: item.modifiers }),
+        ...(item.note?.trim() && { note: item.note.trim() }),
       }));
 
       const orderData = {
@@ -316,6 +388,10 @@ const MenuPage = () => {
         type: orderType,
       };
 
+      if (orderNote.trim()) {
+        orderData.note = orderNote.trim();
+      }
+
       // Add customer info only for delivery orders
       if (orderType === "delivery") {
         orderData.custName = customerData.custName.trim();
@@ -340,12 +416,21 @@ const MenuPage = () => {
 
       const result = await dispatch(createOrder(orderData)).unwrap();
 
-      toast.success(t("menu.orderCreated"), {
-        duration: 2000,
-      });
+      // Order was saved in the offline outbox and will sync later
+      if (result.offline) {
+        toast.success(t("offlineSync.orderQueued"), {
+          duration: 3000,
+          icon: "📥",
+        });
+      } else {
+        toast.success(t("menu.orderCreated"), {
+          duration: 2000,
+        });
+      }
 
       // Clear cart and navigate to cashier
       setCart([]);
+      setOrderNote("");
       setSelectedCartItemId(null);
       setCustomerData({ custName: "", custPhone: "", custAddress: "" });
       setSelectedTableId(null);
@@ -365,11 +450,12 @@ const MenuPage = () => {
     } finally {
       setIsCreatingOrder(false);
     }
-  }, [cart, orderType, customerData, dispatch, navigate, t]);
+  }, [cart, orderNote, orderType, customerData, dispatch, navigate, t]);
 
   // Clear cart handler
   const handleClearCart = useCallback(() => {
     setCart([]);
+    setOrderNote("");
     setSelectedCartItemId(null);
     setCustomerData({ custName: "", custPhone: "", custAddress: "" });
     setSelectedTableId(null);
@@ -471,6 +557,7 @@ const MenuPage = () => {
           <MenuSidebar
             cart={cart}
             updateQuantity={updateQuantity}
+            updateNote={updateNote}
             setQuantity={setQuantity}
             selectedCartItemId={selectedCartItemId}
             setSelectedCartItemId={setSelectedCartItemId}
@@ -480,6 +567,8 @@ const MenuPage = () => {
             isCreatingOrder={isCreatingOrder}
             orderType={orderType}
             onOrderTypeChange={handleOrderTypeChange}
+            orderNote={orderNote}
+            onOrderNoteChange={setOrderNote}
           />
         </div>
       </div>
@@ -499,6 +588,15 @@ const MenuPage = () => {
 
         {/* End Shift Modal */}
         {isEndShiftModalOpen && <EndShiftModal onClose={closeEndShiftModal} />}
+
+        {/* Modifier Modal */}
+        {modifierMeal && (
+          <ModifierModal
+            meal={modifierMeal}
+            onConfirm={handleModifiersConfirm}
+            onClose={closeModifierModal}
+          />
+        )}
       </Suspense>
     </>
   );
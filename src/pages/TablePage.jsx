@@ -1,29 +1,60 @@
 import { useState, useEffect } from "react";
-import { useLocation } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { FaCalendarPlus, FaUserClock } from "react-icons/fa";
 import TableHeader from "../components/table/TableHeader";
 import TableGrid from "../components/table/TableGrid";
+import TableOperationsBar from "../components/table/TableOperationsBar";
+import ReservationForm from "../components/reservations/ReservationForm";
+import WaitlistModal from "../components/reservations/WaitlistModal";
 import { fetchTables, selectTable } from "../store/tableSlice";
+import {
+  fetchAllOrders,
+  mergeOrders,
+  moveOrderToTable,
+} from "../store/orderSlice";
+import { fetchReservations, fetchWaitlist } from "../store/reservationSlice";
+import { canUseAsTarget, getOpenTableOrders } from "../utils/tables";
+import { getTableHold, toDateKey } from "../utils/reservations";
+import realtime from "../services/realtime";
 import Loading from "../components/common/Loading";
 import ErrorMessage from "../components/common/ErrorMessage";
 
 const TablePage = () => {
   const { t } = useTranslation();
   const [seatingType, setSeatingType] = useState("inside");
+  const [viewMode, setViewMode] = useState("grid");
+  // Ticks every minute so the time seated on the floor plan stays current
+  const [now, setNow] = useState(Date.now());
   // Set tableSidebarOpen to false by default on small screens and true on large screens and up
   const [tableSidebarOpen, setTableSidebarOpen] = useState(
     window.innerWidth >= 1024
   );
   const location = useLocation();
+  const navigate = useNavigate();
   const dispatch = useDispatch();
+  const [isReservationFormOpen, setIsReservationFormOpen] = useState(false);
+  const [isWaitlistOpen, setIsWaitlistOpen] = useState(false);
+
+  // Move / merge: the operation picked and the table the orders come from
+  const [operation, setOperation] = useState(null);
+  const [sourceTable, setSourceTable] = useState(null);
+  const [operationBusy, setOperationBusy] = useState(false);
 
   // Get tables data from Redux store
   const { tables, loading, error } = useSelector((state) => state.table);
+  const { orders } = useSelector((state) => state.order);
+  const { currentShift } = useSelector((state) => state.shift);
+  const { reservations, waitlist } = useSelector((state) => state.reservation);
 
-  // Fetch tables when component mounts
+  // Fetch tables when component mounts, and again when realtime events
+  // may have been missed
   useEffect(() => {
-    dispatch(fetchTables());
+    const loadTables = () => dispatch(fetchTables());
+    loadTables();
+    return realtime.onResync(loadTables);
   }, [dispatch]);
 
   // Check window size on initial render and set sidebar state accordingly
@@ -50,10 +81,130 @@ const TablePage = () => {
     }
   }, [location]);
 
+  // Open orders are needed to know what sits at each table, for the floor
+  // plan and for moves and merges
+  useEffect(() => {
+    const loadOrders = () =>
+      dispatch(
+        fetchAllOrders(currentShift?._id ? { shiftId: currentShift._id } : {})
+      );
+    loadOrders();
+    return realtime.onResync(loadOrders);
+  }, [currentShift?._id, dispatch]);
+
+  // Today's bookings hold their tables; walk-ins wait for one
+  useEffect(() => {
+    const loadReservations = () => {
+      dispatch(fetchReservations(toDateKey()));
+      dispatch(fetchWaitlist());
+    };
+    loadReservations();
+    return realtime.onResync(loadReservations);
+  }, [dispatch]);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const handleOperationChange = (nextOperation) => {
+    setOperation(nextOperation);
+    setSourceTable(null);
+  };
+
+  const runTableOperation = async (source, target) => {
+    const sourceOrders = getOpenTableOrders(orders, source.number);
+    setOperationBusy(true);
+    try {
+      if (operation === "move") {
+        for (const order of sourceOrders) {
+          await dispatch(
+            moveOrderToTable({ orderId: order._id, tableNumber: target.number })
+          ).unwrap();
+        }
+      } else {
+        const [targetOrder] = getOpenTableOrders(orders, target.number);
+        if (!targetOrder) {
+          toast.error(t("table.operations.noOpenOrder"));
+          return;
+        }
+        await dispatch(
+          mergeOrders({
+            orderId: targetOrder._id,
+            sourceOrderIds: sourceOrders.map((order) => order._id),
+          })
+        ).unwrap();
+      }
+      toast.success(
+        t(`table.operations.done.${operation}`, {
+          from: source.number,
+          to: target.number,
+        })
+      );
+      handleOperationChange(null);
+    } catch (error) {
+      toast.error(error?.message || t("table.operations.failed"));
+    } finally {
+      setOperationBusy(false);
+      dispatch(fetchTables());
+    }
+  };
+
+  const handleOperationTable = (table) => {
+    if (operationBusy) return;
+
+    if (!sourceTable) {
+      if (getOpenTableOrders(orders, table.number).length === 0) {
+        toast.error(t("table.operations.noOpenOrder"));
+        return;
+      }
+      setSourceTable(table);
+      return;
+    }
+
+    if (sourceTable._id === table._id) {
+      setSourceTable(null);
+      return;
+    }
+
+    if (!canUseAsTarget(operation, sourceTable, table)) {
+      toast.error(t(`table.operations.invalidTarget.${operation}`));
+      return;
+    }
+
+    if (
+      window.confirm(
+        t(`table.operations.confirm.${operation}`, {
+          from: sourceTable.number,
+          to: table.number,
+        })
+      )
+    ) {
+      runTableOperation(sourceTable, table);
+    }
+  };
+
   const handleSelectTable = (tableId) => {
     dispatch(selectTable(tableId));
   };
 
+  // Tables a walk-in party can sit at right now
+  const freeTables = tables.filter(
+    (table) =>
+      table.isAvailable &&
+      getOpenTableOrders(orders, table.number).length === 0 &&
+      !getTableHold(reservations, table.number, now)
+  );
+  const waitingCount = waitlist.filter(
+    (entry) => entry.status === "waiting"
+  ).length;
+
+  const handleSeatFromWaitlist = (table) => {
+    setIsWaitlistOpen(false);
+    handleSelectTable(table._id);
+    navigate(`/menu?table=${table._id}`);
+  };
+
   const toggleRightSidebar = () => {
     setTableSidebarOpen(!tableSidebarOpen);
   };
@@ -72,7 +223,35 @@ const TablePage = () => {
         <TableHeader
           seatingType={seatingType}
           setSeatingType={setSeatingType}
+          viewMode={viewMode}
+          setViewMode={setViewMode}
         />
+        <TableOperationsBar
+          operation={operation}
+          sourceTable={sourceTable}
+          onOperationChange={handleOperationChange}
+          busy={operationBusy}
+        >
+          <button
+            onClick={() => setIsReservationFormOpen(true)}
+            className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg border bg-white border-primary-800 text-primary-800 hover:bg-primary-50"
+          >
+            <FaCalendarPlus />
+            {t("reservations.bookTable")}
+          </button>
+          <button
+            onClick={() => setIsWaitlistOpen(true)}
+            className="flex items-center gap-2 px-4 py-2 text-sm rounded-lg border bg-white border-primary-800 text-primary-800 hover:bg-primary-50"
+          >
+            <FaUserClock />
+            {t("waitlist.title")}
+            {waitingCount > 0 && (
+              <span className="px-2 text-xs text-white bg-amber-500 rounded-full">
+                {waitingCount}
+              </span>
+            )}
+          </button>
+        </TableOperationsBar>
 
         <div className="flex-1 flex flex-col lg:flex-row overflow-hidden ">
           <div className="flex-1 overflow-y-auto [scrollbar-width:none] [::-webkit-scrollbar]:hidden">
@@ -85,11 +264,31 @@ const TablePage = () => {
                 tables={tables}
                 onSelectTable={handleSelectTable}
                 seatingType={seatingType}
+                operation={operation}
+                sourceTable={sourceTable}
+                onOperationSelect={handleOperationTable}
+                view={viewMode}
+                orders={orders}
+                reservations={reservations}
+                now={now}
               />
             )}
           </div>
         </div>
       </div>
+
+      {isReservationFormOpen && (
+        <ReservationForm onClose={() => setIsReservationFormOpen(false)} />
+      )}
+      {isWaitlistOpen && (
+        <WaitlistModal
+          tables={tables}
+          freeTables={freeTables}
+          now={now}
+          onSeat={handleSeatFromWaitlist}
+          onClose={() => setIsWaitlistOpen(false)}
+        />
+      )}
     </div>
   );
 };
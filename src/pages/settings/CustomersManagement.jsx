@@ -0,0 +1,342 @@
+import { useState, useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaSearch,
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaFileExport,
+  FaObjectGroup,
+  FaStickyNote,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import CustomerForm from "../../components/settings/customers-management/CustomerForm";
+import {
+  fetchCustomers,
+  fetchCustomerOrders,
+  deleteCustomer,
+  mergeCustomers,
+  setSearchTerm,
+} from "../../store/customerSlice";
+import {
+  customersToCsv,
+  findDuplicateCustomers,
+  getCustomerOrders,
+  getCustomerStats,
+  mergeCustomerRecords,
+  searchCustomers,
+} from "../../utils/customers";
+
+function CustomersManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { customers, orders, loading, error, searchTerm } = useSelector(
+    (state) => state.customer
+  );
+
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [formCustomer, setFormCustomer] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchCustomers());
+    dispatch(fetchCustomerOrders());
+  }, [dispatch]);
+
+  // Order history and totals per customer
+  const ordersByCustomer = useMemo(() => {
+    const map = {};
+    customers.forEach((customer) => {
+      map[customer._id] = getCustomerOrders(orders, customer.phone);
+    });
+    return map;
+  }, [customers, orders]);
+
+  const duplicateGroups = useMemo(
+    () => findDuplicateCustomers(customers),
+    [customers]
+  );
+
+  const visibleCustomers = useMemo(() => {
+    const list = showDuplicates ? duplicateGroups.flat() : customers;
+    return searchCustomers(list, searchTerm);
+  }, [customers, duplicateGroups, showDuplicates, searchTerm]);
+
+  const selectedCustomers = customers.filter((customer) =>
+    selectedIds.includes(customer._id)
+  );
+
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
+    );
+
+  const openForm = (customer = null) => {
+    setFormCustomer(customer);
+    setIsFormOpen(true);
+  };
+
+  const handleDelete = async (customer) => {
+    if (
+      !window.confirm(
+        t("customers.confirmDelete", { name: customer.name || customer.phone })
+      )
+    ) {
+      return;
+    }
+    try {
+      await dispatch(deleteCustomer(customer._id)).unwrap();
+      setSelectedIds((prev) => prev.filter((id) => id !== customer._id));
+      toast.success(t("customers.deleted"));
+    } catch (error) {
+      toast.error(error.message || t("customers.deleteFailed"));
+    }
+  };
+
+  // The customer with the most orders is kept, the others are merged in
+  const handleMerge = async () => {
+    const [primary, ...duplicates] = [...selectedCustomers].sort(
+      (a, b) =>
+        (ordersByCustomer[b._id]?.length || 0) -
+        (ordersByCustomer[a._id]?.length || 0)
+    );
+    if (
+      !window.confirm(
+        t("customers.confirmMerge", {
+          count: duplicates.length,
+          name: primary.name || primary.phone,
+        })
+      )
+    ) {
+      return;
+    }
+    try {
+      await dispatch(
+        mergeCustomers({
+          primaryId: primary._id,
+          duplicateIds: duplicates.map((customer) => customer._id),
+          customerData: mergeCustomerRecords(primary, duplicates),
+        })
+      ).unwrap();
+      setSelectedIds([]);
+      toast.success(t("customers.merged"));
+    } catch (error) {
+      toast.error(error.message || t("customers.mergeFailed"));
+    }
+  };
+
+  const handleExport = () => {
+    const csv = customersToCsv(visibleCustomers, orders);
+    // Byte order mark so spreadsheet apps read Arabic names as UTF-8
+    const blob = new Blob([`\uFEFF${csv}`], {
+      type: "text/csv;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `customers-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("customers.title")}
+        </h1>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={handleExport}
+            disabled={visibleCustomers.length === 0}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FaFileExport />
+            {t("customers.exportCsv")}
+          </button>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+          >
+            <FaPlus />
+            {t("customers.addCustomer")}
+          </button>
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Search and filters */}
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <div className="relative flex-grow">
+          <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder={t("customers.searchPlaceholder")}
+            value={searchTerm}
+            onChange={(e) => dispatch(setSearchTerm(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800 pl-10 w-full"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showDuplicates}
+            onChange={(e) => setShowDuplicates(e.target.checked)}
+            className="w-4 h-4"
+          />
+          {t("customers.showDuplicates", { count: duplicateGroups.length })}
+        </label>
+        <button
+          onClick={handleMerge}
+          disabled={selectedCustomers.length < 2 || loading}
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm text-primary-800 border border-primary-800 rounded-md hover:bg-primary-50 disabled:opacity-40"
+        >
+          <FaObjectGroup />
+          {t("customers.mergeSelected", { count: selectedCustomers.length })}
+        </button>
+      </div>
+
+      {/* Customers table */}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="bg-gray-50 py-3 px-4 w-8"></th>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("customers.name")}
+              </th>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("customers.phone")}
+              </th>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("customers.addresses")}
+              </th>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("customers.orders")}
+              </th>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("customers.lastOrder")}
+              </th>
+              <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
+                {t("customers.actions")}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleCustomers.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="py-8 px-4 text-center text-gray-500">
+                  {loading
+                    ? t("customers.loading")
+                    : t("customers.noCustomers")}
+                </td>
+              </tr>
+            ) : (
+              visibleCustomers.map((customer) => {
+                const stats = getCustomerStats(ordersByCustomer[customer._id]);
+                return (
+                  <tr key={customer._id} className="hover:bg-gray-50">
+                    <td className="py-3 px-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(customer._id)}
+                        onChange={() => toggleSelected(customer._id)}
+                        className="w-4 h-4"
+                      />
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      <span className="font-medium">
+                        {customer.name || "-"}
+                      </span>
+                      {customer.notes && (
+                        <span
+                          className="flex items-center gap-1 text-xs text-amber-700 truncate max-w-xs"
+                          title={customer.notes}
+                        >
+                          <FaStickyNote className="shrink-0" />
+                          {customer.notes}
+                        </span>
+                      )}
+                    </td>
+                    <td
+                      className="py-3 px-4 whitespace-nowrap text-sm text-gray-900"
+                      dir="ltr"
+                    >
+                      {customer.phone}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 max-w-xs">
+                      <span className="block truncate">
+                        {customer.addresses?.[0]?.address || "-"}
+                      </span>
+                      {customer.addresses?.length > 1 && (
+                        <span className="text-xs text-gray-400">
+                          +{customer.addresses.length - 1}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-900">
+                      {stats.count}
+                      <span className="block text-xs text-gray-500">
+                        {stats.totalSpent.toFixed(2)} AED
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-500">
+                      {stats.lastOrderAt
+                        ? new Date(stats.lastOrderAt).toLocaleDateString()
+                        : "-"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <div className="flex justify-center gap-1">
+                        <button
+                          onClick={() => openForm(customer)}
+                          className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-colors"
+                          title={t("customers.editCustomer")}
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(customer)}
+                          className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors"
+                          title={t("customers.deleteCustomer")}
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="mt-4 text-sm text-gray-500">
+        {t("customers.showing", {
+          count: visibleCustomers.length,
+          total: customers.length,
+        })}
+      </p>
+
+      {isFormOpen && (
+        <CustomerForm
+          customer={formCustomer}
+          customers={customers}
+          orders={formCustomer ? ordersByCustomer[formCustomer._id] : []}
+          onClose={() => setIsFormOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default CustomersManagement;
@@ -0,0 +1,231 @@
+import { useState, useEffect, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaPlus, FaTrash, FaEdit, FaSave } from "react-icons/fa";
+import toast from "react-hot-toast";
+import DiscountRuleForm from "../../components/settings/discounts-management/DiscountRuleForm";
+import { saveDiscounts } from "../../store/discountSlice";
+import { fetchMeals } from "../../store/mealSlice";
+import { fetchCategories } from "../../store/categorySlice";
+import {
+  createDiscountRule,
+  getDiscountName,
+  hasUsesLeft,
+} from "../../utils/discounts";
+
+function DiscountsManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { rules, approvalThreshold, loading } = useSelector(
+    (state) => state.discount
+  );
+  const { meals } = useSelector((state) => state.meals);
+  const { categories } = useSelector((state) => state.categories);
+
+  // Edits stay local until saved so the whole branch gets one consistent set
+  const [draft, setDraft] = useState({ rules, approvalThreshold });
+  const [isDirty, setIsDirty] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+
+  useEffect(() => {
+    if (!isDirty) setDraft({ rules, approvalThreshold });
+  }, [rules, approvalThreshold, isDirty]);
+
+  // Line-level rules are scoped to meals and categories
+  useEffect(() => {
+    if (meals.length === 0) dispatch(fetchMeals());
+    if (categories.length === 0) dispatch(fetchCategories());
+  }, [dispatch, meals.length, categories.length]);
+
+  const updateDraft = useCallback((updater) => {
+    setDraft((prev) => updater(prev));
+    setIsDirty(true);
+  }, []);
+
+  const handleSaveRule = (rule) =>
+    updateDraft((prev) => ({
+      ...prev,
+      rules: prev.rules.some((item) => item.id === rule.id)
+        ? prev.rules.map((item) => (item.id === rule.id ? rule : item))
+        : [...prev.rules, rule],
+    }));
+
+  const handleRemoveRule = (rule) => {
+    if (
+      window.confirm(
+        t("discounts.confirmRemove", { name: getDiscountName(rule, isRTL) })
+      )
+    ) {
+      updateDraft((prev) => ({
+        ...prev,
+        rules: prev.rules.filter((item) => item.id !== rule.id),
+      }));
+    }
+  };
+
+  const handleSave = async () => {
+    const promoCodes = draft.rules
+      .map((rule) => rule.promoCode)
+      .filter(Boolean);
+    if (new Set(promoCodes).size !== promoCodes.length) {
+      toast.error(t("discounts.duplicatePromoCode"));
+      return;
+    }
+
+    try {
+      await dispatch(saveDiscounts(draft)).unwrap();
+      toast.success(t("discounts.saved"));
+    } catch (error) {
+      console.warn("Discount rules saved locally only:", error);
+      toast.error(t("settingsSync.savedLocallyOnly"));
+    }
+    setIsDirty(false);
+  };
+
+  const describeRule = (rule) =>
+    t(`discounts.typeSummary.${rule.type}`, {
+      value: rule.value,
+      buy: rule.buyQuantity,
+      get: rule.getQuantity,
+    });
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-gray-50"
+      dir={isRTL ? "rtl" : "ltr"}
+    >
+      {/* Header Section */}
+      <div className="bg-gradient-to-r from-primary-800 to-primary-900 px-8 py-6 flex items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">
+            {t("discounts.settingsTitle")}
+          </h1>
+          <p className="text-primary-100 text-sm mt-1">
+            {t("discounts.settingsDescription")}
+          </p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || loading}
+          className="flex items-center gap-2 px-4 py-2 bg-white text-primary-800 rounded-lg hover:bg-primary-50 transition-colors disabled:opacity-50"
+        >
+          <FaSave />
+          <span className="hidden sm:inline">
+            {loading ? t("discounts.saving") : t("discounts.save")}
+          </span>
+        </button>
+      </div>
+
+      <div className="p-4 max-w-4xl space-y-4">
+        {/* Approval threshold */}
+        <div className="bg-white rounded-lg shadow-md p-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t("discounts.approvalThreshold")}
+          </label>
+          <p className="text-xs text-gray-500 mb-2">
+            {t("discounts.approvalThresholdDescription")}
+          </p>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={draft.approvalThreshold}
+            onChange={(e) =>
+              updateDraft((prev) => ({
+                ...prev,
+                approvalThreshold: e.target.value,
+              }))
+            }
+            className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+        </div>
+
+        <button
+          onClick={() => setEditingRule(createDiscountRule())}
+          className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+        >
+          <FaPlus />
+          {t("discounts.addRule")}
+        </button>
+
+        {/* Rule list */}
+        {draft.rules.length === 0 ? (
+          <p className="py-8 text-center text-gray-500">
+            {t("discounts.noRules")}
+          </p>
+        ) : (
+          <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+            {draft.rules.map((rule) => (
+              <li key={rule.id} className="p-3 flex items-center gap-3">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) =>
+                    handleSaveRule({ ...rule, enabled: e.target.checked })
+                  }
+                  className="w-4 h-4"
+                  title={t("discounts.enabled")}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-800 truncate">
+                    {getDiscountName(rule, isRTL)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {describeRule(rule)}
+                    {rule.schedule &&
+                      ` · ${rule.schedule.start} - ${rule.schedule.end}`}
+                  </p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {rule.promoCode && (
+                      <span
+                        className={`px-2 rounded-full text-xs ${
+                          hasUsesLeft(rule)
+                            ? "bg-blue-100 text-blue-700"
+                            : "bg-gray-100 text-gray-500"
+                        }`}
+                      >
+                        {rule.promoCode}
+                        {rule.usageLimit &&
+                          ` ${rule.usageCount || 0}/${rule.usageLimit}`}
+                      </span>
+                    )}
+                    {(rule.requiresApproval || rule.type === "staff_meal") && (
+                      <span className="px-2 rounded-full text-xs bg-amber-100 text-amber-700">
+                        {t("discounts.requiresApproval")}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setEditingRule(rule)}
+                  className="p-2 text-gray-500 hover:text-primary-800"
+                  title={t("discounts.editRule")}
+                >
+                  <FaEdit />
+                </button>
+                <button
+                  onClick={() => handleRemoveRule(rule)}
+                  className="p-2 text-red-500 hover:text-red-700"
+                  title={t("discounts.removeRule")}
+                >
+                  <FaTrash />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {editingRule && (
+        <DiscountRuleForm
+          rule={editingRule}
+          onSave={handleSaveRule}
+          onClose={() => setEditingRule(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DiscountsManagement;
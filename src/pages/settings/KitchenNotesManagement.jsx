@@ -0,0 +1,152 @@
+import { useState, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaPlus,
+  FaTrash,
+  FaArrowUp,
+  FaArrowDown,
+  FaUndo,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import {
+  addNotePreset,
+  updateNotePreset,
+  removeNotePreset,
+  moveNotePreset,
+  resetNotePresets,
+} from "../../store/kitchenNotesSlice";
+
+function KitchenNotesManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { presets } = useSelector((state) => state.kitchenNotes);
+  const [newPreset, setNewPreset] = useState("");
+
+  const handleAdd = useCallback(
+    (e) => {
+      e.preventDefault();
+      const preset = newPreset.trim();
+      if (!preset) return;
+
+      if (presets.includes(preset)) {
+        toast.error(t("kitchenNotes.presetExists"));
+        return;
+      }
+
+      dispatch(addNotePreset(preset));
+      setNewPreset("");
+      toast.success(t("kitchenNotes.presetAdded"));
+    },
+    [newPreset, presets, dispatch, t]
+  );
+
+  const handleReset = useCallback(() => {
+    if (window.confirm(t("kitchenNotes.confirmReset"))) {
+      dispatch(resetNotePresets());
+    }
+  }, [dispatch, t]);
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-gray-50"
+      dir={isRTL ? "rtl" : "ltr"}
+    >
+      {/* Header Section */}
+      <div className="bg-gradient-to-r from-primary-800 to-primary-900 px-8 py-6 flex items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">
+            {t("kitchenNotes.title")}
+          </h1>
+          <p className="text-primary-100 text-sm mt-1">
+            {t("kitchenNotes.description")}
+          </p>
+        </div>
+        <button
+          onClick={handleReset}
+          className="flex items-center gap-2 px-4 py-2 bg-white/10 text-white rounded-lg hover:bg-white/20 transition-colors"
+        >
+          <FaUndo />
+          <span className="hidden sm:inline">{t("kitchenNotes.reset")}</span>
+        </button>
+      </div>
+
+      <div className="p-4 max-w-2xl">
+        {/* Add preset */}
+        <form onSubmit={handleAdd} className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={newPreset}
+            onChange={(e) => setNewPreset(e.target.value)}
+            placeholder={t("kitchenNotes.newPresetPlaceholder")}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+          <button
+            type="submit"
+            disabled={!newPreset.trim()}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900 disabled:opacity-50"
+          >
+            <FaPlus />
+            {t("kitchenNotes.addPreset")}
+          </button>
+        </form>
+
+        {/* Presets list */}
+        {presets.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">
+            {t("kitchenNotes.noPresets")}
+          </p>
+        ) : (
+          <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+            {presets.map((preset, index) => (
+              <li
+                key={`${preset}-${index}`}
+                className="flex items-center gap-2 p-3"
+              >
+                <input
+                  type="text"
+                  defaultValue={preset}
+                  onBlur={(e) =>
+                    e.target.value.trim() !== preset &&
+                    dispatch(updateNotePreset({ index, value: e.target.value }))
+                  }
+                  className="flex-1 px-2 py-1 border border-transparent rounded hover:border-gray-200 focus:outline-none focus:border-primary-800"
+                />
+                <button
+                  onClick={() =>
+                    dispatch(moveNotePreset({ from: index, to: index - 1 }))
+                  }
+                  disabled={index === 0}
+                  className="p-2 text-gray-500 hover:text-primary-800 disabled:opacity-30"
+                  title={t("kitchenNotes.moveUp")}
+                >
+                  <FaArrowUp />
+                </button>
+                <button
+                  onClick={() =>
+                    dispatch(moveNotePreset({ from: index, to: index + 1 }))
+                  }
+                  disabled={index === presets.length - 1}
+                  className="p-2 text-gray-500 hover:text-primary-800 disabled:opacity-30"
+                  title={t("kitchenNotes.moveDown")}
+                >
+                  <FaArrowDown />
+                </button>
+                <button
+                  onClick={() => dispatch(removeNotePreset(index))}
+                  className="p-2 text-red-500 hover:text-red-700"
+                  title={t("kitchenNotes.removePreset")}
+                >
+                  <FaTrash />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default KitchenNotesManagement;
@@ -0,0 +1,216 @@
+import { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaSearch, FaMoneyBillWave, FaTruck } from "react-icons/fa";
+import SupplierAccountModal from "../../components/settings/payables/SupplierAccountModal";
+import { fetchStocks, fetchSupplierPayments } from "../../store/stockSlice";
+import { fetchSuppliers } from "../../store/supplierSlice";
+import {
+  AGING_BUCKETS,
+  getAgingTotals,
+  getSupplierKey,
+  getSupplierPaymentHistory,
+  getSupplierPayables,
+} from "../../utils/payables";
+
+const BUCKET_STYLES = {
+  current: "text-gray-900",
+  days31to60: "text-amber-700",
+  days61to90: "text-orange-700",
+  over90: "text-red-700 font-semibold",
+};
+
+function PayablesManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { stocks, supplierPayments, loading, error } = useSelector(
+    (state) => state.stock
+  );
+  const { suppliers } = useSelector((state) => state.supplier);
+
+  const [search, setSearch] = useState("");
+  const [showSettled, setShowSettled] = useState(false);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [now] = useState(Date.now());
+
+  useEffect(() => {
+    dispatch(fetchStocks());
+    dispatch(fetchSupplierPayments());
+    dispatch(fetchSuppliers());
+  }, [dispatch]);
+
+  const accounts = useMemo(
+    () => getSupplierPayables(stocks, suppliers, now),
+    [stocks, suppliers, now]
+  );
+  const totals = useMemo(() => getAgingTotals(accounts), [accounts]);
+
+  const visibleAccounts = accounts.filter(
+    (account) =>
+      (showSettled || account.owed > 0) &&
+      account.key.includes(getSupplierKey(search))
+  );
+  const selectedAccount = accounts.find(
+    (account) => account.key === selectedKey
+  );
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("payables.title")}
+        </h1>
+        <Link
+          to="/settings/suppliers"
+          className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <FaTruck />
+          {t("suppliers.title")}
+        </Link>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Aging summary */}
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 mb-4">
+        {[...AGING_BUCKETS.map((bucket) => bucket.key), "total"].map((key) => (
+          <div key={key} className="bg-white rounded-lg shadow-sm border p-4">
+            <p className="text-sm text-gray-500">
+              {key === "total"
+                ? t("payables.totalOwed")
+                : t(`payables.buckets.${key}`)}
+            </p>
+            <p
+              className={`text-xl font-bold ${
+                BUCKET_STYLES[key] || "text-gray-800"
+              }`}
+            >
+              {totals[key].toFixed(2)} AED
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Search and filters */}
+      <div className="flex flex-col sm:flex-row gap-4 mb-4">
+        <div className="relative flex-grow">
+          <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder={t("payables.searchPlaceholder")}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800 pl-10 w-full"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showSettled}
+            onChange={(e) => setShowSettled(e.target.checked)}
+            className="w-4 h-4"
+          />
+          {t("payables.showSettled")}
+        </label>
+      </div>
+
+      {/* Balances per supplier */}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("payables.supplier")}
+              </th>
+              {AGING_BUCKETS.map((bucket) => (
+                <th
+                  key={bucket.key}
+                  className="bg-gray-50 text-end text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4"
+                >
+                  {t(`payables.buckets.${bucket.key}`)}
+                </th>
+              ))}
+              <th className="bg-gray-50 text-end text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4">
+                {t("payables.totalOwed")}
+              </th>
+              <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
+                {t("payables.actions")}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleAccounts.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="py-8 px-4 text-center text-gray-500">
+                  {loading ? t("payables.loading") : t("payables.noBalances")}
+                </td>
+              </tr>
+            ) : (
+              visibleAccounts.map((account) => (
+                <tr key={account.key} className="hover:bg-gray-50">
+                  <td className="py-3 px-4 text-sm text-gray-900">
+                    <span className="font-medium">
+                      {account.supplierName || t("payables.unknownSupplier")}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {t("payables.openCount", {
+                        count: account.openInvoices.length,
+                      })}
+                    </span>
+                  </td>
+                  {AGING_BUCKETS.map((bucket) => (
+                    <td
+                      key={bucket.key}
+                      className={`py-3 px-4 whitespace-nowrap text-sm text-end ${
+                        account.buckets[bucket.key] > 0
+                          ? BUCKET_STYLES[bucket.key]
+                          : "text-gray-300"
+                      }`}
+                    >
+                      {account.buckets[bucket.key].toFixed(2)}
+                    </td>
+                  ))}
+                  <td className="py-3 px-4 whitespace-nowrap text-sm text-end font-bold text-gray-900">
+                    {account.owed.toFixed(2)} AED
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm">
+                    <div className="flex justify-center">
+                      <button
+                        onClick={() => setSelectedKey(account.key)}
+                        className="flex items-center gap-2 px-3 py-1 text-sm text-primary-800 border border-primary-800 rounded-md hover:bg-primary-50"
+                      >
+                        <FaMoneyBillWave />
+                        {t("payables.openAccount")}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedAccount && (
+        <SupplierAccountModal
+          account={selectedAccount}
+          payments={getSupplierPaymentHistory(
+            supplierPayments,
+            selectedAccount.supplierName
+          )}
+          now={now}
+          onClose={() => setSelectedKey(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default PayablesManagement;
@@ -3,12 +3,25 @@ import {
   useEffect,
   useMemo,
   useCallback,
+  useRef,
   lazy,
   Suspense,
 } from "react";
+import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import toast from "react-hot-toast";
 import printingService from "../../services/printingService";
+import {
+  createSettingsBackup,
+  parseSettingsBackup,
+  downloadSettingsBackup,
+} from "../../services/settingsApi";
+import {
+  syncSettings,
+  savePrinterSettings,
+  saveReceiptSettings,
+  updateDeviceName,
+} from "../../store/settingsSlice";
 
 // Lazy load components for better performance
 const PrintersHeader = lazy(() =>
@@ -23,6 +36,15 @@ const PrinterList = lazy(() =>
 const PrinterInformation = lazy(() =>
   import("../../components/settings/printers-management/PrinterInformation")
 );
+const SettingsSyncBar = lazy(() =>
+  import("../../components/settings/printers-management/SettingsSyncBar")
+);
+const PrintJobsPanel = lazy(() =>
+  import("../../components/settings/printers-management/PrintJobsPanel")
+);
+const CashDrawerDisplayPanel = lazy(() =>
+  import("../../components/settings/printers-management/CashDrawerDisplayPanel")
+);
 const ReceiptSettingsModal = lazy(() =>
   import("../../components/settings/printers-management/ReceiptSettingsModal")
 );
@@ -337,6 +359,26 @@ const PrinterForm = ({
           </select>
         </div>
 
+        {/* Print Method */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("printers.printMethod")}
+          </label>
+          <select
+            name="printMethod"
+            value={formData.printMethod || "auto"}
+            onChange={handleInputChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          >
+            <option value="auto">{t("printers.printMethods.auto")}</option>
+            <option value="html">{t("printers.printMethods.html")}</option>
+            <option value="raster">{t("printers.printMethods.raster")}</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            {t("printers.printMethodHint")}
+          </p>
+        </div>
+
         {/* Settings */}
         <div className="space-y-4">
           <div className="flex items-center">
@@ -385,6 +427,37 @@ const PrinterForm = ({
             </label>
           </div>
 
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="drawerHost"
+              name="drawerHost"
+              checked={!!formData.drawerHost}
+              onChange={handleInputChange}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <label htmlFor="drawerHost" className="ml-2 text-sm text-gray-700">
+              {t("printers.drawerHost")}
+            </label>
+          </div>
+
+          {formData.drawerHost && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t("printers.drawerPin")}
+              </label>
+              <select
+                name="drawerPin"
+                value={formData.drawerPin || "2"}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="2">{t("printers.drawerPin2")}</option>
+                <option value="5">{t("printers.drawerPin5")}</option>
+              </select>
+            </div>
+          )}
+
           <div className="flex items-center">
             <input
               type="checkbox"
@@ -423,6 +496,16 @@ const PrinterForm = ({
 
 function PrintersManagement() {
   const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const {
+    deviceName,
+    branchId,
+    loading: syncLoading,
+    error: syncError,
+    lastSyncedAt,
+  } = useSelector((state) => state.settings);
+  // Printers as last synced with the server, null until the first sync ends
+  const syncedPrintersRef = useRef(null);
   const [printers, setPrinters] = useState([]);
   const [isFormOpen, setIsFormOpen] = useState(false);
   const [isReceiptSettingsOpen, setIsReceiptSettingsOpen] = useState(false);
@@ -437,6 +520,7 @@ function PrintersManagement() {
     ipAddress: "",
     port: "9100",
     paperWidth: "80mm",
+    printMethod: "auto",
     isDefault: false,
     autoPrint: true,
     supportArabic: true,
@@ -462,6 +546,10 @@ function PrintersManagement() {
     display: {
       showCashierName: true,
     },
+    tax: {
+      defaultRate: 0,
+      pricesIncludeTax: false,
+    },
   });
 
   // Memoized default printers to prevent recreation on every render
@@ -476,6 +564,7 @@ function PrintersManagement() {
         ipAddress: "",
         port: "",
         paperWidth: "80mm",
+        printMethod: "auto",
         isDefault: true,
         autoPrint: true,
         supportArabic: true,
@@ -490,6 +579,7 @@ function PrintersManagement() {
         ipAddress: "",
         port: "",
         paperWidth: "80mm",
+        printMethod: "auto",
         isDefault: true,
         autoPrint: true,
         supportArabic: true,
@@ -526,14 +616,86 @@ function PrintersManagement() {
     }
   }, [defaultPrinters]);
 
+  // Pull this device's printers and the branch receipt template from the server
+  const handleSyncNow = useCallback(() => {
+    dispatch(syncSettings())
+      .unwrap()
+      .then(({ printers: syncedPrinters, receiptSettings: syncedReceipt }) => {
+        if (syncedPrinters.length > 0) {
+          syncedPrintersRef.current = JSON.stringify(syncedPrinters);
+          setPrinters(syncedPrinters);
+        }
+        setReceiptSettings(syncedReceipt);
+      })
+      .catch((error) => {
+        console.warn("Settings sync failed:", error);
+      })
+      .finally(() => {
+        if (syncedPrintersRef.current === null) {
+          syncedPrintersRef.current = JSON.stringify(
+            printingService.getPrinterSettings()
+          );
+        }
+      });
+  }, [dispatch]);
+
+  useEffect(() => {
+    handleSyncNow();
+  }, [handleSyncNow]);
+
   // Save printers to localStorage whenever printers change
   useEffect(() => {
     if (printers.length > 0) {
       localStorage.setItem("printer_settings", JSON.stringify(printers));
       // Also save to printing service for consistency
       printingService.savePrinterSettings(printers);
+
+      // Push changes to the server once the initial sync has finished
+      const serialized = JSON.stringify(printers);
+      if (
+        syncedPrintersRef.current !== null &&
+        syncedPrintersRef.current !== serialized
+      ) {
+        syncedPrintersRef.current = serialized;
+        dispatch(savePrinterSettings(printers));
+      }
     }
-  }, [printers]);
+  }, [printers, dispatch]);
+
+  const handleDeviceNameChange = useCallback(
+    async (name) => {
+      await dispatch(updateDeviceName(name));
+      dispatch(savePrinterSettings(printers));
+    },
+    [dispatch, printers]
+  );
+
+  // Download printers and receipt template as a JSON backup
+  const handleExportSettings = useCallback(() => {
+    downloadSettingsBackup(createSettingsBackup({ printers, receiptSettings }));
+  }, [printers, receiptSettings]);
+
+  // Restore a JSON backup and push it to the server
+  const handleImportSettings = useCallback(
+    async (file) => {
+      try {
+        const backup = parseSettingsBackup(await file.text());
+
+        if (backup.printers) {
+          setPrinters(backup.printers);
+        }
+        if (backup.receiptSettings) {
+          setReceiptSettings(backup.receiptSettings);
+          dispatch(saveReceiptSettings(backup.receiptSettings));
+        }
+        toast.success(t("settingsSync.imported"));
+      } catch (error) {
+        console.error("Settings import failed:", error);
+        toast.error(`${t("settingsSync.importFailed")}: ${error.message}`);
+      }
+    },
+    [dispatch, t]
+  );
 
   // Memoized form close handler
   const handleCloseForm = useCallback(() => {
@@ -548,6 +710,7 @@ function PrintersManagement() {
       ipAddress: "",
       port: "9100",
       paperWidth: "80mm",
+      printMethod: "auto",
       isDefault: false,
       autoPrint: true,
       supportArabic: true,
@@ -600,6 +763,7 @@ function PrintersManagement() {
         ipAddress: "",
         port: "9100",
         paperWidth: "80mm",
+        printMethod: "auto",
         isDefault: false,
         autoPrint: true,
         supportArabic: true,
@@ -620,6 +784,7 @@ function PrintersManagement() {
       ipAddress: "",
       port: "9100",
       paperWidth: "80mm",
+      printMethod: "auto",
       isDefault: false,
       autoPrint: true,
       supportArabic: true,
@@ -685,10 +850,12 @@ function PrintersManagement() {
   const handleReceiptSettingsSubmit = useCallback(
     (e) => {
       e.preventDefault();
-      printingService.saveReceiptSettings(receiptSettings);
-      toast.success(t("printers.receiptSettingsSaved"));
+      dispatch(saveReceiptSettings(receiptSettings))
+        .unwrap()
+        .then(() => toast.success(t("printers.receiptSettingsSaved")))
+        .catch(() => toast.error(t("settingsSync.savedLocallyOnly")));
     },
-    [receiptSettings, t]
+    [dispatch, receiptSettings, t]
   );
 
   const resetReceiptSettings = useCallback(() => {
@@ -711,6 +878,10 @@ function PrintersManagement() {
       display: {
         showCashierName: true,
       },
+      tax: {
+        defaultRate: 0,
+        pricesIncludeTax: false,
+      },
     };
     setReceiptSettings(defaultSettings);
     toast.success(t("printers.receiptSettingsReset"));
@@ -816,6 +987,19 @@ function PrintersManagement() {
             isFormOpen={isFormOpen}
           />
 
+          {/* Server sync, import and export */}
+          <SettingsSyncBar
+            deviceName={deviceName}
+            branchId={branchId}
+            loading={syncLoading}
+            error={syncError}
+            lastSyncedAt={lastSyncedAt}
+            onDeviceNameChange={handleDeviceNameChange}
+            onSyncNow={handleSyncNow}
+            onExport={handleExportSettings}
+            onImport={handleImportSettings}
+          />
+
           {/* Tabs */}
           <PrinterTabs activeTab={activeTab} onTabChange={setActiveTab} />
 
@@ -848,7 +1032,11 @@ function PrintersManagement() {
               </>
             )}
 
+            {activeTab === "jobs" && <PrintJobsPanel />}
+
             {activeTab === "info" && <PrinterInformation />}
+
+            {activeTab === "devices" && <CashDrawerDisplayPanel />}
           </div>
 
           {/* Only Receipt Settings Modal remains */}
@@ -0,0 +1,294 @@
+import { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaEye,
+  FaPaperPlane,
+  FaTruckLoading,
+  FaAddressBook,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import PurchaseOrderForm from "../../components/settings/purchasing/PurchaseOrderForm";
+import PurchaseOrderDetails from "../../components/settings/purchasing/PurchaseOrderDetails";
+import ReceiveGoodsModal from "../../components/settings/purchasing/ReceiveGoodsModal";
+import {
+  fetchSuppliers,
+  fetchPurchaseOrders,
+  sendPurchaseOrder,
+  deletePurchaseOrder,
+} from "../../store/supplierSlice";
+import { fetchStocks } from "../../store/stockSlice";
+import {
+  PURCHASE_ORDER_STATUSES,
+  RECEIVABLE_STATUSES,
+  getItemsTotal,
+  getOrderSupplier,
+} from "../../utils/purchasing";
+
+const STATUS_STYLES = {
+  draft: "bg-gray-100 text-gray-700",
+  sent: "bg-blue-100 text-blue-800",
+  partially_received: "bg-amber-100 text-amber-800",
+  received: "bg-green-100 text-green-800",
+};
+
+function PurchaseOrdersManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { suppliers, purchaseOrders, loading, error } = useSelector(
+    (state) => state.supplier
+  );
+  const { stocks } = useSelector((state) => state.stock);
+
+  const [statusFilter, setStatusFilter] = useState("");
+  // { type: "form" | "details" | "receive", order }
+  const [modal, setModal] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchSuppliers());
+    dispatch(fetchPurchaseOrders());
+    dispatch(fetchStocks());
+  }, [dispatch]);
+
+  const visibleOrders = useMemo(
+    () =>
+      purchaseOrders
+        .filter((order) => !statusFilter || order.status === statusFilter)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    [purchaseOrders, statusFilter]
+  );
+
+  const handleSend = async (order) => {
+    try {
+      await dispatch(sendPurchaseOrder(order._id)).unwrap();
+      toast.success(t("purchaseOrders.sent"));
+    } catch (error) {
+      toast.error(error.message || t("purchaseOrders.saveFailed"));
+    }
+  };
+
+  const handleDelete = async (order) => {
+    if (
+      !window.confirm(
+        t("purchaseOrders.confirmDelete", { number: order.poNumber })
+      )
+    )
+      return;
+    try {
+      await dispatch(deletePurchaseOrder(order._id)).unwrap();
+      toast.success(t("purchaseOrders.deleted"));
+    } catch (error) {
+      toast.error(error.message || t("purchaseOrders.deleteFailed"));
+    }
+  };
+
+  const closeModal = () => setModal(null);
+  const modalSupplier = modal?.order
+    ? getOrderSupplier(modal.order, suppliers)
+    : null;
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("purchaseOrders.title")}
+        </h1>
+        <div className="flex flex-wrap gap-2">
+          <Link
+            to="/settings/suppliers"
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <FaAddressBook />
+            {t("suppliers.title")}
+          </Link>
+          <button
+            onClick={() => setModal({ type: "form", order: null })}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+          >
+            <FaPlus />
+            {t("purchaseOrders.newOrder")}
+          </button>
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Status filter */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {["", ...PURCHASE_ORDER_STATUSES].map((status) => (
+          <button
+            key={status || "all"}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 text-sm rounded-full border ${
+              statusFilter === status
+                ? "bg-primary-800 text-white border-primary-800"
+                : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+            }`}
+          >
+            {status
+              ? t(`purchaseOrders.statuses.${status}`)
+              : t("purchaseOrders.allStatuses")}
+          </button>
+        ))}
+      </div>
+
+      {/* Purchase orders table */}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              {[
+                "number",
+                "supplier",
+                "status",
+                "items",
+                "total",
+                "expectedDate",
+              ].map((column) => (
+                <th
+                  key={column}
+                  className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4"
+                >
+                  {t(`purchaseOrders.${column}`)}
+                </th>
+              ))}
+              <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
+                {t("purchaseOrders.actions")}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleOrders.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="py-8 px-4 text-center text-gray-500">
+                  {loading
+                    ? t("purchaseOrders.loading")
+                    : t("purchaseOrders.noOrders")}
+                </td>
+              </tr>
+            ) : (
+              visibleOrders.map((order) => {
+                const isDraft = order.status === "draft";
+                return (
+                  <tr key={order._id} className="hover:bg-gray-50">
+                    <td className="py-3 px-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {order.poNumber}
+                      <span className="block text-xs font-normal text-gray-500">
+                        {new Date(order.createdAt).toLocaleDateString()}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {getOrderSupplier(order, suppliers)?.name || "-"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${
+                          STATUS_STYLES[order.status] || STATUS_STYLES.draft
+                        }`}
+                      >
+                        {t(`purchaseOrders.statuses.${order.status}`)}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 max-w-xs">
+                      <span className="block truncate">
+                        {order.items.map((item) => item.name).join(", ")}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {getItemsTotal(order.items).toFixed(2)} AED
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-500">
+                      {order.expectedDate
+                        ? new Date(order.expectedDate).toLocaleDateString()
+                        : "-"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <div className="flex justify-center gap-1">
+                        <button
+                          onClick={() => setModal({ type: "details", order })}
+                          className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-md transition-colors"
+                          title={t("purchaseOrders.viewOrder")}
+                        >
+                          <FaEye />
+                        </button>
+                        {isDraft && (
+                          <>
+                            <button
+                              onClick={() => setModal({ type: "form", order })}
+                              className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-colors"
+                              title={t("purchaseOrders.editDraft")}
+                            >
+                              <FaEdit />
+                            </button>
+                            <button
+                              onClick={() => handleSend(order)}
+                              className="p-2 text-primary-700 hover:text-primary-800 hover:bg-primary-50 rounded-md transition-colors"
+                              title={t("purchaseOrders.markSent")}
+                            >
+                              <FaPaperPlane />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(order)}
+                              className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors"
+                              title={t("purchaseOrders.deleteDraft")}
+                            >
+                              <FaTrash />
+                            </button>
+                          </>
+                        )}
+                        {RECEIVABLE_STATUSES.includes(order.status) && (
+                          <button
+                            onClick={() => setModal({ type: "receive", order })}
+                            className="p-2 text-green-600 hover:text-green-800 hover:bg-green-50 rounded-md transition-colors"
+                            title={t("purchaseOrders.receiveGoods")}
+                          >
+                            <FaTruckLoading />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {modal?.type === "form" && (
+        <PurchaseOrderForm
+          purchaseOrder={modal.order}
+          suppliers={suppliers}
+          stocks={stocks}
+          onClose={closeModal}
+        />
+      )}
+      {modal?.type === "details" && (
+        <PurchaseOrderDetails
+          purchaseOrder={modal.order}
+          supplier={modalSupplier}
+          onClose={closeModal}
+        />
+      )}
+      {modal?.type === "receive" && (
+        <ReceiveGoodsModal
+          purchaseOrder={modal.order}
+          supplier={modalSupplier}
+          onClose={closeModal}
+        />
+      )}
+    </div>
+  );
+}
+
+export default PurchaseOrdersManagement;
@@ -0,0 +1,286 @@
+import { useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaPlus,
+  FaEdit,
+  FaChair,
+  FaBan,
+  FaUserSlash,
+  FaStickyNote,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import ReservationForm from "../../components/reservations/ReservationForm";
+import {
+  fetchReservations,
+  markNoShow,
+  setReservationStatus,
+} from "../../store/reservationSlice";
+import { fetchTables } from "../../store/tableSlice";
+import { isOverdue, toDateKey } from "../../utils/reservations";
+
+const STATUS_STYLES = {
+  booked: "bg-blue-100 text-blue-800",
+  seated: "bg-green-100 text-green-800",
+  no_show: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-100 text-gray-600",
+};
+
+function ReservationsManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { reservations, loading, error } = useSelector(
+    (state) => state.reservation
+  );
+  const { tables } = useSelector((state) => state.table);
+
+  const [date, setDate] = useState(toDateKey());
+  const [formReservation, setFormReservation] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    dispatch(fetchReservations(date));
+  }, [date, dispatch]);
+
+  useEffect(() => {
+    if (tables.length === 0) dispatch(fetchTables());
+  }, [tables.length, dispatch]);
+
+  // Overdue bookings become no-show candidates as time passes
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const dayReservations = useMemo(
+    () =>
+      reservations
+        .filter((reservation) => toDateKey(new Date(reservation.time)) === date)
+        .sort((a, b) => new Date(a.time) - new Date(b.time)),
+    [reservations, date]
+  );
+
+  const summary = useMemo(
+    () => ({
+      bookings: dayReservations.filter((item) => item.status !== "cancelled")
+        .length,
+      guests: dayReservations
+        .filter((item) => ["booked", "seated"].includes(item.status))
+        .reduce((sum, item) => sum + (Number(item.partySize) || 0), 0),
+      noShows: dayReservations.filter((item) => item.status === "no_show")
+        .length,
+    }),
+    [dayReservations]
+  );
+
+  const openForm = (reservation = null) => {
+    setFormReservation(reservation);
+    setIsFormOpen(true);
+  };
+
+  const handleStatus = async (reservation, status) => {
+    if (
+      status === "cancelled" &&
+      !window.confirm(
+        t("reservations.confirmCancel", { name: reservation.name })
+      )
+    ) {
+      return;
+    }
+    try {
+      if (status === "no_show") {
+        await dispatch(markNoShow(reservation)).unwrap();
+      } else {
+        await dispatch(
+          setReservationStatus({ reservationId: reservation._id, status })
+        ).unwrap();
+      }
+      toast.success(t(`reservations.statusChanged.${status}`));
+    } catch (error) {
+      toast.error(error.message || t("reservations.saveFailed"));
+    }
+  };
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("reservations.title")}
+        </h1>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+          >
+            <FaPlus />
+            {t("reservations.addReservation")}
+          </button>
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Day summary */}
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        {Object.entries(summary).map(([key, value]) => (
+          <div key={key} className="bg-white rounded-lg shadow-sm border p-4">
+            <p className="text-sm text-gray-500">
+              {t(`reservations.summary.${key}`)}
+            </p>
+            <p className="text-2xl font-bold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Reservations table */}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              {["time", "name", "phone", "partySize", "table", "status"].map(
+                (column) => (
+                  <th
+                    key={column}
+                    className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4"
+                  >
+                    {t(`reservations.${column}`)}
+                  </th>
+                )
+              )}
+              <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
+                {t("reservations.actions")}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {dayReservations.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="py-8 px-4 text-center text-gray-500">
+                  {loading
+                    ? t("reservations.loading")
+                    : t("reservations.noReservations")}
+                </td>
+              </tr>
+            ) : (
+              dayReservations.map((reservation) => {
+                const overdue = isOverdue(reservation, now);
+                const isBooked = reservation.status === "booked";
+                return (
+                  <tr
+                    key={reservation._id}
+                    className={overdue ? "bg-red-50" : "hover:bg-gray-50"}
+                  >
+                    <td className="py-3 px-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {new Date(reservation.time).toLocaleTimeString([], {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {reservation.name}
+                      {reservation.notes && (
+                        <span
+                          className="flex items-center gap-1 text-xs text-amber-700 truncate max-w-xs"
+                          title={reservation.notes}
+                        >
+                          <FaStickyNote className="shrink-0" />
+                          {reservation.notes}
+                        </span>
+                      )}
+                    </td>
+                    <td
+                      className="py-3 px-4 whitespace-nowrap text-sm text-gray-900"
+                      dir="ltr"
+                    >
+                      {reservation.phone}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {reservation.partySize}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {reservation.tableNumber ?? "-"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${
+                          STATUS_STYLES[reservation.status] ||
+                          STATUS_STYLES.booked
+                        }`}
+                      >
+                        {t(`reservations.statuses.${reservation.status}`)}
+                      </span>
+                      {overdue && (
+                        <span className="block mt-1 text-xs text-red-600">
+                          {t("reservations.overdue")}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <div className="flex justify-center gap-1">
+                        <button
+                          onClick={() => openForm(reservation)}
+                          disabled={!isBooked}
+                          className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-colors disabled:opacity-30"
+                          title={t("reservations.editReservation")}
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleStatus(reservation, "seated")}
+                          disabled={!isBooked}
+                          className="p-2 text-green-600 hover:text-green-800 hover:bg-green-50 rounded-md transition-colors disabled:opacity-30"
+                          title={t("reservations.markSeated")}
+                        >
+                          <FaChair />
+                        </button>
+                        <button
+                          onClick={() => handleStatus(reservation, "no_show")}
+                          disabled={!overdue}
+                          className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors disabled:opacity-30"
+                          title={t("reservations.markNoShow")}
+                        >
+                          <FaUserSlash />
+                        </button>
+                        <button
+                          onClick={() => handleStatus(reservation, "cancelled")}
+                          disabled={!isBooked}
+                          className="p-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-md transition-colors disabled:opacity-30"
+                          title={t("reservations.cancelReservation")}
+                        >
+                          <FaBan />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {isFormOpen && (
+        <ReservationForm
+          reservation={formReservation}
+          defaultDate={date}
+          onClose={() => setIsFormOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ReservationsManagement;
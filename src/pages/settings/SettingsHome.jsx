@@ -1,4 +1,5 @@
 import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
 import {
   FaUsers,
@@ -7,10 +8,22 @@ import {
   FaClock,
   FaPrint,
   FaTable,
+  FaStickyNote,
+  FaMoneyCheckAlt,
+  FaPercent,
+  FaAddressBook,
+  FaCalendarCheck,
+  FaTruck,
+  FaFileInvoice,
+  FaFileInvoiceDollar,
+  FaExclamationTriangle,
 } from "react-icons/fa";
+import { getLowStockItems } from "../../utils/stockAlerts";
 
 function SettingsHome() {
   const { t } = useTranslation();
+  const { stocks } = useSelector((state) => state.stock);
+  const lowStockItems = getLowStockItems(stocks);
 
   const settingCategories = [
     {
@@ -55,6 +68,69 @@ function SettingsHome() {
       icon: <FaPrint size={28} className="text-[#F97316]" />,
       path: "/settings/printers",
     },
+    {
+      id: "notes",
+      title: t("settings.kitchenNotes"),
+      description: t("settings.kitchenNotesDesc"),
+      icon: <FaStickyNote size={28} className="text-[#EF4444]" />,
+      path: "/settings/notes",
+    },
+    {
+      id: "tenders",
+      title: t("settings.tenders"),
+      description: t("settings.tendersDesc"),
+      icon: <FaMoneyCheckAlt size={28} className="text-[#10B981]" />,
+      path: "/settings/tenders",
+    },
+    {
+      id: "discounts",
+      title: t("settings.discounts"),
+      description: t("settings.discountsDesc"),
+      icon: <FaPercent size={28} className="text-[#EF4444]" />,
+      path: "/settings/discounts",
+    },
+    {
+      id: "customers",
+      title: t("settings.customers"),
+      description: t("settings.customersDesc"),
+      icon: <FaAddressBook size={28} className="text-[#0EA5E9]" />,
+      path: "/settings/customers",
+    },
+    {
+      id: "reservations",
+      title: t("settings.reservations"),
+      description: t("settings.reservationsDesc"),
+      icon: <FaCalendarCheck size={28} className="text-[#3B82F6]" />,
+      path: "/settings/reservations",
+    },
+    {
+      id: "suppliers",
+      title: t("settings.suppliers"),
+      description: t("settings.suppliersDesc"),
+      icon: <FaTruck size={28} className="text-[#0EA5E9]" />,
+      path: "/settings/suppliers",
+    },
+    {
+      id: "purchaseOrders",
+      title: t("settings.purchaseOrders"),
+      description: t("settings.purchaseOrdersDesc"),
+      icon: <FaFileInvoice size={28} className="text-[#A855F7]" />,
+      path: "/settings/purchase-orders",
+    },
+    {
+      id: "payables",
+      title: t("settings.payables"),
+      description: t("settings.payablesDesc"),
+      icon: <FaFileInvoiceDollar size={28} className="text-[#DC2626]" />,
+      path: "/settings/payables",
+    },
+    {
+      id: "stockAlerts",
+      title: t("settings.stockAlerts"),
+      description: t("settings.stockAlertsDesc"),
+      icon: <FaExclamationTriangle size={28} className="text-[#F59E0B]" />,
+      path: "/settings/stock-alerts",
+    },
   ];
 
   return (
@@ -63,6 +139,30 @@ function SettingsHome() {
         {t("settings.title")}
       </h1>
 
+      {/* Low-stock alert */}
+      {lowStockItems.length > 0 && (
+        <Link
+          to="/settings/stock-alerts"
+          className="flex items-center gap-3 mb-6 p-4 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg hover:bg-amber-100 transition-colors"
+        >
+          <FaExclamationTriangle className="flex-shrink-0" />
+          <div>
+            <p className="font-semibold">
+              {t("stockAlerts.lowStockCount", {
+                count: lowStockItems.length,
+              })}
+            </p>
+            <p className="text-sm">
+              {lowStockItems
+                .slice(0, 5)
+                .map((stock) => stock.name)
+                .join(", ")}
+              {lowStockItems.length > 5 && "…"}
+            </p>
+          </div>
+        </Link>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {settingCategories.map((category) => (
           <Link
@@ -11,6 +11,7 @@ import {
   setStatusFilter,
 } from "../../store/shiftSlice";
 import avatar from "../../assets/avatar.png";
+import { getDiscountTotalsByCashier } from "../../utils/discounts";
 
 // Lazy load shift components
 const ShiftEndSummary = lazy(() =>
@@ -97,6 +98,14 @@ function ShiftsManagement() {
       });
   }, [shifts, searchTerm, statusFilter, dateFilter]);
 
+  const discountsByCashier = useMemo(
+    () =>
+      getDiscountTotalsByCashier(filteredShifts).filter(
+        (entry) => entry.total > 0
+      ),
+    [filteredShifts]
+  );
+
   const handleSearchChange = (e) => {
     dispatch(setSearchTerm(e.target.value));
   };
@@ -230,6 +239,9 @@ function ShiftsManagement() {
               <th className="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 min-w-32">
                 {t("shifts.orders")}
               </th>
+              <th className="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 min-w-32">
+                {t("shifts.discounts")}
+              </th>
               <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
                 {t("shifts.actions")}
               </th>
@@ -238,7 +250,7 @@ function ShiftsManagement() {
           <tbody className="divide-y divide-gray-200">
             {filteredShifts.length === 0 ? (
               <tr>
-                <td colSpan="8" className="py-8 px-4 text-center text-gray-500">
+                <td colSpan="9" className="py-8 px-4 text-center text-gray-500">
                   {shifts.length === 0
                     ? t("shifts.noShifts")
                     : t("shifts.noMatchingShifts")}
@@ -315,6 +327,11 @@ function ShiftsManagement() {
                         )}
                       </div>
                     </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm text-red-600">
+                      {shift.discountBalance
+                        ? `-${formatCurrency(shift.discountBalance)}`
+                        : "-"}
+                    </td>
                     <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-900">
                       <div className="flex justify-center space-x-2">
                         <button
@@ -360,6 +377,35 @@ function ShiftsManagement() {
         </div>
       </div>
 
+      {/* Discounts given per cashier over the listed shifts */}
+      {discountsByCashier.length > 0 && (
+        <div className="mt-6 rounded-lg border border-gray-200 shadow-sm p-4">
+          <h2 className="text-lg font-semibold text-gray-800 mb-3">
+            {t("discounts.byCashier")}
+          </h2>
+          <ul className="divide-y divide-gray-100">
+            {discountsByCashier.map((entry) => (
+              <li
+                key={entry.cashierId}
+                className="flex justify-between py-2 text-sm"
+              >
+                <span className="text-gray-800">
+                  {entry.name}
+                  {entry.username && (
+                    <span className="ms-2 text-xs text-gray-500">
+                      @{entry.username}
+                    </span>
+                  )}
+                </span>
+                <span className="font-medium text-red-600">
+                  -{formatCurrency(entry.total)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {isViewModalOpen && selectedShiftForView && (
         <Suspense fallback={<div>{t("shifts.loadingDetails")}</div>}>
           <ShiftEndSummary
@@ -0,0 +1,253 @@
+import { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import { FaBoxes, FaFileExport } from "react-icons/fa";
+import ReorderSuggestions from "../../components/settings/stock-alerts/ReorderSuggestions";
+import PurchaseOrderForm from "../../components/settings/purchasing/PurchaseOrderForm";
+import { fetchStocks, fetchUsageOrders } from "../../store/stockSlice";
+import { fetchMeals } from "../../store/mealSlice";
+import { fetchSuppliers } from "../../store/supplierSlice";
+import {
+  USAGE_WINDOW_DAYS,
+  getDailyUsage,
+  getReorderSuggestions,
+  getStockForecast,
+  reorderToCsv,
+  toPurchaseOrderDefaults,
+} from "../../utils/stockAlerts";
+
+const STATUS_STYLES = {
+  out: "bg-red-100 text-red-800",
+  low: "bg-amber-100 text-amber-800",
+  soon: "bg-yellow-100 text-yellow-800",
+  ok: "bg-green-100 text-green-800",
+};
+
+function StockAlertsManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const {
+    stocks,
+    usageOrders: orders,
+    loading,
+    error,
+  } = useSelector((state) => state.stock);
+  const { meals } = useSelector((state) => state.meals);
+  const { suppliers } = useSelector((state) => state.supplier);
+
+  const [showAll, setShowAll] = useState(false);
+  const [orderDefaults, setOrderDefaults] = useState(null);
+  const [now] = useState(Date.now());
+
+  useEffect(() => {
+    dispatch(fetchStocks());
+    dispatch(fetchSuppliers());
+    dispatch(fetchUsageOrders());
+  }, [dispatch]);
+
+  // Usage comes from the ingredients of the meals sold
+  useEffect(() => {
+    if (meals.length === 0) dispatch(fetchMeals());
+  }, [dispatch, meals.length]);
+
+  const forecast = useMemo(
+    () => getStockForecast(stocks, getDailyUsage(orders, meals, stocks, now)),
+    [stocks, orders, meals, now]
+  );
+  const suggestions = useMemo(
+    () => getReorderSuggestions(forecast, suppliers),
+    [forecast, suppliers]
+  );
+
+  const counts = forecast.reduce(
+    (acc, entry) => ({ ...acc, [entry.status]: acc[entry.status] + 1 }),
+    { out: 0, low: 0, soon: 0, ok: 0 }
+  );
+  const visibleForecast = showAll
+    ? forecast
+    : forecast.filter((entry) => entry.status !== "ok");
+
+  const handleExport = (groups) => {
+    const csv = reorderToCsv(groups);
+    // Byte order mark so spreadsheet apps read Arabic names as UTF-8
+    const blob = new Blob([`\uFEFF${csv}`], {
+      type: "text/csv;charset=utf-8",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `reorder-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("stockAlerts.title")}
+        </h1>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => handleExport(suggestions)}
+            disabled={suggestions.length === 0}
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FaFileExport />
+            {t("stockAlerts.exportAll")}
+          </button>
+          <Link
+            to="/settings/stock"
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <FaBoxes />
+            {t("settings.stockManagement")}
+          </Link>
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Alert summary */}
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        {["out", "low", "soon"].map((status) => (
+          <div
+            key={status}
+            className="bg-white rounded-lg shadow-sm border p-4"
+          >
+            <p className="text-sm text-gray-500">
+              {t(`stockAlerts.statuses.${status}`)}
+            </p>
+            <p className="text-2xl font-bold text-gray-800">{counts[status]}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Forecast per item */}
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-800">
+            {t("stockAlerts.forecast")}
+          </h2>
+          <p className="text-xs text-gray-500">
+            {t("stockAlerts.usageBasis", { days: USAGE_WINDOW_DAYS })}
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={(e) => setShowAll(e.target.checked)}
+            className="w-4 h-4"
+          />
+          {t("stockAlerts.showAll")}
+        </label>
+      </div>
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm mb-8">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              {[
+                "item",
+                "inStock",
+                "minimum",
+                "dailyUsage",
+                "daysLeft",
+                "status",
+                "suggested",
+              ].map((column) => (
+                <th
+                  key={column}
+                  className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4"
+                >
+                  {t(`stockAlerts.columns.${column}`)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleForecast.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="py-8 px-4 text-center text-gray-500">
+                  {loading
+                    ? t("stockAlerts.loading")
+                    : t("stockAlerts.noAlerts")}
+                </td>
+              </tr>
+            ) : (
+              visibleForecast.map((entry) => (
+                <tr key={entry.stock._id} className="hover:bg-gray-50">
+                  <td className="py-3 px-4 text-sm font-medium text-gray-900">
+                    {entry.stock.name}
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-700">
+                    {entry.stock.quantity} {entry.stock.unit}
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-700">
+                    {entry.stock.minimumQuantity || "-"}
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-700">
+                    {entry.dailyUsage > 0
+                      ? `${entry.dailyUsage.toFixed(2)} ${entry.stock.unit}`
+                      : "-"}
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-700">
+                    {entry.daysLeft === null
+                      ? "-"
+                      : t("stockAlerts.days", {
+                          count: Math.floor(entry.daysLeft),
+                        })}
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm">
+                    <span
+                      className={`px-2 py-1 text-xs font-medium rounded-full ${
+                        STATUS_STYLES[entry.status]
+                      }`}
+                    >
+                      {t(`stockAlerts.statuses.${entry.status}`)}
+                    </span>
+                  </td>
+                  <td className="py-3 px-4 whitespace-nowrap text-sm font-semibold text-gray-900">
+                    {entry.suggestedQuantity > 0
+                      ? `${entry.suggestedQuantity} ${entry.stock.unit}`
+                      : "-"}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Suggested reorder list per supplier */}
+      <h2 className="text-lg font-semibold text-gray-800 mb-3">
+        {t("stockAlerts.suggestions")}
+      </h2>
+      <ReorderSuggestions
+        groups={suggestions}
+        onExport={handleExport}
+        onCreateOrder={(group) =>
+          setOrderDefaults(toPurchaseOrderDefaults(group))
+        }
+      />
+
+      {orderDefaults && (
+        <PurchaseOrderForm
+          defaults={orderDefaults}
+          suppliers={suppliers}
+          stocks={stocks}
+          onClose={() => setOrderDefaults(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default StockAlertsManagement;
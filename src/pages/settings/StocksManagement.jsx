@@ -1,7 +1,14 @@
 import { useState, useEffect, useMemo, lazy, Suspense } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useTranslation } from "react-i18next";
-import { FaPlus, FaEdit, FaTrash, FaSearch, FaEye } from "react-icons/fa";
+import {
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaSearch,
+  FaEye,
+  FaClipboardCheck,
+} from "react-icons/fa";
 import DeleteConfirmation from "../../components/common/DeleteConfirmation";
 import DatePicker from "../../components/common/DatePicker";
 import {
@@ -15,6 +22,9 @@ import {
 
 // Lazy load stock form
 const StockForm = lazy(() => import("../../components/settings/StockForm"));
+const StocktakeModal = lazy(() =>
+  import("../../components/settings/stocktake/StocktakeModal")
+);
 
 function StocksManagement() {
   const { t } = useTranslation();
@@ -28,6 +38,7 @@ function StocksManagement() {
   const [selectedStockItem, setSelectedStockItem] = useState(null);
   const [formMode, setFormMode] = useState("add"); // "add", "edit", "view"
   const [dateFilter, setDateFilter] = useState("");
+  const [isStocktakeOpen, setIsStocktakeOpen] = useState(false);
 
   // Fetch stocks on component mount
   useEffect(() => {
@@ -186,12 +197,20 @@ function StocksManagement() {
         <h1 className="text-xl sm:text-2xl font-bold text-gray-800">
           {t("stock.title")}
         </h1>
-        <button
-          className="px-2 sm:px-4 py-2 text-sm sm:text-base rounded-md text-white font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-opacity-50 bg-primary-800 hover:bg-primary-800 focus:ring-primary-800/50 flex items-center"
-          onClick={() => handleOpenForm()}
-        >
-          <FaPlus className="sm:mr-2" /> {t("stock.addStock")}
-        </button>
+        <div className="flex gap-2">
+          <button
+            className="px-2 sm:px-4 py-2 text-sm sm:text-base rounded-md text-primary-800 font-medium border border-primary-800 hover:bg-primary-50 transition-all duration-200 flex items-center"
+            onClick={() => setIsStocktakeOpen(true)}
+          >
+            <FaClipboardCheck className="sm:mr-2" /> {t("stocktake.title")}
+          </button>
+          <button
+            className="px-2 sm:px-4 py-2 text-sm sm:text-base rounded-md text-white font-medium transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-opacity-50 bg-primary-800 hover:bg-primary-800 focus:ring-primary-800/50 flex items-center"
+            onClick={() => handleOpenForm()}
+          >
+            <FaPlus className="sm:mr-2" /> {t("stock.addStock")}
+          </button>
+        </div>
       </div>
 
       {/* Error display */}
@@ -446,6 +465,13 @@ function StocksManagement() {
         </Suspense>
       )}
 
+      {/* Stocktake sessions */}
+      {isStocktakeOpen && (
+        <Suspense fallback={<div>{t("stocktake.loading")}</div>}>
+          <StocktakeModal onClose={() => setIsStocktakeOpen(false)} />
+        </Suspense>
+      )}
+
       {/* Delete confirmation modal */}
       {isDeleteModalOpen && (
         <DeleteConfirmation
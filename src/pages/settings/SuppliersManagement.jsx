@@ -0,0 +1,214 @@
+import { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaSearch,
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaStickyNote,
+  FaFileInvoice,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import SupplierForm from "../../components/settings/purchasing/SupplierForm";
+import { fetchSuppliers, deleteSupplier } from "../../store/supplierSlice";
+import { fetchStocks } from "../../store/stockSlice";
+import { getSupplierItems } from "../../utils/purchasing";
+
+function SuppliersManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { suppliers, loading, error } = useSelector((state) => state.supplier);
+  const { stocks } = useSelector((state) => state.stock);
+
+  const [search, setSearch] = useState("");
+  const [formSupplier, setFormSupplier] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchSuppliers());
+    dispatch(fetchStocks());
+  }, [dispatch]);
+
+  const visibleSuppliers = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return suppliers.filter(
+      (supplier) =>
+        !term ||
+        [supplier.name, supplier.contactName, supplier.phone, supplier.email]
+          .filter(Boolean)
+          .some((value) => value.toLowerCase().includes(term))
+    );
+  }, [suppliers, search]);
+
+  const openForm = (supplier = null) => {
+    setFormSupplier(supplier);
+    setIsFormOpen(true);
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(t("suppliers.confirmDelete", { name: supplier.name })))
+      return;
+    try {
+      await dispatch(deleteSupplier(supplier._id)).unwrap();
+      toast.success(t("suppliers.deleted"));
+    } catch (error) {
+      toast.error(error.message || t("suppliers.deleteFailed"));
+    }
+  };
+
+  return (
+    <div className="animate-fade-in p-4" dir={isRTL ? "rtl" : "ltr"}>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          {t("suppliers.title")}
+        </h1>
+        <div className="flex flex-wrap gap-2">
+          <Link
+            to="/settings/purchase-orders"
+            className="flex items-center gap-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <FaFileInvoice />
+            {t("purchaseOrders.title")}
+          </Link>
+          <button
+            onClick={() => openForm()}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900"
+          >
+            <FaPlus />
+            {t("suppliers.addSupplier")}
+          </button>
+        </div>
+      </div>
+
+      {/* Error display */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-md">
+          {error}
+        </div>
+      )}
+
+      {/* Search */}
+      <div className="relative mb-4">
+        <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+        <input
+          type="text"
+          placeholder={t("suppliers.searchPlaceholder")}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800 pl-10 w-full"
+        />
+      </div>
+
+      {/* Suppliers table */}
+      <div className="overflow-x-auto rounded-lg border border-gray-200 shadow-sm">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              {["name", "contactName", "phone", "paymentTerms", "items"].map(
+                (column) => (
+                  <th
+                    key={column}
+                    className="bg-gray-50 text-start text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4"
+                  >
+                    {t(`suppliers.${column}`)}
+                  </th>
+                )
+              )}
+              <th className="bg-gray-50 text-xs font-medium text-gray-500 uppercase tracking-wider py-3 px-4 text-center">
+                {t("suppliers.actions")}
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visibleSuppliers.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="py-8 px-4 text-center text-gray-500">
+                  {loading
+                    ? t("suppliers.loading")
+                    : t("suppliers.noSuppliers")}
+                </td>
+              </tr>
+            ) : (
+              visibleSuppliers.map((supplier) => {
+                const items = getSupplierItems(supplier, stocks);
+                return (
+                  <tr key={supplier._id} className="hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      <span className="font-medium">{supplier.name}</span>
+                      {supplier.notes && (
+                        <span
+                          className="flex items-center gap-1 text-xs text-amber-700 truncate max-w-xs"
+                          title={supplier.notes}
+                        >
+                          <FaStickyNote className="shrink-0" />
+                          {supplier.notes}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {supplier.contactName || "-"}
+                      {supplier.email && (
+                        <span className="block text-xs text-gray-500" dir="ltr">
+                          {supplier.email}
+                        </span>
+                      )}
+                    </td>
+                    <td
+                      className="py-3 px-4 whitespace-nowrap text-sm text-gray-900"
+                      dir="ltr"
+                    >
+                      {supplier.phone || "-"}
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm text-gray-900">
+                      {Number(supplier.paymentTermsDays) > 0
+                        ? t("suppliers.terms.net", {
+                            days: supplier.paymentTermsDays,
+                          })
+                        : t("suppliers.terms.cash")}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 max-w-xs">
+                      <span className="block truncate">
+                        {items.map((item) => item.name).join(", ") || "-"}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 whitespace-nowrap text-sm">
+                      <div className="flex justify-center gap-1">
+                        <button
+                          onClick={() => openForm(supplier)}
+                          className="p-2 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-colors"
+                          title={t("suppliers.editSupplier")}
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(supplier)}
+                          className="p-2 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-colors"
+                          title={t("suppliers.deleteSupplier")}
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {isFormOpen && (
+        <SupplierForm
+          supplier={formSupplier}
+          stocks={stocks}
+          onClose={() => setIsFormOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SuppliersManagement;
@@ -1,9 +1,11 @@
 import { useTranslation } from "react-i18next";
-import { Suspense } from "react";
+import { Suspense, useState } from "react";
+import { FaList, FaMap } from "react-icons/fa";
 import Loading from "../../components/common/Loading";
 import DeleteConfirmation from "../../components/common/DeleteConfirmation";
 import AddTableModal from "../../components/table/AddTableModal";
 import {
+  FloorPlanEditor,
   TableHeader,
   TableFilters,
   TableGrid,
@@ -13,6 +15,7 @@ import {
 function TablesManagement() {
   const { t, i18n } = useTranslation();
   const isRTL = i18n.language === "ar";
+  const [view, setView] = useState("list");
 
   const {
     // Data
@@ -61,28 +64,55 @@ function TablesManagement() {
 
         {/* Content Section */}
         <div className="p-2">
-          {/* Filters Section */}
-          <div className="mb-8">
-            <TableFilters
-              filters={filters}
-              onFilterChange={handleFilterChange}
-            />
+          {/* List or floor plan */}
+          <div className="flex gap-2 mb-4">
+            {[
+              { id: "list", icon: FaList },
+              { id: "floor", icon: FaMap },
+            ].map(({ id, icon: Icon }) => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`flex items-center gap-2 px-4 py-2 text-sm rounded-lg transition-colors ${
+                  view === id
+                    ? "bg-primary-700 text-white"
+                    : "bg-white text-primary-800 border border-primary-800"
+                }`}
+              >
+                <Icon />
+                {t(`table.views.${id}`)}
+              </button>
+            ))}
           </div>
 
-          {/* Tables Grid Section */}
-          <Suspense
-            fallback={
-              <div className="flex items-center justify-center py-12">
-                <Loading />
+          {view === "floor" ? (
+            <FloorPlanEditor />
+          ) : (
+            <>
+              {/* Filters Section */}
+              <div className="mb-8">
+                <TableFilters
+                  filters={filters}
+                  onFilterChange={handleFilterChange}
+                />
               </div>
-            }
-          >
-            <TableGrid
-              tables={tables}
-              onEdit={handleOpenModal}
-              onDelete={handleDeleteClick}
-            />
-          </Suspense>
+
+              {/* Tables Grid Section */}
+              <Suspense
+                fallback={
+                  <div className="flex items-center justify-center py-12">
+                    <Loading />
+                  </div>
+                }
+              >
+                <TableGrid
+                  tables={tables}
+                  onEdit={handleOpenModal}
+                  onDelete={handleDeleteClick}
+                />
+              </Suspense>
+            </>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,279 @@
+import { useState, useEffect, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useTranslation } from "react-i18next";
+import {
+  FaPlus,
+  FaTrash,
+  FaArrowUp,
+  FaArrowDown,
+  FaUndo,
+  FaSave,
+} from "react-icons/fa";
+import toast from "react-hot-toast";
+import { saveTenders } from "../../store/tenderSlice";
+import {
+  DEFAULT_TENDERS,
+  TENDER_COLORS,
+  TENDER_FLAGS,
+  createTenderId,
+  normalizeTenders,
+} from "../../utils/tenders";
+
+function TendersManagement() {
+  const { t, i18n } = useTranslation();
+  const isRTL = i18n.language === "ar";
+  const dispatch = useDispatch();
+  const { tenders, loading } = useSelector((state) => state.tender);
+
+  // Edits stay local until saved so the whole branch gets one consistent list
+  const [draft, setDraft] = useState(tenders);
+  const [isDirty, setIsDirty] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [newNameAr, setNewNameAr] = useState("");
+
+  useEffect(() => {
+    if (!isDirty) setDraft(tenders);
+  }, [tenders, isDirty]);
+
+  const updateDraft = useCallback((updater) => {
+    setDraft((prev) => updater(prev));
+    setIsDirty(true);
+  }, []);
+
+  const updateTender = (id, changes) =>
+    updateDraft((prev) =>
+      prev.map((tender) =>
+        tender.id === id ? { ...tender, ...changes } : tender
+      )
+    );
+
+  const moveTender = (from, to) =>
+    updateDraft((prev) => {
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      const [tender] = next.splice(from, 1);
+      next.splice(to, 0, tender);
+      return next;
+    });
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    if (
+      draft.some((tender) => tender.name.toLowerCase() === name.toLowerCase())
+    ) {
+      toast.error(t("tenders.tenderExists"));
+      return;
+    }
+
+    updateDraft((prev) => [
+      ...prev,
+      {
+        id: createTenderId(name, prev),
+        name,
+        nameAr: newNameAr.trim(),
+        enabled: true,
+        opensDrawer: false,
+        requiresReference: false,
+        countsAsCash: false,
+        color: "neutral",
+        builtIn: false,
+      },
+    ]);
+    setNewName("");
+    setNewNameAr("");
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t("tenders.confirmReset"))) {
+      updateDraft(() => normalizeTenders(DEFAULT_TENDERS));
+    }
+  };
+
+  const handleSave = async () => {
+    if (draft.some((tender) => !tender.name.trim())) {
+      toast.error(t("tenders.nameRequired"));
+      return;
+    }
+
+    try {
+      await dispatch(saveTenders(draft)).unwrap();
+      toast.success(t("tenders.saved"));
+    } catch (error) {
+      console.warn("Tender registry saved locally only:", error);
+      toast.error(t("settingsSync.savedLocallyOnly"));
+    }
+    setIsDirty(false);
+  };
+
+  return (
+    <div
+      className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-gray-50"
+      dir={isRTL ? "rtl" : "ltr"}
+    >
+      {/* Header Section */}
+      <div className="bg-gradient-to-r from-primary-800 to-primary-900 px-8 py-6 flex items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-white">
+            {t("tenders.title")}
+          </h1>
+          <p className="text-primary-100 text-sm mt-1">
+            {t("tenders.description")}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleReset}
+            className="flex items-center gap-2 px-4 py-2 bg-white/10 text-white rounded-lg hover:bg-white/20 transition-colors"
+          >
+            <FaUndo />
+            <span className="hidden sm:inline">{t("tenders.reset")}</span>
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || loading}
+            className="flex items-center gap-2 px-4 py-2 bg-white text-primary-800 rounded-lg hover:bg-primary-50 transition-colors disabled:opacity-50"
+          >
+            <FaSave />
+            <span className="hidden sm:inline">
+              {loading ? t("tenders.saving") : t("tenders.save")}
+            </span>
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 max-w-4xl">
+        {/* Add tender */}
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mb-4">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t("tenders.namePlaceholder")}
+            className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+          <input
+            type="text"
+            dir="rtl"
+            value={newNameAr}
+            onChange={(e) => setNewNameAr(e.target.value)}
+            placeholder={t("tenders.nameArPlaceholder")}
+            className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-800/50 focus:border-primary-800"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="flex items-center gap-2 px-4 py-2 rounded-md text-white bg-primary-800 hover:bg-primary-900 disabled:opacity-50"
+          >
+            <FaPlus />
+            {t("tenders.addTender")}
+          </button>
+        </form>
+
+        {/* Tender list */}
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+          {draft.map((tender, index) => (
+            <li key={tender.id} className="p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={tender.enabled}
+                    disabled={tender.id === "cash"}
+                    onChange={(e) =>
+                      updateTender(tender.id, { enabled: e.target.checked })
+                    }
+                    className="w-4 h-4"
+                    title={t("tenders.enabled")}
+                  />
+                </label>
+                <input
+                  type="text"
+                  value={tender.name}
+                  onChange={(e) =>
+                    updateTender(tender.id, { name: e.target.value })
+                  }
+                  className="flex-1 min-w-[8rem] px-2 py-1 border border-transparent rounded hover:border-gray-200 focus:outline-none focus:border-primary-800"
+                />
+                <input
+                  type="text"
+                  dir="rtl"
+                  value={tender.nameAr || ""}
+                  onChange={(e) =>
+                    updateTender(tender.id, { nameAr: e.target.value })
+                  }
+                  placeholder={t("tenders.nameArPlaceholder")}
+                  className="flex-1 min-w-[8rem] px-2 py-1 border border-transparent rounded hover:border-gray-200 focus:outline-none focus:border-primary-800"
+                />
+                <select
+                  value={tender.color || "neutral"}
+                  onChange={(e) =>
+                    updateTender(tender.id, { color: e.target.value })
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  title={t("tenders.color")}
+                >
+                  {TENDER_COLORS.map((color) => (
+                    <option key={color} value={color}>
+                      {t(`tenders.colors.${color}`)}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => moveTender(index, index - 1)}
+                  disabled={index === 0}
+                  className="p-2 text-gray-500 hover:text-primary-800 disabled:opacity-30"
+                  title={t("tenders.moveUp")}
+                >
+                  <FaArrowUp />
+                </button>
+                <button
+                  onClick={() => moveTender(index, index + 1)}
+                  disabled={index === draft.length - 1}
+                  className="p-2 text-gray-500 hover:text-primary-800 disabled:opacity-30"
+                  title={t("tenders.moveDown")}
+                >
+                  <FaArrowDown />
+                </button>
+                <button
+                  onClick={() =>
+                    updateDraft((prev) =>
+                      prev.filter((item) => item.id !== tender.id)
+                    )
+                  }
+                  disabled={tender.builtIn}
+                  className="p-2 text-red-500 hover:text-red-700 disabled:opacity-30"
+                  title={t("tenders.removeTender")}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+
+              {/* Behaviour flags */}
+              <div className="flex flex-wrap gap-4 ps-6 text-sm text-gray-700">
+                {TENDER_FLAGS.map((flag) => (
+                  <label key={flag} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(tender[flag])}
+                      disabled={tender.id === "cash" && flag === "countsAsCash"}
+                      onChange={(e) =>
+                        updateTender(tender.id, { [flag]: e.target.checked })
+                      }
+                      className="w-4 h-4"
+                    />
+                    {t(`tenders.flags.${flag}`)}
+                  </label>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default TendersManagement;
@@ -1,6 +1,9 @@
 import axios from "axios";
 import { API_BASE_URL } from "../utils/constants";
 
+// How often to probe the backend while it is unreachable
+const CONNECTIVITY_PROBE_INTERVAL = 15 * 1000; // 15 seconds
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -8,6 +11,57 @@ const api = axios.create({
   },
 });
 
+// Connectivity tracking (used by the offline outbox to know when to replay)
+let online = typeof navigator !== "undefined" ? navigator.onLine : true;
+let probeTimer = null;
+const connectivityListeners = new Set();
+
+const setOnline = (value) => {
+  if (value) {
+    stopConnectivityProbe();
+  } else {
+    startConnectivityProbe();
+  }
+
+  if (online === value) return;
+  online = value;
+  connectivityListeners.forEach((listener) => listener(value));
+};
+
+// Ping the backend - any HTTP response (even 404) means it is reachable
+const probeConnectivity = () =>
+  api
+    .head("/", { validateStatus: () => true, connectivityProbe: true })
+    .catch(() => {});
+
+function startConnectivityProbe() {
+  if (probeTimer) return;
+  probeTimer = setInterval(probeConnectivity, CONNECTIVITY_PROBE_INTERVAL);
+}
+
+function stopConnectivityProbe() {
+  if (!probeTimer) return;
+  clearInterval(probeTimer);
+  probeTimer = null;
+}
+
+// Whether the last request reached the backend
+export const isOnline = () => online;
+
+// Subscribe to connectivity changes, returns an unsubscribe function
+export const onConnectivityChange = (listener) => {
+  connectivityListeners.add(listener);
+  return () => connectivityListeners.delete(listener);
+};
+
+// True when the request was sent but no response came back
+export const isNetworkError = (error) => !!error?.request && !error.response;
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", probeConnectivity);
+  window.addEventListener("offline", () => setOnline(false));
+}
+
 // Request interceptor for adding the auth token
 api.interceptors.request.use(
   (config) => {
@@ -22,16 +76,23 @@ api.interceptors.request.use(
 
 // Response interceptor for handling errors
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    setOnline(true);
+    return response;
+  },
   (error) => {
     // Log errors or handle them globally here
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
+      setOnline(true);
       console.error("API Error:", error.response.data);
     } else if (error.request) {
       // The request was made but no response was received
-      console.error("Network Error:", error.request);
+      setOnline(false);
+      if (!error.config?.connectivityProbe) {
+        console.error("Network Error:", error.request);
+      }
     } else {
       // Something happened in setting up the request that triggered an Error
       console.error("Request Error:", error.message);
@@ -0,0 +1,300 @@
+/**
+ * ESC/POS raster helpers
+ *
+ * Renders receipt lines to an offscreen canvas and converts the result into
+ * `GS v 0` raster bit-image commands. The browser's text engine takes care of
+ * Arabic shaping and RTL ordering, so the printer only receives 1-bit pixels
+ * and needs no Arabic code page or driver support.
+ */
+
+// Printable width in dots for 203 DPI thermal heads
+const PAPER_DOTS = {
+  58: 384,
+  80: 576,
+};
+
+// Rows per GS v 0 command, small enough for the input buffer of most printers
+const BAND_HEIGHT = 128;
+
+const FONT_FAMILY = "Tahoma, 'Arial Unicode MS', Arial, sans-serif";
+const FONT_SIZES = { small: 18, normal: 22, large: 30 };
+const LINE_SPACING = 1.3;
+const PADDING = 8;
+
+const ARABIC_REGEX =
+  /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+/**
+ * Printable width in dots for a paper width
+ * @param {number|string} paperWidth - 58, 80, "58mm" or "80mm"
+ * @returns {number} - Width in dots (defaults to 80mm paper)
+ */
+export const getPaperDots = (paperWidth) =>
+  PAPER_DOTS[parseInt(paperWidth, 10)] || PAPER_DOTS[80];
+
+const getFont = (line) =>
+  `${line.bold ? "bold " : ""}${
+    FONT_SIZES[line.size] || FONT_SIZES.normal
+  }px ${FONT_FAMILY}`;
+
+const getLineHeight = (line) =>
+  Math.ceil((FONT_SIZES[line.size] || FONT_SIZES.normal) * LINE_SPACING);
+
+// Split text into lines that fit the given width, breaking on spaces
+const wrapText = (ctx, text, maxWidth) => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = "";
+
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [""];
+};
+
+// Expand receipt lines into drawable rows with their final height
+const layoutLines = (ctx, lines, contentWidth) => {
+  const rows = [];
+
+  lines.forEach((line) => {
+    ctx.font = getFont(line);
+    const height = getLineHeight(line);
+
+    if (line.type === "separator" || line.type === "feed") {
+      rows.push({ ...line, height: Math.ceil(height / 2) });
+      return;
+    }
+
+    if (line.type === "qr") {
+      // Whole dots per module, the code takes about half the paper width
+      const size = line.matrix?.size || 0;
+      const scale =
+        size > 0 ? Math.max(Math.floor(contentWidth / 2 / size), 1) : 0;
+      rows.push({ ...line, scale, height: size * scale + PADDING * 2 });
+      return;
+    }
+
+    if (line.type === "row") {
+      // Keep the value on the first row and wrap the label if needed
+      const valueWidth = ctx.measureText(String(line.value ?? "")).width;
+      const labelLines = wrapText(
+        ctx,
+        line.label,
+        Math.max(contentWidth - valueWidth - PADDING, contentWidth / 2)
+      );
+      labelLines.forEach((label, index) =>
+        rows.push({
+          ...line,
+          label,
+          value: index === 0 ? line.value : "",
+          height,
+        })
+      );
+      return;
+    }
+
+    wrapText(ctx, line.text ?? "", contentWidth).forEach((text) =>
+      rows.push({ ...line, text, height })
+    );
+  });
+
+  return rows;
+};
+
+/**
+ * Render receipt lines to a canvas sized for the paper
+ * @param {Array} lines - [{type: "text"|"row"|"separator"|"feed"|"qr", text, label, value, align, bold, size, matrix}]
+ * (`matrix` is a QR code as {size, data} with one truthy entry per dark module)
+ * @param {number} widthDots - Printable width in dots
+ * @returns {HTMLCanvasElement}
+ */
+export const renderLinesToCanvas = (lines, widthDots) => {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  const contentWidth = widthDots - PADDING * 2;
+
+  const rows = layoutLines(ctx, lines, contentWidth);
+  const height = rows.reduce((sum, row) => sum + row.height, PADDING * 2);
+
+  // Resizing resets the context, so size first and draw afterwards
+  canvas.width = widthDots;
+  canvas.height = height;
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#000000";
+  ctx.strokeStyle = "#000000";
+  ctx.textBaseline = "middle";
+
+  let y = PADDING;
+  rows.forEach((row) => {
+    const middle = y + row.height / 2;
+    ctx.font = getFont(row);
+
+    if (row.type === "separator") {
+      ctx.lineWidth = row.bold ? 3 : 1;
+      ctx.setLineDash(row.dashed ? [6, 4] : []);
+      ctx.beginPath();
+      ctx.moveTo(PADDING, Math.round(middle) + 0.5);
+      ctx.lineTo(widthDots - PADDING, Math.round(middle) + 0.5);
+      ctx.stroke();
+    } else if (row.type === "qr") {
+      const { size, data } = row.matrix;
+      const left = Math.round((widthDots - size * row.scale) / 2);
+      for (let r = 0; r < size; r += 1) {
+        for (let c = 0; c < size; c += 1) {
+          if (data[r * size + c]) {
+            ctx.fillRect(
+              left + c * row.scale,
+              y + PADDING + r * row.scale,
+              row.scale,
+              row.scale
+            );
+          }
+        }
+      }
+    } else if (row.type === "row") {
+      const labelIsArabic = ARABIC_REGEX.test(row.label);
+      ctx.direction = labelIsArabic ? "rtl" : "ltr";
+      ctx.textAlign = labelIsArabic ? "right" : "left";
+      ctx.fillText(
+        row.label,
+        labelIsArabic ? widthDots - PADDING : PADDING,
+        middle
+      );
+
+      if (row.value) {
+        ctx.direction = "ltr";
+        ctx.textAlign = labelIsArabic ? "left" : "right";
+        ctx.fillText(
+          String(row.value),
+          labelIsArabic ? PADDING : widthDots - PADDING,
+          middle
+        );
+      }
+    } else if (row.type !== "feed") {
+      const isArabic = ARABIC_REGEX.test(row.text);
+      const align = row.align || (isArabic ? "right" : "left");
+      ctx.direction = isArabic ? "rtl" : "ltr";
+      ctx.textAlign = align;
+      const x =
+        align === "center"
+          ? widthDots / 2
+          : align === "right"
+          ? widthDots - PADDING
+          : PADDING;
+      ctx.fillText(row.text, x, middle);
+    }
+
+    y += row.height;
+  });
+
+  return canvas;
+};
+
+/**
+ * Convert a canvas to a packed 1-bit bitmap (1 = black dot)
+ * @param {HTMLCanvasElement} canvas - Rendered receipt
+ * @param {number} threshold - Luminance below which a pixel is printed
+ * @returns {{bytesPerRow: number, height: number, data: Uint8Array}}
+ */
+export const canvasToMonochrome = (canvas, threshold = 160) => {
+  const { width, height } = canvas;
+  const pixels = canvas.getContext("2d").getImageData(0, 0, width, height).data;
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = new Uint8Array(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      // Treat transparent pixels as paper
+      const alpha = pixels[offset + 3] / 255;
+      const luminance =
+        (0.299 * pixels[offset] +
+          0.587 * pixels[offset + 1] +
+          0.114 * pixels[offset + 2]) *
+          alpha +
+        255 * (1 - alpha);
+
+      if (luminance < threshold) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return { bytesPerRow, height, data };
+};
+
+/**
+ * Join byte arrays (and plain ESC/POS strings) into one buffer
+ * @param {Array<Uint8Array|string>} parts - Byte arrays or single-byte strings
+ * @returns {Uint8Array}
+ */
+export const concatBytes = (parts) => {
+  const arrays = parts.map((part) =>
+    typeof part === "string"
+      ? Uint8Array.from(part, (char) => char.charCodeAt(0) & 0xff)
+      : part
+  );
+  const result = new Uint8Array(
+    arrays.reduce((sum, array) => sum + array.length, 0)
+  );
+
+  let offset = 0;
+  arrays.forEach((array) => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+
+  return result;
+};
+
+/**
+ * Build `GS v 0` raster commands, split into bands
+ * @param {{bytesPerRow: number, height: number, data: Uint8Array}} bitmap - 1-bit bitmap
+ * @returns {Uint8Array} - Raster command bytes
+ */
+export const buildRasterCommands = ({ bytesPerRow, height, data }) => {
+  const chunks = [];
+
+  for (let top = 0; top < height; top += BAND_HEIGHT) {
+    const rows = Math.min(BAND_HEIGHT, height - top);
+    // GS v 0 m xL xH yL yH
+    chunks.push(
+      Uint8Array.of(
+        0x1d,
+        0x76,
+        0x30,
+        0x00,
+        bytesPerRow & 0xff,
+        (bytesPerRow >> 8) & 0xff,
+        rows & 0xff,
+        (rows >> 8) & 0xff
+      )
+    );
+    chunks.push(data.subarray(top * bytesPerRow, (top + rows) * bytesPerRow));
+  }
+
+  return concatBytes(chunks);
+};
+
+/**
+ * Encode bytes as base64 for QZ Tray raw printing
+ * @param {Uint8Array} bytes - Command bytes
+ * @returns {string}
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = "";
+  // Chunked to stay under the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
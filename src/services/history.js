@@ -0,0 +1,49 @@
+/**
+ * Report History
+ * Loads every order or payment of a date range page by page, for screens
+ * that report on history (dashboard, stock usage, customer totals). The
+ * records go into those screens' own state, never into the cashier's
+ * order list.
+ */
+
+import api from "./api";
+import { HISTORY_RECORD_LIMIT } from "../utils/constants";
+
+// Records per request while paging through a range
+const PAGE_SIZE = 200;
+
+// Orders come back as { data: [] }, payments as { data: { data: [] } }
+const getRecords = (body) =>
+  Array.isArray(body?.data) ? body.data : body?.data?.data || [];
+
+const getTotalPages = (body) =>
+  body?.pagination?.totalPages || body?.data?.pagination?.totalPages || null;
+
+/**
+ * Every record of an endpoint created in a range, newest first
+ * @param {string} endpoint - API_ENDPOINTS.ORDER or API_ENDPOINTS.PAYMENT
+ * @param {{start: Date, end: Date}} [range] - Created between, all time
+ * when left out
+ * @returns {Promise<Array>} - At most HISTORY_RECORD_LIMIT records
+ */
+export const fetchHistory = async (endpoint, range = {}) => {
+  const records = [];
+  for (let page = 1; records.length < HISTORY_RECORD_LIMIT; page += 1) {
+    const params = new URLSearchParams({
+      page: page.toString(),
+      size: PAGE_SIZE.toString(),
+    });
+    if (range.start) params.append("from", range.start.toISOString());
+    if (range.end) params.append("to", range.end.toISOString());
+
+    const response = await api.get(`${endpoint}?${params.toString()}`);
+    const pageRecords = getRecords(response.data);
+    records.push(...pageRecords);
+
+    const totalPages = getTotalPages(response.data);
+    if (totalPages ? page >= totalPages : pageRecords.length < PAGE_SIZE) {
+      break;
+    }
+  }
+  return records.slice(0, HISTORY_RECORD_LIMIT);
+};
@@ -0,0 +1,137 @@
+/**
+ * Offline Outbox Service
+ * Persists orders and payments made while the backend is unreachable so
+ * they can be replayed, in the order they were rung up, once we're back online.
+ *
+ * Entries are stored in IndexedDB (survives page reloads and browser restarts):
+ * - id: auto-increment key, defines replay order
+ * - kind: "order" | "payment"
+ * - localId: the order this entry belongs to (temporary local id or server _id)
+ * - localCode: temporary order code printed on receipts while offline
+ * - payload: request body to send to the backend
+ * - status: "pending" | "conflict"
+ * - error: server message when the entry was rejected during replay
+ */
+
+const DB_NAME = "foul_flafel_offline";
+const DB_VERSION = 1;
+const STORE_NAME = "outbox";
+const LOCAL_ID_PREFIX = "local_";
+const LOCAL_CODE_PREFIX = "OFF-";
+
+class OfflineOutbox {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("localId", "localId", { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request inside a transaction and resolve with its result
+   */
+  async run(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Add a new entry to the end of the outbox
+   */
+  async enqueue(entry) {
+    const record = {
+      status: "pending",
+      error: null,
+      createdAt: new Date().toISOString(),
+      ...entry,
+    };
+    const id = await this.run("readwrite", (store) => store.add(record));
+    return { ...record, id };
+  }
+
+  /**
+   * Get all entries sorted by replay order
+   */
+  async getAll() {
+    const entries = await this.run("readonly", (store) => store.getAll());
+    return (entries || []).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Replace an existing entry
+   */
+  async update(entry) {
+    await this.run("readwrite", (store) => store.put(entry));
+    return entry;
+  }
+
+  /**
+   * Remove an entry once it has been synced or discarded
+   */
+  async remove(id) {
+    await this.run("readwrite", (store) => store.delete(id));
+  }
+}
+
+/**
+ * Generate a temporary id for an order created offline
+ */
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Generate a temporary order code printed on receipts until the server
+ * issues the real one
+ */
+export const createLocalOrderCode = () =>
+  `${LOCAL_CODE_PREFIX}${Date.now().toString(36).slice(-5).toUpperCase()}`;
+
+/**
+ * Check whether an order id is a temporary local id
+ */
+export const isLocalId = (id) =>
+  typeof id === "string" && id.startsWith(LOCAL_ID_PREFIX);
+
+const offlineOutbox = new OfflineOutbox();
+
+export default offlineOutbox;
@@ -0,0 +1,339 @@
+/**
+ * Print Job Queue
+ * Every customer receipt and kitchen ticket goes through this queue so that
+ * failed prints (QZ Tray disconnected, printer offline) are retried with
+ * backoff instead of being lost, and can be reprinted from Settings > Printers.
+ *
+ * Jobs are stored in localStorage (survives page reloads):
+ * - id: unique job id
+ * - type: "customer" | "kitchen" | "refund" | "delivery" | "purchase"
+ * - orderNumber: order code shown in the Print Jobs tab
+ * - orderData: snapshot of the data passed to the printing service
+ * - printer: system printer requested by the caller (null = configured one)
+ * - printerName: printer shown in the Print Jobs tab
+ * - status: "queued" | "printing" | "done" | "failed"
+ * - attempts: how many times printing was tried
+ * - nextAttemptAt: when a queued retry becomes due
+ * - error: last error message
+ */
+
+import printingService from "./printingService";
+
+const STORAGE_KEY = "print_jobs";
+const MAX_ATTEMPTS = 5;
+// Backoff starts above printReceipt's 3 second duplicate window
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 60000;
+// Finished jobs kept for the reprint center
+const MAX_STORED_JOBS = 200;
+
+class PrintJobQueue {
+  constructor() {
+    this.jobs = this.load();
+    this.listeners = new Set();
+    this.processing = false;
+    this.timer = null;
+    // Resolvers for callers waiting on the first attempt of a job
+    this.waiters = new Map();
+
+    // Jobs interrupted by a reload are queued again
+    let interrupted = false;
+    this.jobs.forEach((job) => {
+      if (job.status === "printing") {
+        job.status = "queued";
+        job.nextAttemptAt = Date.now();
+        interrupted = true;
+      }
+    });
+    if (interrupted) this.save();
+
+    this.schedule();
+  }
+
+  /**
+   * Load persisted jobs from localStorage
+   */
+  load() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.warn("⚠️ Failed to load print jobs:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist jobs, keeping every pending job and the newest finished ones
+   */
+  save() {
+    const pending = this.jobs.filter(
+      (job) => job.status === "queued" || job.status === "printing"
+    );
+    const finished = this.jobs
+      .filter((job) => job.status === "done" || job.status === "failed")
+      .slice(-Math.max(MAX_STORED_JOBS - pending.length, 0));
+    const keep = new Set([...pending, ...finished]);
+    this.jobs = this.jobs.filter((job) => keep.has(job));
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.jobs));
+    } catch (error) {
+      console.warn("⚠️ Failed to save print jobs:", error);
+    }
+
+    this.listeners.forEach((listener) => listener(this.getJobs()));
+  }
+
+  /**
+   * Subscribe to job changes, returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * All jobs, newest first
+   */
+  getJobs() {
+    return [...this.jobs].reverse();
+  }
+
+  /**
+   * Name of the configured printer for a job type (no QZ lookup needed)
+   */
+  getConfiguredPrinterName(type) {
+    const printers = printingService
+      .getPrinterSettings()
+      .filter((printer) => printer.type === type && printer.enabled);
+    return (
+      printers.find((printer) => printer.isDefault)?.name ||
+      printers[0]?.name ||
+      null
+    );
+  }
+
+  /**
+   * Add a job to the queue
+   * @returns {Promise<Object>} - Resolves with the job after its first
+   * successful attempt, rejects with the error of a failed first attempt
+   * (the job stays queued for automatic retry)
+   */
+  submit(type, orderData, printer = null) {
+    const job = {
+      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      orderNumber: String(
+        orderData.orderNumber ||
+          orderData.orderCode ||
+          orderData._id?.slice(-8) ||
+          "N/A"
+      ),
+      orderData,
+      printer,
+      printerName:
+        printer ||
+        this.getConfiguredPrinterName(type === "kitchen" ? type : "customer"),
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+
+    const result = new Promise((resolve, reject) => {
+      this.waiters.set(job.id, { resolve, reject });
+    });
+
+    this.jobs.push(job);
+    this.save();
+    this.process();
+
+    return result;
+  }
+
+  /**
+   * Queue a customer receipt and a kitchen ticket for the same order
+   * @returns {Promise<Array>} - [{success, type, printer, error}]
+   */
+  async submitBoth(orderData) {
+    const results = await Promise.allSettled(
+      ["customer", "kitchen"].map((type) => this.submit(type, orderData))
+    );
+
+    return results.map((result, index) => {
+      const type = index === 0 ? "customer" : "kitchen";
+      return {
+        success: result.status === "fulfilled",
+        type,
+        printer:
+          result.value?.printerName ||
+          this.getConfiguredPrinterName(type) ||
+          "None",
+        error: result.reason?.message || null,
+      };
+    });
+  }
+
+  /**
+   * Print a finished job again as a new job
+   */
+  reprint(jobId) {
+    const job = this.jobs.find((item) => item.id === jobId);
+    if (!job) return Promise.reject(new Error("Print job not found"));
+    return this.submit(job.type, job.orderData, job.printer);
+  }
+
+  /**
+   * Put a failed job back in the queue with a fresh set of attempts
+   */
+  retry(jobId) {
+    const job = this.jobs.find((item) => item.id === jobId);
+    if (!job || job.status !== "failed") return;
+
+    job.status = "queued";
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    job.error = null;
+    this.save();
+    this.process();
+  }
+
+  /**
+   * Remove a job that is not currently printing
+   */
+  remove(jobId) {
+    this.jobs = this.jobs.filter(
+      (job) => job.id !== jobId || job.status === "printing"
+    );
+    this.save();
+  }
+
+  /**
+   * Remove all finished (done) jobs
+   */
+  clearCompleted() {
+    this.jobs = this.jobs.filter((job) => job.status !== "done");
+    this.save();
+  }
+
+  /**
+   * Wake up when the next queued job is due
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    const queued = this.jobs.filter((job) => job.status === "queued");
+    if (queued.length === 0) return;
+
+    const nextAt = Math.min(...queued.map((job) => job.nextAttemptAt || 0));
+    this.timer = setTimeout(
+      () => this.process(),
+      Math.max(nextAt - Date.now(), 0)
+    );
+  }
+
+  /**
+   * Print due jobs one at a time, in the order they were submitted
+   */
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while (
+        (job = this.jobs.find(
+          (item) => item.status === "queued" && item.nextAttemptAt <= Date.now()
+        ))
+      ) {
+        await this.runJob(job);
+      }
+    } finally {
+      this.processing = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Run a single print attempt and update the job status
+   */
+  async runJob(job) {
+    job.status = "printing";
+    job.attempts += 1;
+    this.save();
+
+    try {
+      let printed;
+      if (job.type === "kitchen") {
+        printed = await printingService.printKitchenTicket(
+          job.orderData,
+          job.printer
+        );
+      } else if (job.type === "refund") {
+        printed = await printingService.printRefundReceipt(
+          job.orderData,
+          job.printer
+        );
+      } else if (job.type === "delivery") {
+        printed = await printingService.printDeliverySlip(
+          job.orderData,
+          job.printer
+        );
+      } else if (job.type === "purchase") {
+        printed = await printingService.printPurchaseDocument(
+          job.orderData,
+          job.printer
+        );
+      } else {
+        printed = await printingService.printCustomerReceipt(
+          job.orderData,
+          job.printer
+        );
+      }
+
+      job.status = "done";
+      // false means an identical job was printed a moment ago
+      job.error = printed === false ? "Duplicate print job skipped" : null;
+      job.completedAt = new Date().toISOString();
+      this.save();
+      this.settle(job);
+    } catch (error) {
+      job.error = error.message || "Print failed";
+
+      if (job.attempts < MAX_ATTEMPTS) {
+        // Exponential backoff: 5s, 10s, 20s, 40s, capped at a minute
+        job.status = "queued";
+        job.nextAttemptAt =
+          Date.now() +
+          Math.min(BASE_RETRY_DELAY * 2 ** (job.attempts - 1), MAX_RETRY_DELAY);
+      } else {
+        job.status = "failed";
+        job.completedAt = new Date().toISOString();
+      }
+
+      this.save();
+      this.settle(job, error);
+    }
+  }
+
+  /**
+   * Notify the caller waiting on the job's first attempt
+   */
+  settle(job, error = null) {
+    const waiter = this.waiters.get(job.id);
+    if (!waiter) return;
+
+    this.waiters.delete(job.id);
+    if (error) {
+      waiter.reject(error);
+    } else {
+      waiter.resolve(job);
+    }
+  }
+}
+
+const printQueue = new PrintJobQueue();
+
+export default printQueue;
@@ -12,6 +12,8 @@
  * Solution Approach:
  * - Primary: HTML-based printing with Arabic fonts (QZ Tray HTML method)
  * - Fallback: Canvas-to-image rendering for maximum compatibility
+ * - ESC/POS raster: Arabic lines rendered to a 1-bit bitmap and sent with
+ *   GS v 0, for printers without driver-level HTML support
  * - ESC/POS raw commands as last resort for basic printers
  *
  * References:
@@ -22,6 +24,19 @@
  * - Loyverse POS: Thermal printer weird symbols solutions
  */
 
+import QRCode from "qrcode";
+import { formatModifier } from "../utils/modifiers";
+import { encodeInvoiceQr } from "../utils/vat";
+import { findTender, getStoredTenders, getTenderName } from "../utils/tenders";
+import {
+  getPaperDots,
+  renderLinesToCanvas,
+  canvasToMonochrome,
+  buildRasterCommands,
+  concatBytes,
+  bytesToBase64,
+} from "./escposRaster";
+
 class ThermalPrintingService {
   constructor() {
     this.qzInstance = null;
@@ -30,6 +45,7 @@ class ThermalPrintingService {
     this.printerCapabilities = new Map();
     this.printQueue = new Map(); // Prevent duplicate print jobs
     this.printHistory = new Map(); // Track printed orders for copy detection
+    this.customerDisplayPort = null; // Serial port of the VFD pole, once opened
 
     // Arabic text detection regex
     this.arabicTextRegex =
@@ -49,7 +65,7 @@ class ThermalPrintingService {
       paperWidth: 80, // mm
       characterWidth: 42,
       enableArabicSupport: true,
-      printMethod: "auto", // 'auto', 'html', 'canvas', 'raw'
+      printMethod: "auto", // 'auto', 'html', 'canvas', 'raster', 'raw'
       debugMode: true, // Enable debug mode to troubleshoot printer issues
     };
 
@@ -195,11 +211,11 @@ class ThermalPrintingService {
         const hasArabicContent = this.detectArabicContent(orderData);
         this.log("🔍 Arabic content detected:", hasArabicContent);
 
-        // Select optimal printing method
+        // Select optimal printing method (per-printer setting unless forced)
         const printMethod = this.selectPrintingMethod(
           targetPrinter,
           hasArabicContent,
-          options.method
+          options.method || this.getPrinterConfig(targetPrinter)?.printMethod
         );
         this.log("🎯 Selected printing method:", printMethod);
 
@@ -220,6 +236,13 @@ class ThermalPrintingService {
               options
             );
             break;
+          case "raster":
+            result = await this.printWithRasterCommands(
+              orderData,
+              targetPrinter,
+              options
+            );
+            break;
           case "raw":
             result = await this.printWithRawCommands(
               orderData,
@@ -431,6 +454,54 @@ class ThermalPrintingService {
     }
   }
 
+  /**
+   * ESC/POS raster printing
+   * Renders the bilingual receipt to a bitmap and sends it as GS v 0 raster
+   * data, so Arabic prints correctly without HTML support in the driver
+   */
+  async printWithRasterCommands(orderData, printerName, options = {}) {
+    try {
+      this.log("🧱 Printing with ESC/POS raster commands...");
+
+      // Check if this order has been printed before (for copy detection)
+      const orderId = orderData.orderNumber || orderData._id || "unknown";
+      const printKey = `${orderId}-${options.type || "customer"}`;
+      const hasPrintedBefore = this.printHistory.has(printKey);
+
+      // Mark this order as printed BEFORE generating the bitmap
+      this.printHistory.set(printKey, Date.now());
+
+      // Add copy flag if this is a reprint
+      const printOptions = {
+        ...options,
+        isCopy: hasPrintedBefore,
+      };
+
+      const commands = this.generateRasterCommands(
+        orderData,
+        printerName,
+        printOptions
+      );
+
+      const config = this.qzInstance.configs.create(printerName);
+      const printData = [
+        {
+          type: "raw",
+          format: "command",
+          flavor: "base64",
+          data: bytesToBase64(commands),
+        },
+      ];
+
+      await this.qzInstance.print(config, printData);
+      this.log("✅ Raster printing completed successfully");
+      return true;
+    } catch (error) {
+      this.log("❌ Raster printing failed:", error);
+      throw error;
+    }
+  }
+
   /**
    * Generate receipt HTML with proper Arabic support
    * Fixed version addressing encoding and layout issues
@@ -441,6 +512,10 @@ class ThermalPrintingService {
     let htmlContent;
     if (receiptType === "kitchen") {
       htmlContent = this.generateKitchenTicketHTML(orderData, options);
+    } else if (receiptType === "delivery") {
+      htmlContent = this.generateDeliverySlipHTML(orderData, options);
+    } else if (receiptType === "purchase") {
+      htmlContent = this.generatePurchaseDocumentHTML(orderData, options);
     } else {
       htmlContent = this.generateCustomerReceiptHTML(orderData, options);
     }
@@ -459,6 +534,12 @@ class ThermalPrintingService {
     const safeOrderData = this.sanitizeOrderData(orderData);
     const receiptSettings = this.getReceiptSettings();
     const isCopy = options.isCopy || false;
+    const invoiceQr = this.getTaxInvoiceQr(
+      safeOrderData,
+      receiptSettings.header
+    );
+    const showVatDetails =
+      safeOrderData.vat && receiptSettings.display?.showTaxDetails !== false;
 
     // Log customer receipt HTML for debugging
     console.log(
@@ -642,6 +723,12 @@ class ThermalPrintingService {
             margin-top: 0.5mm;
         }
         
+        .item-modifiers {
+            font-size: 7px;
+            font-weight: normal;
+            margin-top: 0.5mm;
+        }
+        
         .totals {
             border-top: 1px solid #000;
             margin-top: 2mm;
@@ -662,6 +749,15 @@ class ThermalPrintingService {
             margin-top: 1mm;
         }
         
+        .discount-detail {
+            padding-left: 3mm;
+            font-size: 8px;
+        }
+        
+        .discount-detail .total-line {
+            font-size: 8px;
+        }
+        
         .payment-section {
             margin-top: 2mm;
             border-top: 1px dashed #000;
@@ -711,6 +807,25 @@ class ThermalPrintingService {
             color: #000;
         }
         
+        .invoice-title {
+            text-align: center;
+            font-size: 10px;
+            font-weight: bold;
+            margin: 1mm 0;
+        }
+        
+        .vat-section {
+            margin-top: 2mm;
+            border-top: 1px dashed #000;
+            padding-top: 1mm;
+            font-size: 8px;
+        }
+        
+        .invoice-qr {
+            text-align: center;
+            margin-top: 3mm;
+        }
+        
         @media print {
             body { 
                 width: 72mm; 
@@ -734,6 +849,17 @@ class ThermalPrintingService {
         : ""
     }
 
+    <!-- Refund Tag -->
+    ${
+      safeOrderData.refund
+        ? `
+    <div class="copy-tag">
+        ${hasArabic ? "استرداد" : "REFUND"}
+    </div>
+    `
+        : ""
+    }
+
     <!-- Header Section -->
     <div class="header">
         ${
@@ -746,6 +872,15 @@ class ThermalPrintingService {
         <div class="store-name">${receiptSettings.header.businessName}</div>
         `
         }
+        ${
+          invoiceQr
+            ? `<div class="invoice-title">${
+                hasArabic
+                  ? "فاتورة ضريبية مبسطة<br>Simplified Tax Invoice"
+                  : "Simplified Tax Invoice"
+              }</div>`
+            : ""
+        }
         <!-- Business Information -->
     <div class="order-info">
         ${
@@ -802,6 +937,17 @@ class ThermalPrintingService {
             <span>${this.formatDateTime(hasArabic)}</span>
             <span>${safeOrderData.orderNumber}</span>
         </div>
+        ${
+          safeOrderData.localCode &&
+          safeOrderData.localCode !== safeOrderData.orderNumber
+            ? `
+        <div class="order-line">
+            <span>${hasArabic ? "المرجع المؤقت:" : "Offline Ref:"}</span>
+            <span>${safeOrderData.localCode}</span>
+        </div>
+        `
+            : ""
+        }
         ${
           safeOrderData.orderType || safeOrderData.cashier
             ? `
@@ -857,7 +1003,35 @@ class ThermalPrintingService {
         }
     </div>
 
-    
+    ${
+      safeOrderData.refund
+        ? `
+    <!-- Refund Information -->
+    <div class="order-info">
+        <div class="order-line">
+            <span>${hasArabic ? "الطلب الأصلي:" : "Original order:"}</span>
+            <span>${this.escapeHtml(
+              safeOrderData.refund.originalOrderNumber
+            )}</span>
+        </div>
+        <div class="order-line">
+            <span>${hasArabic ? "السبب:" : "Reason:"}</span>
+            <span>${this.escapeHtml(safeOrderData.refund.reason)}</span>
+        </div>
+        ${
+          safeOrderData.refund.approvedBy
+            ? `
+        <div class="order-line">
+            <span>${hasArabic ? "بموافقة:" : "Approved by:"}</span>
+            <span>${this.escapeHtml(safeOrderData.refund.approvedBy)}</span>
+        </div>
+        `
+            : ""
+        }
+    </div>
+    `
+        : ""
+    }
 
     <!-- Items Section -->
     <div class="items-section">
@@ -881,6 +1055,13 @@ class ThermalPrintingService {
                     ? `<div class="item-name-secondary english-text">${item.name}</div>`
                     : ""
                 }
+                ${
+                  item.modifiers.length > 0
+                    ? `<div class="item-modifiers english-text">+ ${item.modifiers.join(
+                        ", "
+                      )}</div>`
+                    : ""
+                }
             </div>
             <div class="col-qty">${this.formatQuantity(
               item.quantity,
@@ -917,7 +1098,19 @@ class ThermalPrintingService {
           safeOrderData.tax > 0
             ? `
         <div class="total-line">
-            <span>${hasArabic ? "الضريبة:" : "Tax:"}</span>
+            <span>${
+              safeOrderData.vat
+                ? safeOrderData.vat.pricesIncludeTax
+                  ? hasArabic
+                    ? "ضريبة القيمة المضافة (مشمولة):"
+                    : "VAT (included):"
+                  : hasArabic
+                  ? "ضريبة القيمة المضافة:"
+                  : "VAT:"
+                : hasArabic
+                ? "الضريبة:"
+                : "Tax:"
+            }</span>
             <span>${this.formatAmount(safeOrderData.tax, hasArabic)}</span>
         </div>
         `
@@ -934,23 +1127,82 @@ class ThermalPrintingService {
               hasArabic
             )}</span>
         </div>
+        ${safeOrderData.discounts
+          .map(
+            (item) => `
+        <div class="discount-detail">
+            <div class="total-line">
+                <span>${this.escapeHtml(
+                  hasArabic && item.nameAr ? item.nameAr : item.name
+                )}</span>
+                <span>-${this.formatAmount(item.amount, hasArabic)}</span>
+            </div>
+            ${
+              item.reason
+                ? `<div>${hasArabic ? "السبب:" : "Reason:"} ${this.escapeHtml(
+                    item.reason
+                  )}</div>`
+                : ""
+            }
+            ${
+              item.approvedBy
+                ? `<div>${
+                    hasArabic ? "اعتمده:" : "Approved by:"
+                  } ${this.escapeHtml(item.approvedBy)}</div>`
+                : ""
+            }
+        </div>
+        `
+          )
+          .join("")}
         `
             : ""
         }
         
         <div class="total-line final">
-            <span>${hasArabic ? "الإجمالي:" : "TOTAL:"}</span>
+            <span>${
+              safeOrderData.refund
+                ? hasArabic
+                  ? "إجمالي الاسترداد:"
+                  : "REFUND TOTAL:"
+                : hasArabic
+                ? "الإجمالي:"
+                : "TOTAL:"
+            }</span>
+            <span>${safeOrderData.refund ? "-" : ""}${this.formatAmount(
+      safeOrderData.finalTotal || safeOrderData.total,
+      hasArabic
+    )}</span>
+        </div>
+        ${
+          safeOrderData.cashTendered > 0
+            ? `
+        <div class="total-line">
+            <span>${hasArabic ? "المدفوع:" : "Paid:"}</span>
+            <span>${this.formatAmount(
+              safeOrderData.cashTendered,
+              hasArabic
+            )}</span>
+        </div>
+        <div class="total-line">
+            <span>${hasArabic ? "الباقي:" : "Change:"}</span>
             <span>${this.formatAmount(
-              safeOrderData.finalTotal || safeOrderData.total,
+              safeOrderData.changeDue,
               hasArabic
             )}</span>
         </div>
+        `
+            : ""
+        }
     </div>
 
     ${
       safeOrderData.paymentMethods &&
       safeOrderData.paymentMethods.length > 0 &&
-      safeOrderData.paymentMethods.some((payment) => payment.method !== "cash")
+      (safeOrderData.refund ||
+        safeOrderData.paymentMethods.some(
+          (payment) => payment.method !== "cash"
+        ))
         ? `
     <!-- Payment Information -->
     <div class="payment-section">
@@ -958,13 +1210,41 @@ class ThermalPrintingService {
         ${safeOrderData.paymentMethods
           .map(
             (payment) => `
+        <div class="order-line">
+            <span>${this.escapeHtml(
+              this.getPaymentLabel(payment, hasArabic)
+            )}:</span>
+            <span>${this.formatAmount(payment.amount, hasArabic)}</span>
+        </div>
+        `
+          )
+          .join("")}
+    </div>`
+        : ""
+    }
+
+    ${
+      showVatDetails && safeOrderData.vat.breakdown.length > 0
+        ? `
+    <!-- VAT Breakdown -->
+    <div class="vat-section">
         <div class="order-line">
             <span>${
+              hasArabic ? "المبلغ الخاضع للضريبة:" : "Taxable amount:"
+            }</span>
+            <span>${this.formatAmount(
+              safeOrderData.vat.taxableAmount,
               hasArabic
-                ? this.getPaymentMethodArabic(payment.method)
-                : this.getPaymentMethodEnglish(payment.method)
-            }:</span>
-            <span>${this.formatAmount(payment.amount, hasArabic)}</span>
+            )}</span>
+        </div>
+        ${safeOrderData.vat.breakdown
+          .map(
+            (group) => `
+        <div class="order-line">
+            <span>${hasArabic ? "ضريبة" : "VAT"} ${
+              group.rate
+            }% (${this.formatPrice(group.taxable, hasArabic)}):</span>
+            <span>${this.formatAmount(group.vat, hasArabic)}</span>
         </div>
         `
           )
@@ -973,6 +1253,14 @@ class ThermalPrintingService {
         : ""
     }
 
+    ${
+      invoiceQr
+        ? `
+    <!-- Tax Invoice QR Code -->
+    <div class="invoice-qr">${this.generateQrSvg(invoiceQr)}</div>`
+        : ""
+    }
+
     <!-- Footer -->
     <div class="footer">
         ${
@@ -1121,6 +1409,31 @@ class ThermalPrintingService {
             color: #666;
         }
         
+        .item-modifiers {
+            font-size: 13px;
+            font-weight: bold;
+            margin-top: 1mm;
+        }
+        
+        .item-modifiers div::before {
+            content: "» ";
+        }
+        
+        .item-note,
+        .order-note {
+            font-size: 14px;
+            font-weight: bold;
+            border: 2px dashed #000;
+            padding: 1mm 2mm;
+            margin-top: 1mm;
+            word-wrap: break-word;
+        }
+        
+        .order-note {
+            font-size: 16px;
+            margin: 2mm 0;
+        }
+        
         .item-quantity {
             font-size: 20px;
             font-weight: bold;
@@ -1232,6 +1545,14 @@ class ThermalPrintingService {
         }
     </div>
 
+    ${
+      safeOrderData.note
+        ? `<div class="order-note">${
+            hasArabic ? "ملاحظة الطلب:" : "ORDER NOTE:"
+          } ${this.escapeHtml(safeOrderData.note)}</div>`
+        : ""
+    }
+
     <!-- Items for Kitchen -->
     <div class="items-section">
         ${safeOrderData.orderItems
@@ -1247,6 +1568,20 @@ class ThermalPrintingService {
                     ? `<div class="item-name-secondary english-text">${item.name}</div>`
                     : ""
                 }
+                ${
+                  item.modifiers.length > 0
+                    ? `<div class="item-modifiers english-text">${item.modifiers
+                        .map((modifier) => `<div>${modifier}</div>`)
+                        .join("")}</div>`
+                    : ""
+                }
+                ${
+                  item.note
+                    ? `<div class="item-note">${
+                        hasArabic ? "ملاحظة:" : "Note:"
+                      } ${this.escapeHtml(item.note)}</div>`
+                    : ""
+                }
             </div>
             <div class="item-quantity">${item.quantity}</div>
         </div>
@@ -1259,128 +1594,1154 @@ class ThermalPrintingService {
   }
 
   /**
-   * Convert HTML to Canvas (for canvas printing method)
-   */
-  async htmlToCanvas() {
-    // This would require html2canvas library in a real implementation
-    // For now, we'll use a placeholder approach
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-
-    // Set canvas size based on thermal paper width
-    const mmToPx = 3.78; // Approximate conversion for 203 DPI
-    canvas.width = this.settings.paperWidth * mmToPx;
-    canvas.height = 200 * mmToPx; // Auto height
-
-    // Fill with white background
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Note: In a real implementation, you would use html2canvas here:
-    // return await html2canvas(element, { canvas: canvas });
-
-    return canvas;
-  }
-
-  /**
-   * Generate raw ESC/POS commands (basic fallback)
+   * Generate delivery slip HTML: large address and phone for the driver,
+   * the items to check at hand-over and the cash to collect
    */
-  generateRawCommands(orderData, options = {}) {
-    const commands = [];
-    const isCopy = options.isCopy || false;
-
-    // Initialize printer
-    commands.push("\x1B\x40"); // ESC @ - Initialize
-
-    // Set character set (try Windows-1256 for Arabic)
-    commands.push("\x1B\x74\x16"); // ESC t 22 (Windows-1256)
-
-    // Copy tag for reprints
-    if (isCopy) {
-      commands.push("\x1B\x61\x01"); // Center align
-      commands.push("\x1B\x45\x01"); // Bold on
-      commands.push("COPY\n");
-      commands.push("\x1B\x45\x00"); // Bold off
-      commands.push("\x1B\x61\x00"); // Left align
-      commands.push("----------------------------------------\n");
-    }
-
-    // Header
-    commands.push("\x1B\x61\x01"); // Center align
-    commands.push("\x1B\x45\x01"); // Bold on
-    commands.push(this.settings.storeName + "\n");
-    commands.push("\x1B\x45\x00"); // Bold off
-    commands.push(this.settings.storeAddress + "\n");
-    commands.push("Tel: " + this.settings.storePhone + "\n");
-    commands.push("\x1B\x61\x00"); // Left align
-
-    // Separator
-    commands.push("----------------------------------------\n");
-
-    // Order info
-    commands.push("Order: " + (orderData.orderNumber || "N/A") + "\n");
-    commands.push("Cashier: " + (orderData.cashier || "N/A") + "\n");
-    commands.push("Date: " + new Date().toLocaleString() + "\n");
-    commands.push("----------------------------------------\n");
+  generateDeliverySlipHTML(orderData, options = {}) {
+    const hasArabic = this.detectArabicContent(orderData);
+    const safeOrderData = this.sanitizeOrderData(orderData);
+    const receiptSettings = this.getReceiptSettings();
+    const { delivery } = safeOrderData;
+    const label = (en, ar) => (hasArabic ? ar : en);
 
-    // Items
-    (orderData.orderItems || []).forEach((item) => {
-      commands.push(item.name + "\n");
-      commands.push(
-        `${item.quantity} x ${item.price.toFixed(2)} = ${(
-          item.quantity * item.price
-        ).toFixed(2)}\n`
+    return `<!DOCTYPE html>
+<html dir="${hasArabic ? "rtl" : "ltr"}" lang="${hasArabic ? "ar" : "en"}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Delivery Slip</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: ${
+              hasArabic
+                ? "'ArabicFont', Tahoma, 'Arial Unicode MS'"
+                : "Courier New, monospace"
+            };
+            font-size: 10px;
+            line-height: 1.3;
+            color: #000;
+            background: #fff;
+            width: 72mm;
+            max-width: 72mm;
+            padding: 4mm;
+            margin: 0 auto;
+            direction: ${hasArabic ? "rtl" : "ltr"};
+            overflow-wrap: break-word;
+        }
+        
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #000;
+            padding-bottom: 2mm;
+            margin-bottom: 2mm;
+        }
+        
+        .slip-title {
+            font-size: 16px;
+            font-weight: bold;
+        }
+        
+        .order-number {
+            font-size: 20px;
+            font-weight: bold;
+            margin-top: 1mm;
+        }
+        
+        .customer-box {
+            border: 2px solid #000;
+            padding: 2mm;
+            margin: 2mm 0;
+        }
+        
+        .customer-name {
+            font-size: 13px;
+            font-weight: bold;
+        }
+        
+        .customer-phone {
+            font-size: 16px;
+            font-weight: bold;
+            direction: ltr;
+            margin: 1mm 0;
+        }
+        
+        .customer-address {
+            font-size: 13px;
+            white-space: pre-line;
+        }
+        
+        .info-line,
+        .item-line {
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: 0.5mm;
+        }
+        
+        .items {
+            border-top: 1px dashed #000;
+            border-bottom: 1px dashed #000;
+            padding: 1mm 0;
+            margin: 2mm 0;
+        }
+        
+        .cod-box {
+            text-align: center;
+            border: 2px solid #000;
+            padding: 2mm;
+            margin-top: 2mm;
+            font-size: 14px;
+            font-weight: bold;
+        }
+        
+        .copy-tag {
+            text-align: center;
+            font-weight: bold;
+            border: 2px solid #000;
+            padding: 1mm;
+            margin-bottom: 2mm;
+        }
+    </style>
+</head>
+<body>
+    ${
+      options.isCopy
+        ? `<div class="copy-tag">${label("COPY", "نسخة")}</div>`
+        : ""
+    }
+
+    <div class="header">
+        <div class="slip-title">${label("DELIVERY SLIP", "إيصال توصيل")}</div>
+        <div>${this.escapeHtml(receiptSettings.header.businessName)}</div>
+        <div class="order-number">#${this.escapeHtml(
+          safeOrderData.orderNumber
+        )}</div>
+        <div>${this.formatDateTime(hasArabic)}</div>
+    </div>
+
+    <div class="customer-box">
+        <div class="customer-name">${this.escapeHtml(
+          safeOrderData.custName
+        )}</div>
+        <div class="customer-phone">${this.escapeHtml(
+          safeOrderData.custPhone
+        )}</div>
+        <div class="customer-address">${this.escapeHtml(
+          safeOrderData.custAddress
+        )}</div>
+    </div>
+
+    ${
+      delivery.driverName
+        ? `<div class="info-line">
+        <span>${label("Driver:", "السائق:")}</span>
+        <span>${this.escapeHtml(delivery.driverName)}</span>
+    </div>`
+        : ""
+    }
+    ${
+      safeOrderData.note
+        ? `<div class="info-line">
+        <span>${label("Note:", "ملاحظة:")}</span>
+        <span>${this.escapeHtml(safeOrderData.note)}</span>
+    </div>`
+        : ""
+    }
+
+    <div class="items">
+        ${safeOrderData.orderItems
+          .map(
+            (item) => `
+        <div class="item-line">
+            <span>${item.quantity} x ${this.escapeHtml(
+              hasArabic && item.nameAr ? item.nameAr : item.name
+            )}</span>
+            <span>${this.formatPrice(
+              item.quantity * item.price,
+              hasArabic
+            )}</span>
+        </div>`
+          )
+          .join("")}
+    </div>
+
+    <div class="info-line" style="font-weight: bold;">
+        <span>${label("TOTAL:", "الإجمالي:")}</span>
+        <span>${this.formatAmount(safeOrderData.total, hasArabic)}</span>
+    </div>
+
+    <div class="cod-box">
+        ${
+          delivery.codAmount > 0
+            ? `${label("COLLECT CASH:", "تحصيل نقدي:")} ${this.formatAmount(
+                delivery.codAmount,
+                hasArabic
+              )}`
+            : label("PAID - NOTHING TO COLLECT", "مدفوع - لا يوجد تحصيل")
+        }
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Generate purchase order / goods received note HTML: supplier, items
+   * with quantities and prices, and signature lines for the hand-over
+   */
+  generatePurchaseDocumentHTML(documentData, options = {}) {
+    const hasArabic = this.detectArabicContent(documentData);
+    const safeData = this.sanitizePurchaseData(documentData);
+    const receiptSettings = this.getReceiptSettings();
+    const label = (en, ar) => (hasArabic ? ar : en);
+    const isGrn = safeData.documentType === "grn";
+
+    return `<!DOCTYPE html>
+<html dir="${hasArabic ? "rtl" : "ltr"}" lang="${hasArabic ? "ar" : "en"}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${isGrn ? "Goods Received Note" : "Purchase Order"}</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: ${
+              hasArabic
+                ? "'ArabicFont', Tahoma, 'Arial Unicode MS'"
+                : "Courier New, monospace"
+            };
+            font-size: 10px;
+            line-height: 1.3;
+            color: #000;
+            background: #fff;
+            width: 72mm;
+            max-width: 72mm;
+            padding: 4mm;
+            margin: 0 auto;
+            direction: ${hasArabic ? "rtl" : "ltr"};
+            overflow-wrap: break-word;
+        }
+        
+        .header {
+            text-align: center;
+            border-bottom: 2px solid #000;
+            padding-bottom: 2mm;
+            margin-bottom: 2mm;
+        }
+        
+        .doc-title {
+            font-size: 14px;
+            font-weight: bold;
+        }
+        
+        .doc-number {
+            font-size: 18px;
+            font-weight: bold;
+            margin-top: 1mm;
+        }
+        
+        .info-line,
+        .item-line {
+            display: flex;
+            justify-content: space-between;
+            margin-bottom: 0.5mm;
+        }
+        
+        .items {
+            border-top: 1px dashed #000;
+            border-bottom: 1px dashed #000;
+            padding: 1mm 0;
+            margin: 2mm 0;
+        }
+        
+        .item-name {
+            font-weight: bold;
+        }
+        
+        .total-line {
+            display: flex;
+            justify-content: space-between;
+            font-size: 13px;
+            font-weight: bold;
+        }
+        
+        .signature {
+            margin-top: 8mm;
+            border-top: 1px solid #000;
+            padding-top: 1mm;
+            text-align: center;
+        }
+        
+        .copy-tag {
+            text-align: center;
+            font-weight: bold;
+            border: 2px solid #000;
+            padding: 1mm;
+            margin-bottom: 2mm;
+        }
+    </style>
+</head>
+<body>
+    ${
+      options.isCopy
+        ? `<div class="copy-tag">${label("COPY", "نسخة")}</div>`
+        : ""
+    }
+
+    <div class="header">
+        <div class="doc-title">${
+          isGrn
+            ? label("GOODS RECEIVED NOTE", "إشعار استلام بضاعة")
+            : label("PURCHASE ORDER", "أمر شراء")
+        }</div>
+        <div>${this.escapeHtml(receiptSettings.header.businessName)}</div>
+        <div class="doc-number">${this.escapeHtml(
+          safeData.documentNumber
+        )}</div>
+        <div>${this.escapeHtml(safeData.date)}</div>
+    </div>
+
+    <div class="info-line">
+        <span>${label("Supplier:", "المورد:")}</span>
+        <span>${this.escapeHtml(safeData.supplierName)}</span>
+    </div>
+    ${
+      safeData.supplierPhone
+        ? `<div class="info-line">
+        <span>${label("Phone:", "الهاتف:")}</span>
+        <span dir="ltr">${this.escapeHtml(safeData.supplierPhone)}</span>
+    </div>`
+        : ""
+    }
+    ${
+      isGrn
+        ? `<div class="info-line">
+        <span>${label("PO:", "أمر الشراء:")}</span>
+        <span>${this.escapeHtml(safeData.poNumber)}</span>
+    </div>`
+        : ""
+    }
+    ${
+      safeData.invoiceNumber
+        ? `<div class="info-line">
+        <span>${label("Invoice:", "الفاتورة:")}</span>
+        <span>${this.escapeHtml(safeData.invoiceNumber)}</span>
+    </div>`
+        : ""
+    }
+    ${
+      safeData.expectedDate
+        ? `<div class="info-line">
+        <span>${label("Deliver by:", "التسليم قبل:")}</span>
+        <span>${this.escapeHtml(safeData.expectedDate)}</span>
+    </div>`
+        : ""
+    }
+
+    <div class="items">
+        ${safeData.items
+          .map(
+            (item) => `
+        <div class="item-name">${this.escapeHtml(item.name)}</div>
+        <div class="item-line">
+            <span>${this.escapeHtml(
+              `${item.quantity} ${item.unit}`
+            )} x ${this.formatPrice(item.unitPrice, hasArabic)}</span>
+            <span>${this.formatPrice(
+              item.quantity * item.unitPrice,
+              hasArabic
+            )}</span>
+        </div>`
+          )
+          .join("")}
+    </div>
+
+    <div class="total-line">
+        <span>${label("TOTAL:", "الإجمالي:")}</span>
+        <span>${this.formatAmount(safeData.total, hasArabic)}</span>
+    </div>
+
+    ${
+      safeData.note
+        ? `<div class="info-line" style="margin-top: 2mm;">
+        <span>${label("Note:", "ملاحظة:")}</span>
+        <span>${this.escapeHtml(safeData.note)}</span>
+    </div>`
+        : ""
+    }
+
+    <div class="signature">${
+      isGrn
+        ? `${label("Received by", "استلمها")} ${this.escapeHtml(
+            safeData.receivedBy
+          )}`
+        : label("Authorized signature", "توقيع معتمد")
+    }</div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Convert HTML to Canvas (for canvas printing method)
+   */
+  async htmlToCanvas() {
+    // This would require html2canvas library in a real implementation
+    // For now, we'll use a placeholder approach
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d");
+
+    // Set canvas size based on thermal paper width
+    const mmToPx = 3.78; // Approximate conversion for 203 DPI
+    canvas.width = this.settings.paperWidth * mmToPx;
+    canvas.height = 200 * mmToPx; // Auto height
+
+    // Fill with white background
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Note: In a real implementation, you would use html2canvas here:
+    // return await html2canvas(element, { canvas: canvas });
+
+    return canvas;
+  }
+
+  /**
+   * Generate raw ESC/POS commands (basic fallback)
+   */
+  generateRawCommands(orderData, options = {}) {
+    if (options.type === "delivery") {
+      return this.generateDeliveryRawCommands(orderData, options);
+    }
+    if (options.type === "purchase") {
+      return this.generatePurchaseRawCommands(orderData, options);
+    }
+
+    const commands = [];
+    const isCopy = options.isCopy || false;
+
+    // Initialize printer
+    commands.push("\x1B\x40"); // ESC @ - Initialize
+
+    // Set character set (try Windows-1256 for Arabic)
+    commands.push("\x1B\x74\x16"); // ESC t 22 (Windows-1256)
+
+    // Copy tag for reprints
+    if (isCopy) {
+      commands.push("\x1B\x61\x01"); // Center align
+      commands.push("\x1B\x45\x01"); // Bold on
+      commands.push("COPY\n");
+      commands.push("\x1B\x45\x00"); // Bold off
+      commands.push("\x1B\x61\x00"); // Left align
+      commands.push("----------------------------------------\n");
+    }
+
+    // Refund tag
+    if (orderData.refund) {
+      commands.push("\x1B\x61\x01"); // Center align
+      commands.push("\x1B\x45\x01"); // Bold on
+      commands.push("REFUND\n");
+      commands.push("\x1B\x45\x00"); // Bold off
+      commands.push("\x1B\x61\x00"); // Left align
+      commands.push(
+        "Original order: " + (orderData.refund.originalOrderNumber || "") + "\n"
       );
+      commands.push("Reason: " + (orderData.refund.reason || "") + "\n");
+      commands.push("----------------------------------------\n");
+    }
+
+    // Header
+    commands.push("\x1B\x61\x01"); // Center align
+    commands.push("\x1B\x45\x01"); // Bold on
+    commands.push(this.settings.storeName + "\n");
+    commands.push("\x1B\x45\x00"); // Bold off
+    commands.push(this.settings.storeAddress + "\n");
+    commands.push("Tel: " + this.settings.storePhone + "\n");
+    commands.push("\x1B\x61\x00"); // Left align
+
+    // Separator
+    commands.push("----------------------------------------\n");
+
+    // Order info
+    commands.push("Order: " + (orderData.orderNumber || "N/A") + "\n");
+    commands.push("Cashier: " + (orderData.cashier || "N/A") + "\n");
+    commands.push("Date: " + new Date().toLocaleString() + "\n");
+    commands.push("----------------------------------------\n");
+
+    // Items
+    (orderData.orderItems || []).forEach((item) => {
+      commands.push(item.name + "\n");
+      (item.modifiers || []).forEach((modifier) => {
+        commands.push("  + " + formatModifier(modifier) + "\n");
+      });
+      commands.push(
+        `${item.quantity} x ${item.price.toFixed(2)} = ${(
+          item.quantity * item.price
+        ).toFixed(2)}\n`
+      );
+    });
+
+    commands.push("----------------------------------------\n");
+
+    // Totals
+    commands.push(
+      `Subtotal: ${this.settings.currency} ${(orderData.subtotal || 0).toFixed(
+        2
+      )}\n`
+    );
+    commands.push(
+      `${orderData.vat ? "VAT" : "Tax"}: ${this.settings.currency} ${(
+        orderData.tax || 0
+      ).toFixed(2)}\n`
+    );
+    (orderData.vat?.breakdown || []).forEach((group) => {
+      commands.push(
+        `  VAT ${group.rate}% on ${Number(group.taxable).toFixed(2)}: ${Number(
+          group.vat
+        ).toFixed(2)}\n`
+      );
+    });
+    if (orderData.discount) {
+      commands.push(
+        `Discount: -${this.settings.currency} ${orderData.discount.toFixed(
+          2
+        )}\n`
+      );
+      (orderData.discounts || []).forEach((item) => {
+        commands.push(
+          `  ${item.name}: -${Number(item.amount || 0).toFixed(2)}\n`
+        );
+        if (item.reason) commands.push(`    Reason: ${item.reason}\n`);
+        if (item.approvedBy) {
+          commands.push(`    Approved by: ${item.approvedBy}\n`);
+        }
+      });
+    }
+    commands.push("----------------------------------------\n");
+    commands.push("\x1B\x45\x01"); // Bold on
+    commands.push(
+      `${orderData.refund ? "REFUND TOTAL: -" : "TOTAL: "}${
+        this.settings.currency
+      } ${(orderData.total || 0).toFixed(2)}\n`
+    );
+    commands.push("\x1B\x45\x00"); // Bold off
+    if (Number(orderData.cashTendered) > 0) {
+      commands.push(
+        `PAID: ${this.settings.currency} ${Number(
+          orderData.cashTendered
+        ).toFixed(2)}\n`
+      );
+      commands.push(
+        `CHANGE: ${this.settings.currency} ${Number(
+          orderData.changeDue || 0
+        ).toFixed(2)}\n`
+      );
+    }
+
+    // Payment methods (only if non-cash payments exist)
+    if (
+      orderData.paymentMethods &&
+      orderData.paymentMethods.some((payment) => payment.method !== "cash")
+    ) {
+      commands.push("Payment Methods:\n");
+      orderData.paymentMethods.forEach((payment) => {
+        commands.push(
+          `${this.getPaymentLabel(payment, false)}: ${
+            this.settings.currency
+          } ${payment.amount.toFixed(2)}\n`
+        );
+      });
+      commands.push("----------------------------------------\n");
+    }
+
+    // Footer
+    commands.push("\n\x1B\x61\x01"); // Center align
+    commands.push("Thank you for your visit!\n");
+    commands.push("\x1B\x61\x00"); // Left align
+
+    // Cut paper
+    commands.push("\x1D\x56\x00"); // Full cut
+
+    return commands.join("");
+  }
+
+  /**
+   * Generate ESC/POS raster commands for a receipt or kitchen ticket
+   * @returns {Uint8Array} - Initialize, GS v 0 bitmap bands, feed and cut
+   */
+  generateRasterCommands(orderData, printerName, options = {}) {
+    const paperWidth =
+      this.getPrinterConfig(printerName)?.paperWidth ||
+      this.settings.paperWidth;
+    const lines =
+      options.type === "kitchen"
+        ? this.generateKitchenRasterLines(orderData, options)
+        : options.type === "delivery"
+        ? this.generateDeliveryRasterLines(orderData, options)
+        : options.type === "purchase"
+        ? this.generatePurchaseRasterLines(orderData, options)
+        : this.generateCustomerRasterLines(orderData, options);
+
+    const canvas = renderLinesToCanvas(lines, getPaperDots(paperWidth));
+    const bitmap = canvasToMonochrome(canvas);
+
+    return concatBytes([
+      "\x1B\x40", // ESC @ - Initialize
+      "\x1B\x61\x00", // Left align, the bitmap already holds the layout
+      buildRasterCommands(bitmap),
+      "\n\n\n",
+      "\x1D\x56\x00", // Full cut
+    ]);
+  }
+
+  /**
+   * Bilingual customer receipt lines for raster printing
+   * Header and footer come from the saved receipt settings
+   */
+  generateCustomerRasterLines(orderData, options = {}) {
+    const safeOrderData = this.sanitizeOrderData(orderData);
+    const {
+      header = {},
+      footer = {},
+      display = {},
+    } = this.getReceiptSettings();
+    const showArabic = display.enableArabicSupport !== false;
+    const text = (value, props = {}) =>
+      value ? [{ type: "text", text: String(value), ...props }] : [];
+    const row = (label, labelAr, value, props = {}) => ({
+      type: "row",
+      label: showArabic && labelAr ? `${label} / ${labelAr}` : label,
+      value,
+      ...props,
+    });
+    const amount = (value) => this.formatAmount(value, false);
+    const invoiceQr = this.getTaxInvoiceQr(safeOrderData, header);
+
+    const lines = [];
+
+    if (options.isCopy) {
+      lines.push(
+        ...text(showArabic ? "COPY / نسخة" : "COPY", {
+          align: "center",
+          bold: true,
+        }),
+        { type: "separator", dashed: true }
+      );
+    }
+
+    if (safeOrderData.refund) {
+      lines.push(
+        ...text(showArabic ? "REFUND / استرداد" : "REFUND", {
+          align: "center",
+          bold: true,
+          size: "large",
+        }),
+        { type: "separator", dashed: true }
+      );
+    }
+
+    // Header
+    lines.push(
+      ...text(header.businessName, {
+        align: "center",
+        bold: true,
+        size: "large",
+      }),
+      ...(showArabic
+        ? text(header.businessNameAr, {
+            align: "center",
+            bold: true,
+            size: "large",
+          })
+        : []),
+      ...text(header.address, { align: "center", size: "small" }),
+      ...(showArabic
+        ? text(header.addressAr, { align: "center", size: "small" })
+        : []),
+      ...text(header.city, { align: "center", size: "small" }),
+      ...text(header.phone && `Tel: ${header.phone}`, {
+        align: "center",
+        size: "small",
+      }),
+      ...text(header.taxId && `Tax ID: ${header.taxId}`, {
+        align: "center",
+        size: "small",
+      }),
+      ...text(
+        invoiceQr &&
+          (showArabic
+            ? "Simplified Tax Invoice / فاتورة ضريبية مبسطة"
+            : "Simplified Tax Invoice"),
+        { align: "center", bold: true }
+      ),
+      ...text(header.customText, { align: "center", size: "small" }),
+      { type: "separator", bold: true }
+    );
+
+    // Order info
+    lines.push(
+      row("Order", "طلب", `#${safeOrderData.orderNumber}`, { bold: true })
+    );
+    if (safeOrderData.orderType) {
+      lines.push(
+        row(
+          "Type",
+          "النوع",
+          this.getOrderTypeArabic(safeOrderData.orderType, showArabic)
+        )
+      );
+    }
+    if (safeOrderData.tableNumber) {
+      lines.push(row("Table", "طاولة", safeOrderData.tableNumber));
+    }
+    if (display.showCashierName !== false) {
+      lines.push(row("Cashier", "الكاشير", safeOrderData.cashier));
+    }
+    lines.push(row("Date", "التاريخ", this.formatDateTime(false)));
+
+    if (safeOrderData.refund) {
+      lines.push(
+        { type: "separator", dashed: true },
+        row(
+          "Original order",
+          "الطلب الأصلي",
+          `#${safeOrderData.refund.originalOrderNumber}`
+        ),
+        row("Reason", "السبب", safeOrderData.refund.reason)
+      );
+      if (safeOrderData.refund.approvedBy) {
+        lines.push(
+          row("Approved by", "بموافقة", safeOrderData.refund.approvedBy)
+        );
+      }
+    }
+
+    if (display.showCustomerInfo !== false && safeOrderData.custName) {
+      lines.push(
+        { type: "separator", dashed: true },
+        row("Customer", "العميل", safeOrderData.custName)
+      );
+      if (safeOrderData.custPhone) {
+        lines.push(row("Phone", "الهاتف", safeOrderData.custPhone));
+      }
+      lines.push(...text(safeOrderData.custAddress, { size: "small" }));
+    }
+
+    lines.push({ type: "separator" });
+
+    // Items
+    safeOrderData.orderItems.forEach((item) => {
+      lines.push(
+        row(item.name, null, amount(item.quantity * item.price), {
+          bold: true,
+        })
+      );
+      if (showArabic) {
+        lines.push(...text(item.nameAr));
+      }
+      lines.push(
+        ...text(`${item.quantity} x ${this.formatPrice(item.price, false)}`, {
+          size: "small",
+        })
+      );
+      item.modifiers.forEach((modifier) =>
+        lines.push(...text(`  + ${modifier}`, { size: "small" }))
+      );
+    });
+
+    lines.push({ type: "separator" });
+
+    // Totals
+    lines.push(
+      row("Subtotal", "المجموع الفرعي", amount(safeOrderData.subtotal))
+    );
+    if (display.showTaxDetails !== false && safeOrderData.tax) {
+      lines.push(
+        safeOrderData.vat
+          ? row(
+              safeOrderData.vat.pricesIncludeTax ? "VAT (incl.)" : "VAT",
+              safeOrderData.vat.pricesIncludeTax
+                ? "الضريبة (مشمولة)"
+                : "الضريبة",
+              amount(safeOrderData.tax)
+            )
+          : row("Tax", "الضريبة", amount(safeOrderData.tax))
+      );
+    }
+    if (safeOrderData.discount) {
+      lines.push(
+        row("Discount", "الخصم", `-${amount(safeOrderData.discount)}`)
+      );
+      safeOrderData.discounts.forEach((item) => {
+        lines.push(
+          row(`  ${item.name}`, item.nameAr, `-${amount(item.amount)}`),
+          ...text(item.reason && `    Reason: ${item.reason}`),
+          ...text(item.approvedBy && `    Approved by: ${item.approvedBy}`)
+        );
+      });
+    }
+    lines.push(
+      { type: "separator", bold: true },
+      safeOrderData.refund
+        ? row("REFUND", "استرداد", `-${amount(safeOrderData.total)}`, {
+            bold: true,
+            size: "large",
+          })
+        : row("TOTAL", "الإجمالي", amount(safeOrderData.total), {
+            bold: true,
+            size: "large",
+          })
+    );
+    if (safeOrderData.cashTendered > 0) {
+      lines.push(
+        row("Paid", "المدفوع", amount(safeOrderData.cashTendered)),
+        row("Change", "الباقي", amount(safeOrderData.changeDue), {
+          bold: true,
+        })
+      );
+    }
+
+    // Payment methods
+    if (safeOrderData.paymentMethods.length > 0) {
+      lines.push({ type: "separator", dashed: true });
+      safeOrderData.paymentMethods.forEach((payment) =>
+        lines.push(
+          row(
+            this.getPaymentLabel(payment, false),
+            this.getPaymentMethodArabic(payment.method),
+            amount(payment.amount)
+          )
+        )
+      );
+    }
+
+    // VAT per rate
+    if (
+      display.showTaxDetails !== false &&
+      safeOrderData.vat?.breakdown.length > 0
+    ) {
+      lines.push(
+        { type: "separator", dashed: true },
+        row(
+          "Taxable amount",
+          "المبلغ الخاضع للضريبة",
+          amount(safeOrderData.vat.taxableAmount),
+          { size: "small" }
+        ),
+        ...safeOrderData.vat.breakdown.map((group) =>
+          row(
+            `VAT ${group.rate}% (${this.formatPrice(group.taxable, false)})`,
+            "",
+            amount(group.vat),
+            { size: "small" }
+          )
+        )
+      );
+    }
+
+    if (invoiceQr) {
+      lines.push({ type: "qr", matrix: this.getQrMatrix(invoiceQr) });
+    }
+
+    // Footer
+    lines.push(
+      { type: "separator" },
+      ...text(footer.thankYouMessage, { align: "center", bold: true }),
+      ...(showArabic
+        ? text(footer.thankYouMessageAr, { align: "center", bold: true })
+        : []),
+      ...text(footer.returnPolicy, { align: "center", size: "small" }),
+      ...text(footer.customerService, { align: "center", size: "small" }),
+      ...text(footer.website, { align: "center", size: "small" }),
+      ...text(footer.customText, { align: "center", size: "small" }),
+      { type: "feed" }
+    );
+
+    return lines;
+  }
+
+  /**
+   * Kitchen ticket lines for raster printing (no prices)
+   */
+  generateKitchenRasterLines(orderData, options = {}) {
+    const safeOrderData = this.sanitizeOrderData(orderData);
+    const text = (value, props = {}) =>
+      value ? [{ type: "text", text: String(value), ...props }] : [];
+
+    const lines = [
+      ...(options.isCopy
+        ? text("COPY / نسخة", { align: "center", bold: true })
+        : []),
+      ...text("KITCHEN / المطبخ", { align: "center", bold: true }),
+      ...text(`#${safeOrderData.orderNumber}`, {
+        align: "center",
+        bold: true,
+        size: "large",
+      }),
+      ...text(
+        [
+          safeOrderData.orderType &&
+            `${safeOrderData.orderType} / ${this.getOrderTypeArabic(
+              safeOrderData.orderType,
+              true
+            )}`,
+          safeOrderData.tableNumber && `Table ${safeOrderData.tableNumber}`,
+        ]
+          .filter(Boolean)
+          .join(" - "),
+        { align: "center" }
+      ),
+      ...text(this.formatDateTime(false), { align: "center", size: "small" }),
+      { type: "separator", bold: true },
+    ];
+
+    if (safeOrderData.note) {
+      lines.push(...text(`NOTE: ${safeOrderData.note}`, { bold: true }), {
+        type: "separator",
+        dashed: true,
+      });
+    }
+
+    safeOrderData.orderItems.forEach((item) => {
+      lines.push(
+        ...text(`${item.quantity} x ${item.name}`, {
+          bold: true,
+          size: "large",
+        }),
+        ...text(item.nameAr, { size: "large" })
+      );
+      item.modifiers.forEach((modifier) =>
+        lines.push(...text(`  » ${modifier}`))
+      );
+      lines.push(...text(item.note && `  * ${item.note}`, { bold: true }), {
+        type: "separator",
+        dashed: true,
+      });
     });
 
-    commands.push("----------------------------------------\n");
+    lines.push({ type: "feed" });
+    return lines;
+  }
 
-    // Totals
-    commands.push(
-      `Subtotal: ${this.settings.currency} ${(orderData.subtotal || 0).toFixed(
-        2
-      )}\n`
-    );
-    commands.push(
-      `Tax: ${this.settings.currency} ${(orderData.tax || 0).toFixed(2)}\n`
+  /**
+   * Delivery slip lines for raster printing
+   */
+  generateDeliveryRasterLines(orderData, options = {}) {
+    const safeOrderData = this.sanitizeOrderData(orderData);
+    const { delivery } = safeOrderData;
+    const text = (value, props = {}) =>
+      value ? [{ type: "text", text: String(value), ...props }] : [];
+    const amount = (value) => this.formatAmount(value, false);
+
+    const lines = [
+      ...(options.isCopy
+        ? text("COPY / نسخة", { align: "center", bold: true })
+        : []),
+      ...text("DELIVERY / توصيل", { align: "center", bold: true }),
+      ...text(`#${safeOrderData.orderNumber}`, {
+        align: "center",
+        bold: true,
+        size: "large",
+      }),
+      ...text(this.formatDateTime(false), { align: "center", size: "small" }),
+      { type: "separator", bold: true },
+      ...text(safeOrderData.custName, { bold: true }),
+      ...text(safeOrderData.custPhone, {
+        bold: true,
+        size: "large",
+      }),
+      ...text(safeOrderData.custAddress, { size: "large" }),
+      { type: "separator", bold: true },
+      ...text(delivery.driverName && `Driver: ${delivery.driverName}`),
+      ...text(safeOrderData.note && `NOTE: ${safeOrderData.note}`, {
+        bold: true,
+      }),
+    ];
+
+    safeOrderData.orderItems.forEach((item) => {
+      lines.push({
+        type: "row",
+        label: `${item.quantity} x ${item.name}`,
+        value: amount(item.quantity * item.price),
+      });
+    });
+
+    lines.push(
+      { type: "separator", dashed: true },
+      {
+        type: "row",
+        label: "TOTAL / الإجمالي",
+        value: amount(safeOrderData.total),
+        bold: true,
+      },
+      { type: "separator", bold: true },
+      ...text(
+        delivery.codAmount > 0
+          ? `COLLECT CASH: ${amount(delivery.codAmount)}`
+          : "PAID - NOTHING TO COLLECT",
+        { align: "center", bold: true, size: "large" }
+      ),
+      { type: "feed" }
     );
-    if (orderData.discount) {
+    return lines;
+  }
+
+  /**
+   * Delivery slip as plain ESC/POS text
+   */
+  generateDeliveryRawCommands(orderData, options = {}) {
+    const safeOrderData = this.sanitizeOrderData(orderData);
+    const { delivery } = safeOrderData;
+    const currency = this.settings.currency;
+    const commands = ["\x1B\x40", "\x1B\x61\x01", "\x1B\x45\x01"];
+
+    if (options.isCopy) commands.push("COPY\n");
+    commands.push("DELIVERY SLIP\n");
+    commands.push(`#${safeOrderData.orderNumber}\n`);
+    commands.push("\x1B\x45\x00", "\x1B\x61\x00");
+    commands.push("----------------------------------------\n");
+    commands.push("\x1B\x45\x01");
+    commands.push(`${safeOrderData.custName}\n`);
+    commands.push(`${safeOrderData.custPhone}\n`);
+    commands.push("\x1B\x45\x00");
+    commands.push(`${safeOrderData.custAddress}\n`);
+    commands.push("----------------------------------------\n");
+    if (delivery.driverName) commands.push(`Driver: ${delivery.driverName}\n`);
+    if (safeOrderData.note) commands.push(`Note: ${safeOrderData.note}\n`);
+    safeOrderData.orderItems.forEach((item) => {
       commands.push(
-        `Discount: -${this.settings.currency} ${orderData.discount.toFixed(
-          2
-        )}\n`
+        `${item.quantity} x ${item.name} = ${(
+          item.quantity * item.price
+        ).toFixed(2)}\n`
       );
-    }
+    });
     commands.push("----------------------------------------\n");
-    commands.push("\x1B\x45\x01"); // Bold on
+    commands.push(`TOTAL: ${currency} ${safeOrderData.total.toFixed(2)}\n`);
+    commands.push("\x1B\x45\x01");
     commands.push(
-      `TOTAL: ${this.settings.currency} ${(orderData.total || 0).toFixed(2)}\n`
+      delivery.codAmount > 0
+        ? `COLLECT CASH: ${currency} ${delivery.codAmount.toFixed(2)}\n`
+        : "PAID - NOTHING TO COLLECT\n"
     );
-    commands.push("\x1B\x45\x00"); // Bold off
+    commands.push("\x1B\x45\x00");
+    commands.push("\n\n\n", "\x1D\x56\x00");
 
-    // Payment methods (only if non-cash payments exist)
-    if (
-      orderData.paymentMethods &&
-      orderData.paymentMethods.some((payment) => payment.method !== "cash")
-    ) {
-      commands.push("Payment Methods:\n");
-      orderData.paymentMethods.forEach((payment) => {
-        commands.push(
-          `${payment.method.toUpperCase()}: ${
-            this.settings.currency
-          } ${payment.amount.toFixed(2)}\n`
-        );
+    return commands.join("");
+  }
+
+  /**
+   * Purchase order / goods received note lines for raster printing
+   */
+  generatePurchaseRasterLines(documentData, options = {}) {
+    const safeData = this.sanitizePurchaseData(documentData);
+    const isGrn = safeData.documentType === "grn";
+    const text = (value, props = {}) =>
+      value ? [{ type: "text", text: String(value), ...props }] : [];
+    const amount = (value) => this.formatAmount(value, false);
+
+    const lines = [
+      ...(options.isCopy
+        ? text("COPY / نسخة", { align: "center", bold: true })
+        : []),
+      ...text(
+        isGrn ? "GOODS RECEIVED / استلام بضاعة" : "PURCHASE ORDER / أمر شراء",
+        { align: "center", bold: true }
+      ),
+      ...text(safeData.documentNumber, {
+        align: "center",
+        bold: true,
+        size: "large",
+      }),
+      ...text(safeData.date, { align: "center", size: "small" }),
+      { type: "separator", bold: true },
+      ...text(`Supplier: ${safeData.supplierName}`, { bold: true }),
+      ...text(safeData.supplierPhone),
+      ...text(isGrn && `PO: ${safeData.poNumber}`),
+      ...text(safeData.invoiceNumber && `Invoice: ${safeData.invoiceNumber}`),
+      ...text(safeData.expectedDate && `Deliver by: ${safeData.expectedDate}`),
+      { type: "separator", dashed: true },
+    ];
+
+    safeData.items.forEach((item) => {
+      lines.push(...text(item.name, { bold: true }), {
+        type: "row",
+        label: `${item.quantity} ${item.unit} x ${item.unitPrice.toFixed(2)}`,
+        value: amount(item.quantity * item.unitPrice),
       });
-      commands.push("----------------------------------------\n");
-    }
+    });
 
-    // Footer
-    commands.push("\n\x1B\x61\x01"); // Center align
-    commands.push("Thank you for your visit!\n");
-    commands.push("\x1B\x61\x00"); // Left align
+    lines.push(
+      { type: "separator", dashed: true },
+      {
+        type: "row",
+        label: "TOTAL / الإجمالي",
+        value: amount(safeData.total),
+        bold: true,
+      },
+      ...text(safeData.note && `NOTE: ${safeData.note}`),
+      { type: "feed" },
+      { type: "separator" },
+      ...text(
+        isGrn ? `Received by: ${safeData.receivedBy}` : "Authorized signature",
+        { align: "center" }
+      ),
+      { type: "feed" }
+    );
+    return lines;
+  }
 
-    // Cut paper
-    commands.push("\x1D\x56\x00"); // Full cut
+  /**
+   * Purchase order / goods received note as plain ESC/POS text
+   */
+  generatePurchaseRawCommands(documentData, options = {}) {
+    const safeData = this.sanitizePurchaseData(documentData);
+    const isGrn = safeData.documentType === "grn";
+    const currency = this.settings.currency;
+    const commands = ["\x1B\x40", "\x1B\x61\x01", "\x1B\x45\x01"];
+
+    if (options.isCopy) commands.push("COPY\n");
+    commands.push(isGrn ? "GOODS RECEIVED NOTE\n" : "PURCHASE ORDER\n");
+    commands.push(`${safeData.documentNumber}\n`);
+    commands.push("\x1B\x45\x00");
+    commands.push(`${safeData.date}\n`);
+    commands.push("\x1B\x61\x00");
+    commands.push("----------------------------------------\n");
+    commands.push(`Supplier: ${safeData.supplierName}\n`);
+    if (safeData.supplierPhone) commands.push(`${safeData.supplierPhone}\n`);
+    if (isGrn) commands.push(`PO: ${safeData.poNumber}\n`);
+    if (safeData.invoiceNumber) {
+      commands.push(`Invoice: ${safeData.invoiceNumber}\n`);
+    }
+    if (safeData.expectedDate) {
+      commands.push(`Deliver by: ${safeData.expectedDate}\n`);
+    }
+    commands.push("----------------------------------------\n");
+    safeData.items.forEach((item) => {
+      commands.push(`${item.name}\n`);
+      commands.push(
+        `  ${item.quantity} ${item.unit} x ${item.unitPrice.toFixed(2)} = ${(
+          item.quantity * item.unitPrice
+        ).toFixed(2)}\n`
+      );
+    });
+    commands.push("----------------------------------------\n");
+    commands.push("\x1B\x45\x01");
+    commands.push(`TOTAL: ${currency} ${safeData.total.toFixed(2)}\n`);
+    commands.push("\x1B\x45\x00");
+    if (safeData.note) commands.push(`Note: ${safeData.note}\n`);
+    commands.push("\n\n________________________________________\n");
+    commands.push(
+      isGrn ? `Received by: ${safeData.receivedBy}\n` : "Authorized signature\n"
+    );
+    commands.push("\n\n\n", "\x1D\x56\x00");
 
     return commands.join("");
   }
@@ -1393,6 +2754,11 @@ class ThermalPrintingService {
       orderData.cashierAr,
       this.settings.storeNameAr,
       ...(orderData.orderItems || []).map((item) => item.nameAr),
+      // Purchase orders and goods received notes
+      orderData.supplierName,
+      ...(orderData.documentType ? orderData.items || [] : []).map(
+        (item) => item.name
+      ),
     ]
       .filter(Boolean)
       .join(" ");
@@ -1404,17 +2770,20 @@ class ThermalPrintingService {
    * Select optimal printing method based on content and printer capabilities
    */
   selectPrintingMethod(printerName, hasArabicContent, forcedMethod = null) {
-    if (forcedMethod && ["html", "canvas", "raw"].includes(forcedMethod)) {
+    if (
+      forcedMethod &&
+      ["html", "canvas", "raster", "raw"].includes(forcedMethod)
+    ) {
       return forcedMethod;
     }
 
     const capabilities = this.printerCapabilities.get(printerName);
 
     if (hasArabicContent) {
-      // For Arabic content, prioritize HTML then Canvas
+      // For Arabic content, prioritize HTML, then the raster bitmap which
+      // does not depend on driver support
       if (capabilities?.supportsHTML !== false) return "html";
-      if (capabilities?.supportsImages !== false) return "canvas";
-      return "raw"; // Last resort
+      return "raster";
     } else {
       // For English-only content, any method works
       return this.settings.printMethod === "auto"
@@ -1498,6 +2867,55 @@ class ThermalPrintingService {
     );
   }
 
+  /**
+   * Escape free text (e.g. kitchen notes) before inserting it into receipt HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * QR payload of a simplified tax invoice, empty when the receipt is not one
+   * (no VAT data, no tax registration number, or a refund)
+   */
+  getTaxInvoiceQr(safeOrderData, header = {}) {
+    if (!safeOrderData.vat || !header.taxId || safeOrderData.refund) return "";
+    return encodeInvoiceQr({
+      sellerName: header.businessName || header.businessNameAr || "",
+      vatNumber: header.taxId,
+      timestamp: safeOrderData.vat.timestamp,
+      total: safeOrderData.vat.total || safeOrderData.total,
+      vatAmount: safeOrderData.vat.vatAmount,
+    });
+  }
+
+  /**
+   * QR code modules as {size, data}, one entry per module (1 = dark)
+   */
+  getQrMatrix(text) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+    return { size: modules.size, data: modules.data };
+  }
+
+  /**
+   * QR code as an inline SVG for HTML receipts
+   */
+  generateQrSvg(text, sizeMm = 28) {
+    const { size, data } = this.getQrMatrix(text);
+    let path = "";
+    for (let r = 0; r < size; r += 1) {
+      for (let c = 0; c < size; c += 1) {
+        if (data[r * size + c]) path += `M${c} ${r}h1v1h-1z`;
+      }
+    }
+    const box = size + 4;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-2 -2 ${box} ${box}" width="${sizeMm}mm" height="${sizeMm}mm" shape-rendering="crispEdges"><rect x="-2" y="-2" width="${box}" height="${box}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
   /**
    * Sanitize order data to prevent display issues like "ee.ee"
    */
@@ -1539,6 +2957,10 @@ class ThermalPrintingService {
           nameAr: String(itemData.nameAr || ""),
           quantity: Number(itemData.quantity) || 1,
           price: Number(itemData.price) || 0,
+          modifiers: Array.isArray(itemData.modifiers)
+            ? itemData.modifiers.map((modifier) => formatModifier(modifier))
+            : [],
+          note: String(itemData.note || "").trim(),
         };
       });
     }
@@ -1564,6 +2986,25 @@ class ThermalPrintingService {
       tax: Number(orderData.tax) || Number(orderData.taxAmount) || 0,
       discount:
         Number(orderData.discount) || Number(orderData.discountAmount) || 0,
+      // Delivery slip: driver and cash to collect at the door
+      delivery: {
+        driverName: String(
+          orderData.delivery?.driverName || orderData.driverName || ""
+        ),
+        codAmount: orderData.isPaid
+          ? 0
+          : Number(orderData.codAmount ?? orderData.totalPrice) || 0,
+      },
+      // Applied discount rules with the reason and approving manager
+      discounts: Array.isArray(orderData.discounts)
+        ? orderData.discounts.map((item) => ({
+            name: String(item.name || ""),
+            nameAr: String(item.nameAr || ""),
+            amount: Number(item.amount) || 0,
+            reason: String(item.reason || ""),
+            approvedBy: String(item.approvedBy || ""),
+          }))
+        : [],
       total: Number(orderData.total) || Number(orderData.finalTotal) || 0,
       finalTotal: Number(orderData.finalTotal) || Number(orderData.total) || 0,
       paymentMethods: Array.isArray(orderData.paymentMethods)
@@ -1579,6 +3020,41 @@ class ThermalPrintingService {
       custAddress: String(
         orderData.custAddress || orderData.customerAddress || ""
       ),
+      // Temporary code printed while the order was created offline
+      localCode: String(orderData.localCode || ""),
+      note: String(orderData.note || "").trim(),
+      // Cash handed over and change given back (0 when not recorded)
+      cashTendered: Number(orderData.cashTendered) || 0,
+      changeDue: Number(orderData.changeDue) || 0,
+      // Refund receipts: original order, reason and approving manager
+      refund: orderData.refund
+        ? {
+            originalOrderNumber: String(
+              orderData.refund.originalOrderNumber || ""
+            ),
+            reason: String(orderData.refund.reason || ""),
+            approvedBy: String(orderData.refund.approvedBy || ""),
+          }
+        : null,
+      // Tax invoice: VAT totals per rate and the invoice time for the QR code
+      vat: orderData.vat
+        ? {
+            pricesIncludeTax: Boolean(orderData.vat.pricesIncludeTax),
+            taxableAmount: Number(orderData.vat.taxableAmount) || 0,
+            vatAmount: Number(orderData.vat.vatAmount) || 0,
+            total: Number(orderData.vat.total) || 0,
+            breakdown: Array.isArray(orderData.vat.breakdown)
+              ? orderData.vat.breakdown.map((group) => ({
+                  rate: Number(group.rate) || 0,
+                  taxable: Number(group.taxable) || 0,
+                  vat: Number(group.vat) || 0,
+                }))
+              : [],
+            timestamp: String(
+              orderData.vat.timestamp || new Date().toISOString()
+            ),
+          }
+        : null,
     };
 
     // Ensure total calculation is correct if missing
@@ -1589,6 +3065,39 @@ class ThermalPrintingService {
     return safe;
   }
 
+  /**
+   * Normalize purchase order / goods received note data for printing
+   */
+  sanitizePurchaseData(documentData) {
+    const formatDate = (value) =>
+      value ? new Date(value).toLocaleDateString("en-GB") : "";
+    const items = Array.isArray(documentData.items)
+      ? documentData.items.map((item) => ({
+          name: String(item.name || "Item"),
+          unit: String(item.unit || ""),
+          quantity: Number(item.quantity) || 0,
+          unitPrice: Number(item.unitPrice) || 0,
+        }))
+      : [];
+
+    return {
+      documentType: documentData.documentType === "grn" ? "grn" : "po",
+      documentNumber: String(documentData.orderNumber || ""),
+      poNumber: String(documentData.poNumber || ""),
+      supplierName: String(documentData.supplierName || ""),
+      supplierPhone: String(documentData.supplierPhone || ""),
+      date: formatDate(documentData.date || new Date()),
+      expectedDate: formatDate(documentData.expectedDate),
+      receivedBy: String(documentData.receivedBy || ""),
+      invoiceNumber: String(documentData.invoiceNumber || ""),
+      note: String(documentData.note || "").trim(),
+      items,
+      total:
+        Number(documentData.total) ||
+        items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+    };
+  }
+
   /**
    * Format phone number for display
    */
@@ -1660,33 +3169,27 @@ class ThermalPrintingService {
   }
 
   /**
-   * Get payment method name in Arabic
+   * Get payment method name in Arabic (from the tender registry)
    */
   getPaymentMethodArabic(method) {
-    const methods = {
-      cash: "نقداً",
-      visa: "فيزا",
-      mastercard: "ماستركارد",
-      credit: "بطاقة ائتمان",
-      debit: "بطاقة خصم",
-      bank: "تحويل بنكي",
-    };
-    return methods[method] || method;
+    return getTenderName(findTender(getStoredTenders(), method), true);
   }
 
   /**
-   * Get payment method name in English
+   * Get payment method name in English (from the tender registry)
    */
   getPaymentMethodEnglish(method) {
-    const methods = {
-      cash: "Cash",
-      visa: "Visa",
-      mastercard: "Mastercard",
-      credit: "Credit Card",
-      debit: "Debit Card",
-      bank: "Bank Transfer",
-    };
-    return methods[method] || method.toUpperCase();
+    return getTenderName(findTender(getStoredTenders(), method), false);
+  }
+
+  /**
+   * Payment line label with its reference number, if any
+   */
+  getPaymentLabel(payment, isArabic) {
+    const name = isArabic
+      ? this.getPaymentMethodArabic(payment.method)
+      : this.getPaymentMethodEnglish(payment.method);
+    return payment.reference ? `${name} #${payment.reference}` : name;
   }
 
   /**
@@ -1746,8 +3249,9 @@ class ThermalPrintingService {
 
   /**
    * Print customer receipt with proper printer selection
+   * @param {Object} options - Extra print options, e.g. { type: "refund" }
    */
-  async printCustomerReceipt(orderData, printerName = null) {
+  async printCustomerReceipt(orderData, printerName = null, options = {}) {
     try {
       let targetPrinter = printerName;
 
@@ -1780,6 +3284,7 @@ class ThermalPrintingService {
       this.log("🖨️ Printing CUSTOMER receipt to:", targetPrinter);
       return await this.printReceipt(orderData, targetPrinter, {
         type: "customer",
+        ...options,
       });
     } catch (error) {
       this.log("❌ Customer receipt printing failed:", error);
@@ -1787,6 +3292,39 @@ class ThermalPrintingService {
     }
   }
 
+  /**
+   * Print a refund receipt on the customer printer. refundData is shaped
+   * like a customer receipt plus a `refund` block
+   * ({ originalOrderNumber, reason, approvedBy }).
+   */
+  async printRefundReceipt(refundData, printerName = null) {
+    return await this.printCustomerReceipt(refundData, printerName, {
+      type: "refund",
+    });
+  }
+
+  /**
+   * Print a delivery slip on the customer printer. deliveryData is an order
+   * with the customer fields and an optional `delivery` block
+   * ({ driverName }); unpaid orders print the cash to collect.
+   */
+  async printDeliverySlip(deliveryData, printerName = null) {
+    return await this.printCustomerReceipt(deliveryData, printerName, {
+      type: "delivery",
+    });
+  }
+
+  /**
+   * Print a purchase order or goods received note on the customer
+   * printer. documentData comes from buildPurchaseDocument
+   * ({ documentType: "po" | "grn", orderNumber, supplierName, items }).
+   */
+  async printPurchaseDocument(documentData, printerName = null) {
+    return await this.printCustomerReceipt(documentData, printerName, {
+      type: "purchase",
+    });
+  }
+
   /**
    * Print kitchen ticket with proper printer selection
    */
@@ -1957,6 +3495,255 @@ class ThermalPrintingService {
     }
   }
 
+  /**
+   * Printer that hosts the cash drawer (flagged in printer settings,
+   * falls back to the default customer printer)
+   */
+  async getDrawerPrinter() {
+    const enabledPrinters = await this.getEnabledPrinters();
+    const customerPrinters = enabledPrinters.filter(
+      (p) => p.type === "customer"
+    );
+
+    return (
+      enabledPrinters.find((p) => p.drawerHost) ||
+      customerPrinters.find((p) => p.isDefault) ||
+      customerPrinters[0] ||
+      null
+    );
+  }
+
+  /**
+   * Kick the cash drawer with an ESC p pulse and log why it was opened
+   * @param {Object} options - { reason, note, user, automatic }
+   */
+  async openCashDrawer({
+    reason = "other",
+    note = "",
+    user = "",
+    automatic = false,
+  } = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      reason,
+      note,
+      user,
+      automatic,
+      printer: null,
+      success: false,
+    };
+
+    try {
+      if (!this.isConnected) {
+        await this.initialize();
+      }
+
+      const drawerPrinter = await this.getDrawerPrinter();
+      if (!drawerPrinter?.systemName) {
+        throw new Error(
+          "No cash drawer printer configured or available. Please mark a printer as the drawer host in Settings > Printers."
+        );
+      }
+      entry.printer = drawerPrinter.systemName;
+
+      // ESC p m t1 t2 - pin 2 (m=0) or pin 5 (m=1), 50ms on / 500ms off
+      const pin = drawerPrinter.drawerPin === "5" ? "\x01" : "\x00";
+      const config = this.qzInstance.configs.create(drawerPrinter.systemName);
+      await this.qzInstance.print(config, [
+        {
+          type: "raw",
+          format: "command",
+          data: `\x1B\x70${pin}\x19\xFA`,
+        },
+      ]);
+
+      entry.success = true;
+      this.log("💰 Cash drawer opened:", entry);
+      return true;
+    } catch (error) {
+      this.log("❌ Cash drawer kick failed:", error);
+      throw error;
+    } finally {
+      this.logDrawerOpening(entry);
+    }
+  }
+
+  /**
+   * Append a drawer opening to the local audit log (newest first)
+   */
+  logDrawerOpening(entry) {
+    try {
+      const log = [entry, ...this.getCashDrawerLog()].slice(0, 200);
+      localStorage.setItem("cash_drawer_log", JSON.stringify(log));
+    } catch (error) {
+      this.log("⚠️ Failed to save cash drawer log:", error);
+    }
+  }
+
+  /**
+   * Get the cash drawer audit log from localStorage
+   */
+  getCashDrawerLog() {
+    try {
+      const stored = localStorage.getItem("cash_drawer_log");
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      this.log("⚠️ Failed to load cash drawer log:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get customer display (VFD pole) settings from localStorage
+   */
+  getCustomerDisplaySettings() {
+    const defaults = {
+      enabled: false,
+      port: "",
+      baudRate: 9600,
+      welcomeMessage: "WELCOME",
+    };
+
+    try {
+      const stored = localStorage.getItem("customer_display_settings");
+      return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+    } catch (error) {
+      this.log("⚠️ Failed to load customer display settings:", error);
+      return defaults;
+    }
+  }
+
+  /**
+   * Save customer display settings and close the previously opened port
+   */
+  async saveCustomerDisplaySettings(settings) {
+    try {
+      await this.closeCustomerDisplay();
+      localStorage.setItem(
+        "customer_display_settings",
+        JSON.stringify(settings)
+      );
+      this.log("💾 Customer display settings saved successfully");
+      return true;
+    } catch (error) {
+      this.log("❌ Failed to save customer display settings:", error);
+      return false;
+    }
+  }
+
+  /**
+   * List serial ports visible to QZ Tray
+   */
+  async getSerialPorts() {
+    if (!this.isConnected) {
+      await this.initialize();
+    }
+    return await this.qzInstance.serial.findPorts();
+  }
+
+  /**
+   * Write two 20-character lines to the customer display
+   * Silently does nothing when the display is disabled
+   */
+  async showOnCustomerDisplay(line1 = "", line2 = "") {
+    const settings = this.getCustomerDisplaySettings();
+    if (!settings.enabled || !settings.port) return false;
+
+    try {
+      if (!this.isConnected) {
+        await this.initialize();
+      }
+
+      if (this.customerDisplayPort !== settings.port) {
+        await this.qzInstance.serial.openPort(settings.port, {
+          baudRate: Number(settings.baudRate) || 9600,
+          dataBits: 8,
+          stopBits: 1,
+          parity: "NONE",
+          flowControl: "NONE",
+        });
+        this.customerDisplayPort = settings.port;
+      }
+
+      // VFDs only show ASCII, Arabic names are dropped
+      const fit = (text) =>
+        String(text)
+          .replace(/[^\x20-\x7E]/g, "")
+          .slice(0, 20)
+          .padEnd(20, " ");
+
+      // ESC @ init, CLR, line 1, US $ 1 2 cursor to row 2, line 2
+      await this.qzInstance.serial.sendData(
+        settings.port,
+        `\x1B\x40\x0C${fit(line1)}\x1F\x24\x01\x02${fit(line2)}`
+      );
+      return true;
+    } catch (error) {
+      this.log("⚠️ Customer display update failed:", error);
+      this.customerDisplayPort = null;
+      return false;
+    }
+  }
+
+  /**
+   * Show the last added item and the running total
+   */
+  async displayItemOnCustomerDisplay(item, total) {
+    const price = (Number(item.price) || 0) * (Number(item.quantity) || 1);
+    const amount = this.formatAmount(total, false);
+    const priceText = price.toFixed(2);
+    const name = String(item.name || "").slice(0, 19 - priceText.length);
+
+    return this.showOnCustomerDisplay(
+      `${name.padEnd(20 - priceText.length, " ")}${priceText}`,
+      `TOTAL${amount.padStart(15, " ")}`
+    );
+  }
+
+  /**
+   * Show the welcome message on an idle display
+   */
+  async displayWelcomeOnCustomerDisplay() {
+    const { welcomeMessage } = this.getCustomerDisplaySettings();
+    return this.showOnCustomerDisplay(
+      welcomeMessage || "WELCOME",
+      this.getReceiptSettings().header?.businessName || ""
+    );
+  }
+
+  /**
+   * Close the customer display serial port if it is open
+   */
+  async closeCustomerDisplay() {
+    if (!this.customerDisplayPort) return;
+    try {
+      await this.qzInstance.serial.closePort(this.customerDisplayPort);
+    } catch (error) {
+      this.log("⚠️ Failed to close customer display port:", error);
+    }
+    this.customerDisplayPort = null;
+  }
+
+  /**
+   * Find the saved printer config matching a system printer name
+   */
+  getPrinterConfig(printerName) {
+    if (!printerName) return null;
+    const target = printerName.toLowerCase();
+    const printers = this.getPrinterSettings();
+
+    return (
+      printers.find((printer) => printer.name?.toLowerCase() === target) ||
+      printers.find(
+        (printer) =>
+          printer.name &&
+          (target.includes(printer.name.toLowerCase()) ||
+            printer.name.toLowerCase().includes(target))
+      ) ||
+      null
+    );
+  }
+
   /**
    * Get printer settings (for cashier page compatibility)
    */
@@ -2020,6 +3807,25 @@ class ThermalPrintingService {
     }
   }
 
+  /**
+   * Move print history from a temporary offline order code to the code
+   * issued by the server, so reprints of synced orders are marked as copies
+   */
+  reconcileOrderCode(localCode, serverCode) {
+    if (!localCode || !serverCode || localCode === serverCode) return;
+
+    for (const [key, printedAt] of [...this.printHistory]) {
+      if (key.startsWith(`${localCode}-`)) {
+        this.printHistory.set(
+          `${serverCode}${key.slice(localCode.length)}`,
+          printedAt
+        );
+        this.printHistory.delete(key);
+      }
+    }
+    this.log(`🔄 Order ${localCode} synced as ${serverCode}`);
+  }
+
   /**
    * Log receipt HTML to console for debugging
    */
@@ -2080,6 +3886,7 @@ class ThermalPrintingService {
   async disconnect() {
     try {
       if (this.qzInstance && this.qzInstance.websocket.isActive()) {
+        await this.closeCustomerDisplay();
         await this.qzInstance.websocket.disconnect();
         this.log("📴 QZ Tray disconnected");
       }
@@ -2159,11 +3966,21 @@ class ThermalPrintingService {
           currency: "درهم",
           currencyEn: "AED",
         },
+        tax: {
+          defaultRate: 0,
+          pricesIncludeTax: false,
+        },
       };
 
-      return stored
-        ? { ...defaultSettings, ...JSON.parse(stored) }
-        : defaultSettings;
+      if (!stored) return defaultSettings;
+
+      const parsed = JSON.parse(stored);
+      return {
+        ...defaultSettings,
+        ...parsed,
+        // Templates saved before VAT settings existed still get them
+        tax: { ...defaultSettings.tax, ...(parsed.tax || {}) },
+      };
     } catch (error) {
       this.log("⚠️ Failed to load receipt settings:", error);
       return this.getDefaultReceiptSettings();
@@ -2216,6 +4033,10 @@ class ThermalPrintingService {
         currency: "درهم",
         currencyEn: "AED",
       },
+      tax: {
+        defaultRate: 0,
+        pricesIncludeTax: false,
+      },
     };
   }
 
@@ -0,0 +1,281 @@
+/**
+ * Realtime Client
+ * Keeps every till in the shop up to date with orders, payments and table
+ * occupancy made on other tills, without a manual reload.
+ *
+ * - Connects to REALTIME_URL: WebSocket for ws:// and wss:// URLs,
+ *   Server-Sent Events (EventSource) otherwise. Without it pages poll.
+ * - Authenticates with a short-lived, single-use ticket from
+ *   POST REALTIME_URL/ticket, so the auth token never appears in a URL
+ * - Each message is JSON: { type: "order:updated", data: {...} }
+ * - Events are dispatched into orderSlice, paymentSlice, tableSlice and
+ *   reservationSlice
+ * - Reconnects with exponential backoff; while the connection is down the
+ *   pages registered through onResync() are refreshed on an interval instead
+ * - Run `npm run mock:realtime` for a local event server (mock/realtime-server.js)
+ */
+
+import { REALTIME_URL } from "../utils/constants";
+import { upsertOrder, removeOrder } from "../store/orderSlice";
+import { upsertPayment } from "../store/paymentSlice";
+import { upsertTable, removeTable } from "../store/tableSlice";
+import {
+  upsertReservation,
+  removeReservation,
+  upsertWaitlistEntry,
+  removeWaitlistEntry,
+} from "../store/reservationSlice";
+
+const BASE_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+// Failed attempts before pages fall back to polling
+const FAILURES_BEFORE_POLLING = 2;
+const POLL_INTERVAL = 20000;
+
+class RealtimeClient {
+  constructor() {
+    this.dispatch = null;
+    this.connection = null;
+    this.status = "disconnected"; // "connecting" | "connected" | "polling" | "disconnected"
+    this.failures = 0;
+    this.reconnectTimer = null;
+    this.opening = false;
+    // Bumped on disconnect so a ticket still on its way is dropped
+    this.session = 0;
+    this.pollTimer = null;
+    this.statusListeners = new Set();
+    this.resyncListeners = new Set();
+  }
+
+  /**
+   * Start listening for events
+   * @param {Function} dispatch - Redux dispatch
+   */
+  connect(dispatch) {
+    this.dispatch = dispatch;
+    if (this.connection || this.reconnectTimer || this.opening) return;
+    this.open();
+  }
+
+  /**
+   * Stop listening (e.g. on logout)
+   */
+  disconnect() {
+    this.session += 1;
+    this.opening = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopPolling();
+    this.closeConnection();
+    this.failures = 0;
+    this.setStatus("disconnected");
+  }
+
+  /**
+   * Subscribe to connection status changes, returns an unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  /**
+   * Register a page refresh that runs on every poll while the connection is
+   * down, and once after reconnecting to catch up on missed events.
+   * Returns an unsubscribe function.
+   */
+  onResync(listener) {
+    this.resyncListeners.add(listener);
+    return () => this.resyncListeners.delete(listener);
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.statusListeners.forEach((listener) => listener(status));
+  }
+
+  resync() {
+    this.resyncListeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Build the connection URL. EventSource and WebSocket cannot send headers,
+   * so the token buys a connection ticket that goes in the query string
+   * instead; it is only good for one connection within a short time.
+   * Plain fetch keeps a missing event server from marking the API offline.
+   */
+  async getUrl() {
+    const url = new URL(REALTIME_URL, window.location.origin);
+    const ticketUrl = new URL(url);
+    ticketUrl.protocol = ticketUrl.protocol.replace(/^ws/i, "http");
+    ticketUrl.pathname = `${ticketUrl.pathname.replace(/\/$/, "")}/ticket`;
+
+    const token = localStorage.getItem("token");
+    const response = await fetch(ticketUrl, {
+      method: "POST",
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    if (!response.ok) {
+      throw new Error(`Realtime ticket request failed (${response.status})`);
+    }
+    const body = await response.json();
+    url.searchParams.set("ticket", body.data?.ticket);
+    return url.toString();
+  }
+
+  async open() {
+    if (!REALTIME_URL) {
+      this.startPolling();
+      return;
+    }
+
+    if (this.status !== "polling") this.setStatus("connecting");
+
+    const session = this.session;
+    this.opening = true;
+    try {
+      const url = await this.getUrl();
+      // Disconnected while the ticket was on its way
+      if (session !== this.session) return;
+
+      if (/^wss?:/i.test(url)) {
+        const socket = new WebSocket(url);
+        socket.onopen = () => this.handleOpen();
+        socket.onmessage = (event) => this.handleMessage(event.data);
+        socket.onclose = () => this.handleFailure();
+        this.connection = socket;
+      } else {
+        const source = new EventSource(url);
+        source.onopen = () => this.handleOpen();
+        source.onmessage = (event) => this.handleMessage(event.data);
+        // EventSource retries on its own, we close it and use our backoff
+        source.onerror = () => this.handleFailure();
+        this.connection = source;
+      }
+    } catch (error) {
+      if (session !== this.session) return;
+      console.warn("⚠️ Realtime connection failed:", error);
+      this.handleFailure();
+    } finally {
+      if (session === this.session) this.opening = false;
+    }
+  }
+
+  closeConnection() {
+    if (!this.connection) return;
+    const connection = this.connection;
+    this.connection = null;
+    connection.onopen = null;
+    connection.onmessage = null;
+    connection.onerror = null;
+    connection.onclose = null;
+    connection.close();
+  }
+
+  handleOpen() {
+    const wasDown = this.failures > 0 || this.status === "polling";
+    this.failures = 0;
+    this.stopPolling();
+    this.setStatus("connected");
+    // Fetch whatever happened while we were not listening
+    if (wasDown) this.resync();
+  }
+
+  handleFailure() {
+    this.closeConnection();
+    this.failures += 1;
+
+    if (this.failures >= FAILURES_BEFORE_POLLING) {
+      this.startPolling();
+    } else {
+      this.setStatus("connecting");
+    }
+
+    // Exponential backoff: 1s, 2s, 4s ... capped at 30s
+    const delay = Math.min(
+      BASE_RECONNECT_DELAY * 2 ** (this.failures - 1),
+      MAX_RECONNECT_DELAY
+    );
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.open();
+    }, delay);
+  }
+
+  startPolling() {
+    this.setStatus("polling");
+    if (this.pollTimer) return;
+    this.resync();
+    this.pollTimer = setInterval(() => this.resync(), POLL_INTERVAL);
+  }
+
+  stopPolling() {
+    if (!this.pollTimer) return;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Dispatch a single event into the store
+   * @param {string} raw - Message payload
+   */
+  handleMessage(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (error) {
+      console.warn("⚠️ Ignoring malformed realtime event:", error);
+      return;
+    }
+
+    const { type, data } = event || {};
+    if (!type || !data || !this.dispatch) return;
+
+    switch (type) {
+      case "order:created":
+      case "order:updated":
+        this.dispatch(upsertOrder(data));
+        break;
+      case "order:deleted":
+        this.dispatch(removeOrder(data._id));
+        break;
+      case "payment:created":
+      case "payment:updated":
+        this.dispatch(upsertPayment(data));
+        break;
+      case "table:created":
+      case "table:updated":
+        this.dispatch(upsertTable(data));
+        break;
+      case "table:deleted":
+        this.dispatch(removeTable(data));
+        break;
+      case "reservation:created":
+      case "reservation:updated":
+        this.dispatch(upsertReservation(data));
+        break;
+      case "reservation:deleted":
+        this.dispatch(removeReservation(data._id));
+        break;
+      case "waitlist:created":
+      case "waitlist:updated":
+        this.dispatch(upsertWaitlistEntry(data));
+        break;
+      case "waitlist:deleted":
+        this.dispatch(removeWaitlistEntry(data._id));
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+const realtime = new RealtimeClient();
+
+export default realtime;
@@ -0,0 +1,243 @@
+/**
+ * Settings API
+ * Keeps printer configs (per device), receipt templates, payment tenders and
+ * discount rules (per branch) on the backend so a new till or a cleared browser picks them up again.
+ * localStorage stays the working copy used by the printing service.
+ */
+
+import api from "./api";
+import { API_ENDPOINTS } from "../utils/constants";
+
+const DEVICE_ID_KEY = "device_id";
+const DEVICE_NAME_KEY = "device_name";
+const BACKUP_VERSION = 1;
+
+/**
+ * Stable id of this till, created on first use
+ * @returns {string}
+ */
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = `device_${Date.now().toString(36)}_${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Human readable name of this till (e.g. "Front counter")
+ * @returns {string}
+ */
+export const getDeviceName = () => localStorage.getItem(DEVICE_NAME_KEY) || "";
+
+/**
+ * Save the name of this till
+ * @param {string} name - Device name
+ */
+export const setDeviceName = (name) => {
+  localStorage.setItem(DEVICE_NAME_KEY, name);
+};
+
+/**
+ * Branch the logged in user works at, "default" for single branch setups
+ * @param {Object} user - Logged in user
+ * @returns {string}
+ */
+export const getBranchId = (user) =>
+  user?.branch?._id || user?.branchId || user?.branch || "default";
+
+/**
+ * Get the printer configs saved for a device
+ * @param {string} deviceId - Device id
+ * @returns {Promise<Object|null>} - {deviceId, deviceName, printers, updatedAt}
+ * or null when the device has never been synced
+ */
+export const fetchDevicePrinters = async (deviceId) => {
+  try {
+    const response = await api.get(
+      `${API_ENDPOINTS.SETTINGS}/printers/${deviceId}`
+    );
+    return response.data.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save the printer configs of a device
+ * @param {string} deviceId - Device id
+ * @param {Object} data - {deviceName, printers}
+ * @returns {Promise<Object>}
+ */
+export const saveDevicePrinters = async (deviceId, data) => {
+  const response = await api.put(
+    `${API_ENDPOINTS.SETTINGS}/printers/${deviceId}`,
+    data
+  );
+  return response.data.data;
+};
+
+/**
+ * Get the receipt template of a branch
+ * @param {string} branchId - Branch id
+ * @returns {Promise<Object|null>} - {branchId, receiptSettings, updatedAt}
+ * or null when the branch has no template yet
+ */
+export const fetchBranchReceipt = async (branchId) => {
+  try {
+    const response = await api.get(
+      `${API_ENDPOINTS.SETTINGS}/receipt/${branchId}`
+    );
+    return response.data.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save the receipt template of a branch
+ * @param {string} branchId - Branch id
+ * @param {Object} receiptSettings - Header, footer and display settings
+ * @returns {Promise<Object>}
+ */
+export const saveBranchReceipt = async (branchId, receiptSettings) => {
+  const response = await api.put(
+    `${API_ENDPOINTS.SETTINGS}/receipt/${branchId}`,
+    { receiptSettings }
+  );
+  return response.data.data;
+};
+
+/**
+ * Get the payment tender registry of a branch
+ * @param {string} branchId - Branch id
+ * @returns {Promise<Object|null>} - {branchId, tenders, updatedAt}
+ * or null when the branch has no registry yet
+ */
+export const fetchBranchTenders = async (branchId) => {
+  try {
+    const response = await api.get(
+      `${API_ENDPOINTS.SETTINGS}/tenders/${branchId}`
+    );
+    return response.data.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save the payment tender registry of a branch
+ * @param {string} branchId - Branch id
+ * @param {Array} tenders - Tender list
+ * @returns {Promise<Object>}
+ */
+export const saveBranchTenders = async (branchId, tenders) => {
+  const response = await api.put(
+    `${API_ENDPOINTS.SETTINGS}/tenders/${branchId}`,
+    { tenders }
+  );
+  return response.data.data;
+};
+
+/**
+ * Get the discount rules of a branch
+ * @param {string} branchId - Branch id
+ * @returns {Promise<Object|null>} - {branchId, rules, approvalThreshold,
+ * updatedAt} or null when the branch has no rules yet
+ */
+export const fetchBranchDiscounts = async (branchId) => {
+  try {
+    const response = await api.get(
+      `${API_ENDPOINTS.SETTINGS}/discounts/${branchId}`
+    );
+    return response.data.data || null;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Save the discount rules of a branch. Usage counts are left out: the
+ * backend counts promo code uses with the payments and owns the numbers.
+ * @param {string} branchId - Branch id
+ * @param {Object} settings - {rules, approvalThreshold}
+ * @returns {Promise<Object>}
+ */
+export const saveBranchDiscounts = async (branchId, settings) => {
+  const rules = (settings.rules || []).map((rule) => {
+    const ruleData = { ...rule };
+    delete ruleData.usageCount;
+    return ruleData;
+  });
+  const response = await api.put(
+    `${API_ENDPOINTS.SETTINGS}/discounts/${branchId}`,
+    { ...settings, rules }
+  );
+  return response.data.data;
+};
+
+/**
+ * Build the JSON backup of this device's printers and receipt template
+ * @param {Object} settings - {printers, receiptSettings}
+ * @returns {Object}
+ */
+export const createSettingsBackup = ({ printers, receiptSettings }) => ({
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  deviceId: getDeviceId(),
+  deviceName: getDeviceName(),
+  printers,
+  receiptSettings,
+});
+
+/**
+ * Validate a JSON backup and return the settings it contains
+ * @param {string} text - File contents
+ * @returns {{printers: Array|null, receiptSettings: Object|null}}
+ * @throws {Error} - When the file is not a settings backup
+ */
+export const parseSettingsBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON (${error.message})`);
+  }
+
+  const printers = Array.isArray(backup?.printers) ? backup.printers : null;
+  const receiptSettings =
+    backup?.receiptSettings && typeof backup.receiptSettings === "object"
+      ? backup.receiptSettings
+      : null;
+
+  if (!printers && !receiptSettings) {
+    throw new Error("The file does not contain printer or receipt settings");
+  }
+
+  return { printers, receiptSettings };
+};
+
+/**
+ * Download a settings backup as a JSON file
+ * @param {Object} backup - Backup created by createSettingsBackup
+ */
+export const downloadSettingsBackup = (backup) => {
+  const blob = new Blob([JSON.stringify(backup, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `printer-settings-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,278 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api from "../services/api";
+import { fetchHistory } from "../services/history";
+import { API_ENDPOINTS } from "../utils/constants";
+import { hasAddress, isSamePhone } from "../utils/customers";
+
+// Async thunk for fetching the customer directory
+export const fetchCustomers = createAsyncThunk(
+  "customer/fetchCustomers",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.CUSTOMERS);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch customers" }
+      );
+    }
+  }
+);
+
+// Async thunk for loading the recent orders the customer history and totals
+// are worked out from
+export const fetchCustomerOrders = createAsyncThunk(
+  "customer/fetchCustomerOrders",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await fetchHistory(API_ENDPOINTS.ORDER);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch customer orders" }
+      );
+    }
+  }
+);
+
+// Async thunk for adding a customer
+export const createCustomer = createAsyncThunk(
+  "customer/createCustomer",
+  async (customerData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(API_ENDPOINTS.CUSTOMERS, customerData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to add customer" }
+      );
+    }
+  }
+);
+
+// Async thunk for updating a customer
+export const updateCustomer = createAsyncThunk(
+  "customer/updateCustomer",
+  async ({ customerId, customerData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(
+        `${API_ENDPOINTS.CUSTOMERS}/${customerId}`,
+        customerData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update customer" }
+      );
+    }
+  }
+);
+
+// Async thunk for deleting a customer
+export const deleteCustomer = createAsyncThunk(
+  "customer/deleteCustomer",
+  async (customerId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(
+        `${API_ENDPOINTS.CUSTOMERS}/${customerId}`
+      );
+      return { customerId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to delete customer" }
+      );
+    }
+  }
+);
+
+// Async thunk for merging duplicate customers into one. The merged record
+// (combined addresses and notes) is sent along; the backend deletes the
+// duplicates.
+export const mergeCustomers = createAsyncThunk(
+  "customer/mergeCustomers",
+  async ({ primaryId, duplicateIds, customerData }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`${API_ENDPOINTS.CUSTOMERS}/merge`, {
+        primaryId,
+        duplicateIds,
+        customerData,
+      });
+      return { duplicateIds, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to merge customers" }
+      );
+    }
+  }
+);
+
+// Async thunk for remembering the customer of a delivery or takeaway
+// order: new phone numbers become customers, new addresses are added to
+// the existing customer
+export const saveCustomerFromOrder = createAsyncThunk(
+  "customer/saveCustomerFromOrder",
+  async (
+    { custName, custPhone, custAddress },
+    { getState, dispatch, rejectWithValue }
+  ) => {
+    const phone = String(custPhone || "").trim();
+    const address = String(custAddress || "").trim();
+    if (!phone) return null;
+
+    const existing = getState().customer.customers.find((customer) =>
+      isSamePhone(customer.phone, phone)
+    );
+
+    try {
+      if (!existing) {
+        return await dispatch(
+          createCustomer({
+            name: String(custName || "").trim(),
+            phone,
+            addresses: address ? [{ label: "", address }] : [],
+            notes: "",
+          })
+        ).unwrap();
+      }
+
+      const needsName = !existing.name && custName;
+      const needsAddress = address && !hasAddress(existing, address);
+      if (!needsName && !needsAddress) return null;
+
+      return await dispatch(
+        updateCustomer({
+          customerId: existing._id,
+          customerData: {
+            ...(needsName && { name: String(custName).trim() }),
+            ...(needsAddress && {
+              addresses: [
+                ...(existing.addresses || []),
+                { label: "", address },
+              ],
+            }),
+          },
+        })
+      ).unwrap();
+    } catch (error) {
+      return rejectWithValue(error);
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  customers: [],
+  // Recent orders, for each customer's history and totals
+  orders: [],
+  loading: false,
+  error: null,
+  searchTerm: "",
+};
+
+// Customer slice
+const customerSlice = createSlice({
+  name: "customer",
+  initialState,
+  reducers: {
+    clearCustomerError: (state) => {
+      state.error = null;
+    },
+    setSearchTerm: (state, action) => {
+      state.searchTerm = action.payload;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch customer orders
+      .addCase(fetchCustomerOrders.fulfilled, (state, action) => {
+        state.orders = action.payload;
+      })
+      .addCase(fetchCustomerOrders.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to fetch customer orders";
+      })
+
+      // Fetch customers
+      .addCase(fetchCustomers.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCustomers.fulfilled, (state, action) => {
+        state.loading = false;
+        state.customers = action.payload.data || [];
+      })
+      .addCase(fetchCustomers.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch customers";
+      })
+
+      // Add customer
+      .addCase(createCustomer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createCustomer.fulfilled, (state, action) => {
+        state.loading = false;
+        if (action.payload.data) state.customers.push(action.payload.data);
+      })
+      .addCase(createCustomer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to add customer";
+      })
+
+      // Update customer
+      .addCase(updateCustomer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateCustomer.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.customers.findIndex(
+          (customer) => customer._id === action.payload.data?._id
+        );
+        if (index !== -1) {
+          state.customers[index] = action.payload.data;
+        }
+      })
+      .addCase(updateCustomer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to update customer";
+      })
+
+      // Delete customer
+      .addCase(deleteCustomer.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteCustomer.fulfilled, (state, action) => {
+        state.loading = false;
+        state.customers = state.customers.filter(
+          (customer) => customer._id !== action.payload.customerId
+        );
+      })
+      .addCase(deleteCustomer.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to delete customer";
+      })
+
+      // Merge customers
+      .addCase(mergeCustomers.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(mergeCustomers.fulfilled, (state, action) => {
+        state.loading = false;
+        const { duplicateIds, data } = action.payload;
+        state.customers = state.customers
+          .filter((customer) => !duplicateIds.includes(customer._id))
+          .map((customer) => (customer._id === data?._id ? data : customer));
+      })
+      .addCase(mergeCustomers.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to merge customers";
+      });
+  },
+});
+
+// Export actions and reducer
+export const { clearCustomerError, setSearchTerm } = customerSlice.actions;
+export default customerSlice.reducer;
@@ -0,0 +1,65 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { startOfDay, endOfDay, subDays } from "date-fns";
+import { fetchHistory } from "../services/history";
+import { API_ENDPOINTS } from "../utils/constants";
+
+// Async thunk for loading the orders and payments of the dashboard range,
+// plus yesterday's and today's payments for the revenue comparison
+export const fetchDashboardData = createAsyncThunk(
+  "dashboard/fetchDashboardData",
+  async (range, { rejectWithValue }) => {
+    try {
+      const today = new Date();
+      const [orders, payments, recentPayments] = await Promise.all([
+        fetchHistory(API_ENDPOINTS.ORDER, range),
+        fetchHistory(API_ENDPOINTS.PAYMENT, range),
+        fetchHistory(API_ENDPOINTS.PAYMENT, {
+          start: startOfDay(subDays(today, 1)),
+          end: endOfDay(today),
+        }),
+      ]);
+      return { orders, payments, recentPayments };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch dashboard data" }
+      );
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  orders: [],
+  payments: [],
+  recentPayments: [],
+  loading: false,
+  error: null,
+};
+
+// Dashboard slice, kept apart from the cashier's orders and payments
+const dashboardSlice = createSlice({
+  name: "dashboard",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchDashboardData.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchDashboardData.fulfilled, (state, action) => {
+        state.loading = false;
+        state.orders = action.payload.orders;
+        state.payments = action.payload.payments;
+        state.recentPayments = action.payload.recentPayments;
+      })
+      .addCase(fetchDashboardData.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch dashboard data";
+      });
+  },
+});
+
+// Export reducer
+export default dashboardSlice.reducer;
@@ -0,0 +1,120 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getBranchId,
+  fetchBranchDiscounts,
+  saveBranchDiscounts,
+} from "../services/settingsApi";
+import {
+  DISCOUNTS_STORAGE_KEY,
+  getStoredDiscountSettings,
+  normalizeDiscountSettings,
+  storeDiscountSettings,
+} from "../utils/discounts";
+
+const getErrorPayload = (error, message) =>
+  error.response?.data || { message: error.message || message };
+
+// Async thunk for pulling the branch discount rules into localStorage.
+// Promo code usage counts come from the backend, so syncing refreshes them.
+export const syncDiscounts = createAsyncThunk(
+  "discount/syncDiscounts",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const branchId = getBranchId(getState().auth.user);
+      const branchDiscounts = await fetchBranchDiscounts(branchId);
+
+      if (branchDiscounts?.rules) {
+        const settings = normalizeDiscountSettings(branchDiscounts);
+        storeDiscountSettings(settings);
+        return settings;
+      }
+
+      const { rules, approvalThreshold } = getState().discount;
+      if (localStorage.getItem(DISCOUNTS_STORAGE_KEY)) {
+        await saveBranchDiscounts(branchId, { rules, approvalThreshold });
+      }
+      return { rules, approvalThreshold };
+    } catch (error) {
+      return rejectWithValue(
+        getErrorPayload(error, "Failed to sync discount rules")
+      );
+    }
+  }
+);
+
+// Async thunk for saving the discount rules of the user's branch. The local
+// copy is saved first so the till keeps working when the backend is down.
+export const saveDiscounts = createAsyncThunk(
+  "discount/saveDiscounts",
+  async (settings, { getState, rejectWithValue }) => {
+    const normalized = normalizeDiscountSettings(settings);
+    storeDiscountSettings(normalized);
+    try {
+      await saveBranchDiscounts(getBranchId(getState().auth.user), normalized);
+      return normalized;
+    } catch (error) {
+      return rejectWithValue({
+        ...getErrorPayload(error, "Failed to save discount rules"),
+        settings: normalized,
+      });
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  ...getStoredDiscountSettings(),
+  loading: false,
+  error: null,
+};
+
+// Discount slice
+const discountSlice = createSlice({
+  name: "discount",
+  initialState,
+  reducers: {
+    clearDiscountError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(syncDiscounts.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(syncDiscounts.fulfilled, (state, action) => {
+        state.loading = false;
+        state.rules = action.payload.rules;
+        state.approvalThreshold = action.payload.approvalThreshold;
+      })
+      .addCase(syncDiscounts.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to sync discount rules";
+      })
+      .addCase(saveDiscounts.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(saveDiscounts.fulfilled, (state, action) => {
+        state.loading = false;
+        state.rules = action.payload.rules;
+        state.approvalThreshold = action.payload.approvalThreshold;
+      })
+      .addCase(saveDiscounts.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to save discount rules";
+        // Saved on this till even though the branch copy failed
+        if (action.payload?.settings) {
+          state.rules = action.payload.settings.rules;
+          state.approvalThreshold = action.payload.settings.approvalThreshold;
+        }
+      });
+  },
+});
+
+// Export actions and reducer
+export const { clearDiscountError } = discountSlice.actions;
+export default discountSlice.reducer;
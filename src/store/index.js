@@ -10,6 +10,21 @@ import userReducer from "./userSlice";
 import stockReducer from "./stockSlice";
 import shiftReducer, { resetShiftState } from "./shiftSlice";
 import tableReducer from "./tableSlice";
+import kitchenNotesReducer from "./kitchenNotesSlice";
+import settingsReducer from "./settingsSlice";
+import refundReducer from "./refundSlice";
+import tenderReducer from "./tenderSlice";
+import discountReducer from "./discountSlice";
+import customerReducer from "./customerSlice";
+import reservationReducer from "./reservationSlice";
+import supplierReducer from "./supplierSlice";
+import dashboardReducer from "./dashboardSlice";
+import syncReducer, {
+  loadOutbox,
+  syncOutbox,
+  setOnlineStatus,
+} from "./syncSlice";
+import { isOnline, onConnectivityChange } from "../services/api";
 
 const rootReducer = combineReducers({
   auth: authReducer,
@@ -21,6 +36,16 @@ const rootReducer = combineReducers({
   stock: stockReducer,
   shift: shiftReducer,
   table: tableReducer,
+  sync: syncReducer,
+  kitchenNotes: kitchenNotesReducer,
+  settings: settingsReducer,
+  refund: refundReducer,
+  tender: tenderReducer,
+  discount: discountReducer,
+  customer: customerReducer,
+  reservation: reservationReducer,
+  supplier: supplierReducer,
+  dashboard: dashboardReducer,
 });
 
 // Middleware to reset shift state on logout
@@ -41,4 +66,18 @@ const store = configureStore({
     getDefaultMiddleware().concat(logoutMiddleware),
 });
 
+// Load the offline outbox and replay it whenever the backend is reachable again
+store.dispatch(loadOutbox()).then(() => {
+  if (isOnline()) {
+    store.dispatch(syncOutbox());
+  }
+});
+
+onConnectivityChange((online) => {
+  store.dispatch(setOnlineStatus(online));
+  if (online) {
+    store.dispatch(syncOutbox());
+  }
+});
+
 export default store;
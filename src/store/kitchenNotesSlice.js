@@ -0,0 +1,79 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+// Quick-note presets offered when adding kitchen notes to an order
+const PRESETS_STORAGE_KEY = "kitchen_note_presets";
+
+const DEFAULT_PRESETS = [
+  "No onions",
+  "Extra tahini",
+  "No spicy",
+  "Well done",
+  "Sauce on the side",
+];
+
+const loadPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : DEFAULT_PRESETS;
+  } catch (error) {
+    console.error("Error loading kitchen note presets:", error);
+    return DEFAULT_PRESETS;
+  }
+};
+
+const savePresets = (presets) => {
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+};
+
+// Initial state
+const initialState = {
+  presets: loadPresets(),
+};
+
+// Kitchen notes slice
+const kitchenNotesSlice = createSlice({
+  name: "kitchenNotes",
+  initialState,
+  reducers: {
+    addNotePreset: (state, action) => {
+      const preset = action.payload.trim();
+      if (!preset || state.presets.includes(preset)) return;
+      state.presets.push(preset);
+      savePresets(state.presets);
+    },
+    updateNotePreset: (state, action) => {
+      const { index, value } = action.payload;
+      const preset = value.trim();
+      if (!preset || index < 0 || index >= state.presets.length) return;
+      state.presets[index] = preset;
+      savePresets(state.presets);
+    },
+    removeNotePreset: (state, action) => {
+      state.presets = state.presets.filter(
+        (_, index) => index !== action.payload
+      );
+      savePresets(state.presets);
+    },
+    moveNotePreset: (state, action) => {
+      const { from, to } = action.payload;
+      if (to < 0 || to >= state.presets.length) return;
+      const [preset] = state.presets.splice(from, 1);
+      state.presets.splice(to, 0, preset);
+      savePresets(state.presets);
+    },
+    resetNotePresets: (state) => {
+      state.presets = DEFAULT_PRESETS;
+      savePresets(state.presets);
+    },
+  },
+});
+
+export const {
+  addNotePreset,
+  updateNotePreset,
+  removeNotePreset,
+  moveNotePreset,
+  resetNotePresets,
+} = kitchenNotesSlice.actions;
+
+export default kitchenNotesSlice.reducer;
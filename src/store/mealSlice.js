@@ -1,11 +1,12 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import api from "../services/api";
 import { API_ENDPOINTS } from "../utils/constants";
+import { normalizeModifierGroups } from "../utils/modifiers";
 
 // Constants for localStorage
 const MEALS_CACHE_KEY = "bakery_meals_cache";
 const MEALS_CACHE_EXPIRY = 5 * 60 * 60 * 1000; // 5 hours in milliseconds
-const CACHE_VERSION = "v2"; // Version to force cache refresh after ingredient fix
+const CACHE_VERSION = "v3"; // Version to force cache refresh after adding modifier groups
 
 // Utility function to normalize meal data from different API endpoints
 const normalizeMealData = (meal) => {
@@ -35,6 +36,8 @@ const normalizeMealData = (meal) => {
               ""
             : ""),
       })) || [],
+    // Ensure modifier groups always exist with numeric min/max and deltas
+    modifierGroups: normalizeModifierGroups(meal.modifierGroups),
   };
 };
 
@@ -80,6 +83,7 @@ const setCachedMeals = (meals) => {
       isAvailable: meal.isAvailable,
       // Include ingredients to preserve them in cache
       ingredients: meal.ingredients || [],
+      modifierGroups: meal.modifierGroups || [],
     }));
 
     const cacheData = {
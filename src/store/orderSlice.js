@@ -1,28 +1,113 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
-import api from "../services/api";
+import api, { isOnline, isNetworkError } from "../services/api";
+import offlineOutbox, {
+  createLocalId,
+  createLocalOrderCode,
+  isLocalId,
+} from "../services/offlineQueue";
 import { API_ENDPOINTS } from "../utils/constants";
-import { processPayment as processPaymentAction } from "./paymentSlice";
+import {
+  processPayment as processPaymentAction,
+  upsertPayment,
+} from "./paymentSlice";
 import { invalidateMealsCache } from "./mealSlice";
+import { getModifiersPriceDelta } from "../utils/modifiers";
+import { applyKitchenStatus } from "../utils/kitchenStatus";
+import { applyDeliveryUpdate } from "../utils/delivery";
+
+// Message returned when editing an order that only exists locally
+const PENDING_SYNC_MESSAGE =
+  "This order is waiting to be synced and cannot be changed yet";
+
+// Build a local order that mirrors the server shape so the cashier flow
+// (selection, payment, receipts) keeps working while offline
+const buildLocalOrder = (orderPayload, meals, user) => {
+  const localId = createLocalId();
+  const orderItemsData = [];
+
+  const orderItems = orderPayload.orderItems.map((item, index) => {
+    const meal = meals.find((m) => m._id === item.mealId);
+    if (meal && !orderItemsData.some((m) => m._id === meal._id)) {
+      orderItemsData.push(meal);
+    }
+    return {
+      _id: `${localId}_${index}`,
+      mealId: item.mealId,
+      quantity: item.quantity,
+      price: (meal?.price || 0) + getModifiersPriceDelta(item.modifiers),
+      modifiers: item.modifiers || [],
+      note: item.note || "",
+      isCancelled: false,
+    };
+  });
+
+  const subtotalPrice = orderItems.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+
+  return {
+    ...orderPayload,
+    _id: localId,
+    orderCode: createLocalOrderCode(),
+    orderItems,
+    orderItemsData,
+    subtotalPrice,
+    discount: 0,
+    totalPrice: subtotalPrice,
+    isPaid: false,
+    isCancelled: false,
+    cashierId: user?._id,
+    createdAt: new Date().toISOString(),
+    isOffline: true,
+  };
+};
 
 // Async thunk for creating an order
 export const createOrder = createAsyncThunk(
   "order/createOrder",
   async (
-    { orderItems, type, custName, custPhone, custAddress, tableNumber },
-    { rejectWithValue }
+    { orderItems, type, custName, custPhone, custAddress, tableNumber, note },
+    { rejectWithValue, getState }
   ) => {
-    try {
-      const orderPayload = {
-        orderItems,
-        type,
-        custName,
-        custPhone,
-        custAddress,
-      };
+    const orderPayload = {
+      orderItems,
+      type,
+      custName,
+      custPhone,
+      custAddress,
+    };
 
-      // Only add tableNumber if it exists
-      if (tableNumber !== undefined && tableNumber !== null) {
-        orderPayload.tableNumber = tableNumber;
+    // Only add tableNumber if it exists
+    if (tableNumber !== undefined && tableNumber !== null) {
+      orderPayload.tableNumber = tableNumber;
+    }
+
+    // Order-level kitchen note
+    if (note) {
+      orderPayload.note = note;
+    }
+
+    // Record the order in the offline outbox so the sale is not lost
+    const queueOrder = async () => {
+      const { meals, auth } = getState();
+      const localOrder = buildLocalOrder(
+        orderPayload,
+        meals.meals || [],
+        auth.user
+      );
+      const outboxEntry = await offlineOutbox.enqueue({
+        kind: "order",
+        localId: localOrder._id,
+        localCode: localOrder.orderCode,
+        payload: orderPayload,
+      });
+      return { data: localOrder, offline: true, outboxEntry };
+    };
+
+    try {
+      if (!isOnline()) {
+        return await queueOrder();
       }
 
       const response = await api.post(API_ENDPOINTS.ORDER, orderPayload);
@@ -32,8 +117,17 @@ export const createOrder = createAsyncThunk(
 
       return response.data;
     } catch (error) {
+      if (isNetworkError(error)) {
+        try {
+          return await queueOrder();
+        } catch (queueError) {
+          console.error("Failed to queue offline order:", queueError);
+        }
+      }
       return rejectWithValue(
-        error.response?.data || { message: "Failed to create order" }
+        error.response?.data || {
+          message: error.message || "Failed to create order",
+        }
       );
     }
   }
@@ -77,13 +171,17 @@ export const fetchAllOrders = createAsyncThunk(
   }
 );
 
-// Async thunk for deleting a meal from an order
+// Async thunk for deleting one line (by order item _id) from an order
 export const deleteMealFromOrder = createAsyncThunk(
   "order/deleteMealFromOrder",
-  async ({ orderId, mealId }, { rejectWithValue }) => {
+  async ({ orderId, orderItemId }, { rejectWithValue }) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
     try {
       const response = await api.delete(`${API_ENDPOINTS.ORDER}/${orderId}`, {
-        data: { mealId },
+        data: { orderItemId },
       });
 
       // Invalidate meals cache since ingredients/stock may have changed
@@ -98,13 +196,23 @@ export const deleteMealFromOrder = createAsyncThunk(
   }
 );
 
-// Async thunk for adding a meal to an order
+// Async thunk for adding a meal to an order, or setting the quantity of an
+// existing line when its order item _id is given
 export const addMealToOrder = createAsyncThunk(
   "order/addMealToOrder",
-  async ({ orderId, mealId, quantity, note }, { rejectWithValue }) => {
+  async (
+    { orderId, orderItemId, mealId, quantity, note, modifiers },
+    { rejectWithValue }
+  ) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
     try {
       const payload = { mealId, quantity };
+      if (orderItemId) payload.orderItemId = orderItemId;
       if (note) payload.note = note;
+      if (modifiers?.length > 0) payload.modifiers = modifiers;
 
       const response = await api.patch(
         `${API_ENDPOINTS.ORDER}/${orderId}`,
@@ -159,6 +267,10 @@ export const getOrderByCode = createAsyncThunk(
 export const cancelOrder = createAsyncThunk(
   "order/cancelOrder",
   async (orderId, { rejectWithValue }) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
     try {
       const response = await api.patch(
         `${API_ENDPOINTS.ORDER}/${orderId}/cancel`
@@ -176,10 +288,152 @@ export const cancelOrder = createAsyncThunk(
   }
 );
 
+// Async thunk for moving an open dine-in order to another table. The
+// backend frees the old table and occupies the new one.
+export const moveOrderToTable = createAsyncThunk(
+  "order/moveOrderToTable",
+  async ({ orderId, tableNumber }, { rejectWithValue }) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.ORDER}/${orderId}/table`,
+        { tableNumber }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to move order" }
+      );
+    }
+  }
+);
+
+// Async thunk for merging open orders into one: the items of the source
+// orders are added to the target order and the source orders are closed,
+// freeing their tables
+export const mergeOrders = createAsyncThunk(
+  "order/mergeOrders",
+  async ({ orderId, sourceOrderIds }, { rejectWithValue }) => {
+    if ([orderId, ...sourceOrderIds].some(isLocalId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
+    try {
+      const response = await api.post(
+        `${API_ENDPOINTS.ORDER}/${orderId}/merge`,
+        { orderIds: sourceOrderIds }
+      );
+      return { sourceOrderIds, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to merge orders" }
+      );
+    }
+  }
+);
+
+// Async thunk for moving an order (or one of its items) through the kitchen
+// states new -> preparing -> ready
+export const updateKitchenStatus = createAsyncThunk(
+  "order/updateKitchenStatus",
+  async ({ orderId, itemId, status }, { rejectWithValue }) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
+    try {
+      const payload = { status };
+      if (itemId) payload.itemId = itemId;
+
+      const response = await api.patch(
+        `${API_ENDPOINTS.ORDER}/${orderId}/kitchen-status`,
+        payload
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update kitchen status" }
+      );
+    }
+  }
+);
+
+// Async thunk for moving a delivery order through the dispatch states
+// awaiting -> assigned -> out_for_delivery -> delivered | failed.
+// Assigning sends the driver; delivering sends the cash collected at the door.
+export const updateDeliveryStatus = createAsyncThunk(
+  "order/updateDeliveryStatus",
+  async (
+    { orderId, status, driverId, driverName, collectedAmount, reason },
+    { rejectWithValue }
+  ) => {
+    if (isLocalId(orderId)) {
+      return rejectWithValue({ message: PENDING_SYNC_MESSAGE });
+    }
+
+    try {
+      const payload = { status };
+      if (driverId) payload.driverId = driverId;
+      if (driverName) payload.driverName = driverName;
+      if (collectedAmount !== undefined) {
+        payload.collectedAmount = collectedAmount;
+      }
+      if (reason) payload.reason = reason;
+
+      const response = await api.patch(
+        `${API_ENDPOINTS.ORDER}/${orderId}/delivery`,
+        payload
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update delivery status" }
+      );
+    }
+  }
+);
+
+// Async thunk for settling the cash-on-delivery a driver hands over at the
+// end of the shift. The backend records the cash payments of the settled
+// orders and the difference between expected and received cash.
+export const settleDriverCash = createAsyncThunk(
+  "order/settleDriverCash",
+  async (
+    { driverId, orderIds, expectedAmount, receivedAmount, shiftId },
+    { rejectWithValue }
+  ) => {
+    try {
+      const response = await api.post(
+        `${API_ENDPOINTS.ORDER}/delivery/settle`,
+        { driverId, orderIds, expectedAmount, receivedAmount, shiftId }
+      );
+      return { orderIds, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to settle driver cash" }
+      );
+    }
+  }
+);
+
+// Whether an order created elsewhere belongs in the list loaded by the last
+// fetchAllOrders call (history searches and past dates are left alone)
+const matchesOrdersQuery = (order, query) =>
+  !query.date &&
+  !query.search &&
+  (query.status !== "cancelled" || order.isCancelled) &&
+  (!query.shiftId || order.shiftId === query.shiftId) &&
+  (!query.cashierId || order.cashierId === query.cashierId);
+
 // Initial state
 const initialState = {
   currentOrder: null,
   orders: [],
+  // Filters of the last fetchAllOrders call
+  ordersQuery: {},
   loading: false,
   error: null,
   success: false,
@@ -236,6 +490,43 @@ const orderSlice = createSlice({
           state.currentOrder.subtotalPrice - state.currentOrder.discount;
       }
     },
+    // Replace a locally created order with the one issued by the server
+    reconcileOfflineOrder: (state, action) => {
+      const { localId, order } = action.payload;
+      const localOrder = state.orders.find((o) => o._id === localId);
+      const reconciled = {
+        ...order,
+        localCode: localOrder?.orderCode,
+        isPaid: order.isPaid || !!localOrder?.isPaid,
+      };
+
+      state.orders = state.orders.map((o) =>
+        o._id === localId ? reconciled : o
+      );
+      if (state.currentOrder?._id === localId) {
+        state.currentOrder = reconciled;
+      }
+    },
+    // Order created or changed on another till (realtime event)
+    upsertOrder: (state, action) => {
+      const order = action.payload;
+      const index = state.orders.findIndex((o) => o._id === order._id);
+      if (index !== -1) {
+        state.orders[index] = { ...state.orders[index], ...order };
+      } else if (matchesOrdersQuery(order, state.ordersQuery)) {
+        state.orders.push(order);
+      }
+      if (state.currentOrder?._id === order._id) {
+        state.currentOrder = { ...state.currentOrder, ...order };
+      }
+    },
+    // Order deleted on another till (realtime event)
+    removeOrder: (state, action) => {
+      state.orders = state.orders.filter((o) => o._id !== action.payload);
+      if (state.currentOrder?._id === action.payload) {
+        state.currentOrder = null;
+      }
+    },
     resetOrderState: (state) => {
       state.currentOrder = null;
       state.orders = [];
@@ -264,13 +555,18 @@ const orderSlice = createSlice({
         state.success = false;
       })
       // Fetch All Orders Cases
-      .addCase(fetchAllOrders.pending, (state) => {
+      .addCase(fetchAllOrders.pending, (state, action) => {
         state.loading = true;
         state.error = null;
+        state.ordersQuery = action.meta.arg || {};
       })
       .addCase(fetchAllOrders.fulfilled, (state, action) => {
         state.loading = false;
-        state.orders = action.payload.data;
+        // Keep orders that only exist locally until they are synced
+        state.orders = [
+          ...action.payload.data,
+          ...state.orders.filter((order) => order.isOffline),
+        ];
         state.error = null;
       })
       .addCase(fetchAllOrders.rejected, (state, action) => {
@@ -378,9 +674,125 @@ const orderSlice = createSlice({
         state.loading = false;
         state.error = action.payload?.message || "Failed to cancel order";
       })
+      // Move order to another table
+      .addCase(moveOrderToTable.fulfilled, (state, action) => {
+        const { orderId, tableNumber } = action.meta.arg;
+        const updatedOrder = action.payload.data || { tableNumber };
+        state.orders = state.orders.map((order) =>
+          order._id === orderId ? { ...order, ...updatedOrder } : order
+        );
+        if (state.currentOrder?._id === orderId) {
+          state.currentOrder = { ...state.currentOrder, ...updatedOrder };
+        }
+      })
+      .addCase(moveOrderToTable.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to move order";
+      })
+      // Merge orders
+      .addCase(mergeOrders.fulfilled, (state, action) => {
+        const { sourceOrderIds, data: mergedOrder } = action.payload;
+        state.orders = state.orders
+          .filter((order) => !sourceOrderIds.includes(order._id))
+          .map((order) =>
+            order._id === mergedOrder?._id ? mergedOrder : order
+          );
+        if (sourceOrderIds.includes(state.currentOrder?._id)) {
+          state.currentOrder = mergedOrder || null;
+        } else if (state.currentOrder?._id === mergedOrder?._id) {
+          state.currentOrder = mergedOrder;
+        }
+      })
+      .addCase(mergeOrders.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to merge orders";
+      })
+      // Kitchen status is applied right away so the display stays snappy;
+      // the next poll brings back the server state if the update failed
+      .addCase(updateKitchenStatus.pending, (state, action) => {
+        const { orderId, itemId, status } = action.meta.arg;
+        state.orders = state.orders.map((order) =>
+          order._id === orderId
+            ? applyKitchenStatus(order, status, itemId)
+            : order
+        );
+        if (state.currentOrder?._id === orderId) {
+          state.currentOrder = applyKitchenStatus(
+            state.currentOrder,
+            status,
+            itemId
+          );
+        }
+      })
+      .addCase(updateKitchenStatus.fulfilled, (state, action) => {
+        const updatedOrder = action.payload?.data;
+        if (!updatedOrder?._id) return;
+        state.orders = state.orders.map((order) =>
+          order._id === updatedOrder._id ? { ...order, ...updatedOrder } : order
+        );
+        if (state.currentOrder?._id === updatedOrder._id) {
+          state.currentOrder = { ...state.currentOrder, ...updatedOrder };
+        }
+      })
+      .addCase(updateKitchenStatus.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to update kitchen status";
+      })
+      // Delivery updates are applied right away like kitchen bumps
+      .addCase(updateDeliveryStatus.pending, (state, action) => {
+        const { orderId, ...update } = action.meta.arg;
+        state.orders = state.orders.map((order) =>
+          order._id === orderId ? applyDeliveryUpdate(order, update) : order
+        );
+      })
+      .addCase(updateDeliveryStatus.fulfilled, (state, action) => {
+        const updatedOrder = action.payload?.data;
+        if (!updatedOrder?._id) return;
+        state.orders = state.orders.map((order) =>
+          order._id === updatedOrder._id ? { ...order, ...updatedOrder } : order
+        );
+      })
+      .addCase(updateDeliveryStatus.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to update delivery status";
+      })
+      .addCase(settleDriverCash.fulfilled, (state, action) => {
+        const { orderIds } = action.payload;
+        const settledAt = new Date().toISOString();
+        // Settled cash-on-delivery orders are paid in cash
+        state.orders = state.orders.map((order) =>
+          orderIds.includes(order._id)
+            ? {
+                ...order,
+                isPaid: true,
+                delivery: { ...order.delivery, settledAt },
+              }
+            : order
+        );
+      })
+      .addCase(settleDriverCash.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to settle driver cash";
+      })
       // Handle payment success from paymentSlice
       .addCase(processPaymentAction.fulfilled, (state, action) => {
         const { orderId } = action.payload;
+        const { split, paymentMethods } = action.meta.arg;
+        // Part of a split bill: the order stays open until the last part
+        if (split && !split.isFinal) {
+          const amount = paymentMethods.reduce(
+            (sum, method) => sum + (Number(method.amount) || 0),
+            0
+          );
+          const addPaidPart = (order) => ({
+            ...order,
+            paidAmount: (Number(order.paidAmount) || 0) + amount,
+          });
+          state.orders = state.orders.map((order) =>
+            order._id === orderId ? addPaidPart(order) : order
+          );
+          if (state.currentOrder?._id === orderId) {
+            state.currentOrder = addPaidPart(state.currentOrder);
+          }
+          return;
+        }
         // Update the current order if it matches
         if (state.currentOrder?._id === orderId) {
           state.currentOrder.isPaid = true;
@@ -389,6 +801,18 @@ const orderSlice = createSlice({
         state.orders = state.orders.map((order) =>
           order._id === orderId ? { ...order, isPaid: true } : order
         );
+      })
+      // Payment recorded on another till
+      .addCase(upsertPayment, (state, action) => {
+        const { orderId, split } = action.payload;
+        // Earlier parts of a split bill leave the order open
+        if (!orderId || (split && !split.isFinal)) return;
+        if (state.currentOrder?._id === orderId) {
+          state.currentOrder.isPaid = true;
+        }
+        state.orders = state.orders.map((order) =>
+          order._id === orderId ? { ...order, isPaid: true } : order
+        );
       });
   },
 });
@@ -401,6 +825,9 @@ export const {
   addItemToOrder,
   removeItemFromOrder,
   updateOrderDiscount,
+  reconcileOfflineOrder,
+  upsertOrder,
+  removeOrder,
   resetOrderState,
 } = orderSlice.actions;
 
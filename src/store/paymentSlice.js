@@ -1,6 +1,8 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
-import api from "../services/api";
+import api, { isOnline, isNetworkError } from "../services/api";
+import offlineOutbox, { isLocalId } from "../services/offlineQueue";
 import { API_ENDPOINTS } from "../utils/constants";
+import { createRefund } from "./refundSlice";
 
 // Async thunk for fetching all payments with pagination and filtering
 export const fetchAllPayments = createAsyncThunk(
@@ -43,28 +45,115 @@ export const fetchAllPayments = createAsyncThunk(
 // Async thunk for processing payment
 export const processPayment = createAsyncThunk(
   "payment/processPayment",
-  async ({ orderId, paymentMethods, tax, discount }, { rejectWithValue }) => {
-    try {
-      // Ensure amounts are numbers, not strings and round to 2 decimal places
-      const processedPaymentMethods = paymentMethods.map((method) => ({
-        method: method.method,
-        amount: Math.round(parseFloat(method.amount) * 100) / 100, // Round to 2 decimal places
-      }));
-
-      // Ensure tax and discount are integers as expected by backend
-      const paymentData = {
-        orderId,
-        paymentMethods: processedPaymentMethods,
-      };
+  async (
+    {
+      orderId,
+      paymentMethods,
+      tax,
+      discount,
+      discounts,
+      managerPin,
+      vat,
+      orderCode,
+      cashTendered,
+      changeDue,
+      split,
+    },
+    { rejectWithValue }
+  ) => {
+    // Ensure amounts are numbers, not strings and round to 2 decimal places
+    const processedPaymentMethods = paymentMethods.map((method) => ({
+      method: method.method,
+      amount: Math.round(parseFloat(method.amount) * 100) / 100, // Round to 2 decimal places
+      // Reference number for tenders that require one (voucher, transfer...)
+      ...(method.reference && { reference: method.reference }),
+    }));
 
-      // Only add tax if it's provided and valid
-      if (tax && tax > 0) {
-        paymentData.tax = Math.round(parseFloat(tax)); // Backend expects integer
+    const paymentData = {
+      orderId,
+      paymentMethods: processedPaymentMethods,
+    };
+
+    // Only add tax if it's provided and valid (effective rate, 2 decimals)
+    if (tax && tax > 0) {
+      paymentData.tax = Math.round(parseFloat(tax) * 100) / 100;
+    }
+
+    // Only add discount if it's provided and valid
+    if (discount && discount > 0) {
+      paymentData.discount = Math.round(parseFloat(discount) * 100) / 100;
+    }
+
+    // Itemised discounts with their reasons. Discounts over the approval
+    // threshold carry a manager approval, checked and recorded by the backend.
+    if (discounts?.length > 0) {
+      paymentData.discounts = discounts;
+      // Rules applied, for the backend to check their usage limits and
+      // count the use
+      paymentData.discountRuleIds = [
+        ...new Set(discounts.map((item) => item.ruleId).filter(Boolean)),
+      ];
+    }
+
+    // The manager PIN is traded for a short-lived approval token, so the PIN
+    // itself is never sent with the payment or kept in the offline outbox
+    if (discounts?.length > 0 && managerPin) {
+      try {
+        const response = await api.post(API_ENDPOINTS.APPROVALS, {
+          managerPin,
+          action: "discount",
+        });
+        paymentData.approvalToken = response.data.data?.approvalToken;
+      } catch (error) {
+        return rejectWithValue({
+          message: isNetworkError(error)
+            ? "Manager approval needs a connection to the server"
+            : error.response?.data?.message || "Manager approval failed",
+          shouldRetry: false,
+          orderId,
+        });
       }
+    }
+
+    // Per-line VAT totals of the tax invoice
+    if (vat) {
+      paymentData.vat = vat;
+    }
+
+    // Cash handed over by the customer and the change given back
+    if (cashTendered && cashTendered > 0) {
+      paymentData.cashTendered =
+        Math.round(parseFloat(cashTendered) * 100) / 100;
+      paymentData.changeDue =
+        Math.round(parseFloat(changeDue || 0) * 100) / 100;
+    }
+
+    // One part of a split bill ({mode, part, parts, orderItemIds, isFinal});
+    // the backend closes the order with the final part
+    if (split) {
+      paymentData.split = split;
+    }
+
+    // Record the payment in the offline outbox, it is replayed after its order
+    const queuePayment = async () => {
+      const outboxEntry = await offlineOutbox.enqueue({
+        kind: "payment",
+        localId: orderId,
+        localCode: orderCode,
+        payload: paymentData,
+      });
+      return {
+        payment: { success: true, message: "Payment queued for sync" },
+        orderId,
+        offline: true,
+        outboxEntry,
+      };
+    };
 
-      // Only add discount if it's provided and valid
-      if (discount && discount > 0) {
-        paymentData.discount = Math.round(parseFloat(discount)); // Backend expects integer
+    try {
+      // Orders created offline can only be paid through the outbox
+      if (isLocalId(orderId) || !isOnline()) {
+        return await queuePayment();
       }
 
       console.log("Payment data being sent:", paymentData);
@@ -79,6 +168,14 @@ export const processPayment = createAsyncThunk(
     } catch (error) {
       console.error("Payment error details:", error);
 
+      if (isNetworkError(error)) {
+        try {
+          return await queuePayment();
+        } catch (queueError) {
+          console.error("Failed to queue offline payment:", queueError);
+        }
+      }
+
       // Enhanced error handling
       let errorMessage = "Failed to process payment";
       let shouldRetry = false;
@@ -148,6 +245,22 @@ const paymentSlice = createSlice({
     clearPaymentSuccess: (state) => {
       state.success = false;
     },
+    // Add a payment that was recorded offline and accepted by the server
+    addSyncedPayment: (state, action) => {
+      if (action.payload) {
+        state.payments.push(action.payload);
+      }
+    },
+    // Payment recorded on another till (realtime event)
+    upsertPayment: (state, action) => {
+      const payment = action.payload;
+      const index = state.payments.findIndex((p) => p._id === payment._id);
+      if (index !== -1) {
+        state.payments[index] = { ...state.payments[index], ...payment };
+      } else {
+        state.payments.push(payment);
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -213,6 +326,25 @@ const paymentSlice = createSlice({
           state.payments.push(action.payload.payment.data);
         }
       })
+      // Refund recorded against a payment
+      .addCase(createRefund.fulfilled, (state, action) => {
+        const { paymentId, items, refundMethods, amount, reason } =
+          action.meta.arg;
+        const refund = action.payload.data || {
+          items,
+          refundMethods,
+          amount,
+          reason,
+        };
+        const payment = state.payments.find((p) => p._id === paymentId);
+        if (payment) {
+          payment.refunds = [...(payment.refunds || []), refund];
+          payment.refundedAmount =
+            Math.round(
+              ((Number(payment.refundedAmount) || 0) + Number(amount)) * 100
+            ) / 100;
+        }
+      })
       .addCase(processPayment.rejected, (state, action) => {
         state.loading = false;
         state.success = false;
@@ -235,5 +367,10 @@ const paymentSlice = createSlice({
   },
 });
 
-export const { clearPaymentError, clearPaymentSuccess } = paymentSlice.actions;
+export const {
+  clearPaymentError,
+  clearPaymentSuccess,
+  addSyncedPayment,
+  upsertPayment,
+} = paymentSlice.actions;
 export default paymentSlice.reducer;
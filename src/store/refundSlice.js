@@ -0,0 +1,95 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api, { isNetworkError } from "../services/api";
+import { API_ENDPOINTS } from "../utils/constants";
+
+// Async thunk for refunding a paid order, fully or selected lines.
+// The manager PIN is traded for an approval token first, as for discounts,
+// and the backend records who approved the refund.
+export const createRefund = createAsyncThunk(
+  "refund/createRefund",
+  async (
+    {
+      paymentId,
+      orderId,
+      items,
+      refundMethods,
+      amount,
+      reason,
+      note,
+      managerPin,
+    },
+    { rejectWithValue }
+  ) => {
+    let approvalToken;
+    try {
+      const response = await api.post(API_ENDPOINTS.APPROVALS, {
+        managerPin,
+        action: "refund",
+      });
+      approvalToken = response.data.data?.approvalToken;
+    } catch (error) {
+      return rejectWithValue({
+        message: isNetworkError(error)
+          ? "Manager approval needs a connection to the server"
+          : error.response?.data?.message || "Manager approval failed",
+      });
+    }
+
+    try {
+      const response = await api.post(API_ENDPOINTS.REFUND, {
+        paymentId,
+        orderId,
+        items,
+        refundMethods,
+        amount,
+        reason,
+        note,
+        approvalToken,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || {
+          message: error.message || "Failed to process refund",
+        }
+      );
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  lastRefund: null,
+  loading: false,
+  error: null,
+};
+
+// Refund slice
+const refundSlice = createSlice({
+  name: "refund",
+  initialState,
+  reducers: {
+    clearRefundError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(createRefund.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createRefund.fulfilled, (state, action) => {
+        state.loading = false;
+        state.lastRefund = action.payload.data || null;
+      })
+      .addCase(createRefund.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to process refund";
+      });
+  },
+});
+
+// Export actions and reducer
+export const { clearRefundError } = refundSlice.actions;
+export default refundSlice.reducer;
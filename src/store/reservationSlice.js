@@ -0,0 +1,283 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api from "../services/api";
+import { API_ENDPOINTS } from "../utils/constants";
+import { isSamePhone } from "../utils/customers";
+import { updateCustomer } from "./customerSlice";
+
+// Async thunk for fetching the reservations of a day (YYYY-MM-DD)
+export const fetchReservations = createAsyncThunk(
+  "reservation/fetchReservations",
+  async (date, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.RESERVATIONS, {
+        params: { date },
+      });
+      return { date, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch reservations" }
+      );
+    }
+  }
+);
+
+// Async thunk for booking a table
+export const createReservation = createAsyncThunk(
+  "reservation/createReservation",
+  async (reservationData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        API_ENDPOINTS.RESERVATIONS,
+        reservationData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to create reservation" }
+      );
+    }
+  }
+);
+
+// Async thunk for updating a reservation
+export const updateReservation = createAsyncThunk(
+  "reservation/updateReservation",
+  async ({ reservationId, reservationData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(
+        `${API_ENDPOINTS.RESERVATIONS}/${reservationId}`,
+        reservationData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update reservation" }
+      );
+    }
+  }
+);
+
+// Async thunk for seating, cancelling or marking a reservation as a no-show
+export const setReservationStatus = createAsyncThunk(
+  "reservation/setReservationStatus",
+  async ({ reservationId, status }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.RESERVATIONS}/${reservationId}/status`,
+        { status }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update reservation" }
+      );
+    }
+  }
+);
+
+// Async thunk for marking a guest who never came as a no-show, counted on
+// their customer record so it shows the next time they book
+export const markNoShow = createAsyncThunk(
+  "reservation/markNoShow",
+  async (reservation, { getState, dispatch, rejectWithValue }) => {
+    try {
+      const result = await dispatch(
+        setReservationStatus({
+          reservationId: reservation._id,
+          status: "no_show",
+        })
+      ).unwrap();
+
+      const customer = getState().customer.customers.find((item) =>
+        isSamePhone(item.phone, reservation.phone)
+      );
+      if (customer) {
+        dispatch(
+          updateCustomer({
+            customerId: customer._id,
+            customerData: { noShowCount: (customer.noShowCount || 0) + 1 },
+          })
+        );
+      }
+      return result;
+    } catch (error) {
+      return rejectWithValue(error);
+    }
+  }
+);
+
+// Async thunk for fetching the walk-in waitlist
+export const fetchWaitlist = createAsyncThunk(
+  "reservation/fetchWaitlist",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.WAITLIST);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch waitlist" }
+      );
+    }
+  }
+);
+
+// Async thunk for adding a walk-in party to the waitlist
+export const addToWaitlist = createAsyncThunk(
+  "reservation/addToWaitlist",
+  async (entryData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(API_ENDPOINTS.WAITLIST, entryData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to add to waitlist" }
+      );
+    }
+  }
+);
+
+// Async thunk for seating a waiting party or taking them off the list
+export const updateWaitlistEntry = createAsyncThunk(
+  "reservation/updateWaitlistEntry",
+  async ({ entryId, entryData }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.WAITLIST}/${entryId}`,
+        entryData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update waitlist" }
+      );
+    }
+  }
+);
+
+const upsertById = (list, item) => {
+  if (!item?._id) return;
+  const index = list.findIndex((existing) => existing._id === item._id);
+  if (index !== -1) {
+    list[index] = { ...list[index], ...item };
+  } else {
+    list.push(item);
+  }
+};
+
+// Initial state
+const initialState = {
+  reservations: [],
+  date: null,
+  waitlist: [],
+  loading: false,
+  error: null,
+};
+
+// Reservation slice
+const reservationSlice = createSlice({
+  name: "reservation",
+  initialState,
+  reducers: {
+    clearReservationError: (state) => {
+      state.error = null;
+    },
+    // Realtime updates from other tills
+    upsertReservation: (state, action) => {
+      upsertById(state.reservations, action.payload);
+    },
+    removeReservation: (state, action) => {
+      state.reservations = state.reservations.filter(
+        (reservation) => reservation._id !== action.payload
+      );
+    },
+    upsertWaitlistEntry: (state, action) => {
+      upsertById(state.waitlist, action.payload);
+    },
+    removeWaitlistEntry: (state, action) => {
+      state.waitlist = state.waitlist.filter(
+        (entry) => entry._id !== action.payload
+      );
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch reservations
+      .addCase(fetchReservations.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchReservations.fulfilled, (state, action) => {
+        state.loading = false;
+        state.date = action.payload.date;
+        state.reservations = action.payload.data || [];
+      })
+      .addCase(fetchReservations.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch reservations";
+      })
+
+      // Create reservation
+      .addCase(createReservation.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createReservation.fulfilled, (state, action) => {
+        state.loading = false;
+        upsertById(state.reservations, action.payload.data);
+      })
+      .addCase(createReservation.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to create reservation";
+      })
+
+      // Update reservation
+      .addCase(updateReservation.fulfilled, (state, action) => {
+        upsertById(state.reservations, action.payload.data);
+      })
+      .addCase(updateReservation.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update reservation";
+      })
+
+      // Reservation status
+      .addCase(setReservationStatus.fulfilled, (state, action) => {
+        upsertById(state.reservations, action.payload.data);
+      })
+      .addCase(setReservationStatus.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update reservation";
+      })
+
+      // Fetch waitlist
+      .addCase(fetchWaitlist.fulfilled, (state, action) => {
+        state.waitlist = action.payload.data || [];
+      })
+      .addCase(fetchWaitlist.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to fetch waitlist";
+      })
+
+      // Add to waitlist
+      .addCase(addToWaitlist.fulfilled, (state, action) => {
+        upsertById(state.waitlist, action.payload.data);
+      })
+      .addCase(addToWaitlist.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to add to waitlist";
+      })
+
+      // Update waitlist entry
+      .addCase(updateWaitlistEntry.fulfilled, (state, action) => {
+        upsertById(state.waitlist, action.payload.data);
+      })
+      .addCase(updateWaitlistEntry.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update waitlist";
+      });
+  },
+});
+
+// Export actions and reducer
+export const {
+  clearReservationError,
+  upsertReservation,
+  removeReservation,
+  upsertWaitlistEntry,
+  removeWaitlistEntry,
+} = reservationSlice.actions;
+export default reservationSlice.reducer;
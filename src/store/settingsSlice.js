@@ -0,0 +1,165 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import printingService from "../services/printingService";
+import {
+  getDeviceId,
+  getDeviceName,
+  setDeviceName as saveDeviceName,
+  getBranchId,
+  fetchDevicePrinters,
+  saveDevicePrinters,
+  fetchBranchReceipt,
+  saveBranchReceipt,
+} from "../services/settingsApi";
+
+const getErrorPayload = (error, message) =>
+  error.response?.data || { message: error.message || message };
+
+// Async thunk for pulling this device's printers and the branch receipt
+// template from the backend into localStorage. When the server has nothing
+// yet, the local settings are uploaded instead.
+export const syncSettings = createAsyncThunk(
+  "settings/syncSettings",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const deviceId = getDeviceId();
+      const branchId = getBranchId(getState().auth.user);
+
+      const [devicePrinters, branchReceipt] = await Promise.all([
+        fetchDevicePrinters(deviceId),
+        fetchBranchReceipt(branchId),
+      ]);
+
+      let printers = printingService.getPrinterSettings();
+      if (devicePrinters?.printers?.length > 0) {
+        printers = devicePrinters.printers;
+        printingService.savePrinterSettings(printers);
+        if (devicePrinters.deviceName) {
+          saveDeviceName(devicePrinters.deviceName);
+        }
+      } else if (printers.length > 0) {
+        await saveDevicePrinters(deviceId, {
+          deviceName: getDeviceName(),
+          printers,
+        });
+      }
+
+      let receiptSettings = printingService.getReceiptSettings();
+      if (branchReceipt?.receiptSettings) {
+        receiptSettings = branchReceipt.receiptSettings;
+        printingService.saveReceiptSettings(receiptSettings);
+      } else if (localStorage.getItem("receiptSettings")) {
+        await saveBranchReceipt(branchId, receiptSettings);
+      }
+
+      return { printers, receiptSettings, branchId };
+    } catch (error) {
+      return rejectWithValue(getErrorPayload(error, "Failed to sync settings"));
+    }
+  }
+);
+
+// Async thunk for renaming this device in localStorage
+export const updateDeviceName = createAsyncThunk(
+  "settings/updateDeviceName",
+  async (name) => {
+    saveDeviceName(name);
+    return name;
+  }
+);
+
+// Async thunk for saving this device's printer configs
+export const savePrinterSettings = createAsyncThunk(
+  "settings/savePrinterSettings",
+  async (printers, { rejectWithValue }) => {
+    try {
+      printingService.savePrinterSettings(printers);
+      return await saveDevicePrinters(getDeviceId(), {
+        deviceName: getDeviceName(),
+        printers,
+      });
+    } catch (error) {
+      return rejectWithValue(
+        getErrorPayload(error, "Failed to save printer settings")
+      );
+    }
+  }
+);
+
+// Async thunk for saving the receipt template of the user's branch
+export const saveReceiptSettings = createAsyncThunk(
+  "settings/saveReceiptSettings",
+  async (receiptSettings, { getState, rejectWithValue }) => {
+    try {
+      printingService.saveReceiptSettings(receiptSettings);
+      return await saveBranchReceipt(
+        getBranchId(getState().auth.user),
+        receiptSettings
+      );
+    } catch (error) {
+      return rejectWithValue(
+        getErrorPayload(error, "Failed to save receipt settings")
+      );
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  deviceId: getDeviceId(),
+  deviceName: getDeviceName(),
+  branchId: null,
+  loading: false,
+  error: null,
+  lastSyncedAt: null,
+};
+
+// Settings slice
+const settingsSlice = createSlice({
+  name: "settings",
+  initialState,
+  reducers: {
+    clearSettingsError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    const setPending = (state) => {
+      state.loading = true;
+      state.error = null;
+    };
+    const setSynced = (state) => {
+      state.loading = false;
+      state.lastSyncedAt = new Date().toISOString();
+    };
+    const setFailed = (state, action) => {
+      state.loading = false;
+      state.error = action.payload?.message || "Failed to sync settings";
+    };
+
+    builder
+      // Sync
+      .addCase(syncSettings.pending, setPending)
+      .addCase(syncSettings.fulfilled, (state, action) => {
+        setSynced(state);
+        state.branchId = action.payload.branchId;
+        state.deviceName = getDeviceName();
+      })
+      .addCase(syncSettings.rejected, setFailed)
+      // Rename device
+      .addCase(updateDeviceName.fulfilled, (state, action) => {
+        state.deviceName = action.payload;
+      })
+      // Save printers
+      .addCase(savePrinterSettings.pending, setPending)
+      .addCase(savePrinterSettings.fulfilled, setSynced)
+      .addCase(savePrinterSettings.rejected, setFailed)
+      // Save receipt template
+      .addCase(saveReceiptSettings.pending, setPending)
+      .addCase(saveReceiptSettings.fulfilled, setSynced)
+      .addCase(saveReceiptSettings.rejected, setFailed);
+  },
+});
+
+// Export actions and reducer
+export const { clearSettingsError } = settingsSlice.actions;
+export default settingsSlice.reducer;
@@ -1,6 +1,9 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import api from "../services/api";
 import { API_ENDPOINTS } from "../utils/constants";
+import { createRefund } from "./refundSlice";
+import { processPayment } from "./paymentSlice";
+import { getShiftRefundBalances } from "../utils/tenders";
 
 // Async thunk for fetching all shifts
 export const fetchShifts = createAsyncThunk(
@@ -157,6 +160,30 @@ const shiftSlice = createSlice({
   },
   extraReducers: (builder) => {
     builder
+      // Refunds are negative entries in the open shift's totals, kept per
+      // tender like the takings
+      .addCase(createRefund.fulfilled, (state, action) => {
+        if (!state.currentShift) return;
+        const balances = getShiftRefundBalances(state.currentShift);
+        action.meta.arg.refundMethods.forEach(({ method, amount }) => {
+          balances[method] = (Number(balances[method]) || 0) + Number(amount);
+        });
+        state.currentShift.refundTenderBalances = balances;
+      })
+
+      // Discounts given count towards the cashier's shift
+      .addCase(processPayment.fulfilled, (state, action) => {
+        if (!state.currentShift || action.payload.alreadyPaid) return;
+        const given = (action.meta.arg.discounts || []).reduce(
+          (sum, discount) => sum + (Number(discount.amount) || 0),
+          0
+        );
+        if (given > 0) {
+          state.currentShift.discountBalance =
+            (Number(state.currentShift.discountBalance) || 0) + given;
+        }
+      })
+
       // Fetch all shifts
       .addCase(fetchShifts.pending, (state) => {
         state.loading = true;
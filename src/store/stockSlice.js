@@ -1,6 +1,10 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import { startOfDay, subDays } from "date-fns";
 import api from "../services/api";
+import { fetchHistory } from "../services/history";
 import { API_ENDPOINTS } from "../utils/constants";
+import { USAGE_WINDOW_DAYS } from "../utils/stockAlerts";
+import { receivePurchaseOrder } from "./supplierSlice";
 
 // Async thunk for fetching all stocks
 export const fetchStocks = createAsyncThunk(
@@ -80,10 +84,247 @@ export const deleteStock = createAsyncThunk(
   }
 );
 
+// Async thunk for loading the orders of the usage window, that the
+// stockout forecast averages over
+export const fetchUsageOrders = createAsyncThunk(
+  "stock/fetchUsageOrders",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await fetchHistory(API_ENDPOINTS.ORDER, {
+        start: startOfDay(subDays(new Date(), USAGE_WINDOW_DAYS)),
+        end: new Date(),
+      });
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch usage orders" }
+      );
+    }
+  }
+);
+
+// Async thunk for fetching the movement ledger of a stock item
+export const fetchStockMovements = createAsyncThunk(
+  "stock/fetchStockMovements",
+  async (stockId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(
+        `${API_ENDPOINTS.STOCK}/${stockId}/movements`
+      );
+      return { stockId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch stock movements" }
+      );
+    }
+  }
+);
+
+// Async thunk for recording stock changes that were already made
+// (purchases, edits). Orders record theirs on the backend, with the order. The backend stamps the user and time and
+// fills in the quantity before and after each movement.
+export const logStockMovements = createAsyncThunk(
+  "stock/logStockMovements",
+  async ({ type, source, items, note }, { rejectWithValue }) => {
+    if (!items?.length) return { data: [] };
+    try {
+      const response = await api.post(`${API_ENDPOINTS.STOCK}/movements`, {
+        type,
+        source,
+        items,
+        ...(note && { note }),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to record stock movement" }
+      );
+    }
+  }
+);
+
+// Async thunk for a manual adjustment, waste or transfer to another stock
+// item. The backend changes the quantities and records the movements.
+export const adjustStock = createAsyncThunk(
+  "stock/adjustStock",
+  async ({ stockId, movementData }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `${API_ENDPOINTS.STOCK}/${stockId}/adjust`,
+        movementData
+      );
+      return { stockId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to adjust stock" }
+      );
+    }
+  }
+);
+
+// Async thunk for fetching payments made to suppliers
+export const fetchSupplierPayments = createAsyncThunk(
+  "stock/fetchSupplierPayments",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.SUPPLIER_PAYMENTS);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch supplier payments" }
+      );
+    }
+  }
+);
+
+// Async thunk for paying a supplier against one or more stock invoices
+// ({ supplierName, allocations: [{stockId, invoiceId, amount}], method,
+// reference, note }). The backend lowers each invoice's residualValue and
+// returns the payment with the updated stock items.
+export const recordSupplierPayment = createAsyncThunk(
+  "stock/recordSupplierPayment",
+  async (paymentData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        API_ENDPOINTS.SUPPLIER_PAYMENTS,
+        paymentData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to record payment" }
+      );
+    }
+  }
+);
+
+// Async thunk for fetching stocktake sessions, newest first
+export const fetchStocktakes = createAsyncThunk(
+  "stock/fetchStocktakes",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.STOCKTAKES);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch stocktakes" }
+      );
+    }
+  }
+);
+
+// Async thunk for starting a stocktake. The items carry the system
+// quantities at the start, which the counts are compared against.
+export const startStocktake = createAsyncThunk(
+  "stock/startStocktake",
+  async ({ items, note }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(API_ENDPOINTS.STOCKTAKES, {
+        items,
+        ...(note && { note }),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to start stocktake" }
+      );
+    }
+  }
+);
+
+// Async thunk for saving counted quantities ([{stockItemId, quantity}]).
+// The backend keeps one entry per item and counter, replacing the counter's
+// earlier count of the item.
+export const saveStocktakeCounts = createAsyncThunk(
+  "stock/saveStocktakeCounts",
+  async ({ stocktakeId, counts }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.STOCKTAKES}/${stocktakeId}/counts`,
+        { counts }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to save counts" }
+      );
+    }
+  }
+);
+
+// Async thunk for approving a stocktake. The backend posts the adjustments
+// (as "adjustment" movements with a stocktake source) and returns the
+// stocktake with the changed stock items and movements.
+export const approveStocktake = createAsyncThunk(
+  "stock/approveStocktake",
+  async ({ stocktakeId, adjustments }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `${API_ENDPOINTS.STOCKTAKES}/${stocktakeId}/approve`,
+        { adjustments }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to approve stocktake" }
+      );
+    }
+  }
+);
+
+// Async thunk for cancelling a stocktake without changing any stock
+export const cancelStocktake = createAsyncThunk(
+  "stock/cancelStocktake",
+  async (stocktakeId, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.STOCKTAKES}/${stocktakeId}/status`,
+        { status: "cancelled" }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to cancel stocktake" }
+      );
+    }
+  }
+);
+
+// Replace a stocktake in the list by id, or add it first
+const upsertStocktake = (state, stocktake) => {
+  if (!stocktake?._id) return;
+  const index = state.stocktakes.findIndex(
+    (existing) => existing._id === stocktake._id
+  );
+  if (index !== -1) {
+    state.stocktakes[index] = stocktake;
+  } else {
+    state.stocktakes.unshift(stocktake);
+  }
+};
+
+// Put changed stock items and their new ledger entries in the store
+const applyStockChanges = (state, { stocks = [], movements = [] } = {}) => {
+  stocks.forEach((updated) => {
+    const index = state.stocks.findIndex((stock) => stock._id === updated._id);
+    if (index !== -1) state.stocks[index] = updated;
+  });
+  movements.forEach((movement) => {
+    const list = state.movements[movement.stockItemId];
+    if (list) list.unshift(movement);
+  });
+};
+
 // Initial state
 const initialState = {
   stocks: [],
   selectedStock: null,
+  // Movement ledger per stock item id
+  movements: {},
+  movementsLoading: false,
+  // Orders of the usage window, for the stockout forecast
+  usageOrders: [],
+  supplierPayments: [],
+  stocktakes: [],
   loading: false,
   error: null,
   searchTerm: "",
@@ -195,6 +436,83 @@ const stockSlice = createSlice({
       .addCase(deleteStock.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.message || "Failed to delete stock";
+      })
+
+      // Fetch usage orders
+      .addCase(fetchUsageOrders.fulfilled, (state, action) => {
+        state.usageOrders = action.payload;
+      })
+      .addCase(fetchUsageOrders.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to fetch usage orders";
+      })
+
+      // Fetch stock movements
+      .addCase(fetchStockMovements.pending, (state) => {
+        state.movementsLoading = true;
+      })
+      .addCase(fetchStockMovements.fulfilled, (state, action) => {
+        state.movementsLoading = false;
+        state.movements[action.payload.stockId] = action.payload.data || [];
+      })
+      .addCase(fetchStockMovements.rejected, (state, action) => {
+        state.movementsLoading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch stock movements";
+      })
+
+      // Adjust stock: the changed items and their new movements
+      .addCase(adjustStock.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(adjustStock.fulfilled, (state, action) => {
+        state.loading = false;
+        applyStockChanges(state, action.payload.data);
+      })
+      .addCase(adjustStock.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to adjust stock";
+      })
+
+      // Goods received against a purchase order
+      .addCase(receivePurchaseOrder.fulfilled, (state, action) => {
+        applyStockChanges(state, action.payload.data);
+      })
+
+      // Supplier payments
+      .addCase(fetchSupplierPayments.fulfilled, (state, action) => {
+        state.supplierPayments = action.payload.data || [];
+      })
+      .addCase(fetchSupplierPayments.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to fetch supplier payments";
+      })
+      .addCase(recordSupplierPayment.fulfilled, (state, action) => {
+        const { payment, stocks } = action.payload.data || {};
+        applyStockChanges(state, { stocks });
+        if (payment) state.supplierPayments.push(payment);
+      })
+
+      // Stocktakes
+      .addCase(fetchStocktakes.fulfilled, (state, action) => {
+        state.stocktakes = action.payload.data || [];
+      })
+      .addCase(fetchStocktakes.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to fetch stocktakes";
+      })
+      .addCase(startStocktake.fulfilled, (state, action) => {
+        upsertStocktake(state, action.payload.data);
+      })
+      .addCase(saveStocktakeCounts.fulfilled, (state, action) => {
+        upsertStocktake(state, action.payload.data);
+      })
+      .addCase(cancelStocktake.fulfilled, (state, action) => {
+        upsertStocktake(state, action.payload.data);
+      })
+      .addCase(approveStocktake.fulfilled, (state, action) => {
+        const { stocktake, stocks, movements } = action.payload.data || {};
+        upsertStocktake(state, stocktake);
+        applyStockChanges(state, { stocks, movements });
       });
   },
 });
@@ -0,0 +1,295 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api from "../services/api";
+import { API_ENDPOINTS } from "../utils/constants";
+import { getReceivingStatus } from "../utils/purchasing";
+
+// Async thunk for fetching the supplier directory
+export const fetchSuppliers = createAsyncThunk(
+  "supplier/fetchSuppliers",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.SUPPLIERS);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch suppliers" }
+      );
+    }
+  }
+);
+
+// Async thunk for adding a supplier
+export const createSupplier = createAsyncThunk(
+  "supplier/createSupplier",
+  async (supplierData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(API_ENDPOINTS.SUPPLIERS, supplierData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to add supplier" }
+      );
+    }
+  }
+);
+
+// Async thunk for updating a supplier
+export const updateSupplier = createAsyncThunk(
+  "supplier/updateSupplier",
+  async ({ supplierId, supplierData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(
+        `${API_ENDPOINTS.SUPPLIERS}/${supplierId}`,
+        supplierData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update supplier" }
+      );
+    }
+  }
+);
+
+// Async thunk for deleting a supplier
+export const deleteSupplier = createAsyncThunk(
+  "supplier/deleteSupplier",
+  async (supplierId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(
+        `${API_ENDPOINTS.SUPPLIERS}/${supplierId}`
+      );
+      return { supplierId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to delete supplier" }
+      );
+    }
+  }
+);
+
+// Async thunk for fetching purchase orders
+export const fetchPurchaseOrders = createAsyncThunk(
+  "supplier/fetchPurchaseOrders",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get(API_ENDPOINTS.PURCHASE_ORDERS);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to fetch purchase orders" }
+      );
+    }
+  }
+);
+
+// Async thunk for creating a purchase order (draft or sent straight away)
+export const createPurchaseOrder = createAsyncThunk(
+  "supplier/createPurchaseOrder",
+  async (orderData, { rejectWithValue }) => {
+    try {
+      const response = await api.post(API_ENDPOINTS.PURCHASE_ORDERS, orderData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to create purchase order" }
+      );
+    }
+  }
+);
+
+// Async thunk for editing a draft purchase order
+export const updatePurchaseOrder = createAsyncThunk(
+  "supplier/updatePurchaseOrder",
+  async ({ orderId, orderData }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(
+        `${API_ENDPOINTS.PURCHASE_ORDERS}/${orderId}`,
+        orderData
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to update purchase order" }
+      );
+    }
+  }
+);
+
+// Async thunk for marking a draft purchase order as sent to the supplier
+export const sendPurchaseOrder = createAsyncThunk(
+  "supplier/sendPurchaseOrder",
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(
+        `${API_ENDPOINTS.PURCHASE_ORDERS}/${orderId}/status`,
+        { status: "sent" }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to send purchase order" }
+      );
+    }
+  }
+);
+
+// Async thunk for deleting a draft purchase order
+export const deletePurchaseOrder = createAsyncThunk(
+  "supplier/deletePurchaseOrder",
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(
+        `${API_ENDPOINTS.PURCHASE_ORDERS}/${orderId}`
+      );
+      return { orderId, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to delete purchase order" }
+      );
+    }
+  }
+);
+
+// Async thunk for receiving goods against a purchase order. The backend
+// records the goods received note, adds the quantities to stock (with
+// "purchase" movements in the ledger) and creates the supplier invoice.
+export const receivePurchaseOrder = createAsyncThunk(
+  "supplier/receivePurchaseOrder",
+  async ({ purchaseOrder, items, invoice, note }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `${API_ENDPOINTS.PURCHASE_ORDERS}/${purchaseOrder._id}/receive`,
+        {
+          items,
+          invoice,
+          status: getReceivingStatus(purchaseOrder.items, items),
+          ...(note && { note }),
+        }
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to receive goods" }
+      );
+    }
+  }
+);
+
+// Replace an item in a list by id, or add it
+const upsertById = (list, item) => {
+  if (!item?._id) return;
+  const index = list.findIndex((existing) => existing._id === item._id);
+  if (index !== -1) {
+    list[index] = { ...list[index], ...item };
+  } else {
+    list.push(item);
+  }
+};
+
+// Initial state
+const initialState = {
+  suppliers: [],
+  purchaseOrders: [],
+  loading: false,
+  error: null,
+};
+
+// Supplier slice
+const supplierSlice = createSlice({
+  name: "supplier",
+  initialState,
+  reducers: {
+    clearSupplierError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch suppliers
+      .addCase(fetchSuppliers.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchSuppliers.fulfilled, (state, action) => {
+        state.loading = false;
+        state.suppliers = action.payload.data || [];
+      })
+      .addCase(fetchSuppliers.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch suppliers";
+      })
+
+      // Add supplier
+      .addCase(createSupplier.fulfilled, (state, action) => {
+        upsertById(state.suppliers, action.payload.data);
+      })
+      .addCase(createSupplier.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to add supplier";
+      })
+
+      // Update supplier
+      .addCase(updateSupplier.fulfilled, (state, action) => {
+        upsertById(state.suppliers, action.payload.data);
+      })
+      .addCase(updateSupplier.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update supplier";
+      })
+
+      // Delete supplier
+      .addCase(deleteSupplier.fulfilled, (state, action) => {
+        state.suppliers = state.suppliers.filter(
+          (supplier) => supplier._id !== action.payload.supplierId
+        );
+      })
+      .addCase(deleteSupplier.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to delete supplier";
+      })
+
+      // Fetch purchase orders
+      .addCase(fetchPurchaseOrders.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchPurchaseOrders.fulfilled, (state, action) => {
+        state.loading = false;
+        state.purchaseOrders = action.payload.data || [];
+      })
+      .addCase(fetchPurchaseOrders.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch purchase orders";
+      })
+
+      // Create, edit and send purchase orders
+      .addCase(createPurchaseOrder.fulfilled, (state, action) => {
+        upsertById(state.purchaseOrders, action.payload.data);
+      })
+      .addCase(updatePurchaseOrder.fulfilled, (state, action) => {
+        upsertById(state.purchaseOrders, action.payload.data);
+      })
+      .addCase(sendPurchaseOrder.fulfilled, (state, action) => {
+        upsertById(state.purchaseOrders, action.payload.data);
+      })
+
+      // Delete purchase order
+      .addCase(deletePurchaseOrder.fulfilled, (state, action) => {
+        state.purchaseOrders = state.purchaseOrders.filter(
+          (order) => order._id !== action.payload.orderId
+        );
+      })
+      .addCase(deletePurchaseOrder.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to delete purchase order";
+      })
+
+      // Receive goods: the order with its new receipt
+      .addCase(receivePurchaseOrder.fulfilled, (state, action) => {
+        upsertById(state.purchaseOrders, action.payload.data?.purchaseOrder);
+      });
+  },
+});
+
+// Export actions and reducer
+export const { clearSupplierError } = supplierSlice.actions;
+export default supplierSlice.reducer;
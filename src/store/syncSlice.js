@@ -0,0 +1,275 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api, { isOnline, isNetworkError } from "../services/api";
+import offlineOutbox, { isLocalId } from "../services/offlineQueue";
+import printingService from "../services/printingService";
+import { API_ENDPOINTS } from "../utils/constants";
+import { createOrder, reconcileOfflineOrder, removeOrder } from "./orderSlice";
+import { processPayment, addSyncedPayment } from "./paymentSlice";
+import { invalidateMealsCache } from "./mealSlice";
+
+// Async thunk for loading the persisted outbox (e.g. after a page reload)
+export const loadOutbox = createAsyncThunk(
+  "sync/loadOutbox",
+  async (_, { rejectWithValue }) => {
+    try {
+      return await offlineOutbox.getAll();
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message || "Failed to load offline outbox",
+      });
+    }
+  }
+);
+
+// Async thunk for replaying the outbox against the backend, in order
+export const syncOutbox = createAsyncThunk(
+  "sync/syncOutbox",
+  async (_, { dispatch, rejectWithValue }) => {
+    try {
+      const entries = await offlineOutbox.getAll();
+      // Orders whose entries can't be replayed yet (conflict or unsynced order)
+      const blockedOrders = new Set();
+      let syncedCount = 0;
+
+      for (const entry of entries) {
+        if (entry.status === "conflict") {
+          blockedOrders.add(entry.localId);
+          continue;
+        }
+        if (blockedOrders.has(entry.localId)) continue;
+
+        try {
+          if (entry.kind === "order") {
+            // The local id keys the replay, so an order the server saved
+            // before the connection dropped is not created twice
+            const response = await api.post(
+              API_ENDPOINTS.ORDER,
+              entry.payload,
+              { headers: { "Idempotency-Key": entry.localId } }
+            );
+            const serverOrder = response.data.data;
+
+            // Point queued payments for this order at the server issued id
+            for (const payment of entries) {
+              if (
+                payment.kind === "payment" &&
+                payment.localId === entry.localId
+              ) {
+                payment.payload = {
+                  ...payment.payload,
+                  orderId: serverOrder._id,
+                };
+                await offlineOutbox.update(payment);
+              }
+            }
+
+            dispatch(
+              reconcileOfflineOrder({
+                localId: entry.localId,
+                order: serverOrder,
+              })
+            );
+            printingService.reconcileOrderCode(
+              entry.localCode,
+              serverOrder.orderCode
+            );
+            invalidateMealsCache();
+          } else if (entry.kind === "payment") {
+            // The order this payment belongs to has not been synced yet
+            if (isLocalId(entry.payload.orderId)) {
+              blockedOrders.add(entry.localId);
+              continue;
+            }
+
+            try {
+              const response = await api.post(
+                API_ENDPOINTS.PAYMENT,
+                entry.payload
+              );
+              dispatch(addSyncedPayment(response.data?.data));
+            } catch (error) {
+              // Already settled on the server, nothing left to replay
+              if (
+                error.response?.status !== 400 ||
+                !error.response.data?.message?.includes("already paid")
+              ) {
+                throw error;
+              }
+            }
+          }
+
+          await offlineOutbox.remove(entry.id);
+          syncedCount++;
+        } catch (error) {
+          // Still offline or not authorised - stop and retry later
+          if (isNetworkError(error) || error.response?.status === 401) {
+            break;
+          }
+
+          // The server rejected the entry - keep it for the cashier to review
+          await offlineOutbox.update({
+            ...entry,
+            status: "conflict",
+            error:
+              error.response?.data?.message ||
+              error.message ||
+              "Sync rejected by server",
+          });
+          blockedOrders.add(entry.localId);
+        }
+      }
+
+      return { entries: await offlineOutbox.getAll(), syncedCount };
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message || "Failed to sync offline outbox",
+      });
+    }
+  },
+  {
+    // Never run two replays at the same time
+    condition: (_, { getState }) => !getState().sync.syncing,
+  }
+);
+
+// Async thunk for putting a conflicting entry back in the queue and replaying
+export const retryOutboxEntry = createAsyncThunk(
+  "sync/retryOutboxEntry",
+  async (entryId, { dispatch, rejectWithValue }) => {
+    try {
+      const entries = await offlineOutbox.getAll();
+      const entry = entries.find((e) => e.id === entryId);
+      if (entry) {
+        await offlineOutbox.update({
+          ...entry,
+          status: "pending",
+          error: null,
+        });
+      }
+      if (isOnline()) {
+        await dispatch(syncOutbox());
+      }
+      return await offlineOutbox.getAll();
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message || "Failed to retry offline entry",
+      });
+    }
+  }
+);
+
+// Async thunk for dropping an entry the cashier decided not to sync. An
+// order goes together with the payments queued for it, which could never
+// be replayed without it, and leaves the order list.
+export const discardOutboxEntry = createAsyncThunk(
+  "sync/discardOutboxEntry",
+  async (entryId, { dispatch, rejectWithValue }) => {
+    try {
+      const entries = await offlineOutbox.getAll();
+      const entry = entries.find((e) => e.id === entryId);
+      const entryIds =
+        entry?.kind === "order"
+          ? entries.filter((e) => e.localId === entry.localId).map((e) => e.id)
+          : [entryId];
+      for (const id of entryIds) {
+        await offlineOutbox.remove(id);
+      }
+      if (entry?.kind === "order") {
+        dispatch(removeOrder(entry.localId));
+      }
+      return entryIds;
+    } catch (error) {
+      return rejectWithValue({
+        message: error.message || "Failed to discard offline entry",
+      });
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  entries: [],
+  online: isOnline(),
+  syncing: false,
+  lastSyncedAt: null,
+  lastSyncedCount: 0,
+  error: null,
+};
+
+// Sync slice
+const syncSlice = createSlice({
+  name: "sync",
+  initialState,
+  reducers: {
+    setOnlineStatus: (state, action) => {
+      state.online = action.payload;
+    },
+    clearSyncError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Load outbox
+      .addCase(loadOutbox.fulfilled, (state, action) => {
+        state.entries = action.payload;
+      })
+      .addCase(loadOutbox.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to load offline outbox";
+      })
+
+      // Sync outbox
+      .addCase(syncOutbox.pending, (state) => {
+        state.syncing = true;
+        state.error = null;
+      })
+      .addCase(syncOutbox.fulfilled, (state, action) => {
+        state.syncing = false;
+        state.entries = action.payload.entries;
+        state.lastSyncedCount = action.payload.syncedCount;
+        state.lastSyncedAt = new Date().toISOString();
+      })
+      .addCase(syncOutbox.rejected, (state, action) => {
+        state.syncing = false;
+        state.error =
+          action.payload?.message || "Failed to sync offline outbox";
+      })
+
+      // Retry entry
+      .addCase(retryOutboxEntry.fulfilled, (state, action) => {
+        state.entries = action.payload;
+      })
+      .addCase(retryOutboxEntry.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to retry offline entry";
+      })
+
+      // Discard entry
+      .addCase(discardOutboxEntry.fulfilled, (state, action) => {
+        state.entries = state.entries.filter(
+          (entry) => !action.payload.includes(entry.id)
+        );
+      })
+      .addCase(discardOutboxEntry.rejected, (state, action) => {
+        state.error =
+          action.payload?.message || "Failed to discard offline entry";
+      })
+
+      // Orders and payments recorded offline
+      .addCase(createOrder.fulfilled, (state, action) => {
+        if (action.payload.offline) {
+          state.entries.push(action.payload.outboxEntry);
+        }
+      })
+      .addCase(processPayment.fulfilled, (state, action) => {
+        if (action.payload.offline) {
+          state.entries.push(action.payload.outboxEntry);
+        }
+      });
+  },
+});
+
+export const { setOnlineStatus, clearSyncError } = syncSlice.actions;
+
+export default syncSlice.reducer;
@@ -67,6 +67,24 @@ export const deleteTable = createAsyncThunk(
   }
 );
 
+// Async thunk for saving the floor plan: position, shape, seats and
+// rotation of every table that changed, in one request
+export const saveFloorPlan = createAsyncThunk(
+  "table/saveFloorPlan",
+  async (layouts, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`${API_ENDPOINTS.TABLES}/layout`, {
+        tables: layouts,
+      });
+      return { layouts, ...response.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Failed to save floor plan" }
+      );
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   tables: [],
@@ -93,6 +111,31 @@ const tableSlice = createSlice({
     clearSuccessMessage: (state) => {
       state.successMessage = null;
     },
+    // Table created or changed on another till (realtime event)
+    upsertTable: (state, action) => {
+      const table = action.payload;
+      const index = state.tables.findIndex(
+        (t) => t._id === table._id || t.number === table.number
+      );
+      if (index !== -1) {
+        state.tables[index] = { ...state.tables[index], ...table };
+      } else {
+        state.tables.push(table);
+      }
+      if (state.selectedTable?.number === table.number) {
+        state.selectedTable = { ...state.selectedTable, ...table };
+      }
+    },
+    // Table deleted on another till (realtime event)
+    removeTable: (state, action) => {
+      const { _id, number } = action.payload;
+      state.tables = state.tables.filter(
+        (table) => table._id !== _id && table.number !== number
+      );
+      if (state.selectedTable?.number === number) {
+        state.selectedTable = null;
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -168,6 +211,24 @@ const tableSlice = createSlice({
       .addCase(deleteTable.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload?.message || "Failed to delete table";
+      })
+      // Save floor plan
+      .addCase(saveFloorPlan.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(saveFloorPlan.fulfilled, (state, action) => {
+        state.loading = false;
+        action.payload.layouts.forEach(({ _id, layout }) => {
+          const table = state.tables.find((item) => item._id === _id);
+          if (table) table.layout = layout;
+        });
+        state.successMessage =
+          action.payload.message || "Floor plan saved successfully";
+      })
+      .addCase(saveFloorPlan.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to save floor plan";
       });
   },
 });
@@ -178,5 +239,7 @@ export const {
   clearSelectedTable,
   clearError,
   clearSuccessMessage,
+  upsertTable,
+  removeTable,
 } = tableSlice.actions;
 export default tableSlice.reducer;
@@ -0,0 +1,111 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import {
+  getBranchId,
+  fetchBranchTenders,
+  saveBranchTenders,
+} from "../services/settingsApi";
+import {
+  TENDERS_STORAGE_KEY,
+  getStoredTenders,
+  normalizeTenders,
+  storeTenders,
+} from "../utils/tenders";
+
+const getErrorPayload = (error, message) =>
+  error.response?.data || { message: error.message || message };
+
+// Async thunk for pulling the branch tender registry into localStorage.
+// When the branch has no registry yet, the local one is uploaded instead.
+export const syncTenders = createAsyncThunk(
+  "tender/syncTenders",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const branchId = getBranchId(getState().auth.user);
+      const branchTenders = await fetchBranchTenders(branchId);
+
+      if (branchTenders?.tenders?.length > 0) {
+        const tenders = normalizeTenders(branchTenders.tenders);
+        storeTenders(tenders);
+        return tenders;
+      }
+
+      const tenders = getState().tender.tenders;
+      if (localStorage.getItem(TENDERS_STORAGE_KEY)) {
+        await saveBranchTenders(branchId, tenders);
+      }
+      return tenders;
+    } catch (error) {
+      return rejectWithValue(getErrorPayload(error, "Failed to sync tenders"));
+    }
+  }
+);
+
+// Async thunk for saving the tender registry of the user's branch. The local
+// copy is saved first so the till keeps working when the backend is down.
+export const saveTenders = createAsyncThunk(
+  "tender/saveTenders",
+  async (tenders, { getState, rejectWithValue }) => {
+    const normalized = normalizeTenders(tenders);
+    storeTenders(normalized);
+    try {
+      await saveBranchTenders(getBranchId(getState().auth.user), normalized);
+      return normalized;
+    } catch (error) {
+      return rejectWithValue({
+        ...getErrorPayload(error, "Failed to save tenders"),
+        tenders: normalized,
+      });
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  tenders: getStoredTenders(),
+  loading: false,
+  error: null,
+};
+
+// Tender slice
+const tenderSlice = createSlice({
+  name: "tender",
+  initialState,
+  reducers: {
+    clearTenderError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(syncTenders.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(syncTenders.fulfilled, (state, action) => {
+        state.loading = false;
+        state.tenders = action.payload;
+      })
+      .addCase(syncTenders.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to sync tenders";
+      })
+      .addCase(saveTenders.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(saveTenders.fulfilled, (state, action) => {
+        state.loading = false;
+        state.tenders = action.payload;
+      })
+      .addCase(saveTenders.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to save tenders";
+        // Saved on this till even though the branch copy failed
+        if (action.payload?.tenders) state.tenders = action.payload.tenders;
+      });
+  },
+});
+
+// Export actions and reducer
+export const { clearTenderError } = tenderSlice.actions;
+export default tenderSlice.reducer;
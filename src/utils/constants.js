@@ -3,8 +3,13 @@
 export const API_BASE_URL =
   "https://foul-flafel-backend-production.up.railway.app";
 
+// Realtime order/payment/table events (ws:// or wss:// for WebSocket,
+// http(s):// for Server-Sent Events). Unset keeps the tills on polling.
+export const REALTIME_URL = import.meta.env.VITE_REALTIME_URL || "";
+
 export const API_ENDPOINTS = {
   LOGIN: "/api/v1/auth/login",
+  APPROVALS: "/api/v1/auth/approval",
   TABLES: "/api/v1/table/",
   MEALS: "/api/v1/meals",
   ORDER: "/api/v1/order",
@@ -13,8 +18,20 @@ export const API_ENDPOINTS = {
   STOCK: "/api/v1/stock",
   CATEGORIES: "/api/v1/category",
   SHIFT: "/api/v1/shift",
+  SETTINGS: "/api/v1/settings",
+  REFUND: "/api/v1/refund",
+  CUSTOMERS: "/api/v1/customer",
+  RESERVATIONS: "/api/v1/reservation",
+  WAITLIST: "/api/v1/waitlist",
+  SUPPLIERS: "/api/v1/supplier",
+  PURCHASE_ORDERS: "/api/v1/purchase-order",
+  SUPPLIER_PAYMENTS: "/api/v1/supplier-payment",
+  STOCKTAKES: "/api/v1/stocktake",
 };
 
+// Most orders or payments a report loads, paging through a date range
+export const HISTORY_RECORD_LIMIT = 5000;
+
 // Routes
 export const ROUTES = {
   HOME: "/",
@@ -23,6 +40,11 @@ export const ROUTES = {
   ORDER: "/order",
   TABLES: "/tables",
   HISTORY: "/history",
+  KITCHEN: "/kitchen",
+  DELIVERY: "/delivery",
   SETTINGS: "/setting",
   LOGIN: "/login",
 };
+
+// Quick-cash buttons in the payment section (AED notes)
+export const CASH_DENOMINATIONS = [5, 10, 50, 100, 200];
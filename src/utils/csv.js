@@ -0,0 +1,23 @@
+// CSV cell escaping shared by the exports (customers, reorder lists,
+// stocktakes)
+
+// Text a spreadsheet would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Negative amounts such as "-3.00" and phone numbers such as
+// "+971 50 123 4567", which can't run anything
+const PLAIN_VALUE = /^(-\d+(\.\d+)?|\+\d[\d ()-]*)$/;
+
+/**
+ * One CSV cell. Text starting like a formula gets a leading quote so a
+ * spreadsheet shows it as text; negative amounts and phone numbers stay as
+ * they are.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export const escapeCsv = (value) => {
+  let text = String(value ?? "");
+  if (FORMULA_PREFIX.test(text) && !PLAIN_VALUE.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
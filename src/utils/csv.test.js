@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { escapeCsv } from "./csv";
+
+describe("escapeCsv", () => {
+  it.each(["=1+1", "+A1", "-A1", "-1+1", "@SUM(A1)", "\tcmd"])(
+    "prefixes %j with a quote",
+    (value) => {
+      expect(escapeCsv(value)).toBe(`'${value}`);
+    }
+  );
+
+  it("leaves negative amounts as they are", () => {
+    expect(escapeCsv(-3)).toBe("-3");
+    expect(escapeCsv("-3.00")).toBe("-3.00");
+  });
+
+  it("leaves phone numbers as they are", () => {
+    expect(escapeCsv("+971501234567")).toBe("+971501234567");
+    expect(escapeCsv("+971 (50) 123-4567")).toBe("+971 (50) 123-4567");
+  });
+
+  it("quotes cells with commas, quotes and line breaks", () => {
+    expect(escapeCsv('Foul, "large"')).toBe('"Foul, ""large"""');
+    expect(escapeCsv("a\nb")).toBe('"a\nb"');
+    expect(escapeCsv(null)).toBe("");
+  });
+});
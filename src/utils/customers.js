@@ -0,0 +1,214 @@
+// Customer directory helpers: phone matching, order history, duplicates
+// and CSV export
+
+import { escapeCsv } from "./csv";
+
+// Digits kept from the end of a phone number when comparing, so "+971 50
+// 123 4567" and "050 1234567" are the same customer
+const PHONE_MATCH_DIGITS = 9;
+
+/**
+ * Phone number reduced to the digits used to match customers
+ * @param {string} phone - Phone number as typed
+ * @returns {string}
+ */
+export const normalizePhone = (phone) =>
+  String(phone || "")
+    .replace(/\D/g, "")
+    .slice(-PHONE_MATCH_DIGITS);
+
+/**
+ * Whether two phone numbers belong to the same customer
+ * @param {string} a - Phone number
+ * @param {string} b - Phone number
+ * @returns {boolean}
+ */
+export const isSamePhone = (a, b) => {
+  const first = normalizePhone(a);
+  return first.length > 0 && first === normalizePhone(b);
+};
+
+/**
+ * Customers whose phone contains the typed digits, exact matches first
+ * @param {Array} customers - Customer directory
+ * @param {string} query - Phone digits typed so far
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array}
+ */
+export const findCustomersByPhone = (customers, query, limit = 5) => {
+  const digits = String(query || "").replace(/\D/g, "");
+  if (digits.length < 3) return [];
+  return (customers || [])
+    .filter((customer) =>
+      String(customer.phone || "")
+        .replace(/\D/g, "")
+        .includes(digits)
+    )
+    .sort(
+      (a, b) =>
+        Number(isSamePhone(b.phone, digits)) -
+        Number(isSamePhone(a.phone, digits))
+    )
+    .slice(0, limit);
+};
+
+/**
+ * Customers matching a search by name, phone, address or notes
+ * @param {Array} customers - Customer directory
+ * @param {string} searchTerm - Search text
+ * @returns {Array}
+ */
+export const searchCustomers = (customers, searchTerm) => {
+  const term = String(searchTerm || "")
+    .trim()
+    .toLowerCase();
+  if (!term) return customers || [];
+  const digits = term.replace(/\D/g, "");
+  return (customers || []).filter(
+    (customer) =>
+      String(customer.name || "")
+        .toLowerCase()
+        .includes(term) ||
+      (digits.length > 0 &&
+        String(customer.phone || "")
+          .replace(/\D/g, "")
+          .includes(digits)) ||
+      (customer.addresses || []).some((address) =>
+        String(address.address || "")
+          .toLowerCase()
+          .includes(term)
+      ) ||
+      String(customer.notes || "")
+        .toLowerCase()
+        .includes(term)
+  );
+};
+
+/**
+ * Orders placed with a customer's phone number, latest first
+ * @param {Array} orders - Orders from fetchCustomerOrders
+ * @param {string} phone - Customer phone
+ * @returns {Array}
+ */
+export const getCustomerOrders = (orders, phone) =>
+  (orders || [])
+    .filter((order) => isSamePhone(order.custPhone || order.custtPhone, phone))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+/**
+ * Order count, amount spent and last order date of a customer
+ * @param {Array} orders - The customer's orders
+ * @returns {Object} - {count, totalSpent, lastOrderAt}
+ */
+export const getCustomerStats = (orders) => {
+  const counted = (orders || []).filter((order) => !order.isCancelled);
+  return {
+    count: counted.length,
+    totalSpent: counted.reduce(
+      (sum, order) => sum + (Number(order.totalPrice) || 0),
+      0
+    ),
+    lastOrderAt: counted[0]?.createdAt || null,
+  };
+};
+
+/**
+ * Whether an address is already saved for a customer
+ * @param {Object} customer - Customer record
+ * @param {string} address - Address text
+ * @returns {boolean}
+ */
+export const hasAddress = (customer, address) => {
+  const text = String(address || "")
+    .trim()
+    .toLowerCase();
+  return (customer?.addresses || []).some(
+    (item) =>
+      String(item.address || "")
+        .trim()
+        .toLowerCase() === text
+  );
+};
+
+/**
+ * Groups of customers that look like the same person: same phone number,
+ * or same name with no phone to tell them apart
+ * @param {Array} customers - Customer directory
+ * @returns {Array} - Arrays of two or more customers
+ */
+export const findDuplicateCustomers = (customers) => {
+  const groups = {};
+  (customers || []).forEach((customer) => {
+    const name = String(customer.name || "")
+      .trim()
+      .toLowerCase();
+    const key = normalizePhone(customer.phone) || (name && `name:${name}`);
+    // Nothing to match on: no phone and no name
+    if (!key) return;
+    groups[key] = [...(groups[key] || []), customer];
+  });
+  return Object.values(groups).filter((group) => group.length > 1);
+};
+
+/**
+ * Customer record that results from merging duplicates into one: the
+ * primary keeps its name and phone, addresses and notes are combined
+ * @param {Object} primary - Customer that is kept
+ * @param {Array} duplicates - Customers merged into it
+ * @returns {Object}
+ */
+export const mergeCustomerRecords = (primary, duplicates) => {
+  const addresses = [...(primary.addresses || [])];
+  duplicates.forEach((customer) => {
+    (customer.addresses || []).forEach((address) => {
+      if (!hasAddress({ addresses }, address.address)) {
+        addresses.push(address);
+      }
+    });
+  });
+
+  const notes = [primary, ...duplicates]
+    .map((customer) => String(customer.notes || "").trim())
+    .filter((note, index, all) => note && all.indexOf(note) === index)
+    .join("\n");
+
+  return {
+    ...primary,
+    name: primary.name || duplicates.find((customer) => customer.name)?.name,
+    addresses,
+    notes,
+  };
+};
+
+/**
+ * Customer directory as CSV, one row per customer
+ * @param {Array} customers - Customer directory
+ * @param {Array} orders - Orders from fetchCustomerOrders for the order columns
+ * @returns {string}
+ */
+export const customersToCsv = (customers, orders = []) => {
+  const header = [
+    "Name",
+    "Phone",
+    "Addresses",
+    "Notes",
+    "Orders",
+    "Total Spent",
+    "Last Order",
+  ];
+  const rows = (customers || []).map((customer) => {
+    const stats = getCustomerStats(getCustomerOrders(orders, customer.phone));
+    return [
+      customer.name,
+      customer.phone,
+      (customer.addresses || []).map((item) => item.address).join(" | "),
+      customer.notes,
+      stats.count,
+      stats.totalSpent.toFixed(2),
+      stats.lastOrderAt ? new Date(stats.lastOrderAt).toISOString() : "",
+    ];
+  });
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsv).join(","))
+    .join("\r\n");
+};
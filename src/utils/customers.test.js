@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { customersToCsv, findDuplicateCustomers } from "./customers";
+
+describe("findDuplicateCustomers", () => {
+  it("groups customers by phone, then by name", () => {
+    const groups = findDuplicateCustomers([
+      { _id: "1", name: "Omar", phone: "+971 50 123 4567" },
+      { _id: "2", name: "Omar A.", phone: "050 1234567" },
+      { _id: "3", name: "Sara" },
+      { _id: "4", name: " sara " },
+      { _id: "5", name: "Laila", phone: "0559876543" },
+    ]);
+
+    expect(groups.map((group) => group.map((item) => item._id))).toEqual([
+      ["1", "2"],
+      ["3", "4"],
+    ]);
+  });
+
+  it("leaves customers with no name and no phone alone", () => {
+    expect(
+      findDuplicateCustomers([{ _id: "1" }, { _id: "2", name: "  " }])
+    ).toEqual([]);
+  });
+});
+
+describe("customersToCsv", () => {
+  it("keeps cells that look like formulas as text", () => {
+    const [, row] = customersToCsv([
+      {
+        name: '=HYPERLINK("http://example.com")',
+        phone: "+971501234567",
+        addresses: [{ address: "@home" }],
+        notes: "-1+1",
+      },
+    ]).split("\r\n");
+
+    expect(row).toBe(
+      `"'=HYPERLINK(""http://example.com"")",+971501234567,'@home,'-1+1,0,0.00,`
+    );
+  });
+});
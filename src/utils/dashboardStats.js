@@ -0,0 +1,183 @@
+// Pure helpers that turn orders, payments, shifts and stocks into the
+// manager dashboard KPIs
+import {
+  parse,
+  isValid,
+  startOfDay,
+  endOfDay,
+  subDays,
+  isWithinInterval,
+} from "date-fns";
+
+const ORDER_TYPES = ["takeaway", "delivery", "dinein"];
+
+/**
+ * Parse the DatePicker value ("yyyy-MM-dd" or "yyyy-MM-dd - yyyy-MM-dd")
+ * @param {string} value - DatePicker value, empty for today
+ * @returns {{start: Date, end: Date}} - Inclusive range covering whole days
+ */
+export const parseDateRange = (value) => {
+  const today = new Date();
+  if (!value) {
+    return { start: startOfDay(today), end: endOfDay(today) };
+  }
+
+  const [startStr, endStr = startStr] = value.split(" - ");
+  const start = parse(startStr, "yyyy-MM-dd", today);
+  const end = parse(endStr, "yyyy-MM-dd", today);
+
+  if (!isValid(start) || !isValid(end)) {
+    return { start: startOfDay(today), end: endOfDay(today) };
+  }
+
+  return { start: startOfDay(start), end: endOfDay(end) };
+};
+
+/**
+ * Check whether a record's createdAt falls inside a range
+ * @param {Object} record - Order, payment or shift
+ * @param {{start: Date, end: Date}} range - Date range
+ * @returns {boolean}
+ */
+export const isInRange = (record, range) => {
+  const createdAt = record?.createdAt ? new Date(record.createdAt) : null;
+  return (
+    !!createdAt && isValid(createdAt) && isWithinInterval(createdAt, range)
+  );
+};
+
+/**
+ * Total amount of a payment (falls back to the sum of its methods)
+ * @param {Object} payment - Payment record
+ * @returns {number}
+ */
+export const getPaymentTotal = (payment) => {
+  if (payment.totalAmount !== undefined && payment.totalAmount !== null) {
+    return Number(payment.totalAmount) || 0;
+  }
+  return (payment.paymentMethods || []).reduce(
+    (sum, method) => sum + (Number(method.amount) || 0),
+    0
+  );
+};
+
+/**
+ * Revenue for a given day compared with the day before
+ * @param {Array} payments - Payment records
+ * @param {Date} day - The day to report on (defaults to today)
+ * @returns {{today: number, yesterday: number, change: number|null}}
+ */
+export const getRevenueComparison = (payments, day = new Date()) => {
+  const todayRange = { start: startOfDay(day), end: endOfDay(day) };
+  const yesterday = subDays(day, 1);
+  const yesterdayRange = {
+    start: startOfDay(yesterday),
+    end: endOfDay(yesterday),
+  };
+
+  const sumInRange = (range) =>
+    payments
+      .filter((payment) => isInRange(payment, range))
+      .reduce((sum, payment) => sum + getPaymentTotal(payment), 0);
+
+  const todayRevenue = sumInRange(todayRange);
+  const yesterdayRevenue = sumInRange(yesterdayRange);
+
+  return {
+    today: todayRevenue,
+    yesterday: yesterdayRevenue,
+    // Percentage change, null when there is nothing to compare against
+    change:
+      yesterdayRevenue > 0
+        ? ((todayRevenue - yesterdayRevenue) / yesterdayRevenue) * 100
+        : null,
+  };
+};
+
+/**
+ * Revenue, payment method split and average ticket for a set of payments
+ * @param {Array} payments - Payment records already filtered to a range
+ * @returns {{revenue: number, byMethod: Object, count: number, averageTicket: number}}
+ */
+export const getPaymentSummary = (payments) => {
+  const byMethod = {};
+  let revenue = 0;
+
+  payments.forEach((payment) => {
+    revenue += getPaymentTotal(payment);
+    (payment.paymentMethods || []).forEach((method) => {
+      const key = (method.method || "other").toLowerCase();
+      byMethod[key] = (byMethod[key] || 0) + (Number(method.amount) || 0);
+    });
+  });
+
+  return {
+    revenue,
+    byMethod,
+    count: payments.length,
+    averageTicket: payments.length > 0 ? revenue / payments.length : 0,
+  };
+};
+
+/**
+ * Count non-cancelled orders by type
+ * @param {Array} orders - Orders already filtered to a range
+ * @returns {Object} - Map of order type -> count
+ */
+export const getOrderCountsByType = (orders) => {
+  const counts = Object.fromEntries(ORDER_TYPES.map((type) => [type, 0]));
+
+  orders
+    .filter((order) => !order.isCancelled)
+    .forEach((order) => {
+      const type = (order.type || "takeaway").toLowerCase();
+      counts[type] = (counts[type] || 0) + 1;
+    });
+
+  return counts;
+};
+
+/**
+ * Best selling meals by quantity, ignoring cancelled orders and lines
+ * @param {Array} orders - Orders already filtered to a range
+ * @param {Array} meals - Meal catalogue used to resolve names
+ * @param {number} limit - How many meals to return
+ * @returns {Array} - [{mealId, name, quantity, revenue}]
+ */
+export const getTopMeals = (orders, meals = [], limit = 5) => {
+  const totals = {};
+
+  orders
+    .filter((order) => !order.isCancelled)
+    .forEach((order) => {
+      (order.orderItems || [])
+        .filter((item) => !item.isCancelled)
+        .forEach((item) => {
+          const mealData =
+            order.orderItemsData?.find((meal) => meal._id === item.mealId) ||
+            meals.find((meal) => meal._id === item.mealId);
+          const entry = totals[item.mealId] || {
+            mealId: item.mealId,
+            name: mealData?.name || item.mealId,
+            quantity: 0,
+            revenue: 0,
+          };
+          const quantity = Number(item.quantity) || 0;
+          entry.quantity += quantity;
+          entry.revenue += quantity * (Number(item.price) || 0);
+          totals[item.mealId] = entry;
+        });
+    });
+
+  return Object.values(totals)
+    .sort((a, b) => b.quantity - a.quantity)
+    .slice(0, limit);
+};
+
+/**
+ * Shifts that have not been ended or cancelled yet
+ * @param {Array} shifts - Shift records
+ * @returns {Array}
+ */
+export const getActiveShifts = (shifts) =>
+  shifts.filter((shift) => !shift.endBalance && !shift.cancelledAt);
@@ -0,0 +1,157 @@
+// Pure helpers for the dispatch board: delivery states, driver assignment
+// and cash-on-delivery reconciliation per driver
+
+export const DELIVERY_STATUSES = [
+  "awaiting",
+  "assigned",
+  "out_for_delivery",
+  "delivered",
+  "failed",
+];
+
+// Moves allowed from each state. Failed deliveries can be sent out again.
+const DELIVERY_TRANSITIONS = {
+  awaiting: ["assigned"],
+  assigned: ["out_for_delivery", "awaiting"],
+  out_for_delivery: ["delivered", "failed"],
+  delivered: [],
+  failed: ["assigned", "awaiting"],
+};
+
+// Timestamp recorded when an order enters a state
+const STATUS_TIMESTAMPS = {
+  assigned: "assignedAt",
+  out_for_delivery: "dispatchedAt",
+  delivered: "deliveredAt",
+  failed: "failedAt",
+};
+
+/**
+ * Whether an order is a delivery order
+ * @param {Object} order - Order
+ * @returns {boolean}
+ */
+export const isDeliveryOrder = (order) =>
+  String(order?.type || order?.orderType || "").toLowerCase() === "delivery";
+
+/**
+ * Delivery state of an order, "awaiting" until a driver is assigned
+ * @param {Object} order - Order
+ * @returns {string}
+ */
+export const getDeliveryStatus = (order) =>
+  DELIVERY_STATUSES.includes(order?.delivery?.status)
+    ? order.delivery.status
+    : "awaiting";
+
+/**
+ * Whether a delivery can move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - New state
+ * @returns {boolean}
+ */
+export const canMoveDelivery = (from, to) =>
+  (DELIVERY_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Apply a delivery update to an order
+ * @param {Object} order - Order
+ * @param {Object} update - {status, driverId, driverName, collectedAmount,
+ * reason}
+ * @returns {Object} - Updated copy of the order
+ */
+export const applyDeliveryUpdate = (order, update) => {
+  const now = new Date().toISOString();
+  const delivery = { ...order.delivery, status: update.status };
+
+  if (update.status === "awaiting") {
+    delivery.driverId = null;
+    delivery.driverName = "";
+    delivery.assignedAt = null;
+  } else if (update.driverId) {
+    delivery.driverId = update.driverId;
+    delivery.driverName = update.driverName || "";
+  }
+
+  const timestampKey = STATUS_TIMESTAMPS[update.status];
+  if (timestampKey) delivery[timestampKey] = now;
+
+  if (update.status === "delivered" && update.collectedAmount !== undefined) {
+    delivery.collectedAmount = Number(update.collectedAmount) || 0;
+  }
+  if (update.status === "failed") {
+    delivery.failReason = update.reason || "";
+  }
+
+  return { ...order, delivery };
+};
+
+/**
+ * Amount the driver has to collect at the door (unpaid orders only)
+ * @param {Object} order - Order
+ * @returns {number}
+ */
+export const getCashOnDelivery = (order) =>
+  order?.isPaid ? 0 : Number(order?.totalPrice) || 0;
+
+/**
+ * Minutes since an order entered its current delivery state
+ * @param {Object} order - Order
+ * @param {number} now - Current time in milliseconds
+ * @returns {number}
+ */
+export const getMinutesInStatus = (order, now) => {
+  const status = getDeliveryStatus(order);
+  const since =
+    order.delivery?.[STATUS_TIMESTAMPS[status]] || order.createdAt || now;
+  const time = new Date(since).getTime();
+  return Number.isNaN(time) ? 0 : Math.max(Math.floor((now - time) / 60000), 0);
+};
+
+/**
+ * Cash-on-delivery owed by each driver: money collected on delivered
+ * orders that has not been handed over yet, and cash still on the road
+ * @param {Array} orders - Orders of the shift
+ * @returns {Array} - [{driverId, driverName, delivered, failed, onRoad,
+ * collected, outstanding, orderIds}] with `orderIds` the delivered orders
+ * still to settle
+ */
+export const getDriverCashSummary = (orders) =>
+  Object.values(
+    (orders || [])
+      .filter((order) => isDeliveryOrder(order) && order.delivery?.driverId)
+      .reduce((drivers, order) => {
+        const { driverId, driverName } = order.delivery;
+        const status = getDeliveryStatus(order);
+        const entry = drivers[driverId] || {
+          driverId,
+          driverName: driverName || "",
+          delivered: 0,
+          failed: 0,
+          onRoad: 0,
+          collected: 0,
+          outstanding: 0,
+          orderIds: [],
+        };
+
+        if (status === "delivered") {
+          entry.delivered += 1;
+          if (!order.delivery.settledAt) {
+            const collected =
+              order.delivery.collectedAmount ?? getCashOnDelivery(order);
+            if (collected > 0) {
+              entry.collected += collected;
+              entry.orderIds.push(order._id);
+            }
+          }
+        } else if (status === "failed") {
+          entry.failed += 1;
+        } else if (status === "out_for_delivery") {
+          entry.onRoad += 1;
+          entry.outstanding += getCashOnDelivery(order);
+        }
+
+        drivers[driverId] = entry;
+        return drivers;
+      }, {})
+  );
@@ -0,0 +1,360 @@
+// Discount rules: what can be taken off an order, when, and who must approve
+
+import { round2 } from "./vat";
+
+export const DISCOUNTS_STORAGE_KEY = "discount_rules";
+
+export const DISCOUNT_TYPES = [
+  "order_percent",
+  "order_fixed",
+  "item_percent",
+  "item_fixed",
+  "buy_x_get_y",
+  "staff_meal",
+];
+
+// Types that take money off the whole order rather than matching lines
+const ORDER_TYPES = ["order_percent", "order_fixed", "staff_meal"];
+
+// Share of the subtotal (%) above which a manager has to approve
+export const DEFAULT_APPROVAL_THRESHOLD = 20;
+
+export const DEFAULT_DISCOUNT_SETTINGS = {
+  rules: [],
+  approvalThreshold: DEFAULT_APPROVAL_THRESHOLD,
+};
+
+/**
+ * Blank rule with every field a rule can carry
+ * @param {Object} overrides - Field values
+ * @returns {Object}
+ */
+export const createDiscountRule = (overrides = {}) => ({
+  id: `discount_${Date.now().toString(36)}_${Math.random()
+    .toString(36)
+    .slice(2, 6)}`,
+  name: "",
+  nameAr: "",
+  type: "order_percent",
+  value: 0,
+  // Lines a line-level rule applies to, empty means every line
+  mealIds: [],
+  categoryIds: [],
+  // Buy X get Y: for every `buyQuantity` units, `getQuantity` more are free
+  buyQuantity: 2,
+  getQuantity: 1,
+  // Happy hour window, null means always on
+  schedule: null,
+  // Rules with a code are only applied when the code is entered
+  promoCode: "",
+  usageLimit: null,
+  usageCount: 0,
+  requiresApproval: false,
+  enabled: true,
+  ...overrides,
+});
+
+/**
+ * Complete saved discount settings
+ * @param {Object} settings - {rules, approvalThreshold}
+ * @returns {Object}
+ */
+export const normalizeDiscountSettings = (settings) => {
+  const threshold = Number(settings?.approvalThreshold);
+  return {
+    rules: (Array.isArray(settings?.rules) ? settings.rules : [])
+      .filter((rule) => rule?.id)
+      .map((rule) => createDiscountRule(rule)),
+    approvalThreshold:
+      Number.isFinite(threshold) && threshold >= 0
+        ? threshold
+        : DEFAULT_APPROVAL_THRESHOLD,
+  };
+};
+
+/**
+ * Discount settings saved on this till
+ * @returns {Object}
+ */
+export const getStoredDiscountSettings = () => {
+  try {
+    return normalizeDiscountSettings(
+      JSON.parse(localStorage.getItem(DISCOUNTS_STORAGE_KEY))
+    );
+  } catch (error) {
+    console.error("Error loading discount rules:", error);
+    return normalizeDiscountSettings(DEFAULT_DISCOUNT_SETTINGS);
+  }
+};
+
+/**
+ * Save discount settings on this till
+ * @param {Object} settings - {rules, approvalThreshold}
+ */
+export const storeDiscountSettings = (settings) => {
+  localStorage.setItem(DISCOUNTS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || "")
+    .split(":")
+    .map(Number);
+  return Number.isFinite(hours) ? hours * 60 + (minutes || 0) : null;
+};
+
+/**
+ * Whether a rule's happy hour window is open. Windows may pass midnight
+ * (e.g. 22:00 - 02:00).
+ * @param {Object} rule - Discount rule
+ * @param {Date} date - Time to check
+ * @returns {boolean}
+ */
+export const isRuleActive = (rule, date = new Date()) => {
+  if (!rule?.enabled) return false;
+  const schedule = rule.schedule;
+  if (!schedule) return true;
+
+  if (
+    Array.isArray(schedule.days) &&
+    schedule.days.length > 0 &&
+    !schedule.days.includes(date.getDay())
+  ) {
+    return false;
+  }
+
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
+  if (start === null || end === null || start === end) return true;
+
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Whether a promo code rule still has uses left
+ * @param {Object} rule - Discount rule
+ * @returns {boolean}
+ */
+export const hasUsesLeft = (rule) =>
+  !rule?.usageLimit || (Number(rule.usageCount) || 0) < Number(rule.usageLimit);
+
+/**
+ * Rules the cashier can pick from: enabled, in their window and not behind
+ * a promo code
+ * @param {Array} rules - Discount rules
+ * @param {Date} date - Time to check
+ * @returns {Array}
+ */
+export const getAvailableRules = (rules, date = new Date()) =>
+  (rules || []).filter((rule) => !rule.promoCode && isRuleActive(rule, date));
+
+/**
+ * Rule for a promo code, null when unknown, inactive or used up
+ * @param {Array} rules - Discount rules
+ * @param {string} code - Code typed by the cashier
+ * @param {Date} date - Time to check
+ * @returns {Object|null}
+ */
+export const findPromoRule = (rules, code, date = new Date()) => {
+  const normalized = String(code || "")
+    .trim()
+    .toUpperCase();
+  if (!normalized) return null;
+  const rule = (rules || []).find(
+    (item) => String(item.promoCode || "").toUpperCase() === normalized
+  );
+  return rule && isRuleActive(rule, date) && hasUsesLeft(rule) ? rule : null;
+};
+
+/**
+ * Display name of a discount
+ * @param {Object} discount - Rule or applied discount
+ * @param {boolean} isArabic - Arabic name when available
+ * @returns {string}
+ */
+export const getDiscountName = (discount, isArabic = false) =>
+  (isArabic && discount?.nameAr) || discount?.name || "";
+
+/**
+ * Whether a line-level rule covers an order line
+ * @param {Object} rule - Discount rule
+ * @param {Object} line - {mealId, categoryId}
+ * @returns {boolean}
+ */
+export const ruleAppliesToLine = (rule, line) => {
+  const mealIds = rule.mealIds || [];
+  const categoryIds = rule.categoryIds || [];
+  if (mealIds.length === 0 && categoryIds.length === 0) return true;
+  return mealIds.includes(line.mealId) || categoryIds.includes(line.categoryId);
+};
+
+// Spread an amount over lines in proportion to what is left on each
+const spreadOverLines = (amount, lines, remaining) => {
+  const base = lines.reduce((sum, line) => sum + remaining[line.id], 0);
+  const shares = {};
+  if (base <= 0 || amount <= 0) return shares;
+
+  const total = Math.min(round2(amount), round2(base));
+  let allocated = 0;
+  lines.forEach((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? round2(total - allocated)
+        : round2((total * remaining[line.id]) / base);
+    shares[line.id] = Math.min(share, remaining[line.id]);
+    allocated = round2(allocated + shares[line.id]);
+  });
+  return shares;
+};
+
+// Amount a single rule takes off, per line id
+const getRuleShares = (rule, lines, remaining) => {
+  const value = Number(rule.value) || 0;
+
+  if (ORDER_TYPES.includes(rule.type)) {
+    const base = lines.reduce((sum, line) => sum + remaining[line.id], 0);
+    const amount =
+      rule.type === "order_fixed" ? value : (base * Math.min(value, 100)) / 100;
+    return spreadOverLines(amount, lines, remaining);
+  }
+
+  const matching = lines.filter((line) => ruleAppliesToLine(rule, line));
+  const shares = {};
+
+  if (rule.type === "item_percent") {
+    matching.forEach((line) => {
+      shares[line.id] = round2(
+        (remaining[line.id] * Math.min(value, 100)) / 100
+      );
+    });
+  } else if (rule.type === "item_fixed") {
+    // Fixed amount off each unit
+    matching.forEach((line) => {
+      shares[line.id] = Math.min(
+        round2(value * line.quantity),
+        remaining[line.id]
+      );
+    });
+  } else if (rule.type === "buy_x_get_y") {
+    // Cheapest matching units are the free ones
+    const buy = Math.max(Number(rule.buyQuantity) || 0, 1);
+    const get = Math.max(Number(rule.getQuantity) || 0, 0);
+    const units = matching
+      .flatMap((line) =>
+        Array.from({ length: line.quantity }, () => ({
+          id: line.id,
+          price: line.unitPrice,
+        }))
+      )
+      .sort((a, b) => a.price - b.price);
+    const freeCount = Math.floor(units.length / (buy + get)) * get;
+    units.slice(0, freeCount).forEach((unit) => {
+      shares[unit.id] = round2((shares[unit.id] || 0) + unit.price);
+    });
+    Object.keys(shares).forEach((id) => {
+      shares[id] = Math.min(shares[id], remaining[id]);
+    });
+  }
+
+  return shares;
+};
+
+/**
+ * Work out applied discounts for an order. Line-level rules go first, then
+ * order-level ones on what is left, and no line ever goes below zero.
+ * @param {Array} lines - [{id, mealId, categoryId, quantity, unitPrice}]
+ * @param {Array} applied - Applied discounts (rules plus `reason`,
+ * `promoCode`)
+ * @returns {Object} - {lineDiscounts: {lineId: amount}, items: [{...applied,
+ * amount}], total}
+ */
+export const calculateDiscounts = (lines, applied) => {
+  const remaining = {};
+  lines.forEach((line) => {
+    remaining[line.id] = round2(
+      (Number(line.unitPrice) || 0) * (Number(line.quantity) || 0)
+    );
+  });
+  const lineDiscounts = {};
+
+  const ordered = [...(applied || [])].sort(
+    (a, b) =>
+      Number(ORDER_TYPES.includes(a.type)) -
+      Number(ORDER_TYPES.includes(b.type))
+  );
+
+  const items = ordered.map((discount) => {
+    const shares = getRuleShares(discount, lines, remaining);
+    let amount = 0;
+    Object.entries(shares).forEach(([id, share]) => {
+      remaining[id] = round2(remaining[id] - share);
+      lineDiscounts[id] = round2((lineDiscounts[id] || 0) + share);
+      amount = round2(amount + share);
+    });
+    return { ...discount, amount };
+  });
+
+  return {
+    lineDiscounts,
+    items,
+    total: round2(items.reduce((sum, item) => sum + item.amount, 0)),
+  };
+};
+
+/**
+ * Whether the applied discounts need a manager: a rule asks for it, or the
+ * total goes over the threshold share of the subtotal
+ * @param {Object} result - Result of calculateDiscounts
+ * @param {number} subtotal - Order subtotal
+ * @param {number} threshold - Approval threshold (%)
+ * @returns {boolean}
+ */
+export const needsApproval = (result, subtotal, threshold) =>
+  result.items.some(
+    (item) => item.requiresApproval || item.type === "staff_meal"
+  ) ||
+  (subtotal > 0 && (result.total / subtotal) * 100 > Number(threshold));
+
+/**
+ * Applied discounts as sent to the backend and printed on receipts
+ * @param {Array} items - `items` of calculateDiscounts
+ * @returns {Array} - [{ruleId, name, nameAr, type, value, amount, reason,
+ * promoCode}]
+ */
+export const toDiscountRecords = (items) =>
+  items
+    .filter((item) => item.amount > 0)
+    .map((item) => ({
+      ruleId: item.id,
+      name: item.name,
+      nameAr: item.nameAr || "",
+      type: item.type,
+      value: Number(item.value) || 0,
+      amount: item.amount,
+      reason: item.reason || "",
+      promoCode: item.promoCode || "",
+    }));
+
+/**
+ * Discount totals per cashier over a list of shifts
+ * @param {Array} shifts - Shift records with `discountBalance`
+ * @returns {Array} - [{cashierId, name, username, total, shifts}] largest first
+ */
+export const getDiscountTotalsByCashier = (shifts) =>
+  Object.values(
+    (shifts || []).reduce((totals, shift) => {
+      const cashier = shift.cashierData || {};
+      const id = cashier._id || shift.cashierId || cashier.username || "?";
+      const entry = totals[id] || {
+        cashierId: id,
+        name: cashier.name || "Unknown",
+        username: cashier.username || "",
+        total: 0,
+        shifts: 0,
+      };
+      entry.total = round2(entry.total + (Number(shift.discountBalance) || 0));
+      entry.shifts += 1;
+      totals[id] = entry;
+      return totals;
+    }, {})
+  ).sort((a, b) => b.total - a.total);
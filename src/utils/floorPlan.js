@@ -0,0 +1,112 @@
+// Floor plan helpers: table layout on the canvas of each area and the live
+// status a table is shown with
+
+import { getOrderKitchenStatus } from "./kitchenStatus";
+
+// Logical canvas size; positions are stored in these units and drawn in
+// percentages so the plan scales with the screen
+export const CANVAS_WIDTH = 1000;
+export const CANVAS_HEIGHT = 625;
+export const GRID_SIZE = 25;
+
+export const TABLE_SHAPES = ["square", "round", "rectangle"];
+export const TABLE_STATUSES = [
+  "free",
+  "occupied",
+  "awaiting_payment",
+  "reserved",
+];
+
+// Tailwind classes each status is drawn with on the floor plan
+export const TABLE_STATUS_STYLES = {
+  free: "bg-green-50 border-green-500",
+  occupied: "bg-red-50 border-red-500",
+  awaiting_payment: "bg-amber-50 border-amber-500",
+  reserved: "bg-blue-50 border-blue-500",
+};
+
+const DEFAULT_SEATS = 4;
+const MAX_SEATS = 20;
+
+/**
+ * Width and height of a table on the canvas for its shape and seats
+ * @param {Object} layout - {shape, seats}
+ * @returns {Object} - {width, height}
+ */
+export const getTableSize = ({ shape, seats }) => {
+  const count = Number(seats) || DEFAULT_SEATS;
+  if (shape === "rectangle") {
+    return { width: 50 + Math.ceil(count / 2) * 30, height: 75 };
+  }
+  const side = count > 4 ? 100 + (Math.min(count, 12) - 4) * 5 : 75;
+  return { width: side, height: side };
+};
+
+/**
+ * Keep a table inside the canvas, snapped to the grid
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {Object} size - {width, height}
+ * @returns {Object} - {x, y}
+ */
+export const snapPosition = (x, y, size) => {
+  const snap = (value) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+  return {
+    x: Math.min(Math.max(snap(x), 0), CANVAS_WIDTH - size.width),
+    y: Math.min(Math.max(snap(y), 0), CANVAS_HEIGHT - size.height),
+  };
+};
+
+/**
+ * Layout of a table with defaults. Tables that were never placed are laid
+ * out in rows in the order given.
+ * @param {Object} table - Table with an optional `layout`
+ * @param {number} index - Position of the table in its area
+ * @returns {Object} - {x, y, shape, seats, rotation}
+ */
+export const getTableLayout = (table, index = 0) => {
+  const layout = table?.layout || {};
+  const shape = TABLE_SHAPES.includes(layout.shape) ? layout.shape : "square";
+  const seats = Math.min(
+    Math.max(Math.round(Number(layout.seats)) || DEFAULT_SEATS, 1),
+    MAX_SEATS
+  );
+  const rotation =
+    (((Math.round(Number(layout.rotation)) || 0) % 360) + 360) % 360;
+
+  if (Number.isFinite(layout.x) && Number.isFinite(layout.y)) {
+    return { x: layout.x, y: layout.y, shape, seats, rotation };
+  }
+
+  const perRow = 6;
+  const cell = CANVAS_WIDTH / perRow;
+  return {
+    x: (index % perRow) * cell + GRID_SIZE,
+    y: Math.floor(index / perRow) * 150 + GRID_SIZE,
+    shape,
+    seats,
+    rotation,
+  };
+};
+
+/**
+ * Live status of a table from its open orders
+ * @param {Object} table - Table
+ * @param {Array} openOrders - Open orders at the table (getOpenTableOrders)
+ * @param {Object} hold - Booking holding the table (getTableHold)
+ * @returns {string} - One of TABLE_STATUSES
+ */
+export const getTableStatus = (table, openOrders = [], hold = null) => {
+  if (openOrders.length > 0 || table?.isAvailable === false) {
+    // Part of the bill paid, or everything served: waiting for the bill
+    const awaitingPayment =
+      openOrders.length > 0 &&
+      openOrders.every(
+        (order) =>
+          Number(order.paidAmount) > 0 ||
+          getOrderKitchenStatus(order) === "ready"
+      );
+    return awaitingPayment ? "awaiting_payment" : "occupied";
+  }
+  return hold || table?.status === "reserved" ? "reserved" : "free";
+};
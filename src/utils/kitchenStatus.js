@@ -0,0 +1,160 @@
+// Pure helpers for the kitchen display: order/item preparation states,
+// bumping and how long an order has been waiting
+
+export const KITCHEN_STATUSES = ["new", "preparing", "ready"];
+
+// Minutes after which an order is shown as late
+export const KITCHEN_WARNING_MINUTES = 10;
+export const KITCHEN_LATE_MINUTES = 20;
+
+// Ready orders stay on the kitchen display for this long
+export const READY_VISIBLE_MINUTES = 15;
+
+// Orders older than this are left off the kitchen display whatever their
+// state, e.g. orders from before kitchen statuses were recorded
+export const KITCHEN_MAX_AGE_HOURS = 6;
+
+/**
+ * Preparation state of an order item
+ * @param {Object} item - Order item
+ * @returns {string} - "new" | "preparing" | "ready"
+ */
+export const getItemKitchenStatus = (item) =>
+  KITCHEN_STATUSES.includes(item?.kitchenStatus) ? item.kitchenStatus : "new";
+
+/**
+ * Preparation state of an order, derived from its items when the order has
+ * no explicit status
+ * @param {Object} order - Order
+ * @returns {string} - "new" | "preparing" | "ready"
+ */
+export const getOrderKitchenStatus = (order) => {
+  if (KITCHEN_STATUSES.includes(order?.kitchenStatus)) {
+    return order.kitchenStatus;
+  }
+
+  const statuses = (order?.orderItems || [])
+    .filter((item) => !item.isCancelled)
+    .map(getItemKitchenStatus);
+
+  if (statuses.length > 0 && statuses.every((status) => status === "ready")) {
+    return "ready";
+  }
+  if (statuses.some((status) => status !== "new")) {
+    return "preparing";
+  }
+  return "new";
+};
+
+/**
+ * The state an order or item moves to when bumped
+ * @param {string} status - Current state
+ * @returns {string|null} - Next state, null when already ready
+ */
+export const getNextKitchenStatus = (status) => {
+  const index = KITCHEN_STATUSES.indexOf(status);
+  return index >= 0 && index < KITCHEN_STATUSES.length - 1
+    ? KITCHEN_STATUSES[index + 1]
+    : null;
+};
+
+/**
+ * Apply a status change to an order (whole order when itemId is empty)
+ * @param {Object} order - Order
+ * @param {string} status - New state
+ * @param {string} [itemId] - Order item to bump
+ * @returns {Object} - Updated copy of the order
+ */
+export const applyKitchenStatus = (order, status, itemId = null) => {
+  const now = new Date().toISOString();
+  const orderItems = (order.orderItems || []).map((item) =>
+    (itemId ? item._id === itemId : !item.isCancelled)
+      ? { ...item, kitchenStatus: status }
+      : item
+  );
+
+  // Item bumps only move the order forward once every item agrees
+  const orderStatus = itemId ? getOrderKitchenStatus({ orderItems }) : status;
+
+  return {
+    ...order,
+    orderItems,
+    kitchenStatus: orderStatus,
+    kitchenUpdatedAt: now,
+    readyAt: orderStatus === "ready" ? order.readyAt || now : null,
+  };
+};
+
+/**
+ * Minutes an order has been waiting
+ * @param {Object} order - Order
+ * @param {number} now - Current time in milliseconds
+ * @returns {number}
+ */
+export const getElapsedMinutes = (order, now) => {
+  const createdAt = new Date(order?.createdAt).getTime();
+  return Number.isNaN(createdAt)
+    ? 0
+    : Math.max(Math.floor((now - createdAt) / 60000), 0);
+};
+
+/**
+ * Format the time an order has been waiting as mm:ss (h:mm:ss past an hour)
+ * @param {Object} order - Order
+ * @param {number} now - Current time in milliseconds
+ * @returns {string}
+ */
+export const formatElapsed = (order, now) => {
+  const createdAt = new Date(order?.createdAt).getTime();
+  const totalSeconds = Number.isNaN(createdAt)
+    ? 0
+    : Math.max(Math.floor((now - createdAt) / 1000), 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Age level used to colour-code orders
+ * @param {Object} order - Order
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - "fresh" | "warning" | "late"
+ */
+export const getOrderAgeLevel = (order, now) => {
+  const minutes = getElapsedMinutes(order, now);
+  if (minutes >= KITCHEN_LATE_MINUTES) return "late";
+  if (minutes >= KITCHEN_WARNING_MINUTES) return "warning";
+  return "fresh";
+};
+
+/**
+ * Whether an order belongs on the kitchen display
+ * @param {Object} order - Order
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isKitchenOrder = (order, now) => {
+  if (!order || order.isCancelled) return false;
+  if (!(order.orderItems || []).some((item) => !item.isCancelled)) {
+    return false;
+  }
+  const createdAt = new Date(order.createdAt).getTime();
+  if (
+    Number.isNaN(createdAt) ||
+    now - createdAt > KITCHEN_MAX_AGE_HOURS * 3600000
+  ) {
+    return false;
+  }
+  if (getOrderKitchenStatus(order) !== "ready") return true;
+
+  const readyAt = new Date(
+    order.readyAt || order.kitchenUpdatedAt || order.updatedAt
+  ).getTime();
+  return (
+    !Number.isNaN(readyAt) && now - readyAt < READY_VISIBLE_MINUTES * 60000
+  );
+};
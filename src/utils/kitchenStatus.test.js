@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { isKitchenOrder } from "./kitchenStatus";
+
+const NOW = new Date("2024-01-15T12:00:00.000Z").getTime();
+
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+const buildOrder = (overrides = {}) => ({
+  _id: "order_1",
+  createdAt: minutesAgo(5),
+  orderItems: [{ _id: "item_1", mealId: "meal_1", quantity: 1 }],
+  ...overrides,
+});
+
+describe("isKitchenOrder", () => {
+  it("shows a recent order that is not ready", () => {
+    expect(isKitchenOrder(buildOrder(), NOW)).toBe(true);
+  });
+
+  it("leaves out an old order that never got a kitchen status", () => {
+    const order = buildOrder({ createdAt: minutesAgo(3 * 24 * 60) });
+
+    expect(isKitchenOrder(order, NOW)).toBe(false);
+  });
+
+  it("leaves out cancelled orders and orders without live items", () => {
+    expect(isKitchenOrder(buildOrder({ isCancelled: true }), NOW)).toBe(false);
+    expect(
+      isKitchenOrder(
+        buildOrder({ orderItems: [{ _id: "item_1", isCancelled: true }] }),
+        NOW
+      )
+    ).toBe(false);
+  });
+
+  it("keeps ready orders only for a short while", () => {
+    const ready = { kitchenStatus: "ready", createdAt: minutesAgo(40) };
+
+    expect(
+      isKitchenOrder(buildOrder({ ...ready, readyAt: minutesAgo(5) }), NOW)
+    ).toBe(true);
+    expect(
+      isKitchenOrder(buildOrder({ ...ready, readyAt: minutesAgo(30) }), NOW)
+    ).toBe(false);
+  });
+});
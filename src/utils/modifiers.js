@@ -0,0 +1,159 @@
+// Helpers for meal modifier groups (extra tahini, no onions, large size...)
+//
+// Meal shape:
+//   modifierGroups: [{ name, required, minSelect, maxSelect,
+//     options: [{ name, priceDelta, stockDeltas: [{ stockItemId, quantityUsed, unit }] }] }]
+// Selected modifiers on a cart line / order item:
+//   modifiers: [{ groupName, name, priceDelta, stockDeltas }]
+
+/**
+ * Build an empty modifier group for the meal form
+ * @returns {Object} - A new modifier group
+ */
+export const createEmptyModifierGroup = () => ({
+  name: "",
+  required: false,
+  minSelect: 0,
+  maxSelect: 1,
+  options: [createEmptyModifierOption()],
+});
+
+/**
+ * Build an empty modifier option for the meal form
+ * @returns {Object} - A new modifier option
+ */
+export const createEmptyModifierOption = () => ({
+  name: "",
+  priceDelta: 0,
+  stockDeltas: [],
+});
+
+/**
+ * Normalize modifier groups coming from the API or the cache
+ * @param {Array} groups - Raw modifier groups
+ * @returns {Array} - Modifier groups with consistent numeric fields
+ */
+export const normalizeModifierGroups = (groups) => {
+  if (!Array.isArray(groups)) return [];
+
+  return groups.map((group) => {
+    const required = !!group.required;
+    const minSelect = Number(group.minSelect) || (required ? 1 : 0);
+    return {
+      ...group,
+      name: group.name || "",
+      required,
+      minSelect,
+      maxSelect: Math.max(Number(group.maxSelect) || 1, minSelect, 1),
+      options: (group.options || []).map((option) => ({
+        ...option,
+        name: option.name || "",
+        priceDelta: Number(option.priceDelta) || 0,
+        stockDeltas: (option.stockDeltas || []).map((delta) => ({
+          ...delta,
+          quantityUsed: Number(delta.quantityUsed) || 0,
+          unit: delta.unit || "pcs",
+        })),
+      })),
+    };
+  });
+};
+
+/**
+ * Check whether a meal needs the modifier modal before it is added to a cart
+ * @param {Object} meal - The meal
+ * @returns {boolean}
+ */
+export const hasModifiers = (meal) =>
+  Array.isArray(meal?.modifierGroups) &&
+  meal.modifierGroups.some((group) => group.options?.length > 0);
+
+/**
+ * Validate the selected options of every group against its min/max rules
+ * @param {Array} groups - The meal's modifier groups
+ * @param {Object} selection - Map of group index -> array of option indexes
+ * @returns {Object} - Map of group index -> error key (empty when valid)
+ */
+export const validateModifierSelection = (groups, selection) => {
+  const errors = {};
+
+  groups.forEach((group, index) => {
+    const count = (selection[index] || []).length;
+    const min = group.required ? Math.max(group.minSelect, 1) : group.minSelect;
+
+    if (count < min) {
+      errors[index] = "min";
+    } else if (count > group.maxSelect) {
+      errors[index] = "max";
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Turn a selection map into the modifiers stored on a cart line
+ * @param {Array} groups - The meal's modifier groups
+ * @param {Object} selection - Map of group index -> array of option indexes
+ * @returns {Array} - Selected modifiers
+ */
+export const buildSelectedModifiers = (groups, selection) =>
+  groups.flatMap((group, groupIndex) =>
+    (selection[groupIndex] || []).map((optionIndex) => {
+      const option = group.options[optionIndex];
+      return {
+        groupName: group.name,
+        name: option.name,
+        priceDelta: Number(option.priceDelta) || 0,
+        stockDeltas: option.stockDeltas || [],
+      };
+    })
+  );
+
+/**
+ * Sum the price deltas of the selected modifiers
+ * @param {Array} modifiers - Selected modifiers
+ * @returns {number}
+ */
+export const getModifiersPriceDelta = (modifiers = []) =>
+  modifiers.reduce(
+    (sum, modifier) => sum + (Number(modifier.priceDelta) || 0),
+    0
+  );
+
+/**
+ * Stable key for a set of selected modifiers so that cart lines with the
+ * same meal but different modifiers stay separate
+ * @param {Array} modifiers - Selected modifiers
+ * @returns {string}
+ */
+export const getModifiersKey = (modifiers = []) =>
+  modifiers
+    .map((modifier) => `${modifier.groupName}:${modifier.name}`)
+    .sort()
+    .join("|");
+
+/**
+ * Cart line id for a meal with the given modifiers
+ * Meals without modifiers keep their own id for backward compatibility
+ * @param {string} mealId - The meal id
+ * @param {Array} modifiers - Selected modifiers
+ * @returns {string}
+ */
+export const getCartLineId = (mealId, modifiers = []) => {
+  const key = getModifiersKey(modifiers);
+  return key ? `${mealId}::${key}` : mealId;
+};
+
+/**
+ * Format one modifier for display ("Extra tahini +2.00")
+ * @param {Object} modifier - Selected modifier
+ * @returns {string}
+ */
+export const formatModifier = (modifier) => {
+  const delta = Number(modifier.priceDelta) || 0;
+  if (delta === 0) return modifier.name;
+  return `${modifier.name} ${delta > 0 ? "+" : "-"}${Math.abs(delta).toFixed(
+    2
+  )}`;
+};
@@ -0,0 +1,196 @@
+// Supplier payables helpers: open stock invoices, aging buckets and how a
+// payment is spread over a supplier's invoices
+
+import { getDueDate } from "./purchasing";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since the invoice date, upper bound included (null = no limit)
+export const AGING_BUCKETS = [
+  { key: "current", max: 30 },
+  { key: "days31to60", max: 60 },
+  { key: "days61to90", max: 90 },
+  { key: "over90", max: null },
+];
+
+export const SUPPLIER_PAYMENT_METHODS = ["cash", "bank_transfer", "cheque"];
+
+// Amounts below this are treated as settled (rounding leftovers)
+const SETTLED_THRESHOLD = 0.005;
+
+/**
+ * Key used to group invoices by supplier name
+ * @param {string} name - Supplier name as typed on the stock item
+ * @returns {string}
+ */
+export const getSupplierKey = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Every invoice on the stock items, with its supplier, amounts and dates
+ * @param {Array} stocks - Stock items with their invoice arrays
+ * @returns {Array} - [{id, stockId, stockName, supplierName, number, type,
+ * value, paid, residual, date, dueDate}]
+ */
+export const getStockInvoices = (stocks) =>
+  (stocks || []).flatMap((stock) =>
+    (stock.invoice || []).map((invoice, index) => {
+      const value = Number(invoice.value) || 0;
+      const residual = Math.max(Number(invoice.residualValue) || 0, 0);
+      return {
+        id: invoice._id || `${stock._id}-${index}`,
+        invoiceId: invoice._id || null,
+        stockId: stock._id,
+        stockName: stock.name || stock.nameOfItem || "",
+        supplierName: invoice.supplierName || stock.supplierName || "",
+        number: invoice.number || "",
+        type: invoice.type || "",
+        value,
+        paid: Math.max(value - residual, 0),
+        residual,
+        date: invoice.createdAt || invoice.date || stock.createdAt,
+        dueDate: invoice.dueDate || null,
+      };
+    })
+  );
+
+/**
+ * Days since an invoice was issued
+ * @param {Object} invoice - Invoice from getStockInvoices
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export const getInvoiceAgeDays = (invoice, now = Date.now()) =>
+  Math.max(Math.floor((now - new Date(invoice.date)) / DAY_MS), 0);
+
+/**
+ * Aging bucket key for an invoice age
+ * @param {number} days - Days since the invoice date
+ * @returns {string}
+ */
+export const getAgingBucket = (days) =>
+  AGING_BUCKETS.find((bucket) => bucket.max === null || days <= bucket.max).key;
+
+/**
+ * Date an invoice falls due: its own due date, or the supplier's payment
+ * terms from the invoice date
+ * @param {Object} invoice - Invoice from getStockInvoices
+ * @param {Object} supplier - Supplier from the directory, if known
+ * @returns {Date}
+ */
+export const getInvoiceDueDate = (invoice, supplier) =>
+  invoice.dueDate
+    ? new Date(invoice.dueDate)
+    : getDueDate(invoice.date, supplier?.paymentTermsDays);
+
+/**
+ * Balances per supplier: open invoices in aging buckets and totals that
+ * add up to the stock invoices
+ * @param {Array} stocks - Stock items with their invoice arrays
+ * @param {Array} suppliers - Supplier directory
+ * @param {number} now - Current time in ms
+ * @returns {Array} - Suppliers with the most owed first
+ */
+export const getSupplierPayables = (stocks, suppliers, now = Date.now()) => {
+  const accounts = {};
+
+  getStockInvoices(stocks).forEach((invoice) => {
+    const key = getSupplierKey(invoice.supplierName);
+    if (!accounts[key]) {
+      accounts[key] = {
+        key,
+        supplierName: invoice.supplierName,
+        supplier:
+          (suppliers || []).find(
+            (supplier) => getSupplierKey(supplier.name) === key
+          ) || null,
+        invoices: [],
+        openInvoices: [],
+        buckets: Object.fromEntries(
+          AGING_BUCKETS.map((bucket) => [bucket.key, 0])
+        ),
+        invoiced: 0,
+        paid: 0,
+        owed: 0,
+      };
+    }
+    const account = accounts[key];
+    account.invoices.push(invoice);
+    account.invoiced += invoice.value;
+    account.paid += invoice.paid;
+
+    if (invoice.residual > SETTLED_THRESHOLD) {
+      const ageDays = getInvoiceAgeDays(invoice, now);
+      account.openInvoices.push({
+        ...invoice,
+        ageDays,
+        dueDate: getInvoiceDueDate(invoice, account.supplier),
+      });
+      account.buckets[getAgingBucket(ageDays)] += invoice.residual;
+      account.owed += invoice.residual;
+    }
+  });
+
+  return Object.values(accounts)
+    .map((account) => ({
+      ...account,
+      openInvoices: account.openInvoices.sort(
+        (a, b) => new Date(a.date) - new Date(b.date)
+      ),
+    }))
+    .sort((a, b) => b.owed - a.owed);
+};
+
+/**
+ * Totals of each aging bucket across suppliers
+ * @param {Array} accounts - From getSupplierPayables
+ * @returns {Object} - {current, days31to60, days61to90, over90, total}
+ */
+export const getAgingTotals = (accounts) => {
+  const totals = Object.fromEntries(
+    AGING_BUCKETS.map((bucket) => [bucket.key, 0])
+  );
+  (accounts || []).forEach((account) =>
+    AGING_BUCKETS.forEach((bucket) => {
+      totals[bucket.key] += account.buckets[bucket.key];
+    })
+  );
+  totals.total = AGING_BUCKETS.reduce(
+    (sum, bucket) => sum + totals[bucket.key],
+    0
+  );
+  return totals;
+};
+
+/**
+ * Spread a payment over open invoices, oldest first
+ * @param {Array} openInvoices - Open invoices, oldest first
+ * @param {number} amount - Amount paid
+ * @returns {Object} - {invoiceId: amount} for the invoices it covers
+ */
+export const allocatePayment = (openInvoices, amount) => {
+  let remaining = Number(amount) || 0;
+  const allocations = {};
+  (openInvoices || []).forEach((invoice) => {
+    if (remaining <= SETTLED_THRESHOLD) return;
+    const applied = Math.min(invoice.residual, remaining);
+    allocations[invoice.id] = Math.round(applied * 100) / 100;
+    remaining -= applied;
+  });
+  return allocations;
+};
+
+/**
+ * Payments made to a supplier, newest first
+ * @param {Array} payments - Supplier payments
+ * @param {string} supplierName - Supplier name
+ * @returns {Array}
+ */
+export const getSupplierPaymentHistory = (payments, supplierName) => {
+  const key = getSupplierKey(supplierName);
+  return (payments || [])
+    .filter((payment) => getSupplierKey(payment.supplierName) === key)
+    .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+};
@@ -0,0 +1,148 @@
+// Supplier and purchase order helpers: order statuses, line totals and
+// what is still to be received
+
+export const PURCHASE_ORDER_STATUSES = [
+  "draft",
+  "sent",
+  "partially_received",
+  "received",
+];
+
+// Statuses goods can be received against
+export const RECEIVABLE_STATUSES = ["sent", "partially_received"];
+
+// Payment terms offered on the supplier form, in days (0 = cash)
+export const PAYMENT_TERMS_OPTIONS = [0, 7, 15, 30, 45, 60, 90];
+
+/**
+ * Id of a supplier reference (populated or not)
+ * @param {Object|string} supplier - Supplier or supplier id
+ * @returns {string}
+ */
+export const getSupplierId = (supplier) =>
+  typeof supplier === "object" ? supplier?._id : supplier;
+
+/**
+ * Supplier of a purchase order, from the directory when not populated
+ * @param {Object} purchaseOrder - Purchase order
+ * @param {Array} suppliers - Supplier directory
+ * @returns {Object|null}
+ */
+export const getOrderSupplier = (purchaseOrder, suppliers) => {
+  const supplierId = getSupplierId(purchaseOrder?.supplierId);
+  return (
+    (suppliers || []).find((supplier) => supplier._id === supplierId) ||
+    (typeof purchaseOrder?.supplierId === "object"
+      ? purchaseOrder.supplierId
+      : null)
+  );
+};
+
+/**
+ * Stock items a supplier provides
+ * @param {Object} supplier - Supplier with itemIds
+ * @param {Array} stocks - Stock items
+ * @returns {Array}
+ */
+export const getSupplierItems = (supplier, stocks) => {
+  const itemIds = (supplier?.itemIds || []).map((item) =>
+    typeof item === "object" ? item._id : item
+  );
+  return (stocks || []).filter((stock) => itemIds.includes(stock._id));
+};
+
+/**
+ * Cost of an order or receipt line
+ * @param {Object} item - {quantity, unitPrice}
+ * @returns {number}
+ */
+export const getLineTotal = (item) =>
+  (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0);
+
+/**
+ * Total cost of order or receipt lines
+ * @param {Array} items - [{quantity, unitPrice}]
+ * @returns {number}
+ */
+export const getItemsTotal = (items) =>
+  (items || []).reduce((sum, item) => sum + getLineTotal(item), 0);
+
+/**
+ * Quantity of an order line not received yet
+ * @param {Object} item - {quantity, receivedQuantity}
+ * @returns {number}
+ */
+export const getOutstandingQuantity = (item) =>
+  Math.max(
+    (Number(item.quantity) || 0) - (Number(item.receivedQuantity) || 0),
+    0
+  );
+
+/**
+ * Status of a purchase order once goods are received against it
+ * @param {Array} orderItems - Order lines with receivedQuantity
+ * @param {Array} receivedItems - [{stockItemId, quantity}] being received
+ * @returns {string} - "partially_received" or "received"
+ */
+export const getReceivingStatus = (orderItems, receivedItems) => {
+  const complete = (orderItems || []).every((item) => {
+    const received = (receivedItems || [])
+      .filter((line) => line.stockItemId === item.stockItemId)
+      .reduce((sum, line) => sum + (Number(line.quantity) || 0), 0);
+    return getOutstandingQuantity(item) - received <= 0;
+  });
+  return complete ? "received" : "partially_received";
+};
+
+/**
+ * Date a supplier invoice falls due under the supplier's payment terms
+ * @param {string|Date} date - Invoice date
+ * @param {number} termsDays - Payment terms in days
+ * @returns {Date}
+ */
+export const getDueDate = (date, termsDays = 0) => {
+  const due = new Date(date);
+  due.setDate(due.getDate() + (Number(termsDays) || 0));
+  return due;
+};
+
+/**
+ * Purchase order or goods received note shaped for the printing service
+ * @param {Object} purchaseOrder - Purchase order
+ * @param {Object} supplier - Supplier of the order
+ * @param {Object} receipt - Goods received note, or null to print the order
+ * @returns {Object}
+ */
+export const buildPurchaseDocument = (
+  purchaseOrder,
+  supplier,
+  receipt = null
+) => {
+  const lines = receipt ? receipt.items : purchaseOrder.items;
+  const items = (lines || []).map((line) => {
+    const orderLine = purchaseOrder.items.find(
+      (item) => item.stockItemId === line.stockItemId
+    );
+    return {
+      name: line.name || orderLine?.name || "",
+      unit: line.unit || orderLine?.unit || "",
+      quantity: Number(line.quantity) || 0,
+      unitPrice: Number(line.unitPrice ?? orderLine?.unitPrice) || 0,
+    };
+  });
+
+  return {
+    documentType: receipt ? "grn" : "po",
+    orderNumber: receipt ? receipt.grnNumber : purchaseOrder.poNumber,
+    poNumber: purchaseOrder.poNumber,
+    supplierName: supplier?.name || "",
+    supplierPhone: supplier?.phone || "",
+    date: receipt ? receipt.receivedAt : purchaseOrder.createdAt,
+    expectedDate: receipt ? null : purchaseOrder.expectedDate,
+    receivedBy: receipt?.receivedBy?.name || "",
+    invoiceNumber: receipt?.invoice?.number || "",
+    note: receipt ? receipt.note : purchaseOrder.notes,
+    items,
+    total: getItemsTotal(items),
+  };
+};
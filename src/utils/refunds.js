@@ -0,0 +1,162 @@
+// Pure helpers for refunds and partial returns of paid orders
+
+import { round2 } from "./vat";
+
+export const REFUND_REASONS = [
+  "wrong_item",
+  "quality",
+  "customer_changed_mind",
+  "overcharged",
+  "other",
+];
+
+/**
+ * Total paid for a payment record
+ * @param {Object} payment - Payment record
+ * @returns {number}
+ */
+export const getPaidAmount = (payment) => {
+  if (payment?.totalAmount !== undefined && payment?.totalAmount !== null) {
+    return Number(payment.totalAmount) || 0;
+  }
+  return (payment?.paymentMethods || []).reduce(
+    (sum, method) => sum + (Number(method.amount) || 0),
+    0
+  );
+};
+
+/**
+ * Amount already refunded for a payment
+ * @param {Object} payment - Payment record
+ * @returns {number}
+ */
+export const getRefundedAmount = (payment) => {
+  if (
+    payment?.refundedAmount !== undefined &&
+    payment?.refundedAmount !== null
+  ) {
+    return Number(payment.refundedAmount) || 0;
+  }
+  return round2(
+    (payment?.refunds || []).reduce(
+      (sum, refund) => sum + (Number(refund.amount) || 0),
+      0
+    )
+  );
+};
+
+/**
+ * Refund state of a payment
+ * @param {Object} payment - Payment record
+ * @returns {string|null} - "full" | "partial" | null
+ */
+export const getRefundStatus = (payment) => {
+  const refunded = getRefundedAmount(payment);
+  if (refunded <= 0) return null;
+  return refunded >= getPaidAmount(payment) - 0.009 ? "full" : "partial";
+};
+
+/**
+ * Order lines of a payment with how much of each can still be refunded
+ * @param {Object} payment - Payment record with its orderData
+ * @returns {Array} - [{orderItemId, mealId, name, nameAr, price, modifiers,
+ * quantity, refundedQuantity, refundableQuantity}]
+ */
+export const getRefundableLines = (payment) => {
+  const order = payment?.orderData || {};
+  const refundedByItem = {};
+  (payment?.refunds || []).forEach((refund) =>
+    (refund.items || []).forEach((item) => {
+      refundedByItem[item.orderItemId] =
+        (refundedByItem[item.orderItemId] || 0) + (Number(item.quantity) || 0);
+    })
+  );
+
+  return (order.orderItems || [])
+    .filter((item) => !item.isCancelled)
+    .map((item) => {
+      const meal = (order.orderItemsData || []).find(
+        (data) => data._id === item.mealId
+      );
+      const quantity = Number(item.quantity) || 0;
+      const refundedQuantity = Math.min(
+        refundedByItem[item._id] || Number(item.refundedQuantity) || 0,
+        quantity
+      );
+
+      return {
+        orderItemId: item._id,
+        mealId: item.mealId,
+        name: meal?.name || item.name || "Item",
+        nameAr: meal?.nameAr || item.nameAr || "",
+        price: Number(item.price) || Number(meal?.price) || 0,
+        modifiers: item.modifiers || [],
+        quantity,
+        refundedQuantity,
+        refundableQuantity: quantity - refundedQuantity,
+      };
+    });
+};
+
+/**
+ * Amount to refund for the selected quantities. Line prices are scaled so
+ * that order-level tax and discount are refunded in proportion, and the
+ * result never exceeds what is left to refund on the payment.
+ * @param {Object} payment - Payment record
+ * @param {Array} lines - Lines from getRefundableLines
+ * @param {Object} selection - {orderItemId: quantity}
+ * @returns {number}
+ */
+export const getRefundAmount = (payment, lines, selection) => {
+  const paid = getPaidAmount(payment);
+  const remaining = round2(paid - getRefundedAmount(payment));
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.price * line.quantity,
+    0
+  );
+  if (subtotal <= 0 || remaining <= 0) return 0;
+
+  const selectedSubtotal = lines.reduce(
+    (sum, line) => sum + line.price * (selection[line.orderItemId] || 0),
+    0
+  );
+
+  // Everything left is selected: refund the exact remainder
+  const allSelected = lines.every(
+    (line) => (selection[line.orderItemId] || 0) === line.refundableQuantity
+  );
+  if (allSelected) return remaining;
+
+  return Math.min(round2((selectedSubtotal * paid) / subtotal), remaining);
+};
+
+/**
+ * Split a refund across payment methods
+ * @param {number} amount - Refund amount
+ * @param {Array} paymentMethods - Original [{method, amount}]
+ * @param {string} destination - "original" | "cash"
+ * @returns {Array} - [{method, amount}]
+ */
+export const allocateRefund = (amount, paymentMethods, destination) => {
+  const methods = (paymentMethods || []).filter(
+    (method) => Number(method.amount) > 0
+  );
+  if (destination === "cash" || methods.length === 0) {
+    return [{ method: "cash", amount: round2(amount) }];
+  }
+
+  // Back to the original methods, in proportion to what each one paid
+  const paidTotal = methods.reduce(
+    (sum, method) => sum + Number(method.amount),
+    0
+  );
+  let allocated = 0;
+  return methods.map((method, index) => {
+    const share =
+      index === methods.length - 1
+        ? round2(amount - allocated)
+        : round2((amount * Number(method.amount)) / paidTotal);
+    allocated = round2(allocated + share);
+    return { method: method.method, amount: share };
+  });
+};
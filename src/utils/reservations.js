@@ -0,0 +1,171 @@
+// Reservation helpers: booking windows, which tables are held, conflicts,
+// table suggestions and walk-in wait estimates
+
+import { getTableLayout } from "./floorPlan";
+
+export const RESERVATION_STATUSES = [
+  "booked",
+  "seated",
+  "no_show",
+  "cancelled",
+];
+
+// How long a booking usually keeps its table
+export const DEFAULT_DURATION_MINUTES = 90;
+// A table shows as reserved this long before the booking...
+export const HOLD_BEFORE_MINUTES = 30;
+// ...and is kept this long for late guests before they count as a no-show
+export const HOLD_AFTER_MINUTES = 15;
+// Average time a party sits at a table, for walk-in wait estimates
+export const AVERAGE_TURN_MINUTES = 45;
+
+const MINUTE = 60000;
+
+/**
+ * Seats at a table, from its floor plan layout
+ * @param {Object} table - Table
+ * @returns {number}
+ */
+export const getTableSeats = (table) => getTableLayout(table).seats;
+
+/**
+ * Start and end of the time a reservation keeps its table
+ * @param {Object} reservation - {time, duration}
+ * @returns {Object} - {start, end} in milliseconds
+ */
+export const getReservationWindow = (reservation) => {
+  const start = new Date(reservation.time).getTime();
+  const duration = Number(reservation.duration) || DEFAULT_DURATION_MINUTES;
+  return { start, end: start + duration * MINUTE };
+};
+
+/**
+ * The booking holding a table right now, if any
+ * @param {Array} reservations - Reservations
+ * @param {number|string} tableNumber - Table number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null}
+ */
+export const getTableHold = (reservations, tableNumber, now = Date.now()) =>
+  (reservations || []).find((reservation) => {
+    if (reservation.status !== "booked") return false;
+    if (String(reservation.tableNumber) !== String(tableNumber)) return false;
+    const { start } = getReservationWindow(reservation);
+    return (
+      now >= start - HOLD_BEFORE_MINUTES * MINUTE &&
+      now <= start + HOLD_AFTER_MINUTES * MINUTE
+    );
+  }) || null;
+
+/**
+ * Whether a booked guest is past the grace period and can be marked as a
+ * no-show
+ * @param {Object} reservation - Reservation
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isOverdue = (reservation, now = Date.now()) =>
+  reservation.status === "booked" &&
+  now > getReservationWindow(reservation).start + HOLD_AFTER_MINUTES * MINUTE;
+
+/**
+ * Bookings on a table whose time overlaps the given one
+ * @param {Array} reservations - Reservations
+ * @param {Object} booking - {tableNumber, time, duration, _id}
+ * @returns {Array}
+ */
+export const findConflicts = (reservations, booking) => {
+  if (!booking.tableNumber || !booking.time) return [];
+  const window = getReservationWindow(booking);
+  return (reservations || []).filter((reservation) => {
+    if (reservation._id === booking._id) return false;
+    if (reservation.status !== "booked") return false;
+    if (String(reservation.tableNumber) !== String(booking.tableNumber)) {
+      return false;
+    }
+    const other = getReservationWindow(reservation);
+    return other.start < window.end && window.start < other.end;
+  });
+};
+
+/**
+ * The next booking on a table that a party seated now would still be
+ * sitting at, assuming they stay AVERAGE_TURN_MINUTES
+ * @param {Array} reservations - Reservations
+ * @param {number|string} tableNumber - Table number
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null}
+ */
+export const getUpcomingBooking = (
+  reservations,
+  tableNumber,
+  now = Date.now()
+) =>
+  findConflicts(reservations, {
+    tableNumber,
+    time: new Date(now).toISOString(),
+    duration: AVERAGE_TURN_MINUTES,
+  })
+    .filter((reservation) => getReservationWindow(reservation).start >= now)
+    .sort(
+      (a, b) => getReservationWindow(a).start - getReservationWindow(b).start
+    )[0] || null;
+
+/**
+ * Tables that seat the party and are free at the booking time, best fit
+ * (fewest spare seats) first
+ * @param {Array} tables - Tables
+ * @param {Array} reservations - Reservations
+ * @param {Object} booking - {partySize, time, duration, _id}
+ * @returns {Array}
+ */
+export const suggestTables = (tables, reservations, booking) => {
+  const partySize = Number(booking.partySize) || 1;
+  return (tables || [])
+    .filter((table) => getTableSeats(table) >= partySize)
+    .filter(
+      (table) =>
+        findConflicts(reservations, { ...booking, tableNumber: table.number })
+          .length === 0
+    )
+    .sort((a, b) => getTableSeats(a) - getTableSeats(b) || a.number - b.number);
+};
+
+/**
+ * Estimated minutes until a walk-in party gets a table: parties waiting
+ * ahead of them share the tables big enough, each turning every
+ * AVERAGE_TURN_MINUTES
+ * @param {Array} waitlist - Waiting entries, in arrival order
+ * @param {Object} entry - Entry to estimate
+ * @param {Array} tables - Tables
+ * @param {Array} freeTables - Tables free right now (not occupied or held)
+ * @returns {number|null} - null when no table is big enough
+ */
+export const estimateWaitMinutes = (waitlist, entry, tables, freeTables) => {
+  const partySize = Number(entry.partySize) || 1;
+  const fits = (table) => getTableSeats(table) >= partySize;
+  const fitting = (tables || []).filter(fits).length;
+  if (fitting === 0) return null;
+
+  const ahead = (waitlist || []).filter(
+    (item) =>
+      item.status === "waiting" &&
+      new Date(item.createdAt) < new Date(entry.createdAt)
+  ).length;
+  const free = (freeTables || []).filter(fits).length;
+  if (ahead < free) return 0;
+
+  return Math.ceil((ahead - free + 1) / fitting) * AVERAGE_TURN_MINUTES;
+};
+
+/**
+ * Date of a day as YYYY-MM-DD in local time
+ * @param {Date} date - Day
+ * @returns {string}
+ */
+export const toDateKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { getUpcomingBooking } from "./reservations";
+
+const NOW = new Date("2024-01-15T18:00:00.000Z").getTime();
+
+const booking = (minutesFromNow, extra = {}) => ({
+  _id: String(minutesFromNow),
+  tableNumber: 4,
+  status: "booked",
+  time: new Date(NOW + minutesFromNow * 60000).toISOString(),
+  ...extra,
+});
+
+describe("getUpcomingBooking", () => {
+  it("finds a booking that starts before a party seated now would leave", () => {
+    expect(getUpcomingBooking([booking(90), booking(40)], 4, NOW)).toEqual(
+      booking(40)
+    );
+  });
+
+  it("ignores later bookings, other tables and bookings no longer booked", () => {
+    expect(
+      getUpcomingBooking(
+        [
+          booking(60),
+          booking(20, { tableNumber: 5 }),
+          booking(30, { status: "cancelled" }),
+        ],
+        4,
+        NOW
+      )
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+// Split bill helpers: share an invoice between several payments by seat,
+// by selected items or evenly. Each part is paid and printed on its own.
+
+import { calculateInvoice } from "./vat";
+
+export const SPLIT_MODES = ["seat", "items", "even"];
+
+export const MIN_SPLIT_PARTS = 2;
+export const MAX_SPLIT_PARTS = 20;
+
+// Split of an order before anything is chosen. `assignment` maps line ids
+// to a seat or bill number, `paidParts` the parts already paid.
+export const DEFAULT_SPLIT = {
+  mode: "seat",
+  parts: 2,
+  assignment: {},
+  paidParts: {},
+};
+
+/**
+ * Clamp a number of parts to the supported range
+ * @param {number} parts - Requested number of parts
+ * @returns {number}
+ */
+export const clampParts = (parts) =>
+  Math.min(
+    Math.max(Math.floor(Number(parts) || 0), MIN_SPLIT_PARTS),
+    MAX_SPLIT_PARTS
+  );
+
+/**
+ * Share of each part when a total is divided evenly. Cents that don't
+ * divide go to the first parts so the shares add up to the total.
+ * @param {number} total - Amount to divide
+ * @param {number} parts - Number of parts
+ * @returns {Array<number>}
+ */
+export const splitAmountEvenly = (total, parts) => {
+  const count = clampParts(parts);
+  const cents = Math.round((Number(total) || 0) * 100);
+  const base = Math.floor(cents / count);
+  const extra = cents - base * count;
+  return Array.from(
+    { length: count },
+    (_, index) => (base + (index < extra ? 1 : 0)) / 100
+  );
+};
+
+/**
+ * Parts of a bill split by seat or by items. Each part is an invoice of its
+ * own lines, so it carries their discounts and VAT.
+ * @param {Object} invoice - Invoice from calculateInvoice
+ * @param {Object} assignment - Line id -> part number (seat or bill, from 1)
+ * @returns {Array} - [{part, lineIds, subtotal, discountAmount,
+ * taxableAmount, vatAmount, total, breakdown}] ordered by part, empty parts
+ * left out
+ */
+export const splitByAssignment = (invoice, assignment) => {
+  const groups = {};
+  (invoice?.lines || []).forEach((line) => {
+    const part = Number(assignment?.[line.id]) || 1;
+    groups[part] = [...(groups[part] || []), line];
+  });
+  return Object.keys(groups)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((part) => ({
+      part,
+      lineIds: groups[part].map((line) => line.id),
+      ...calculateInvoice({
+        lines: groups[part],
+        pricesIncludeTax: invoice.pricesIncludeTax,
+      }),
+    }));
+};
+
+/**
+ * Parts of a bill divided evenly. Every part covers all lines; amounts are
+ * shared out to the cent.
+ * @param {Object} invoice - Invoice from calculateInvoice
+ * @param {number} parts - Number of parts
+ * @returns {Array} - Same shape as splitByAssignment
+ */
+export const splitEvenly = (invoice, parts) => {
+  const lineIds = (invoice?.lines || []).map((line) => line.id);
+  const shares = Object.fromEntries(
+    ["subtotal", "discountAmount", "taxableAmount", "vatAmount", "total"].map(
+      (key) => [key, splitAmountEvenly(invoice?.[key], parts)]
+    )
+  );
+  const breakdownShares = (invoice?.breakdown || []).map((group) => ({
+    rate: group.rate,
+    taxable: splitAmountEvenly(group.taxable, parts),
+    vat: splitAmountEvenly(group.vat, parts),
+  }));
+  return shares.total.map((total, index) => ({
+    part: index + 1,
+    lineIds,
+    subtotal: shares.subtotal[index],
+    discountAmount: shares.discountAmount[index],
+    taxableAmount: shares.taxableAmount[index],
+    vatAmount: shares.vatAmount[index],
+    total,
+    breakdown: breakdownShares.map((group) => ({
+      rate: group.rate,
+      taxable: group.taxable[index],
+      vat: group.vat[index],
+    })),
+  }));
+};
+
+/**
+ * Parts of a bill for a split mode
+ * @param {Object} invoice - Invoice from calculateInvoice
+ * @param {Object} split - {mode, parts, assignment}
+ * @returns {Array}
+ */
+export const getSplitParts = (invoice, split) =>
+  split.mode === "even"
+    ? splitEvenly(invoice, split.parts)
+    : splitByAssignment(invoice, split.assignment);
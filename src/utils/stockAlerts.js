@@ -0,0 +1,259 @@
+// Low-stock alerts and reorder suggestions: what is at or below its minimum,
+// how fast it is used and how much to order from each supplier
+
+import { getIngredientUsage } from "./stockMovements";
+import { getSupplierKey } from "./payables";
+import { escapeCsv } from "./csv";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order history the usage rate is averaged over, in days
+export const USAGE_WINDOW_DAYS = 30;
+
+// Items projected to run out within this many days are flagged too
+export const STOCKOUT_WARNING_DAYS = 7;
+
+// A reorder brings an item back to its minimum plus this many days of usage
+// (or to twice its minimum when it has not been used lately)
+export const REORDER_COVER_DAYS = 14;
+
+// Alert statuses, most urgent first
+export const STOCK_STATUSES = ["out", "low", "soon", "ok"];
+
+// Units recipes and stock items can be converted between, in a base unit
+const UNIT_FACTORS = {
+  kg: { base: "g", factor: 1000 },
+  grams: { base: "g", factor: 1 },
+  liters: { base: "ml", factor: 1000 },
+  ml: { base: "ml", factor: 1 },
+};
+
+/**
+ * Quantity in another unit, when the two units can be converted
+ * @param {number} quantity - Quantity in the first unit
+ * @param {string} fromUnit - Unit the quantity is in
+ * @param {string} toUnit - Unit wanted
+ * @returns {number|null} - null when the units do not convert
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit) => {
+  if (!fromUnit || !toUnit || fromUnit === toUnit) return quantity;
+  const from = UNIT_FACTORS[fromUnit];
+  const to = UNIT_FACTORS[toUnit];
+  if (!from || !to || from.base !== to.base) return null;
+  return (quantity * from.factor) / to.factor;
+};
+
+/**
+ * Whether a stock item is at or below its minimum quantity
+ * @param {Object} stock - Stock item
+ * @returns {boolean}
+ */
+export const isBelowMinimum = (stock) =>
+  Number(stock?.minimumQuantity) > 0 &&
+  (Number(stock.quantity) || 0) <= Number(stock.minimumQuantity);
+
+/**
+ * Stock items at or below their minimum quantity, lowest first
+ * @param {Array} stocks - Stock items
+ * @returns {Array}
+ */
+export const getLowStockItems = (stocks) =>
+  (stocks || [])
+    .filter(isBelowMinimum)
+    .sort(
+      (a, b) =>
+        (Number(a.quantity) || 0) / a.minimumQuantity -
+        (Number(b.quantity) || 0) / b.minimumQuantity
+    );
+
+/**
+ * Average daily use of each stock item, from the ingredients of the meals
+ * sold in the usage window
+ * @param {Array} orders - Orders of the usage window (fetchUsageOrders)
+ * @param {Array} meals - Meals with ingredients
+ * @param {Array} stocks - Stock items, for their units
+ * @param {number} now - Current time in ms
+ * @returns {Object} - {stockItemId: quantity per day, in the stock unit}
+ */
+export const getDailyUsage = (orders, meals, stocks, now = Date.now()) => {
+  const since = now - USAGE_WINDOW_DAYS * DAY_MS;
+  const counted = (orders || []).filter(
+    (order) =>
+      !order.isCancelled &&
+      new Date(order.createdAt).getTime() >= since &&
+      new Date(order.createdAt).getTime() <= now
+  );
+  if (counted.length === 0) return {};
+
+  // Averaged over the days the fetched orders cover, so a new restaurant
+  // or a truncated history is not diluted over the whole window
+  const oldest = Math.min(
+    ...counted.map((order) => new Date(order.createdAt).getTime())
+  );
+  const days = Math.min(
+    Math.max((now - oldest) / DAY_MS, 1),
+    USAGE_WINDOW_DAYS
+  );
+
+  const usage = getIngredientUsage(
+    counted.flatMap((order) =>
+      (order.orderItems || []).filter((item) => !item.isCancelled)
+    ),
+    meals
+  );
+
+  const perDay = {};
+  usage.forEach((entry) => {
+    const stock = (stocks || []).find((item) => item._id === entry.stockItemId);
+    const quantity = convertQuantity(entry.quantity, entry.unit, stock?.unit);
+    if (quantity === null) return;
+    perDay[entry.stockItemId] =
+      (perDay[entry.stockItemId] || 0) + quantity / days;
+  });
+  return perDay;
+};
+
+/**
+ * Alert status of a stock item
+ * @param {Object} stock - Stock item
+ * @param {number|null} daysLeft - Projected days until it runs out
+ * @returns {string} - One of STOCK_STATUSES
+ */
+export const getStockStatus = (stock, daysLeft) => {
+  if ((Number(stock.quantity) || 0) <= 0) return "out";
+  if (isBelowMinimum(stock)) return "low";
+  if (daysLeft !== null && daysLeft <= STOCKOUT_WARNING_DAYS) return "soon";
+  return "ok";
+};
+
+/**
+ * Usage, days until stockout and suggested reorder quantity of each stock
+ * item, most urgent first
+ * @param {Array} stocks - Stock items
+ * @param {Object} dailyUsage - From getDailyUsage
+ * @returns {Array} - [{stock, dailyUsage, daysLeft, status, suggestedQuantity}]
+ */
+export const getStockForecast = (stocks, dailyUsage) =>
+  (stocks || [])
+    .map((stock) => {
+      const quantity = Math.max(Number(stock.quantity) || 0, 0);
+      const minimum = Number(stock.minimumQuantity) || 0;
+      const usage = dailyUsage[stock._id] || 0;
+      const daysLeft = usage > 0 ? quantity / usage : null;
+      const status = getStockStatus(stock, daysLeft);
+      const target =
+        minimum + (usage > 0 ? usage * REORDER_COVER_DAYS : minimum);
+      const suggestedQuantity =
+        status === "ok" ? 0 : Math.max(Math.ceil(target - quantity), 0);
+      return { stock, dailyUsage: usage, daysLeft, status, suggestedQuantity };
+    })
+    .sort(
+      (a, b) =>
+        STOCK_STATUSES.indexOf(a.status) - STOCK_STATUSES.indexOf(b.status) ||
+        (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) ||
+        (a.stock.name || "").localeCompare(b.stock.name || "")
+    );
+
+/**
+ * Supplier an item is ordered from: the directory supplier that lists it,
+ * else the one named on the stock item
+ * @param {Object} stock - Stock item
+ * @param {Array} suppliers - Supplier directory
+ * @returns {Object|null}
+ */
+export const getStockSupplier = (stock, suppliers) =>
+  (suppliers || []).find((supplier) =>
+    (supplier.itemIds || []).some(
+      (item) => (typeof item === "object" ? item._id : item) === stock._id
+    )
+  ) ||
+  (suppliers || []).find(
+    (supplier) =>
+      stock.supplierName &&
+      getSupplierKey(supplier.name) === getSupplierKey(stock.supplierName)
+  ) ||
+  null;
+
+/**
+ * Items to reorder, grouped by supplier
+ * @param {Array} forecast - From getStockForecast
+ * @param {Array} suppliers - Supplier directory
+ * @returns {Array} - [{key, supplier, supplierName, items:[{stock, quantity,
+ * unitPrice, daysLeft}], total}]
+ */
+export const getReorderSuggestions = (forecast, suppliers) => {
+  const groups = {};
+  (forecast || [])
+    .filter((entry) => entry.suggestedQuantity > 0)
+    .forEach((entry) => {
+      const supplier = getStockSupplier(entry.stock, suppliers);
+      const supplierName = supplier?.name || entry.stock.supplierName || "";
+      const key = supplier?._id || getSupplierKey(supplierName);
+      if (!groups[key]) {
+        groups[key] = { key, supplier, supplierName, items: [], total: 0 };
+      }
+      const unitPrice = Number(entry.stock.pricePerUnit) || 0;
+      groups[key].items.push({
+        stock: entry.stock,
+        quantity: entry.suggestedQuantity,
+        unitPrice,
+        daysLeft: entry.daysLeft,
+      });
+      groups[key].total += entry.suggestedQuantity * unitPrice;
+    });
+  // Suppliers from the directory first, then by name
+  return Object.values(groups).sort(
+    (a, b) =>
+      !!b.supplier - !!a.supplier ||
+      a.supplierName.localeCompare(b.supplierName)
+  );
+};
+
+/**
+ * Defaults for PurchaseOrderForm from a reorder suggestion
+ * @param {Object} group - From getReorderSuggestions
+ * @returns {Object} - {supplierId, items}
+ */
+export const toPurchaseOrderDefaults = (group) => ({
+  supplierId: group.supplier?._id || "",
+  items: group.items.map((item) => ({
+    stockItemId: item.stock._id,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+  })),
+});
+
+/**
+ * Reorder suggestions as CSV, one row per item
+ * @param {Array} groups - From getReorderSuggestions
+ * @returns {string}
+ */
+export const reorderToCsv = (groups) => {
+  const header = [
+    "Supplier",
+    "Item",
+    "Unit",
+    "In Stock",
+    "Minimum",
+    "Days Left",
+    "Order Quantity",
+    "Unit Price",
+    "Line Total",
+  ];
+  const rows = (groups || []).flatMap((group) =>
+    group.items.map((item) => [
+      group.supplierName,
+      item.stock.name,
+      item.stock.unit,
+      item.stock.quantity,
+      item.stock.minimumQuantity,
+      item.daysLeft === null ? "" : item.daysLeft.toFixed(1),
+      item.quantity,
+      item.unitPrice.toFixed(2),
+      (item.quantity * item.unitPrice).toFixed(2),
+    ])
+  );
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsv).join(","))
+    .join("\r\n");
+};
@@ -0,0 +1,150 @@
+// Stocktake helpers: counted quantities per item, variances against the
+// system quantities and the count sheet export
+
+import { escapeCsv } from "./csv";
+
+export const STOCKTAKE_STATUSES = ["in_progress", "approved", "cancelled"];
+
+/**
+ * Id of the user who entered a count (populated or not)
+ * @param {Object} entry - Count entry
+ * @returns {string}
+ */
+const getCounterId = (entry) =>
+  typeof entry.countedBy === "object" ? entry.countedBy?._id : entry.countedBy;
+
+/**
+ * Name of the user who entered a count
+ * @param {Object} entry - Count entry
+ * @returns {string}
+ */
+export const getCounterName = (entry) =>
+  entry.countedBy?.name || entry.countedByName || "";
+
+/**
+ * Snapshot of the stock items a new stocktake counts against
+ * @param {Array} stocks - Stock items
+ * @returns {Array} - [{stockItemId, name, unit, systemQuantity, pricePerUnit}]
+ */
+export const buildStocktakeItems = (stocks) =>
+  (stocks || []).map((stock) => ({
+    stockItemId: stock._id,
+    name: stock.name || stock.nameOfItem || "",
+    unit: stock.unit || "",
+    systemQuantity: Number(stock.quantity) || 0,
+    pricePerUnit: Number(stock.pricePerUnit || stock.price) || 0,
+  }));
+
+/**
+ * A user's own count of an item, to prefill their count sheet
+ * @param {Object} stocktake - Stocktake session
+ * @param {string} stockItemId - Stock item id
+ * @param {string} userId - Counter's user id
+ * @returns {number|null}
+ */
+export const getUserCount = (stocktake, stockItemId, userId) => {
+  const entry = (stocktake?.counts || []).find(
+    (count) =>
+      count.stockItemId === stockItemId && getCounterId(count) === userId
+  );
+  return entry ? Number(entry.quantity) : null;
+};
+
+/**
+ * Lines of a stocktake with what was counted and the variance. Each counter
+ * counts their own area, so an item's counts add up across counters.
+ * @param {Object} stocktake - Stocktake session with items and counts
+ * @returns {Array} - [{...item, entries, counted, variance, varianceValue}]
+ */
+export const getStocktakeLines = (stocktake) =>
+  (stocktake?.items || []).map((item) => {
+    const entries = (stocktake.counts || []).filter(
+      (count) => count.stockItemId === item.stockItemId
+    );
+    const counted = entries.length
+      ? entries.reduce((sum, entry) => sum + (Number(entry.quantity) || 0), 0)
+      : null;
+    // Rounded so decimal counts do not leave float noise as a variance
+    const variance =
+      counted === null
+        ? 0
+        : Math.round((counted - item.systemQuantity) * 1000) / 1000;
+    return {
+      ...item,
+      entries,
+      counted,
+      variance,
+      varianceValue: variance * item.pricePerUnit,
+    };
+  });
+
+/**
+ * Totals of a stocktake's variances. Uncounted items are left as they are.
+ * @param {Array} lines - From getStocktakeLines
+ * @returns {Object} - {itemCount, countedCount, varianceCount, gainValue,
+ * lossValue, netValue}
+ */
+export const getStocktakeSummary = (lines) => {
+  const counted = (lines || []).filter((line) => line.counted !== null);
+  const withVariance = counted.filter((line) => line.variance !== 0);
+  const gainValue = withVariance
+    .filter((line) => line.varianceValue > 0)
+    .reduce((sum, line) => sum + line.varianceValue, 0);
+  const lossValue = withVariance
+    .filter((line) => line.varianceValue < 0)
+    .reduce((sum, line) => sum - line.varianceValue, 0);
+  return {
+    itemCount: (lines || []).length,
+    countedCount: counted.length,
+    varianceCount: withVariance.length,
+    gainValue,
+    lossValue,
+    netValue: gainValue - lossValue,
+  };
+};
+
+/**
+ * Adjustments that bring the counted items in line with the count
+ * @param {Array} lines - From getStocktakeLines
+ * @returns {Array} - [{stockItemId, quantity}], quantity being the change
+ */
+export const getStocktakeAdjustments = (lines) =>
+  (lines || [])
+    .filter((line) => line.counted !== null && line.variance !== 0)
+    .map((line) => ({
+      stockItemId: line.stockItemId,
+      quantity: line.variance,
+    }));
+
+/**
+ * Stocktake as CSV, one row per item
+ * @param {Object} stocktake - Stocktake session
+ * @returns {string}
+ */
+export const stocktakeToCsv = (stocktake) => {
+  const header = [
+    "Item",
+    "Unit",
+    "System Quantity",
+    "Counted",
+    "Variance",
+    "Unit Price",
+    "Variance Value",
+    "Counted By",
+  ];
+  const rows = getStocktakeLines(stocktake).map((line) => [
+    line.name,
+    line.unit,
+    line.systemQuantity,
+    line.counted ?? "",
+    line.counted === null ? "" : line.variance,
+    line.pricePerUnit.toFixed(2),
+    line.counted === null ? "" : line.varianceValue.toFixed(2),
+    line.entries
+      .map((entry) => `${getCounterName(entry)}: ${entry.quantity}`)
+      .join(" | "),
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsv).join(","))
+    .join("\r\n");
+};
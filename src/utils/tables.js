@@ -0,0 +1,32 @@
+// Table operations: which open orders sit at a table, and what moving or
+// merging them is allowed to do
+
+/**
+ * Unpaid, uncancelled dine-in orders seated at a table, oldest first
+ * @param {Array} orders - Orders from fetchAllOrders
+ * @param {number|string} tableNumber - Table number
+ * @returns {Array}
+ */
+export const getOpenTableOrders = (orders, tableNumber) =>
+  (orders || [])
+    .filter(
+      (order) =>
+        order.type === "dinein" &&
+        !order.isPaid &&
+        !order.isCancelled &&
+        String(order.tableNumber) === String(tableNumber)
+    )
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Whether a table can be picked as the target of a move or merge
+ * @param {string} operation - "move" or "merge"
+ * @param {Object} source - Table the orders come from
+ * @param {Object} target - Table picked as target
+ * @returns {boolean}
+ */
+export const canUseAsTarget = (operation, source, target) => {
+  if (!source || !target || source.number === target.number) return false;
+  // Orders move to a free table, merge into an occupied one
+  return operation === "move" ? target.isAvailable : !target.isAvailable;
+};
@@ -0,0 +1,288 @@
+// Tender registry: payment methods offered at the till and how each behaves
+
+export const TENDERS_STORAGE_KEY = "payment_tenders";
+
+// Per-tender behaviour flags, in the order shown in settings
+export const TENDER_FLAGS = [
+  "opensDrawer",
+  "requiresReference",
+  "countsAsCash",
+];
+
+// Badge colours a tender can use in history and reports
+export const TENDER_COLORS = [
+  "warning",
+  "success",
+  "primary",
+  "purple",
+  "neutral",
+];
+
+export const DEFAULT_TENDERS = [
+  {
+    id: "cash",
+    name: "Cash",
+    nameAr: "نقداً",
+    enabled: true,
+    opensDrawer: true,
+    requiresReference: false,
+    countsAsCash: true,
+    color: "warning",
+    builtIn: true,
+  },
+  {
+    id: "visa",
+    name: "Visa",
+    nameAr: "فيزا",
+    enabled: true,
+    opensDrawer: false,
+    requiresReference: false,
+    countsAsCash: false,
+    color: "success",
+    builtIn: true,
+  },
+  {
+    id: "mada",
+    name: "Mada",
+    nameAr: "مدى",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: false,
+    countsAsCash: false,
+    color: "success",
+    builtIn: true,
+  },
+  {
+    id: "apple_pay",
+    name: "Apple Pay",
+    nameAr: "آبل باي",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: false,
+    countsAsCash: false,
+    color: "neutral",
+    builtIn: true,
+  },
+  {
+    id: "bank_transfer",
+    name: "Bank Transfer",
+    nameAr: "تحويل بنكي",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: true,
+    countsAsCash: false,
+    color: "primary",
+    builtIn: true,
+  },
+  {
+    id: "delivery_prepaid",
+    name: "Delivery Platform (Prepaid)",
+    nameAr: "منصة توصيل (مدفوع مسبقاً)",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: true,
+    countsAsCash: false,
+    color: "purple",
+    builtIn: true,
+  },
+  {
+    id: "house_account",
+    name: "House Account",
+    nameAr: "حساب العميل",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: true,
+    countsAsCash: false,
+    color: "primary",
+    builtIn: true,
+  },
+  {
+    id: "voucher",
+    name: "Voucher",
+    nameAr: "قسيمة",
+    enabled: false,
+    opensDrawer: false,
+    requiresReference: true,
+    countsAsCash: false,
+    color: "purple",
+    builtIn: true,
+  },
+];
+
+/**
+ * Complete a tender list: every built-in tender is present and cash can
+ * never be switched off
+ * @param {Array} tenders - Saved tenders
+ * @returns {Array}
+ */
+export const normalizeTenders = (tenders) => {
+  const list = Array.isArray(tenders) ? tenders : [];
+  const merged = list
+    .filter((tender) => tender?.id)
+    .map((tender) => ({
+      ...(DEFAULT_TENDERS.find((item) => item.id === tender.id) || {}),
+      ...tender,
+    }));
+
+  DEFAULT_TENDERS.forEach((tender) => {
+    if (!merged.some((item) => item.id === tender.id)) merged.push(tender);
+  });
+
+  return merged.map((tender) =>
+    tender.id === "cash" ? { ...tender, enabled: true } : tender
+  );
+};
+
+/**
+ * Tenders saved on this till, defaults on first use
+ * @returns {Array}
+ */
+export const getStoredTenders = () => {
+  try {
+    return normalizeTenders(
+      JSON.parse(localStorage.getItem(TENDERS_STORAGE_KEY))
+    );
+  } catch (error) {
+    console.error("Error loading payment tenders:", error);
+    return normalizeTenders(DEFAULT_TENDERS);
+  }
+};
+
+/**
+ * Save tenders on this till
+ * @param {Array} tenders - Tender list
+ */
+export const storeTenders = (tenders) => {
+  localStorage.setItem(TENDERS_STORAGE_KEY, JSON.stringify(tenders));
+};
+
+/**
+ * Tender for a payment method id. Unknown ids (e.g. payments taken with a
+ * tender that was later deleted) get a plain fallback entry.
+ * @param {Array} tenders - Tender list
+ * @param {string} method - Payment method id
+ * @returns {Object}
+ */
+export const findTender = (tenders, method) => {
+  const id = String(method || "").toLowerCase();
+  return (
+    (tenders || []).find((tender) => tender.id === id) || {
+      id,
+      name: id.replace(/_/g, " ").toUpperCase(),
+      nameAr: "",
+      enabled: false,
+      opensDrawer: false,
+      requiresReference: false,
+      countsAsCash: false,
+      color: "neutral",
+    }
+  );
+};
+
+/**
+ * Display name of a tender
+ * @param {Object} tender - Tender
+ * @param {boolean} isArabic - Arabic name when available
+ * @returns {string}
+ */
+export const getTenderName = (tender, isArabic = false) =>
+  (isArabic && tender?.nameAr) || tender?.name || tender?.id || "";
+
+/**
+ * Tenders the cashier can take payments with
+ * @param {Array} tenders - Tender list
+ * @returns {Array}
+ */
+export const getActiveTenders = (tenders) =>
+  (tenders || []).filter((tender) => tender.enabled);
+
+/**
+ * Id for a new custom tender, unique within the list
+ * @param {string} name - Tender name
+ * @param {Array} tenders - Existing tenders
+ * @returns {string}
+ */
+export const createTenderId = (name, tenders) => {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "tender";
+  let id = base;
+  let suffix = 2;
+  while ((tenders || []).some((tender) => tender.id === id)) {
+    id = `${base}_${suffix}`;
+    suffix += 1;
+  }
+  return id;
+};
+
+/**
+ * Whether a payment should open the cash drawer
+ * @param {Array} tenders - Tender list
+ * @param {Array} paymentMethods - [{method, amount}]
+ * @returns {boolean}
+ */
+export const shouldOpenDrawer = (tenders, paymentMethods) =>
+  (paymentMethods || []).some(
+    (payment) => findTender(tenders, payment.method).opensDrawer
+  );
+
+/**
+ * Shift takings per tender. Uses `tenderBalances` ({method: amount}) when
+ * the backend sends it, the cash and visa balance fields otherwise.
+ * @param {Object} shift - Shift record
+ * @param {Array} tenders - Tender list
+ * @returns {Array} - [{tender, amount}], cash and visa always included
+ */
+export const getShiftTenderTotals = (shift, tenders) => {
+  const balances = { ...(shift?.tenderBalances || {}) };
+  if (balances.cash === undefined) {
+    balances.cash = shift?.paymentWithCashBalance || 0;
+  }
+  if (balances.visa === undefined) {
+    balances.visa = shift?.paymentWithVisaBalance || 0;
+  }
+
+  return Object.entries(balances)
+    .map(([method, amount]) => ({
+      tender: findTender(tenders, method),
+      amount: Number(amount) || 0,
+    }))
+    .filter(
+      ({ tender, amount }) =>
+        amount !== 0 || tender.id === "cash" || tender.id === "visa"
+    );
+};
+
+/**
+ * Shift refunds per tender method ({method: amount}). Uses
+ * `refundTenderBalances` when present, the cash and visa refund fields for
+ * the methods it does not have.
+ * @param {Object} shift - Shift record
+ * @returns {Object}
+ */
+export const getShiftRefundBalances = (shift) => {
+  const balances = { ...(shift?.refundTenderBalances || {}) };
+  if (balances.cash === undefined && shift?.refundWithCashBalance) {
+    balances.cash = shift.refundWithCashBalance;
+  }
+  if (balances.visa === undefined && shift?.refundWithVisaBalance) {
+    balances.visa = shift.refundWithVisaBalance;
+  }
+  return balances;
+};
+
+/**
+ * Shift refunds per tender
+ * @param {Object} shift - Shift record
+ * @param {Array} tenders - Tender list
+ * @returns {Array} - [{tender, amount}]
+ */
+export const getShiftRefundTotals = (shift, tenders) =>
+  Object.entries(getShiftRefundBalances(shift))
+    .map(([method, amount]) => ({
+      tender: findTender(tenders, method),
+      amount: Number(amount) || 0,
+    }))
+    .filter(({ amount }) => amount !== 0);
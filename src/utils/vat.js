@@ -0,0 +1,170 @@
+// Pure VAT engine: per-line VAT for tax-inclusive or exclusive menu prices
+// and the TLV payload of the simplified tax invoice QR code
+
+/**
+ * Round to 2 decimals, halves away from zero
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+export const round2 = (value) => {
+  const number = Number(value) || 0;
+  return (Math.sign(number) * Math.round(Math.abs(number) * 100 + 1e-9)) / 100;
+};
+
+const parseRate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate >= 0 ? rate : null;
+};
+
+/**
+ * VAT rate (%) of a meal: its own rate, else its category's, else the
+ * branch default
+ * @param {Object} meal - Meal, may carry `vatRate`
+ * @param {Object} category - Meal category, may carry `vatRate`
+ * @param {number} defaultRate - Branch default rate (%)
+ * @returns {number}
+ */
+export const getLineVatRate = (meal, category, defaultRate = 0) =>
+  parseRate(meal?.vatRate) ??
+  parseRate(category?.vatRate) ??
+  parseRate(defaultRate) ??
+  0;
+
+/**
+ * Invoice totals with VAT worked out per line. Each line is rounded to
+ * 2 decimals first and the invoice totals are sums of the rounded lines,
+ * so the breakdown always adds up to the total.
+ * @param {Object} params
+ * @param {Array} params.lines - [{id, name, quantity, unitPrice, vatRate,
+ * discount}], `discount` being an amount off the line at menu prices
+ * @param {number} params.discountPercent - Order discount (%) on top of it
+ * @param {boolean} params.pricesIncludeTax - Menu prices already include VAT
+ * @returns {Object} - {lines, subtotal, discountAmount, taxableAmount,
+ * vatAmount, total, breakdown: [{rate, taxable, vat}]}
+ */
+export const calculateInvoice = ({
+  lines = [],
+  discountPercent = 0,
+  pricesIncludeTax = false,
+}) => {
+  const discountRate = Math.min(Math.max(Number(discountPercent) || 0, 0), 100);
+
+  const invoiceLines = lines.map((line) => {
+    const rate = parseRate(line.vatRate) ?? 0;
+    const amount = round2(
+      (Number(line.unitPrice) || 0) * (Number(line.quantity) || 0)
+    );
+    const discount = Math.min(
+      round2((Number(line.discount) || 0) + (amount * discountRate) / 100),
+      amount
+    );
+    const afterDiscount = round2(amount - discount);
+    const taxable = pricesIncludeTax
+      ? round2(afterDiscount / (1 + rate / 100))
+      : afterDiscount;
+    const vat = pricesIncludeTax
+      ? round2(afterDiscount - taxable)
+      : round2((taxable * rate) / 100);
+
+    return {
+      ...line,
+      vatRate: rate,
+      amount,
+      discount,
+      taxable,
+      vat,
+      total: round2(taxable + vat),
+    };
+  });
+
+  const sum = (key) =>
+    round2(invoiceLines.reduce((total, line) => total + line[key], 0));
+
+  const breakdown = Object.values(
+    invoiceLines.reduce((groups, line) => {
+      const group = groups[line.vatRate] || {
+        rate: line.vatRate,
+        taxable: 0,
+        vat: 0,
+      };
+      group.taxable = round2(group.taxable + line.taxable);
+      group.vat = round2(group.vat + line.vat);
+      groups[line.vatRate] = group;
+      return groups;
+    }, {})
+  ).sort((a, b) => b.rate - a.rate);
+
+  const taxableAmount = sum("taxable");
+  const vatAmount = sum("vat");
+
+  return {
+    lines: invoiceLines,
+    pricesIncludeTax: Boolean(pricesIncludeTax),
+    subtotal: sum("amount"),
+    discountAmount: sum("discount"),
+    taxableAmount,
+    vatAmount,
+    total: round2(taxableAmount + vatAmount),
+    breakdown,
+  };
+};
+
+/**
+ * Effective VAT rate (%) of an invoice, for the single order-level rate the
+ * payment API stores
+ * @param {Object} invoice - Result of calculateInvoice
+ * @returns {number}
+ */
+export const getEffectiveVatRate = (invoice) =>
+  invoice?.taxableAmount > 0
+    ? round2((invoice.vatAmount / invoice.taxableAmount) * 100)
+    : 0;
+
+const encodeTlvField = (tag, value) => {
+  const encoder = new TextEncoder();
+  // Lengths are a single byte; longer values are cut to fit, between
+  // characters so an Arabic name never ends in half a character
+  const data = [];
+  for (const character of String(value ?? "")) {
+    const bytes = encoder.encode(character);
+    if (data.length + bytes.length > 255) break;
+    data.push(...bytes);
+  }
+  return [tag, data.length, ...data];
+};
+
+/**
+ * Base64 TLV payload of the simplified tax invoice QR code:
+ * 1 seller name, 2 VAT number, 3 timestamp, 4 invoice total, 5 VAT total
+ * @param {Object} params
+ * @param {string} params.sellerName - Business name
+ * @param {string} params.vatNumber - Tax registration number (TRN)
+ * @param {Date|string} params.timestamp - Invoice date and time
+ * @param {number} params.total - Invoice total including VAT
+ * @param {number} params.vatAmount - VAT total
+ * @returns {string}
+ */
+export const encodeInvoiceQr = ({
+  sellerName,
+  vatNumber,
+  timestamp,
+  total,
+  vatAmount,
+}) => {
+  const date = new Date(timestamp || Date.now());
+  const bytes = [
+    ...encodeTlvField(1, sellerName),
+    ...encodeTlvField(2, vatNumber),
+    ...encodeTlvField(
+      3,
+      Number.isNaN(date.getTime())
+        ? ""
+        : date.toISOString().replace(/\.\d{3}Z$/, "Z")
+    ),
+    ...encodeTlvField(4, round2(total).toFixed(2)),
+    ...encodeTlvField(5, round2(vatAmount).toFixed(2)),
+  ];
+
+  return btoa(String.fromCharCode(...bytes));
+};
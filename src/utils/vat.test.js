@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest";
+import { calculateInvoice, encodeInvoiceQr, getEffectiveVatRate } from "./vat";
+
+// Tag/value pairs of a base64 TLV payload
+const decodeTlv = (payload) => {
+  const bytes = Uint8Array.from(atob(payload), (char) => char.charCodeAt(0));
+  const fields = [];
+  for (let index = 0; index < bytes.length; ) {
+    const tag = bytes[index];
+    const length = bytes[index + 1];
+    const data = bytes.slice(index + 2, index + 2 + length);
+    fields.push({ tag, length, value: new TextDecoder().decode(data) });
+    index += 2 + length;
+  }
+  return fields;
+};
+
+describe("calculateInvoice", () => {
+  it("adds VAT on top of tax-exclusive prices", () => {
+    const invoice = calculateInvoice({
+      lines: [{ id: "a", quantity: 2, unitPrice: 12.5, vatRate: 5 }],
+    });
+
+    expect(invoice.taxableAmount).toBe(25);
+    expect(invoice.vatAmount).toBe(1.25);
+    expect(invoice.total).toBe(26.25);
+  });
+
+  it("rounds exclusive VAT halves away from zero", () => {
+    const invoice = calculateInvoice({
+      lines: [{ id: "a", quantity: 1, unitPrice: 0.3, vatRate: 15 }],
+    });
+
+    expect(invoice.lines[0].vat).toBe(0.05);
+    expect(invoice.total).toBe(0.35);
+  });
+
+  it("takes VAT out of tax-inclusive prices without changing the total", () => {
+    const invoice = calculateInvoice({
+      lines: [
+        { id: "a", quantity: 1, unitPrice: 10, vatRate: 5 },
+        { id: "b", quantity: 3, unitPrice: 3.33, vatRate: 15 },
+      ],
+      pricesIncludeTax: true,
+    });
+
+    expect(invoice.lines[0]).toMatchObject({ taxable: 9.52, vat: 0.48 });
+    expect(invoice.lines[1]).toMatchObject({ taxable: 8.69, vat: 1.3 });
+    expect(invoice.subtotal).toBe(19.99);
+    expect(invoice.total).toBe(19.99);
+  });
+
+  it("applies line and order discounts before VAT", () => {
+    const invoice = calculateInvoice({
+      lines: [{ id: "a", quantity: 2, unitPrice: 10, vatRate: 5, discount: 2 }],
+      discountPercent: 10,
+    });
+
+    expect(invoice.discountAmount).toBe(4);
+    expect(invoice.taxableAmount).toBe(16);
+    expect(invoice.vatAmount).toBe(0.8);
+    expect(invoice.total).toBe(16.8);
+  });
+
+  it.each([false, true])(
+    "has a per-rate breakdown that adds up to the total (inclusive: %s)",
+    (pricesIncludeTax) => {
+      const invoice = calculateInvoice({
+        lines: [
+          { id: "a", quantity: 3, unitPrice: 7.49, vatRate: 5 },
+          { id: "b", quantity: 1, unitPrice: 12.99, vatRate: 5 },
+          { id: "c", quantity: 2, unitPrice: 4.35, vatRate: 15 },
+          { id: "d", quantity: 1, unitPrice: 3.1, vatRate: 0 },
+        ],
+        discountPercent: 7.5,
+        pricesIncludeTax,
+      });
+
+      expect(invoice.breakdown.map((group) => group.rate)).toEqual([15, 5, 0]);
+      const taxable = invoice.breakdown.reduce(
+        (sum, group) => sum + group.taxable,
+        0
+      );
+      const vat = invoice.breakdown.reduce((sum, group) => sum + group.vat, 0);
+      expect(taxable).toBeCloseTo(invoice.taxableAmount, 10);
+      expect(vat).toBeCloseTo(invoice.vatAmount, 10);
+      expect(taxable + vat).toBeCloseTo(invoice.total, 10);
+    }
+  );
+});
+
+describe("getEffectiveVatRate", () => {
+  it("is the VAT as a share of the taxable amount", () => {
+    const invoice = calculateInvoice({
+      lines: [
+        { id: "a", quantity: 1, unitPrice: 100, vatRate: 5 },
+        { id: "b", quantity: 1, unitPrice: 100, vatRate: 15 },
+      ],
+    });
+
+    expect(getEffectiveVatRate(invoice)).toBe(10);
+  });
+
+  it("is 0 without a taxable amount", () => {
+    expect(getEffectiveVatRate(calculateInvoice({ lines: [] }))).toBe(0);
+    expect(getEffectiveVatRate(null)).toBe(0);
+  });
+});
+
+describe("encodeInvoiceQr", () => {
+  it("encodes tags 1 to 5 in order", () => {
+    const payload = encodeInvoiceQr({
+      sellerName: "Foul & Falafel",
+      vatNumber: "100123456700003",
+      timestamp: "2024-01-15T10:30:00.000Z",
+      total: 26.25,
+      vatAmount: 1.25,
+    });
+
+    expect(decodeTlv(payload)).toEqual([
+      { tag: 1, length: 14, value: "Foul & Falafel" },
+      { tag: 2, length: 15, value: "100123456700003" },
+      { tag: 3, length: 20, value: "2024-01-15T10:30:00Z" },
+      { tag: 4, length: 5, value: "26.25" },
+      { tag: 5, length: 4, value: "1.25" },
+    ]);
+  });
+
+  it("counts the length of Arabic values in bytes", () => {
+    const [seller] = decodeTlv(
+      encodeInvoiceQr({ sellerName: "فول وفلافل", total: 0, vatAmount: 0 })
+    );
+
+    expect(seller).toEqual({ tag: 1, length: 19, value: "فول وفلافل" });
+  });
+
+  it("cuts long values between characters", () => {
+    const [seller, vatNumber] = decodeTlv(
+      encodeInvoiceQr({
+        sellerName: "ف".repeat(200),
+        vatNumber: "1",
+        total: 0,
+        vatAmount: 0,
+      })
+    );
+
+    expect(seller.length).toBe(254);
+    expect(seller.value).toBe("ف".repeat(127));
+    expect(vatNumber).toMatchObject({ tag: 2, value: "1" });
+  });
+});